@@ -0,0 +1,200 @@
+/**
+ * accounts test — validates per-user storage, the legacy data migration
+ * and switching between remembered accounts.
+ *
+ * WHY test accounts?
+ * - Two people sharing a device must never see (or overwrite) each
+ *   other's points, favorites or cart
+ * - Data saved before keys were per user must survive the update
+ */
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { AxiosError } from 'axios';
+import { configureStore, createListenerMiddleware } from '@reduxjs/toolkit';
+import { authAPI, setAuthToken } from '../src/services/api';
+import authReducer, { loginUser, logoutUser, registerAuthRefresh } from '../src/redux/slices/authSlice';
+import loyaltyReducer, { earnPoints, persistLoyaltyData } from '../src/redux/slices/loyaltySlice';
+import favoritesReducer from '../src/redux/slices/favoritesSlice';
+import syncReducer from '../src/redux/slices/syncSlice';
+import missionsReducer from '../src/redux/slices/missionsSlice';
+import achievementsReducer from '../src/redux/slices/achievementsSlice';
+import referralsReducer from '../src/redux/slices/referralsSlice';
+import cartReducer, { addToCart, registerCartListeners } from '../src/redux/slices/cartSlice';
+import ordersReducer from '../src/redux/slices/ordersSlice';
+import transfersReducer from '../src/redux/slices/transfersSlice';
+import accountsReducer, {
+  loadUserData,
+  switchAccount,
+  forgetAccount,
+  registerAccountListeners,
+  selectOtherAccounts,
+} from '../src/redux/slices/accountsSlice';
+import { getUserStorageKey, migrateLegacyUserData } from '../src/utils/storage';
+import { STORAGE_KEYS } from '../src/utils/constants';
+
+const USERS = {
+  emilys: { id: 1, username: 'emilys', firstName: 'Emily' },
+  michaelw: { id: 2, username: 'michaelw', firstName: 'Michael' },
+};
+
+/** Fake DummyJSON: logs anyone in; /auth/me accepts the tokens in `server.valid` */
+const createServer = () => {
+  const server = { valid: new Set() };
+  server.adapter = async (config) => {
+    const respond = (status, data) => {
+      const response = { data, status, statusText: String(status), headers: {}, config, request: {} };
+      if (status >= 400) throw new AxiosError(data.message, String(status), config, {}, response);
+      return response;
+    };
+    if (config.url === '/auth/login') {
+      const { username } = JSON.parse(config.data);
+      server.valid.add(`token-${username}`);
+      return respond(200, { ...USERS[username], accessToken: `token-${username}` });
+    }
+    if (config.url === '/auth/refresh') return respond(401, { message: 'Invalid refresh token' });
+    const token = config.headers.Authorization?.replace('Bearer ', '');
+    if (!server.valid.has(token)) return respond(401, { message: 'Token Expired!' });
+    if (config.url === '/auth/me') return respond(200, USERS[token.replace('token-', '')]);
+    return respond(200, {});
+  };
+  return server;
+};
+
+const createStore = () => {
+  const listenerMiddleware = createListenerMiddleware();
+  registerCartListeners(listenerMiddleware.startListening);
+  registerAccountListeners(listenerMiddleware.startListening);
+  const store = configureStore({
+    reducer: {
+      auth: authReducer,
+      loyalty: loyaltyReducer,
+      favorites: favoritesReducer,
+      sync: syncReducer,
+      missions: missionsReducer,
+      achievements: achievementsReducer,
+      referrals: referralsReducer,
+      cart: cartReducer,
+      orders: ordersReducer,
+      transfers: transfersReducer,
+      accounts: accountsReducer,
+    },
+    middleware: (getDefaultMiddleware) =>
+      getDefaultMiddleware().prepend(listenerMiddleware.middleware),
+  });
+  registerAuthRefresh(store);
+  return store;
+};
+
+const signIn = async (store, username) => {
+  await store.dispatch(loginUser({ username, password: 'secret' })).unwrap();
+  await store.dispatch(loadUserData());
+};
+
+const savedLoyalty = async (userId) =>
+  JSON.parse(await AsyncStorage.getItem(getUserStorageKey(STORAGE_KEYS.LOYALTY_DATA, userId)));
+
+const shirt = { id: 1, title: 'Shirt', price: 10, category: "men's clothing" };
+
+describe('accounts', () => {
+  const defaultAdapter = authAPI.defaults.adapter;
+  let server;
+
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+    server = createServer();
+    authAPI.defaults.adapter = server.adapter;
+  });
+
+  afterEach(() => {
+    authAPI.defaults.adapter = defaultAdapter;
+    setAuthToken(null);
+  });
+
+  it('should move data saved before keys were per user, once', async () => {
+    await AsyncStorage.multiSet([
+      [STORAGE_KEYS.LOYALTY_DATA, JSON.stringify({ points: 120 })],
+      [STORAGE_KEYS.CART, '[]'],
+      [getUserStorageKey(STORAGE_KEYS.CART, 1), '["mine"]'],
+      [STORAGE_KEYS.THEME, 'dark'],
+    ]);
+
+    expect(await migrateLegacyUserData(1)).toEqual([STORAGE_KEYS.LOYALTY_DATA]);
+
+    expect(await savedLoyalty(1)).toEqual({ points: 120 });
+    expect(await AsyncStorage.getItem(getUserStorageKey(STORAGE_KEYS.CART, 1))).toBe('["mine"]');
+    expect(await AsyncStorage.getItem(STORAGE_KEYS.LOYALTY_DATA)).toBeNull();
+    expect(await AsyncStorage.getItem(STORAGE_KEYS.CART)).toBeNull();
+    // The device theme stays shared
+    expect(await AsyncStorage.getItem(STORAGE_KEYS.THEME)).toBe('dark');
+    expect(await migrateLegacyUserData(2)).toEqual([]);
+  });
+
+  it('should keep each member\'s points and cart to themselves', async () => {
+    const store = createStore();
+    await signIn(store, 'emilys');
+    store.dispatch(earnPoints({ type: 'PURCHASE', points: 300 }));
+    await store.dispatch(persistLoyaltyData());
+    store.dispatch(addToCart(shirt));
+    const emilyPoints = store.getState().loyalty.points;
+
+    await store.dispatch(logoutUser());
+    expect(store.getState().loyalty.points).toBe(0);
+    expect(store.getState().cart.items).toEqual([]);
+
+    await signIn(store, 'michaelw');
+    expect(store.getState().auth.dataUserId).toBe(2);
+    expect(store.getState().loyalty.points).toBeLessThan(emilyPoints);
+    expect(store.getState().cart.items).toEqual([]);
+    expect((await savedLoyalty(1)).points).toBe(emilyPoints);
+
+    await store.dispatch(logoutUser());
+    await signIn(store, 'emilys');
+    expect(store.getState().loyalty.points).toBe(emilyPoints);
+    expect(store.getState().cart.items).toEqual([{ product: shirt, quantity: 1 }]);
+  });
+
+  it('should switch between remembered accounts without a password', async () => {
+    const store = createStore();
+    await signIn(store, 'emilys');
+    store.dispatch(earnPoints({ type: 'PURCHASE', points: 300 }));
+    await store.dispatch(persistLoyaltyData());
+    const emilyPoints = store.getState().loyalty.points;
+
+    // Logging out keeps Emily remembered
+    await store.dispatch(logoutUser());
+    await signIn(store, 'michaelw');
+    expect(selectOtherAccounts(store.getState()).map((account) => account.username)).toEqual(['emilys']);
+
+    await store.dispatch(switchAccount(1)).unwrap();
+
+    expect(store.getState().auth).toMatchObject({ isLoggedIn: true, token: 'token-emilys', dataUserId: 1 });
+    expect(store.getState().loyalty.points).toBe(emilyPoints);
+    expect(store.getState().accounts.list.map((account) => account.id)).toEqual([1, 2]);
+    expect(JSON.parse(await AsyncStorage.getItem(STORAGE_KEYS.ACCOUNTS))).toHaveLength(2);
+  });
+
+  it('should forget an account whose session expired, or when asked to', async () => {
+    const store = createStore();
+    await signIn(store, 'emilys');
+    await store.dispatch(logoutUser());
+    await signIn(store, 'michaelw');
+    server.valid.delete('token-emilys');
+
+    await expect(store.dispatch(switchAccount(1)).unwrap()).rejects.toMatch(/expired/);
+
+    expect(store.getState().auth).toMatchObject({ isLoggedIn: false, sessionExpired: true });
+    expect(store.getState().accounts.list.map((account) => account.id)).toEqual([2]);
+
+    await store.dispatch(switchAccount(2)).unwrap();
+    await store.dispatch(logoutUser());
+    expect(store.getState().accounts.list.map((account) => account.id)).toEqual([2]);
+
+    store.dispatch(forgetAccount(2));
+    expect(store.getState().accounts.list).toEqual([]);
+    expect(JSON.parse(await AsyncStorage.getItem(STORAGE_KEYS.ACCOUNTS))).toEqual([]);
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * achievements test — validates badge conditions and automatic unlocking.
+ *
+ * WHY test achievements?
+ * - Badges unlock from a listener, not from screens — a broken predicate
+ *   or listener would silently stop recognizing members
+ * - Unlock timestamps must survive later evaluations
+ */
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+import { configureStore, createListenerMiddleware } from '@reduxjs/toolkit';
+import loyaltyReducer, { earnPoints, redeemPoints } from '../src/redux/slices/loyaltySlice';
+import favoritesReducer, { addFavorite, removeFavorite } from '../src/redux/slices/favoritesSlice';
+import achievementsReducer, {
+  registerAchievementListeners,
+  setAchievements,
+  selectAchievements,
+} from '../src/redux/slices/achievementsSlice';
+import { findNewAchievements, getLifetimePoints } from '../src/utils/achievements';
+
+describe('achievements', () => {
+  const snapshot = {
+    transactions: [],
+    favorites: [],
+    categories: ['electronics', 'jewelery'],
+    streak: { longest: 0 },
+    level: 'MEMBER',
+  };
+
+  it('should count lifetime points without spending or reversals', () => {
+    expect(
+      getLifetimePoints([
+        { points: 600 },
+        { points: -500 },
+        { points: 500 },
+        { points: 100, reversedBy: 'r' },
+      ])
+    ).toBe(1100);
+  });
+
+  it('should require a favorite in every category', () => {
+    const one = { ...snapshot, favorites: [{ id: 1, category: 'electronics' }] };
+    expect(findNewAchievements(one)).toEqual(['first-favorite']);
+
+    const both = { ...snapshot, favorites: [{ id: 1, category: 'electronics' }, { id: 2, category: 'jewelery' }] };
+    expect(findNewAchievements(both, { 'first-favorite': '2026-01-01' })).toEqual(['all-categories']);
+  });
+
+  it('should unlock badges automatically and keep them', () => {
+    const listenerMiddleware = createListenerMiddleware();
+    registerAchievementListeners(listenerMiddleware.startListening);
+    const store = configureStore({
+      reducer: { loyalty: loyaltyReducer, favorites: favoritesReducer, achievements: achievementsReducer },
+      middleware: (getDefaultMiddleware) =>
+        getDefaultMiddleware().prepend(listenerMiddleware.middleware),
+    });
+    store.dispatch(setAchievements({ 'streak-7': '2026-01-01T00:00:00.000Z' }));
+
+    store.dispatch(addFavorite({ id: 1, title: 'Backpack', category: 'electronics' }));
+    store.dispatch(removeFavorite(1));
+    store.dispatch(earnPoints({ type: 'LOGIN_BONUS', points: 1000, description: 'Big bonus' }));
+    store.dispatch(redeemPoints({ points: 50, label: '₹50 Coupon' }));
+
+    const unlocked = Object.fromEntries(
+      selectAchievements(store.getState()).map((badge) => [badge.id, badge.unlockedAt])
+    );
+    expect(unlocked['first-favorite']).toBeTruthy();
+    expect(unlocked['lifetime-1000']).toBeTruthy();
+    expect(unlocked['first-redemption']).toBeTruthy();
+    expect(unlocked['streak-7']).toBe('2026-01-01T00:00:00.000Z');
+    expect(unlocked['all-categories']).toBeNull();
+    listenerMiddleware.clearListeners();
+  });
+});
@@ -0,0 +1,214 @@
+/**
+ * authRefresh test — validates the authAPI 401 → /auth/refresh → retry
+ * flow and the boot-time session check (restoreSession).
+ *
+ * WHY test token refresh?
+ * - A broken refresh silently logs every long-lived session out (or
+ *   loops on 401s); concurrent requests must share a single refresh
+ * - A saved session must be validated on boot, without locking the user
+ *   out while offline
+ */
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { AxiosError } from 'axios';
+import { configureStore } from '@reduxjs/toolkit';
+import { authAPI, setAuthToken } from '../src/services/api';
+import authReducer, {
+  setCredentials,
+  registerAuthRefresh,
+  restoreSession,
+  SESSION_EXPIRED_MESSAGE,
+} from '../src/redux/slices/authSlice';
+import { STORAGE_KEYS } from '../src/utils/constants';
+
+/** Fake DummyJSON: only `validToken` is accepted; refresh hands out tokens */
+const createServer = ({ refreshFails = false, offline = false } = {}) => {
+  const server = { validToken: 'access-2', refreshCalls: 0, requests: [] };
+  server.adapter = async (config) => {
+    if (offline) throw new AxiosError('Network Error', AxiosError.ERR_NETWORK, config, {});
+    const respond = (status, data) => {
+      const response = { data, status, statusText: String(status), headers: {}, config, request: {} };
+      if (status >= 400) throw new AxiosError(data.message, String(status), config, {}, response);
+      return response;
+    };
+
+    if (config.url === '/auth/refresh') {
+      server.refreshCalls += 1;
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      const { refreshToken } = JSON.parse(config.data);
+      if (refreshFails || refreshToken !== 'refresh-1') return respond(401, { message: 'Invalid refresh token' });
+      return respond(200, { accessToken: 'access-2', refreshToken: 'refresh-2' });
+    }
+
+    server.requests.push(config.headers.Authorization);
+    if (config.headers.Authorization !== `Bearer ${server.validToken}`) {
+      return respond(401, { message: 'Token Expired!' });
+    }
+    if (config.url === '/auth/me') {
+      return respond(200, { id: 1, username: 'emilys', firstName: 'Emily', email: 'new@x.dev', bank: {} });
+    }
+    return respond(200, { url: config.url });
+  };
+  return server;
+};
+
+const createStore = () => {
+  const store = configureStore({ reducer: { auth: authReducer } });
+  registerAuthRefresh(store);
+  store.dispatch(setCredentials({ token: 'access-1', refreshToken: 'refresh-1', user: { id: 1 } }));
+  setAuthToken('access-1');
+  return store;
+};
+
+describe('auth token refresh', () => {
+  const defaultAdapter = authAPI.defaults.adapter;
+
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+  });
+
+  afterEach(() => {
+    authAPI.defaults.adapter = defaultAdapter;
+    setAuthToken(null);
+  });
+
+  it('should refresh once for concurrent 401s and retry every request', async () => {
+    const server = createServer();
+    authAPI.defaults.adapter = server.adapter;
+    const store = createStore();
+
+    const responses = await Promise.all([
+      authAPI.get('/users/1'),
+      authAPI.get('/users/2'),
+      authAPI.get('/users/3'),
+    ]);
+
+    expect(responses.map((r) => r.data.url)).toEqual(['/users/1', '/users/2', '/users/3']);
+    expect(server.refreshCalls).toBe(1);
+    expect(store.getState().auth).toMatchObject({ token: 'access-2', refreshToken: 'refresh-2' });
+    expect(await AsyncStorage.getItem(STORAGE_KEYS.AUTH_TOKEN)).toBe('access-2');
+    expect(await AsyncStorage.getItem(STORAGE_KEYS.REFRESH_TOKEN)).toBe('refresh-2');
+
+    // Later requests use the new token straight away
+    await authAPI.get('/users/4');
+    expect(server.requests[server.requests.length - 1]).toBe('Bearer access-2');
+  });
+
+  it('should log out once when the refresh fails', async () => {
+    const server = createServer({ refreshFails: true });
+    authAPI.defaults.adapter = server.adapter;
+    const store = createStore();
+    await AsyncStorage.setItem(STORAGE_KEYS.AUTH_TOKEN, 'access-1');
+
+    const results = await Promise.allSettled([authAPI.get('/auth/me'), authAPI.get('/users/1')]);
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    expect(results.map((r) => r.status)).toEqual(['rejected', 'rejected']);
+    expect(results[0].reason.response.status).toBe(401);
+    expect(server.refreshCalls).toBe(1);
+    expect(store.getState().auth.isLoggedIn).toBe(false);
+    expect(await AsyncStorage.getItem(STORAGE_KEYS.AUTH_TOKEN)).toBeNull();
+    expect(authAPI.defaults.headers.common.Authorization).toBeUndefined();
+  });
+
+  it('should not try to refresh a failed login', async () => {
+    const server = createServer();
+    authAPI.defaults.adapter = server.adapter;
+    createStore();
+
+    await expect(authAPI.post('/auth/login', {})).rejects.toMatchObject({
+      response: { status: 401 },
+    });
+    expect(server.refreshCalls).toBe(0);
+  });
+});
+
+describe('restoreSession', () => {
+  const defaultAdapter = authAPI.defaults.adapter;
+  const cachedUser = { id: 1, username: 'emilys', firstName: 'Em', email: 'old@x.dev' };
+
+  const saveSession = (token) =>
+    AsyncStorage.multiSet([
+      [STORAGE_KEYS.AUTH_TOKEN, token],
+      [STORAGE_KEYS.REFRESH_TOKEN, 'refresh-1'],
+      [STORAGE_KEYS.USER_DATA, JSON.stringify(cachedUser)],
+    ]);
+
+  const createBootStore = () => {
+    const store = configureStore({ reducer: { auth: authReducer } });
+    registerAuthRefresh(store);
+    return store;
+  };
+
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+  });
+
+  afterEach(() => {
+    authAPI.defaults.adapter = defaultAdapter;
+    setAuthToken(null);
+  });
+
+  it('should resolve null when no session was saved', async () => {
+    const store = createBootStore();
+    expect(await store.dispatch(restoreSession()).unwrap()).toBeNull();
+    expect(store.getState().auth.isLoggedIn).toBe(false);
+  });
+
+  it('should validate the saved token, attach it and refresh the profile', async () => {
+    const server = createServer();
+    authAPI.defaults.adapter = server.adapter;
+    await saveSession('access-2');
+    const store = createBootStore();
+
+    const session = await store.dispatch(restoreSession()).unwrap();
+
+    expect(session.offline).toBe(false);
+    expect(server.requests).toEqual(['Bearer access-2']);
+    expect(store.getState().auth).toMatchObject({ isLoggedIn: true, token: 'access-2' });
+    expect(store.getState().auth.user).toEqual({
+      id: 1, username: 'emilys', firstName: 'Emily', email: 'new@x.dev',
+    });
+    expect(JSON.parse(await AsyncStorage.getItem(STORAGE_KEYS.USER_DATA)).email).toBe('new@x.dev');
+  });
+
+  it('should refresh an expired access token while validating', async () => {
+    const server = createServer();
+    authAPI.defaults.adapter = server.adapter;
+    await saveSession('access-1');
+    const store = createBootStore();
+
+    await store.dispatch(restoreSession()).unwrap();
+
+    expect(server.refreshCalls).toBe(1);
+    expect(store.getState().auth).toMatchObject({ isLoggedIn: true, token: 'access-2', refreshToken: 'refresh-2' });
+  });
+
+  it('should clear a rejected session and flag it as expired', async () => {
+    authAPI.defaults.adapter = createServer({ refreshFails: true }).adapter;
+    await saveSession('access-1');
+    const store = createBootStore();
+
+    await expect(store.dispatch(restoreSession()).unwrap()).rejects.toBe(SESSION_EXPIRED_MESSAGE);
+
+    expect(store.getState().auth).toMatchObject({ isLoggedIn: false, sessionExpired: true });
+    expect(await AsyncStorage.getItem(STORAGE_KEYS.AUTH_TOKEN)).toBeNull();
+    expect(authAPI.defaults.headers.common.Authorization).toBeUndefined();
+  });
+
+  it('should fall back to the cached user when offline', async () => {
+    authAPI.defaults.adapter = createServer({ offline: true }).adapter;
+    await saveSession('access-1');
+    const store = createBootStore();
+
+    const session = await store.dispatch(restoreSession()).unwrap();
+
+    expect(session.offline).toBe(true);
+    expect(store.getState().auth).toMatchObject({ isLoggedIn: true, user: cachedUser });
+    expect(authAPI.defaults.headers.common.Authorization).toBe('Bearer access-1');
+  });
+});
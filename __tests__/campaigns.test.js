@@ -0,0 +1,109 @@
+/**
+ * campaigns test — validates campaign windows, targeting and boosts.
+ *
+ * WHY test campaigns?
+ * - A campaign that starts late, ends late or targets the wrong category
+ *   gives away (or withholds) points for every member at once
+ * - Boosts must land on the ledger exactly as the screens projected them
+ */
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+import { configureStore } from '@reduxjs/toolkit';
+import loyaltyReducer, { reportEvent } from '../src/redux/slices/loyaltySlice';
+import { getActiveCampaigns, applyCampaigns, getCampaignTag } from '../src/utils/campaigns';
+import { getPurchaseBasePoints } from '../src/utils/cart';
+import { EARNING_EVENTS, TRANSACTION_TYPES } from '../src/utils/constants';
+
+const campaigns = [
+  {
+    id: 'tech',
+    title: 'Tech Week',
+    startsAt: '2026-10-19T00:00:00.000Z',
+    endsAt: '2026-10-26T00:00:00.000Z',
+    categories: ['electronics'],
+    bonusPoints: 25,
+  },
+  {
+    id: 'double',
+    title: 'Double Points',
+    startsAt: '2026-10-23T00:00:00.000Z',
+    endsAt: '2026-10-26T00:00:00.000Z',
+    categories: ['electronics', 'jewelery'],
+    multiplier: 2,
+  },
+  {
+    id: 'triple',
+    title: 'Triple Points',
+    startsAt: '2026-10-23T00:00:00.000Z',
+    endsAt: '2026-10-26T00:00:00.000Z',
+    categories: ['jewelery'],
+    multiplier: 3,
+  },
+];
+
+const categories = ['electronics', 'jewelery', "men's clothing"];
+const ring = { id: 5, title: 'Ring', price: 9.99, category: 'jewelery' };
+const drive = { id: 9, title: 'Drive', price: 64, category: 'electronics' };
+const shirt = { id: 1, title: 'Shirt', price: 22.3, category: "men's clothing" };
+
+describe('campaigns', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('is active from startsAt up to (not including) endsAt', () => {
+    const ids = (now) => getActiveCampaigns(now, categories, campaigns).map((c) => c.id);
+    expect(ids('2026-10-18T23:59:59.000Z')).toEqual([]);
+    expect(ids('2026-10-19T00:00:00.000Z')).toEqual(['tech']);
+    expect(ids('2026-10-24T12:00:00.000Z')).toEqual(['tech', 'double', 'triple']);
+    expect(ids('2026-10-26T00:00:00.000Z')).toEqual([]);
+  });
+
+  it('drops targets that are not real categories', () => {
+    const typo = [{ ...campaigns[0], categories: ['electronix'] }, campaigns[1]];
+    const active = getActiveCampaigns('2026-10-24T12:00:00.000Z', ['jewelery'], typo);
+    expect(active).toHaveLength(1);
+    expect(active[0].categories).toEqual(['jewelery']);
+  });
+
+  it('applies the best multiplier and adds flat bonuses per item', () => {
+    const active = getActiveCampaigns('2026-10-24T12:00:00.000Z', categories, campaigns);
+    expect(applyCampaigns(10, ring, active)).toEqual({ points: 30, campaignIds: ['double', 'triple'] });
+    expect(applyCampaigns(64, drive, active, 2)).toEqual({ points: 178, campaignIds: ['tech', 'double'] });
+    expect(applyCampaigns(22, shirt, active)).toEqual({ points: 22, campaignIds: [] });
+    expect(getCampaignTag(campaigns[0])).toBe('+25 pts');
+    expect(getCampaignTag(campaigns[2])).toBe('3× points');
+  });
+
+  it('boosts only the qualifying lines of a purchase', () => {
+    const active = getActiveCampaigns('2026-10-20T12:00:00.000Z', categories, campaigns);
+    const lines = [
+      { product: drive, quantity: 1 },
+      { product: shirt, quantity: 1 },
+    ];
+    // $86.30 → 86 base points, +25 for the drive
+    expect(getPurchaseBasePoints(lines, active)).toEqual({ points: 111, campaignIds: ['tech'] });
+    expect(getPurchaseBasePoints(lines).points).toBe(86);
+  });
+
+  it('auto-applies active campaigns to earn events', () => {
+    jest.useFakeTimers({ now: new Date('2026-10-24T12:00:00.000Z'), doNotFake: ['nextTick', 'setImmediate'] });
+    const store = configureStore({
+      reducer: {
+        loyalty: loyaltyReducer,
+        products: () => ({ categories: ['jewelery', 'electronics', "men's clothing", "women's clothing"] }),
+      },
+    });
+
+    store.dispatch(reportEvent(EARNING_EVENTS.FAVORITE_ADDED, { product: ring }));
+
+    const [tx] = store.getState().loyalty.transactions;
+    expect(tx.type).toBe(TRANSACTION_TYPES.FAVORITE_ADDED);
+    expect(tx.points).toBe(20);
+    expect(tx.campaignIds).toEqual(['jewelery-weekend-2026-10']);
+    expect(tx.description).toBe('Favorited: Ring (Double Points Weekend)');
+  });
+});
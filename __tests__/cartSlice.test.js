@@ -0,0 +1,110 @@
+/**
+ * cartSlice test — validates cart lines, totals and the points projection.
+ *
+ * WHY test the cart?
+ * - Subtotals are money: float drift or a bad clamp shows up on screen
+ * - The points projection must match what a purchase will actually earn
+ */
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { configureStore, createListenerMiddleware } from '@reduxjs/toolkit';
+import authReducer, { setCredentials, userDataLoaded } from '../src/redux/slices/authSlice';
+import loyaltyReducer from '../src/redux/slices/loyaltySlice';
+import cartReducer, {
+  addToCart,
+  removeFromCart,
+  setCartQuantity,
+  registerCartListeners,
+  selectCartLines,
+  selectCartSummary,
+} from '../src/redux/slices/cartSlice';
+import { calculatePurchasePoints } from '../src/utils/cart';
+import { getUserStorageKey } from '../src/utils/storage';
+import { MAX_CART_QUANTITY, STORAGE_KEYS } from '../src/utils/constants';
+
+const shirt = { id: 1, title: 'Shirt', price: 10.1, category: "men's clothing" };
+const ring = { id: 2, title: 'Ring', price: 0.1, category: 'jewelery' };
+
+const createStore = () => {
+  const listenerMiddleware = createListenerMiddleware();
+  registerCartListeners(listenerMiddleware.startListening);
+  return configureStore({
+    reducer: { auth: authReducer, loyalty: loyaltyReducer, cart: cartReducer },
+    middleware: (getDefaultMiddleware) =>
+      getDefaultMiddleware().prepend(listenerMiddleware.middleware),
+  });
+};
+
+describe('cartSlice', () => {
+  beforeEach(() => AsyncStorage.clear());
+
+  it('should add a line and increment it on repeat adds', () => {
+    const store = createStore();
+    store.dispatch(addToCart(shirt));
+    store.dispatch(addToCart(shirt));
+    store.dispatch(addToCart(ring));
+
+    expect(store.getState().cart.items).toEqual([
+      { product: shirt, quantity: 2 },
+      { product: ring, quantity: 1 },
+    ]);
+  });
+
+  it('should clamp quantities and remove lines set to zero', () => {
+    const store = createStore();
+    store.dispatch(addToCart(shirt));
+    store.dispatch(addToCart(ring));
+
+    store.dispatch(setCartQuantity({ productId: 1, quantity: 500 }));
+    expect(store.getState().cart.items[0].quantity).toBe(MAX_CART_QUANTITY);
+
+    store.dispatch(setCartQuantity({ productId: 1, quantity: 0 }));
+    store.dispatch(removeFromCart(2));
+    expect(store.getState().cart.items).toEqual([]);
+  });
+
+  it('should compute subtotals without float drift', () => {
+    const store = createStore();
+    store.dispatch(addToCart(ring));
+    store.dispatch(setCartQuantity({ productId: 2, quantity: 3 }));
+    store.dispatch(addToCart(shirt));
+
+    const [ringLine, shirtLine] = selectCartLines(store.getState());
+    expect(ringLine.subtotal).toBe(0.3);
+    expect(shirtLine.subtotal).toBe(10.1);
+
+    const summary = selectCartSummary(store.getState());
+    expect(summary).toEqual({ itemCount: 4, subtotal: 10.4, points: 10 });
+  });
+
+  it('should project points with the level multiplier', () => {
+    expect(calculatePurchasePoints(19.99)).toBe(19);
+    expect(calculatePurchasePoints(19.99, 1.25)).toBe(24);
+    expect(calculatePurchasePoints(0.5)).toBe(0);
+  });
+
+  it('should persist the cart after each change, per user', async () => {
+    const store = createStore();
+    store.dispatch(setCredentials({ token: 't', user: { id: 7 } }));
+    store.dispatch(userDataLoaded(7));
+    store.dispatch(addToCart(shirt));
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    const saved = JSON.parse(await AsyncStorage.getItem(getUserStorageKey(STORAGE_KEYS.CART, 7)));
+    expect(saved).toEqual([{ product: shirt, quantity: 1 }]);
+    expect(await AsyncStorage.getItem(STORAGE_KEYS.CART)).toBeNull();
+  });
+
+  it('should not save before the member\'s own cart is loaded', async () => {
+    const store = createStore();
+    store.dispatch(setCredentials({ token: 't', user: { id: 7 } }));
+    store.dispatch(addToCart(shirt));
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    expect(await AsyncStorage.getAllKeys()).toEqual([]);
+  });
+});
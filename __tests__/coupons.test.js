@@ -0,0 +1,122 @@
+/**
+ * coupons test — validates the coupon wallet lifecycle.
+ *
+ * WHY test the wallet?
+ * - A coupon shown as active after it was used or expired costs the
+ *   store money at the till
+ * - Wallets saved before STORAGE_KEYS.COUPONS existed must carry over
+ */
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { configureStore } from '@reduxjs/toolkit';
+import authReducer, { setCredentials, userDataLoaded } from '../src/redux/slices/authSlice';
+import loyaltyReducer, {
+  earnPoints,
+  redeemPoints,
+  markCouponUsed,
+  expireCoupons,
+  setLoyaltyData,
+  persistLoyaltyData,
+} from '../src/redux/slices/loyaltySlice';
+import { normalizeCoupon } from '../src/utils/coupons';
+import { getUserStorageKey } from '../src/utils/storage';
+import { COUPON_STATUS, COUPON_VALIDITY_DAYS, STORAGE_KEYS } from '../src/utils/constants';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const issueCoupon = () => {
+  let state = loyaltyReducer(undefined, earnPoints({ type: 'LOGIN_BONUS', points: 200 }));
+  state = loyaltyReducer(state, redeemPoints({ points: 100, label: '₹100 Coupon', value: 100 }));
+  return state;
+};
+
+describe('coupon wallet', () => {
+  beforeEach(() => AsyncStorage.clear());
+
+  it('should issue an active coupon with a value and expiry', () => {
+    const [coupon] = issueCoupon().coupons;
+
+    expect(coupon).toMatchObject({ value: 100, status: COUPON_STATUS.ACTIVE, usedAt: null });
+    expect(Date.parse(coupon.expiresAt) - Date.parse(coupon.date)).toBe(
+      COUPON_VALIDITY_DAYS * DAY_MS
+    );
+  });
+
+  it('should mark an active coupon as used only once', () => {
+    let state = issueCoupon();
+    const { id } = state.coupons[0];
+
+    state = loyaltyReducer(state, markCouponUsed(id));
+    const { usedAt } = state.coupons[0];
+    expect(state.coupons[0].status).toBe(COUPON_STATUS.USED);
+    expect(usedAt).not.toBeNull();
+
+    state = loyaltyReducer(state, markCouponUsed(id));
+    expect(state.coupons[0].usedAt).toBe(usedAt);
+  });
+
+  it('should expire active coupons past their expiry, but not used ones', () => {
+    let state = issueCoupon();
+    state = loyaltyReducer(state, redeemPoints({ points: 50, label: '₹50 Coupon', value: 50 }));
+    state = loyaltyReducer(state, markCouponUsed(state.coupons[0].id));
+
+    const later = new Date(Date.now() + (COUPON_VALIDITY_DAYS + 1) * DAY_MS).toISOString();
+    state = loyaltyReducer(state, expireCoupons({ now: later }));
+
+    expect(state.coupons.map((c) => c.status)).toEqual([
+      COUPON_STATUS.USED,
+      COUPON_STATUS.EXPIRED,
+    ]);
+  });
+
+  it('should refuse to use a coupon that has lapsed', () => {
+    const state = issueCoupon();
+    const lapsed = {
+      ...state,
+      coupons: [{ ...state.coupons[0], expiresAt: '2020-01-01T00:00:00.000Z' }],
+    };
+
+    const next = loyaltyReducer(lapsed, markCouponUsed(lapsed.coupons[0].id));
+    expect(next.coupons[0]).toMatchObject({ status: COUPON_STATUS.EXPIRED, usedAt: null });
+  });
+
+  it('should migrate coupons saved before the wallet existed', () => {
+    const legacy = {
+      id: 'RL-AAAA-BBBB',
+      code: 'RL-AAAA-BBBB',
+      label: '₹250 Coupon',
+      points: 250,
+      date: '2026-01-01T00:00:00.000Z',
+      transactionId: 'tx-1',
+    };
+    expect(normalizeCoupon(legacy)).toMatchObject({
+      value: 250,
+      status: COUPON_STATUS.ACTIVE,
+      expiresAt: new Date(Date.parse(legacy.date) + COUPON_VALIDITY_DAYS * DAY_MS).toISOString(),
+    });
+    expect(normalizeCoupon({ ...legacy, label: 'Premium Reward', points: 1000 }).value).toBe(1000);
+
+    const state = loyaltyReducer(undefined, setLoyaltyData({ points: 0, transactions: [], coupons: [legacy] }));
+    expect(state.coupons[0].status).toBe(COUPON_STATUS.ACTIVE);
+  });
+
+  it('should persist the wallet under its own key', async () => {
+    const store = configureStore({ reducer: { auth: authReducer, loyalty: loyaltyReducer } });
+    store.dispatch(setCredentials({ token: 't', user: { id: 7 } }));
+    store.dispatch(userDataLoaded(7));
+    store.dispatch(earnPoints({ type: 'LOGIN_BONUS', points: 100 }));
+    store.dispatch(redeemPoints({ points: 50, label: '₹50 Coupon', value: 50 }));
+    await store.dispatch(persistLoyaltyData());
+
+    const coupons = JSON.parse(await AsyncStorage.getItem(getUserStorageKey(STORAGE_KEYS.COUPONS, 7)));
+    const loyaltyData = JSON.parse(
+      await AsyncStorage.getItem(getUserStorageKey(STORAGE_KEYS.LOYALTY_DATA, 7))
+    );
+    expect(coupons).toHaveLength(1);
+    expect(loyaltyData.coupons).toBeUndefined();
+  });
+});
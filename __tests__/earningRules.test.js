@@ -0,0 +1,133 @@
+/**
+ * earningRules unit test — validates the declarative rules engine.
+ *
+ * WHY test the rules engine?
+ * - Every point a member earns flows through it
+ * - Caps, cooldowns and conditions are easy to get subtly wrong
+ * - The engine is pure — rules, usage and "now" are all passed in
+ */
+
+import {
+  evaluateEarningRules,
+  recordRuleUsage,
+  estimateEventPoints,
+  findClawbacks,
+} from '../src/utils/earningRules';
+
+describe('earningRules', () => {
+  const now = '2026-03-10T12:00:00.000Z';
+  const product = { id: 1, title: 'Backpack', category: 'electronics', price: 120 };
+
+  it('should award the default favorite rule with a product description', () => {
+    const awards = evaluateEarningRules('FAVORITE_ADDED', { product }, { now });
+
+    expect(awards).toEqual([
+      {
+        ruleId: 'favorite-added',
+        type: 'FAVORITE_ADDED',
+        points: 10,
+        description: 'Favorited: Backpack',
+        idempotencyKey: 'favorite:1',
+      },
+    ]);
+  });
+
+  it('should skip rules whose idempotency key was already granted', () => {
+    const awardedKeys = { 'favorite:1': 'tx-1' };
+
+    expect(evaluateEarningRules('FAVORITE_ADDED', { product }, { now, awardedKeys })).toEqual([]);
+    expect(estimateEventPoints('FAVORITE_ADDED', { product }, { awardedKeys })).toBe(0);
+  });
+
+  it('should only claw back awards inside the grace period', () => {
+    const awardedKeys = { 'favorite:1': 'tx-1' };
+    const transactions = [
+      { id: 'tx-1', type: 'FAVORITE_ADDED', points: 10, date: '2026-03-10T11:30:00.000Z' },
+    ];
+
+    expect(findClawbacks('FAVORITE_ADDED', { product }, { now, awardedKeys, transactions })).toEqual([
+      { transactionId: 'tx-1', idempotencyKey: 'favorite:1' },
+    ]);
+    expect(
+      findClawbacks('FAVORITE_ADDED', { product }, {
+        now: '2026-03-10T13:00:00.000Z',
+        awardedKeys,
+        transactions,
+      })
+    ).toEqual([]);
+  });
+
+  it('should support formula amounts and category conditions', () => {
+    const rules = [
+      {
+        id: 'electronics-bonus',
+        event: 'FAVORITE_ADDED',
+        type: 'FAVORITE_ADDED',
+        points: ({ product: p }) => Math.floor(p.price / 10),
+        description: 'Electronics bonus',
+        conditions: { categories: ['electronics'] },
+      },
+    ];
+
+    expect(evaluateEarningRules('FAVORITE_ADDED', { product }, { now, rules })[0].points).toBe(12);
+    expect(
+      evaluateEarningRules(
+        'FAVORITE_ADDED',
+        { product: { ...product, category: 'jewelery' } },
+        { now, rules }
+      )
+    ).toEqual([]);
+  });
+
+  it('should clip awards to the daily and lifetime caps', () => {
+    const rules = [
+      { id: 'capped', event: 'LOGIN', type: 'LOGIN_BONUS', points: 10, description: 'Capped', dailyCap: 15, lifetimeCap: 100 },
+    ];
+
+    const usage = { capped: recordRuleUsage(undefined, 10, now) };
+    expect(evaluateEarningRules('LOGIN', {}, { now, rules, usage })[0].points).toBe(5);
+
+    const exhausted = { capped: recordRuleUsage(usage.capped, 5, now) };
+    expect(evaluateEarningRules('LOGIN', {}, { now, rules, usage: exhausted })).toEqual([]);
+
+    const nextDay = '2026-03-11T12:00:00.000Z';
+    expect(evaluateEarningRules('LOGIN', {}, { now: nextDay, rules, usage: exhausted })[0].points).toBe(10);
+
+    const lifetime = { capped: { ...exhausted.capped, total: 95 } };
+    expect(evaluateEarningRules('LOGIN', {}, { now: nextDay, rules, usage: lifetime })[0].points).toBe(5);
+  });
+
+  it('should respect a rule cooldown', () => {
+    const rules = [
+      { id: 'cooldown', event: 'LOGIN', type: 'LOGIN_BONUS', points: 5, description: 'Cooldown', cooldownMinutes: 60 },
+    ];
+    const usage = { cooldown: recordRuleUsage(undefined, 5, now) };
+
+    expect(
+      evaluateEarningRules('LOGIN', {}, { now: '2026-03-10T12:30:00.000Z', rules, usage })
+    ).toEqual([]);
+    expect(
+      evaluateEarningRules('LOGIN', {}, { now: '2026-03-10T13:00:00.000Z', rules, usage })
+    ).toHaveLength(1);
+  });
+
+  it('should cap the shipped favorite rule per day', () => {
+    let usage = {};
+    for (let id = 1; id <= 5; id += 1) {
+      const [award] = evaluateEarningRules('FAVORITE_ADDED', { product: { ...product, id } }, { now, usage });
+      expect(award.points).toBe(10);
+      usage = { [award.ruleId]: recordRuleUsage(usage[award.ruleId], award.points, now) };
+    }
+
+    const sixth = { ...product, id: 6 };
+    expect(evaluateEarningRules('FAVORITE_ADDED', { product: sixth }, { now, usage })).toEqual([]);
+    expect(
+      evaluateEarningRules('FAVORITE_ADDED', { product: sixth }, { now: '2026-03-11T12:00:00.000Z', usage })
+    ).toHaveLength(1);
+  });
+
+  it('should estimate event points for UI hints', () => {
+    expect(estimateEventPoints('FAVORITE_ADDED', { product })).toBe(10);
+    expect(estimateEventPoints('UNKNOWN_EVENT', {})).toBe(0);
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * historySlice test — validates points history filters, grouping and paging.
+ *
+ * WHY test the history selectors?
+ * - Month totals and paging are easy to get off by one
+ * - Filters live in Redux, so they must reset paging when they change
+ */
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+import { configureStore } from '@reduxjs/toolkit';
+import loyaltyReducer, { setLoyaltyData, resetLoyalty } from '../src/redux/slices/loyaltySlice';
+import historyReducer, {
+  setHistorySearch,
+  toggleHistoryType,
+  setHistoryDateRange,
+  loadMoreHistory,
+  selectHistoryPage,
+  selectHasHistoryFilters,
+} from '../src/redux/slices/historySlice';
+import { HISTORY_PAGE_SIZE } from '../src/utils/constants';
+
+// Local-time dates so month grouping doesn't depend on the test machine's zone
+const at = (year, month, day) => new Date(year, month - 1, day, 12).toISOString();
+
+describe('historySlice', () => {
+  let store;
+
+  const hydrate = (transactions) =>
+    store.dispatch(
+      setLoyaltyData({
+        points: transactions.reduce((sum, t) => sum + t.points, 0),
+        transactions,
+      })
+    );
+
+  beforeEach(() => {
+    store = configureStore({ reducer: { loyalty: loyaltyReducer, history: historyReducer } });
+    hydrate([
+      { id: '4', type: 'REDEMPTION', points: -50, description: 'Redeemed: ₹50 Coupon', date: at(2026, 3, 2) },
+      { id: '3', type: 'FAVORITE_ADDED', points: 10, description: 'Favorited: Backpack', date: at(2026, 3, 1) },
+      { id: '2', type: 'LOGIN_BONUS', points: 5, description: 'Daily login bonus', date: at(2026, 2, 20) },
+      { id: '1', type: 'FAVORITE_ADDED', points: 100, description: 'Favorited: Jacket', date: at(2026, 2, 10) },
+    ]);
+  });
+
+  it('should group by month with net totals', () => {
+    const { sections, total, hasMore } = selectHistoryPage(store.getState());
+
+    expect(sections.map((s) => [s.key, s.net, s.data.length])).toEqual([
+      ['2026-03', -40, 2],
+      ['2026-02', 105, 2],
+    ]);
+    expect(total).toBe(4);
+    expect(hasMore).toBe(false);
+  });
+
+  it('should filter by type, date range and description', () => {
+    store.dispatch(toggleHistoryType('FAVORITE_ADDED'));
+    expect(selectHistoryPage(store.getState()).total).toBe(2);
+
+    store.dispatch(setHistoryDateRange({ from: '2026-03-01', to: null }));
+    expect(selectHistoryPage(store.getState()).sections[0].data.map((t) => t.id)).toEqual(['3']);
+
+    store.dispatch(setHistoryDateRange({ from: null, to: null }));
+    store.dispatch(setHistorySearch('  JACKET '));
+    expect(selectHistoryPage(store.getState()).sections[0].data.map((t) => t.id)).toEqual(['1']);
+    expect(selectHasHistoryFilters(store.getState())).toBe(true);
+
+    store.dispatch(toggleHistoryType('FAVORITE_ADDED'));
+    store.dispatch(setHistorySearch(''));
+    expect(selectHasHistoryFilters(store.getState())).toBe(false);
+  });
+
+  it('should load long histories a page at a time', () => {
+    const many = Array.from({ length: HISTORY_PAGE_SIZE + 5 }, (_, i) => ({
+      id: `t${i}`,
+      type: 'LOGIN_BONUS',
+      points: 5,
+      description: 'Daily login bonus',
+      date: at(2026, 1, 31 - Math.floor(i / 2)),
+    }));
+    hydrate(many);
+
+    let page = selectHistoryPage(store.getState());
+    expect(page.sections.reduce((n, s) => n + s.data.length, 0)).toBe(HISTORY_PAGE_SIZE);
+    expect(page.sections[0].net).toBe(5 * many.length); // whole month, not just the page
+    expect(page.hasMore).toBe(true);
+
+    store.dispatch(loadMoreHistory());
+    page = selectHistoryPage(store.getState());
+    expect(page.sections.reduce((n, s) => n + s.data.length, 0)).toBe(many.length);
+    expect(page.hasMore).toBe(false);
+
+    store.dispatch(setHistorySearch('login'));
+    expect(store.getState().history.limit).toBe(HISTORY_PAGE_SIZE);
+  });
+
+  it('should clear the filters on logout', () => {
+    store.dispatch(toggleHistoryType('REDEMPTION'));
+    store.dispatch(resetLoyalty());
+    expect(store.getState().history.types).toEqual([]);
+  });
+});
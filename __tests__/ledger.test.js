@@ -0,0 +1,82 @@
+/**
+ * ledger unit test — validates transaction ids and the hash chain.
+ *
+ * WHY test the ledger helpers?
+ * - Hydration trusts the chain to decide which entries are genuine
+ * - A hashing slip would flag every member's history as tampered
+ */
+
+import { sha256, hmacSha256 } from '../src/utils/sha256';
+import {
+  GENESIS_HASH,
+  createTransactionId,
+  sealLedger,
+  sealTransaction,
+  verifyLedger,
+  getLedgerBalance,
+} from '../src/utils/ledger';
+
+describe('ledger', () => {
+  const entries = [
+    { id: 'c', type: 'REDEMPTION', points: -50, description: 'Redeemed: ₹50 Coupon', date: '2026-01-03T00:00:00.000Z' },
+    { id: 'b', type: 'FAVORITE_ADDED', points: 10, description: 'Favorited: Backpack', date: '2026-01-02T00:00:00.000Z' },
+    { id: 'a', type: 'LOGIN_BONUS', points: 100, description: 'Login', date: '2026-01-01T00:00:00.000Z' },
+  ];
+
+  it('should hash with SHA-256', () => {
+    expect(sha256('abc')).toBe('ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+    expect(sha256('')).toBe('e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855');
+  });
+
+  it('should sign with HMAC-SHA256', () => {
+    expect(hmacSha256('key', 'The quick brown fox jumps over the lazy dog')).toBe(
+      'f7bc83f430538424b13298e6aa6fb143ef4d59a14946175997479dbc2d1a3cd8'
+    );
+    // Keys longer than a block are hashed first
+    expect(
+      hmacSha256('k'.repeat(100), 'Test Using Larger Than Block-Size Key - Hash Key First')
+    ).toBe('2bc51c04a41032b5f44910acdb471c67a7b1de64e91089e052761fe59a9dac4b');
+  });
+
+  it('should create distinct ids even within the same millisecond', () => {
+    const ids = Array.from({ length: 1000 }, createTransactionId);
+    expect(new Set(ids).size).toBe(1000);
+  });
+
+  it('should seal a ledger from the oldest entry up', () => {
+    const sealed = sealLedger(entries);
+
+    expect(sealed[2].prevHash).toBe(GENESIS_HASH);
+    expect(sealed[1].prevHash).toBe(sealed[2].hash);
+    expect(sealed[0].prevHash).toBe(sealed[1].hash);
+    expect(verifyLedger(sealed)).toEqual({ valid: true, sealed: true, tampered: [], brokenLinks: [] });
+  });
+
+  it('should ignore reversedBy, which is set after the fact', () => {
+    const sealed = sealLedger(entries);
+    sealed[1] = { ...sealed[1], reversedBy: 'reversal-b' };
+    expect(verifyLedger(sealed).valid).toBe(true);
+  });
+
+  it('should spot edited, deleted and inserted entries', () => {
+    const sealed = sealLedger(entries);
+
+    const edited = sealed.map((t) => (t.id === 'b' ? { ...t, points: 999 } : t));
+    expect(verifyLedger(edited)).toMatchObject({ valid: false, tampered: ['b'], brokenLinks: [] });
+
+    const deleted = sealed.filter((t) => t.id !== 'b');
+    expect(verifyLedger(deleted)).toMatchObject({ valid: false, tampered: [], brokenLinks: ['c'] });
+
+    const forged = { id: 'x', type: 'LOGIN_BONUS', points: 500, description: 'Free', date: '2026-01-04T00:00:00.000Z' };
+    expect(verifyLedger([forged, ...sealed])).toMatchObject({ valid: false, tampered: ['x'], brokenLinks: ['x'] });
+    expect(verifyLedger([sealTransaction(forged, sealed), ...sealed]).valid).toBe(true);
+  });
+
+  it('should report legacy ledgers as unsealed', () => {
+    expect(verifyLedger(entries)).toMatchObject({ valid: true, sealed: false });
+  });
+
+  it('should sum the ledger balance', () => {
+    expect(getLedgerBalance(entries)).toBe(60);
+  });
+});
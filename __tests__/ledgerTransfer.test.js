@@ -0,0 +1,139 @@
+/**
+ * ledgerTransfer test — validates history export and import.
+ *
+ * WHY test export/import?
+ * - A migration that duplicates entries would double a member's balance
+ * - CSV quoting and schema checks are easy to get subtly wrong
+ */
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+import { configureStore } from '@reduxjs/toolkit';
+import authReducer, { setCredentials } from '../src/redux/slices/authSlice';
+import loyaltyReducer, {
+  earnPoints,
+  exportLoyaltyHistory,
+  importLoyaltyHistory,
+} from '../src/redux/slices/loyaltySlice';
+import favoritesReducer, { addFavorite } from '../src/redux/slices/favoritesSlice';
+import { parseImport, toJSONExport, toCSVExport } from '../src/utils/ledgerTransfer';
+import { verifyLedger, sealLedger } from '../src/utils/ledger';
+
+describe('ledgerTransfer', () => {
+  const backpack = { id: 1, title: 'Backpack, "Fjallraven"', category: "men's clothing", price: 109.95, image: 'https://example.com/1.jpg' };
+  const jacket = { id: 3, title: 'Jacket', category: "men's clothing", price: 55.99, image: 'https://example.com/3.jpg' };
+
+  const emily = { id: 1, username: 'emilys' };
+  const michael = { id: 2, username: 'michaelw' };
+
+  const createStore = (user = emily) => {
+    const store = configureStore({
+      reducer: { auth: authReducer, loyalty: loyaltyReducer, favorites: favoritesReducer },
+    });
+    store.dispatch(setCredentials({ token: `token-${user.username}`, user }));
+    return store;
+  };
+
+  // An "old device" with some history and a favorite
+  const createOldDevice = () => {
+    const store = createStore();
+    store.dispatch(earnPoints({ type: 'LOGIN_BONUS', points: 5, description: 'Daily login bonus', idempotencyKey: 'login-bonus:2026-03-01' }));
+    store.dispatch(earnPoints({ type: 'FAVORITE_ADDED', points: 10, description: `Favorited: ${backpack.title}`, idempotencyKey: 'favorite:1' }));
+    store.dispatch(addFavorite(backpack));
+    return store;
+  };
+
+  it.each(['json', 'csv'])('should round-trip a %s export', (format) => {
+    const oldDevice = createOldDevice();
+    const { content, fileName } = oldDevice.dispatch(exportLoyaltyHistory(format));
+    const parsed = parseImport(content, emily.id);
+
+    expect(fileName).toMatch(new RegExp(`^rewardloop-history-\\d{4}-\\d{2}-\\d{2}\\.${format}$`));
+    expect(parsed.transactions.map((t) => [t.id, t.points, t.description])).toEqual(
+      oldDevice.getState().loyalty.transactions.map((t) => [t.id, t.points, t.description])
+    );
+    expect(parsed.favorites[0]).toMatchObject({ id: 1, title: backpack.title, price: 109.95 });
+    expect(verifyLedger(parsed.transactions).valid).toBe(true);
+  });
+
+  it('should include a human-readable date column in CSV', () => {
+    const { content } = createOldDevice().dispatch(exportLoyaltyHistory('csv'));
+    expect(content.split('\n')[0]).toContain('date_readable');
+  });
+
+  it('should reject invalid or edited exports', () => {
+    expect(() => parseImport('', emily.id)).toThrow('empty');
+    expect(() => parseImport('{"format":"something-else"}', emily.id)).toThrow('not a RewardLoop export');
+    expect(() => parseImport('id,points\n1,5', emily.id)).toThrow('missing columns');
+
+    const { content } = createOldDevice().dispatch(exportLoyaltyHistory('json'));
+    const edited = JSON.parse(content);
+    edited.transactions[0].points = 5000;
+    expect(() => parseImport(JSON.stringify(edited), emily.id)).toThrow('modified');
+
+    const badType = JSON.parse(content);
+    badType.transactions[0].type = 'FREE_MONEY';
+    expect(() => parseImport(JSON.stringify(badType), emily.id)).toThrow('unknown type');
+
+    const unsigned = JSON.parse(content);
+    delete unsigned.signature;
+    expect(() => parseImport(JSON.stringify(unsigned), emily.id)).toThrow('not signed');
+  });
+
+  it.each(['json', 'csv'])('should reject a %s export with re-sealed, inflated points', (format) => {
+    const { content } = createOldDevice().dispatch(exportLoyaltyHistory('json'));
+    const forged = JSON.parse(content);
+    // Inflate an entry and recompute the whole hash chain, as anyone can
+    forged.transactions = sealLedger(
+      forged.transactions.map((t, index) => (index === 0 ? { ...t, points: 5000 } : t))
+    );
+    expect(verifyLedger(forged.transactions).valid).toBe(true);
+
+    const forgedContent = format === 'json' ? toJSONExport(forged) : toCSVExport(forged);
+    expect(() => parseImport(forgedContent, emily.id)).toThrow('modified');
+  });
+
+  it('should not import another member\'s export', async () => {
+    const { content } = createOldDevice().dispatch(exportLoyaltyHistory('json'));
+
+    // Michael signs in on the same device and tries Emily's file
+    const michaelStore = createStore(michael);
+    const action = await michaelStore.dispatch(importLoyaltyHistory(content));
+
+    expect(action.payload).toMatch(/another account/);
+    expect(michaelStore.getState().loyalty.points).toBe(0);
+    expect(michaelStore.getState().loyalty.transactions).toEqual([]);
+  });
+
+  it('should merge an import without duplicating entries', async () => {
+    const { content } = createOldDevice().dispatch(exportLoyaltyHistory('json'));
+
+    // The new device already earned today's login bonus and has another favorite
+    const newDevice = createStore();
+    newDevice.dispatch(earnPoints({ type: 'LOGIN_BONUS', points: 5, description: 'Daily login bonus', idempotencyKey: 'login-bonus:2026-03-01' }));
+    newDevice.dispatch(addFavorite(jacket));
+
+    const result = await newDevice.dispatch(importLoyaltyHistory(content)).unwrap();
+    expect(result).toEqual({ transactionsAdded: 1, favoritesAdded: 1 });
+
+    const { loyalty, favorites } = newDevice.getState();
+    expect(loyalty.points).toBe(15);
+    expect(loyalty.lots.reduce((sum, lot) => sum + lot.remaining, 0)).toBe(15);
+    expect(loyalty.awardedKeys['favorite:1']).toBeTruthy();
+    expect(verifyLedger(loyalty.transactions).valid).toBe(true);
+    expect(favorites.items.map((item) => item.id)).toEqual([3, 1]);
+
+    // Importing the same file again changes nothing
+    const again = await newDevice.dispatch(importLoyaltyHistory(content)).unwrap();
+    expect(again).toEqual({ transactionsAdded: 0, favoritesAdded: 0 });
+    expect(newDevice.getState().loyalty.points).toBe(15);
+  });
+
+  it('should reject the import with a message instead of throwing', async () => {
+    const action = await createStore().dispatch(importLoyaltyHistory('not an export'));
+    expect(action.type).toBe('loyalty/importHistory/rejected');
+    expect(action.payload).toMatch(/missing columns/);
+  });
+});
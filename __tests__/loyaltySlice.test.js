@@ -7,16 +7,43 @@
  * - Reducer tests are pure functions — fast, no mocking needed
  */
 
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+import { configureStore } from '@reduxjs/toolkit';
+import { getLocalDayKey, addDaysToDayKey } from '../src/utils/constants';
+import { verifyLedger, getLedgerBalance } from '../src/utils/ledger';
+import { buildLotsFromTransactions } from '../src/utils/pointLots';
 import loyaltyReducer, {
   earnPoints,
+  redeemPoints,
+  expirePoints,
+  evaluateLevel,
+  reverseTransaction,
+  adjustPoints,
+  markCouponUsed,
+  reportEvent,
+  revokeEvent,
+  checkIn,
+  dailyCheckIn,
   setLoyaltyData,
+  dismissIntegrityIssue,
   resetLoyalty,
+  selectNextExpiry,
 } from '../src/redux/slices/loyaltySlice';
 
 describe('loyaltySlice', () => {
   const initialState = {
     points: 0,
     transactions: [],
+    coupons: [],
+    lots: [],
+    level: 'MEMBER',
+    ruleUsage: {},
+    awardedKeys: {},
+    streak: { current: 0, longest: 0, lastCheckIn: null, days: [] },
+    integrity: null,
   };
 
   it('should return the initial state', () => {
@@ -69,9 +96,430 @@ describe('loyaltySlice', () => {
     expect(state.transactions[1].type).toBe('LOGIN_BONUS');
   });
 
+  it('should redeem points for a coupon and record a negative transaction', () => {
+    const funded = loyaltyReducer(
+      initialState,
+      earnPoints({ type: 'FAVORITE_ADDED', points: 120, description: 'Seed' })
+    );
+    const state = loyaltyReducer(
+      funded,
+      redeemPoints({ points: 100, label: '₹100 Coupon' })
+    );
+
+    expect(state.points).toBe(20);
+    expect(state.transactions[0]).toMatchObject({
+      type: 'REDEMPTION',
+      points: -100,
+      description: 'Redeemed: ₹100 Coupon',
+    });
+    expect(state.coupons).toHaveLength(1);
+    expect(state.coupons[0]).toMatchObject({
+      label: '₹100 Coupon',
+      points: 100,
+      transactionId: state.transactions[0].id,
+    });
+    expect(state.coupons[0].code).toMatch(/^RL-[A-Z0-9]{4}-[A-Z0-9]{4}$/);
+  });
+
+  it('should refuse a redemption that would overdraw the balance', () => {
+    const funded = loyaltyReducer(
+      initialState,
+      earnPoints({ type: 'LOGIN_BONUS', points: 40, description: 'Seed' })
+    );
+    const state = loyaltyReducer(
+      funded,
+      redeemPoints({ points: 50, label: '₹50 Coupon' })
+    );
+
+    expect(state).toEqual(funded);
+  });
+
+  it('should track each earning as a dated lot', () => {
+    const state = loyaltyReducer(
+      initialState,
+      earnPoints({ type: 'LOGIN_BONUS', points: 5, description: 'Login' })
+    );
+
+    expect(state.lots).toHaveLength(1);
+    expect(state.lots[0]).toMatchObject({
+      transactionId: state.transactions[0].id,
+      points: 5,
+      remaining: 5,
+      earnedAt: state.transactions[0].date,
+    });
+    expect(Date.parse(state.lots[0].expiresAt)).toBeGreaterThan(
+      Date.parse(state.lots[0].earnedAt)
+    );
+  });
+
+  it('should consume the oldest lots first when redeeming', () => {
+    const withLots = {
+      ...initialState,
+      points: 80,
+      lots: [
+        { id: 'a', points: 30, remaining: 30, earnedAt: '2026-01-01T00:00:00.000Z', expiresAt: '2027-01-01T00:00:00.000Z' },
+        { id: 'b', points: 50, remaining: 50, earnedAt: '2026-02-01T00:00:00.000Z', expiresAt: '2027-02-01T00:00:00.000Z' },
+      ],
+    };
+    const state = loyaltyReducer(
+      withLots,
+      redeemPoints({ points: 50, label: '₹50 Coupon' })
+    );
+
+    expect(state.points).toBe(30);
+    expect(state.lots).toHaveLength(1);
+    expect(state.lots[0]).toMatchObject({ id: 'b', remaining: 30 });
+  });
+
+  it('should group the next expiry by the member\'s local day', () => {
+    // Early morning and late evening of one local day, then the next morning
+    const at = (hour, day = 1) => new Date(2027, 0, day, hour, 30).toISOString();
+    const lots = [
+      { id: 'a', points: 30, remaining: 30, earnedAt: '2026-01-01T00:00:00.000Z', expiresAt: at(0) },
+      { id: 'b', points: 20, remaining: 20, earnedAt: '2026-01-01T00:00:00.000Z', expiresAt: at(23) },
+      { id: 'c', points: 50, remaining: 50, earnedAt: '2026-01-01T00:00:00.000Z', expiresAt: at(0, 2) },
+    ];
+
+    expect(selectNextExpiry({ loyalty: { ...initialState, lots } })).toEqual({
+      points: 50,
+      date: at(0),
+    });
+  });
+
+  it('should expire lapsed lots and record EXPIRED transactions', () => {
+    const withLots = {
+      ...initialState,
+      points: 80,
+      lots: [
+        { id: 'a', points: 30, remaining: 20, earnedAt: '2025-01-01T00:00:00.000Z', expiresAt: '2026-01-01T00:00:00.000Z' },
+        { id: 'b', points: 60, remaining: 60, earnedAt: '2025-06-01T00:00:00.000Z', expiresAt: '2026-06-01T00:00:00.000Z' },
+      ],
+    };
+    const state = loyaltyReducer(
+      withLots,
+      expirePoints({ now: '2026-03-01T00:00:00.000Z' })
+    );
+
+    expect(state.points).toBe(60);
+    expect(state.lots.map((lot) => lot.id)).toEqual(['b']);
+    expect(state.transactions[0]).toMatchObject({
+      type: 'EXPIRED',
+      points: -20,
+      date: '2026-03-01T00:00:00.000Z',
+    });
+  });
+
+  it('should rebuild lots when hydrating data saved before lots existed', () => {
+    const state = loyaltyReducer(
+      initialState,
+      setLoyaltyData({
+        points: 15,
+        transactions: [
+          { id: '3', type: 'REDEMPTION', points: -10, description: 'Redeem', date: '2026-01-03T00:00:00.000Z' },
+          { id: '2', type: 'FAVORITE_ADDED', points: 20, description: 'Fav', date: '2026-01-02T00:00:00.000Z' },
+          { id: '1', type: 'LOGIN_BONUS', points: 5, description: 'Login', date: '2026-01-01T00:00:00.000Z' },
+        ],
+      })
+    );
+
+    expect(state.lots.map((lot) => [lot.transactionId, lot.remaining])).toEqual([
+      ['2', 15],
+    ]);
+  });
+
+  it('should level up from earnings and apply the level multiplier', () => {
+    let state = loyaltyReducer(
+      initialState,
+      earnPoints({ type: 'FAVORITE_ADDED', points: 500, description: 'Big earn' })
+    );
+
+    expect(state.level).toBe('SILVER');
+    expect(state.transactions[0]).toMatchObject({
+      type: 'LEVEL_UP',
+      points: 0,
+      level: 'SILVER',
+    });
+
+    state = loyaltyReducer(
+      state,
+      earnPoints({ type: 'FAVORITE_ADDED', points: 10, description: 'Boosted' })
+    );
+
+    expect(state.points).toBe(513);
+    expect(state.transactions[0]).toMatchObject({
+      points: 13,
+      basePoints: 10,
+      multiplier: 1.25,
+    });
+  });
+
+  it('should base the level on earnings, not the spendable balance', () => {
+    let state = loyaltyReducer(
+      initialState,
+      earnPoints({ type: 'FAVORITE_ADDED', points: 500, description: 'Big earn' })
+    );
+    state = loyaltyReducer(
+      state,
+      redeemPoints({ points: 500, label: '₹500 Coupon' })
+    );
+
+    expect(state.points).toBe(0);
+    expect(state.level).toBe('SILVER');
+  });
+
+  it('should drop a level once earnings leave the rolling window', () => {
+    const silver = {
+      ...initialState,
+      level: 'SILVER',
+      transactions: [
+        { id: '1', type: 'FAVORITE_ADDED', points: 600, description: 'Old', date: '2025-01-01T00:00:00.000Z' },
+      ],
+    };
+    const state = loyaltyReducer(
+      silver,
+      evaluateLevel({ now: '2026-03-01T00:00:00.000Z' })
+    );
+
+    expect(state.level).toBe('MEMBER');
+    expect(state.transactions[0]).toMatchObject({
+      type: 'LEVEL_DOWN',
+      points: 0,
+      level: 'MEMBER',
+    });
+  });
+
+  it('should track rule usage for awards from the rules engine', () => {
+    const state = loyaltyReducer(
+      initialState,
+      earnPoints({
+        type: 'FAVORITE_ADDED',
+        points: 10,
+        description: 'Favorited: Backpack',
+        ruleId: 'favorite-added',
+      })
+    );
+
+    expect(state.transactions[0].ruleId).toBe('favorite-added');
+    expect(state.ruleUsage['favorite-added']).toMatchObject({
+      total: 10,
+      dayTotal: 10,
+      lastAwardedAt: state.transactions[0].date,
+    });
+  });
+
+  it('should ignore an award whose idempotency key was already granted', () => {
+    const award = {
+      type: 'FAVORITE_ADDED',
+      points: 10,
+      description: 'Favorited: Backpack',
+      idempotencyKey: 'favorite:1',
+    };
+    const once = loyaltyReducer(initialState, earnPoints(award));
+    const twice = loyaltyReducer(once, earnPoints(award));
+
+    expect(once.awardedKeys['favorite:1']).toBe(once.transactions[0].id);
+    expect(twice).toEqual(once);
+  });
+
+  it('should reverse a transaction and mark both sides in the ledger', () => {
+    let state = loyaltyReducer(
+      initialState,
+      earnPoints({ type: 'FAVORITE_ADDED', points: 10, description: 'Favorited: Backpack', idempotencyKey: 'favorite:1' })
+    );
+    const originalId = state.transactions[0].id;
+    state = loyaltyReducer(
+      state,
+      reverseTransaction({ transactionId: originalId, type: 'CLAWBACK' })
+    );
+
+    expect(state.points).toBe(0);
+    expect(state.lots).toEqual([]);
+    expect(state.awardedKeys).toEqual({});
+    expect(state.transactions[0]).toMatchObject({
+      type: 'CLAWBACK',
+      points: -10,
+      reverses: originalId,
+    });
+    expect(state.transactions[1].reversedBy).toBe(state.transactions[0].id);
+
+    // A second reversal of the same transaction is a no-op
+    expect(
+      loyaltyReducer(state, reverseTransaction({ transactionId: originalId }))
+    ).toEqual(state);
+  });
+
+  it('should refuse a reversal once the points were spent', () => {
+    let state = loyaltyReducer(
+      initialState,
+      earnPoints({ type: 'FAVORITE_ADDED', points: 50, description: 'Seed' })
+    );
+    const originalId = state.transactions[0].id;
+    state = loyaltyReducer(state, redeemPoints({ points: 50, label: '₹50 Coupon' }));
+
+    expect(
+      loyaltyReducer(state, reverseTransaction({ transactionId: originalId }))
+    ).toEqual(state);
+  });
+
+  it('should reverse a redemption, give the points back and refund the coupon', () => {
+    let state = loyaltyReducer(
+      initialState,
+      earnPoints({ type: 'FAVORITE_ADDED', points: 80, description: 'Seed' })
+    );
+    state = loyaltyReducer(state, redeemPoints({ points: 50, label: '₹50 Coupon' }));
+    const redemptionId = state.transactions[0].id;
+    state = loyaltyReducer(state, reverseTransaction({ transactionId: redemptionId }));
+
+    expect(state.points).toBe(80);
+    expect(state.lots.reduce((sum, lot) => sum + lot.remaining, 0)).toBe(80);
+    expect(state.transactions[0]).toMatchObject({ type: 'REVERSAL', points: 50, reverses: redemptionId });
+    expect(state.coupons[0].status).toBe('refunded');
+    expect(verifyLedger(state.transactions).valid).toBe(true);
+  });
+
+  it('should keep the original expiry when a redemption is refunded', () => {
+    jest.useFakeTimers({ now: new Date('2025-03-10T12:00:00.000Z'), doNotFake: ['nextTick', 'setImmediate'] });
+    let state = loyaltyReducer(
+      initialState,
+      earnPoints({ type: 'FAVORITE_ADDED', points: 30, description: 'About to expire' })
+    );
+    jest.setSystemTime(new Date('2026-02-01T12:00:00.000Z'));
+    state = loyaltyReducer(state, earnPoints({ type: 'FAVORITE_ADDED', points: 50, description: 'Fresh' }));
+    const lotsBefore = state.lots;
+
+    jest.setSystemTime(new Date('2026-03-08T12:00:00.000Z'));
+    state = loyaltyReducer(state, redeemPoints({ points: 50, label: '₹50 Coupon' }));
+    expect(state.transactions[0].lotsUsed.map((slice) => slice.points)).toEqual([30, 20]);
+    const refunded = loyaltyReducer(
+      state,
+      reverseTransaction({ transactionId: state.transactions[0].id })
+    );
+
+    expect(refunded.points).toBe(80);
+    expect(refunded.lots).toEqual(lotsBefore);
+    expect(refunded.lots[0].expiresAt).toBe('2026-03-10T12:00:00.000Z');
+    // Rebuilding the lots from the ledger (migration, repair) agrees
+    expect(buildLotsFromTransactions(refunded.transactions, 80, '2026-03-08T12:00:00.000Z')).toEqual(lotsBefore);
+
+    // Once the oldest slice has lapsed, only the rest comes back
+    jest.setSystemTime(new Date('2026-03-11T12:00:00.000Z'));
+    const late = loyaltyReducer(
+      state,
+      reverseTransaction({ transactionId: state.transactions[0].id })
+    );
+    jest.useRealTimers();
+
+    expect(late.points).toBe(50);
+    expect(late.lots.map((lot) => [lot.id, lot.remaining])).toEqual([[lotsBefore[1].id, 50]]);
+    expect(late.transactions[0]).toMatchObject({ type: 'EXPIRED', points: -30 });
+    expect(late.transactions[1]).toMatchObject({ type: 'REVERSAL', points: 50 });
+    expect(late.coupons[0].status).toBe('refunded');
+    expect(getLedgerBalance(late.transactions)).toBe(50);
+    expect(verifyLedger(late.transactions).valid).toBe(true);
+  });
+
+  it('should refuse to reverse a redemption whose coupon was used', () => {
+    let state = loyaltyReducer(
+      initialState,
+      earnPoints({ type: 'FAVORITE_ADDED', points: 50, description: 'Seed' })
+    );
+    state = loyaltyReducer(state, redeemPoints({ points: 50, label: '₹50 Coupon' }));
+    const redemptionId = state.transactions[0].id;
+    state = loyaltyReducer(state, markCouponUsed(state.coupons[0].id));
+
+    expect(
+      loyaltyReducer(state, reverseTransaction({ transactionId: redemptionId }))
+    ).toEqual(state);
+  });
+
+  it('should refuse to earn a zero or negative amount', () => {
+    expect(
+      loyaltyReducer(initialState, earnPoints({ type: 'FAVORITE_ADDED', points: -5 }))
+    ).toEqual(initialState);
+  });
+
+  it('should post signed adjustments with a reason and never overdraw', () => {
+    let state = loyaltyReducer(initialState, adjustPoints({ points: 30, reason: 'Missing purchase points' }));
+    expect(state.points).toBe(30);
+    expect(state.transactions[0]).toMatchObject({
+      type: 'ADJUSTMENT',
+      points: 30,
+      reason: 'Missing purchase points',
+      description: 'Adjustment: Missing purchase points',
+    });
+
+    state = loyaltyReducer(state, adjustPoints({ points: -10, reason: 'Duplicate credit' }));
+    expect(state.points).toBe(20);
+    expect(state.lots[0].remaining).toBe(20);
+
+    // No reason, zero points or an overdraft are all ignored
+    expect(loyaltyReducer(state, adjustPoints({ points: 5, reason: ' ' }))).toEqual(state);
+    expect(loyaltyReducer(state, adjustPoints({ points: 0, reason: 'Noop' }))).toEqual(state);
+    expect(loyaltyReducer(state, adjustPoints({ points: -21, reason: 'Too much' }))).toEqual(state);
+
+    // Adjustments don't count toward status
+    expect(state.level).toBe('MEMBER');
+  });
+
+  it('should award a favorite once per product and claw it back on removal', () => {
+    // Outside every campaign window, so no campaign boosts the award
+    jest.useFakeTimers({ now: new Date('2026-03-10T12:00:00.000Z'), doNotFake: ['nextTick', 'setImmediate'] });
+    const store = configureStore({ reducer: { loyalty: loyaltyReducer } });
+    const product = { id: 7, title: 'Backpack', category: 'electronics', price: 50 };
+
+    store.dispatch(reportEvent('FAVORITE_ADDED', { product }));
+    store.dispatch(reportEvent('FAVORITE_ADDED', { product }));
+    expect(store.getState().loyalty.points).toBe(10);
+
+    store.dispatch(revokeEvent('FAVORITE_ADDED', { product }));
+    expect(store.getState().loyalty.points).toBe(0);
+    expect(store.getState().loyalty.transactions[0].type).toBe('CLAWBACK');
+    jest.useRealTimers();
+  });
+
+  it('should extend the streak on consecutive local days and reset after a gap', () => {
+    // Local-time dates so the test holds in any timezone
+    const day = (d) => new Date(2026, 2, d, 9, 0).toISOString();
+    let state = loyaltyReducer(initialState, checkIn({ now: day(1) }));
+    state = loyaltyReducer(state, checkIn({ now: day(2) }));
+    state = loyaltyReducer(state, checkIn({ now: day(2) }));
+    state = loyaltyReducer(state, checkIn({ now: day(3) }));
+
+    expect(state.streak).toMatchObject({ current: 3, longest: 3, lastCheckIn: '2026-03-03' });
+    expect(state.streak.days).toEqual(['2026-03-01', '2026-03-02', '2026-03-03']);
+
+    state = loyaltyReducer(state, checkIn({ now: day(5) }));
+    expect(state.streak).toMatchObject({ current: 1, longest: 3, lastCheckIn: '2026-03-05' });
+  });
+
+  it('should pay the daily login bonus once per day and streak bonuses on milestones', () => {
+    const store = configureStore({
+      reducer: { loyalty: loyaltyReducer },
+      preloadedState: {
+        loyalty: {
+          ...initialState,
+          streak: {
+            current: 2,
+            longest: 2,
+            lastCheckIn: addDaysToDayKey(getLocalDayKey(new Date()), -1),
+            days: [],
+          },
+        },
+      },
+    });
+
+    const awards = store.dispatch(dailyCheckIn());
+    expect(awards.map((award) => award.type)).toEqual(['LOGIN_BONUS', 'STREAK_BONUS']);
+    expect(store.getState().loyalty.points).toBe(5 + 15);
+    expect(store.getState().loyalty.streak.current).toBe(3);
+
+    expect(store.dispatch(dailyCheckIn())).toEqual([]);
+    expect(store.getState().loyalty.points).toBe(20);
+  });
+
   it('should hydrate loyalty data from storage', () => {
     const savedData = {
-      points: 42,
+      points: 5,
       transactions: [
         {
           id: '1',
@@ -84,8 +532,55 @@ describe('loyaltySlice', () => {
     };
     const state = loyaltyReducer(initialState, setLoyaltyData(savedData));
 
-    expect(state.points).toBe(42);
+    expect(state.points).toBe(5);
     expect(state.transactions).toHaveLength(1);
+    // Ledgers saved before the hash chain are sealed, not flagged
+    expect(state.transactions[0].hash).toHaveLength(64);
+    expect(state.integrity).toBeNull();
+  });
+
+  it('should give every transaction a unique id and chain it to the previous one', () => {
+    let state = initialState;
+    for (let i = 0; i < 5; i += 1) {
+      state = loyaltyReducer(state, earnPoints({ type: 'LOGIN_BONUS', points: 1, description: 'Same ms' }));
+    }
+
+    expect(new Set(state.transactions.map((t) => t.id)).size).toBe(5);
+    expect(state.transactions[0].prevHash).toBe(state.transactions[1].hash);
+    expect(verifyLedger(state.transactions).valid).toBe(true);
+  });
+
+  it('should recompute the balance from the ledger when the stored total disagrees', () => {
+    let state = loyaltyReducer(initialState, earnPoints({ type: 'LOGIN_BONUS', points: 5, description: 'Login' }));
+    state = loyaltyReducer(state, earnPoints({ type: 'FAVORITE_ADDED', points: 10, description: 'Fav' }));
+
+    const hydrated = loyaltyReducer(initialState, setLoyaltyData({ ...state, points: 9999 }));
+
+    expect(hydrated.points).toBe(15);
+    expect(hydrated.lots.reduce((sum, lot) => sum + lot.remaining, 0)).toBe(15);
+    expect(hydrated.integrity).toMatchObject({ storedPoints: 9999, recoveredPoints: 15, droppedTransactions: 0 });
+  });
+
+  it('should drop edited ledger entries and flag the broken chain', () => {
+    let state = loyaltyReducer(initialState, earnPoints({ type: 'LOGIN_BONUS', points: 5, description: 'Login' }));
+    state = loyaltyReducer(state, earnPoints({ type: 'FAVORITE_ADDED', points: 10, description: 'Fav' }));
+    state = loyaltyReducer(state, earnPoints({ type: 'LOGIN_BONUS', points: 5, description: 'Login' }));
+
+    // Someone edits the middle entry (and the total) in storage
+    const transactions = state.transactions.map((t, index) => (index === 1 ? { ...t, points: 1000 } : t));
+    const hydrated = loyaltyReducer(
+      initialState,
+      setLoyaltyData({ ...state, transactions, points: 1010, level: 'PLATINUM' })
+    );
+
+    expect(hydrated.points).toBe(10);
+    // The tier saved alongside the edit is earned again from the ledger
+    expect(hydrated.level).toBe('MEMBER');
+    expect(hydrated.transactions).toHaveLength(2);
+    expect(verifyLedger(hydrated.transactions).valid).toBe(true);
+    expect(hydrated.integrity).toMatchObject({ storedPoints: 1010, recoveredPoints: 10, droppedTransactions: 1 });
+
+    expect(loyaltyReducer(hydrated, dismissIntegrityIssue()).integrity).toBeNull();
   });
 
   it('should reset loyalty state on logout', () => {
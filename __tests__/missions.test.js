@@ -0,0 +1,95 @@
+/**
+ * missions test — validates mission progress, deadlines and payouts.
+ *
+ * WHY test missions?
+ * - Progress is driven by other slices' actions through a listener, which
+ *   is easy to break without noticing
+ * - Each mission must pay out exactly once per period
+ */
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+import { configureStore, createListenerMiddleware } from '@reduxjs/toolkit';
+import loyaltyReducer, { checkIn } from '../src/redux/slices/loyaltySlice';
+import favoritesReducer, { addFavorite } from '../src/redux/slices/favoritesSlice';
+import missionsReducer, {
+  registerMissionListeners,
+  selectMissions,
+} from '../src/redux/slices/missionsSlice';
+import { MISSIONS, advanceMission, getMissionPeriod } from '../src/utils/missions';
+
+const gadgetHunter = MISSIONS.find((m) => m.id === 'gadget-hunter');
+const regular = MISSIONS.find((m) => m.id === 'regular');
+
+// Local-time dates so week boundaries don't depend on the machine's zone
+const at = (year, month, day) => new Date(year, month - 1, day, 12).toISOString();
+const electronics = (id) => ({ id, title: `Gadget ${id}`, category: 'electronics', price: 50 });
+
+describe('missions', () => {
+  it('should run weekly missions Monday to Sunday', () => {
+    // 2026-03-04 is a Wednesday
+    const { key, deadline } = getMissionPeriod('week', at(2026, 3, 4));
+    expect(key).toBe('2026-03-02');
+    expect(deadline).toBe(new Date(2026, 2, 9).toISOString());
+    expect(getMissionPeriod('month', at(2026, 3, 4)).key).toBe('2026-03-01');
+  });
+
+  it('should count matching products once each', () => {
+    const now = at(2026, 3, 4);
+    let progress = advanceMission(gadgetHunter, undefined, 'FAVORITE_ADDED', { product: electronics(1) }, now);
+    expect(progress.count).toBe(1);
+
+    expect(advanceMission(gadgetHunter, progress, 'FAVORITE_ADDED', { product: electronics(1) }, now)).toBeNull();
+    expect(
+      advanceMission(gadgetHunter, progress, 'FAVORITE_ADDED', { product: { id: 9, category: 'jewelery' } }, now)
+    ).toBeNull();
+
+    progress = advanceMission(gadgetHunter, progress, 'FAVORITE_ADDED', { product: electronics(2) }, now);
+    progress = advanceMission(gadgetHunter, progress, 'FAVORITE_ADDED', { product: electronics(3) }, now);
+    expect(progress).toMatchObject({ count: 3, completedAt: now });
+  });
+
+  it('should start over in a new period', () => {
+    const progress = advanceMission(gadgetHunter, undefined, 'FAVORITE_ADDED', { product: electronics(1) }, at(2026, 3, 4));
+    const nextWeek = advanceMission(gadgetHunter, progress, 'FAVORITE_ADDED', { product: electronics(1) }, at(2026, 3, 10));
+    expect(nextWeek).toMatchObject({ periodKey: '2026-03-09', count: 1 });
+  });
+
+  it('should restart a consecutive-day mission after a missed day', () => {
+    let progress;
+    [2, 3, 5].forEach((day) => {
+      progress = advanceMission(regular, progress, 'DAILY_CHECK_IN', {}, at(2026, 3, day));
+    });
+    expect(progress.count).toBe(1);
+
+    [6, 7, 8].forEach((day) => {
+      progress = advanceMission(regular, progress, 'DAILY_CHECK_IN', {}, at(2026, 3, day));
+    });
+    expect(progress.count).toBe(4);
+  });
+
+  it('should track favorites through the store and pay out once', () => {
+    const listenerMiddleware = createListenerMiddleware();
+    registerMissionListeners(listenerMiddleware.startListening);
+    const store = configureStore({
+      reducer: { loyalty: loyaltyReducer, favorites: favoritesReducer, missions: missionsReducer },
+      middleware: (getDefaultMiddleware) =>
+        getDefaultMiddleware().prepend(listenerMiddleware.middleware),
+    });
+
+    [1, 2, 3, 4].forEach((id) => store.dispatch(addFavorite(electronics(id))));
+    store.dispatch(checkIn());
+
+    const missions = selectMissions(store.getState());
+    expect(missions.find((m) => m.id === 'gadget-hunter')).toMatchObject({ count: 3 });
+    expect(missions.find((m) => m.id === 'gadget-hunter').completedAt).toBeTruthy();
+    expect(missions.find((m) => m.id === 'regular').count).toBe(1);
+
+    const rewards = store.getState().loyalty.transactions.filter((t) => t.type === 'MISSION_REWARD');
+    expect(rewards).toHaveLength(1);
+    expect(rewards[0]).toMatchObject({ points: gadgetHunter.payout, description: 'Mission complete: Gadget Hunter' });
+    listenerMiddleware.clearListeners();
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * ordersSlice test — validates checkout and purchase points.
+ *
+ * WHY test checkout?
+ * - Purchases are the main earning source; the award must follow the
+ *   configured rate and land in the ledger exactly once per order
+ * - Orders and ledger entries must stay linked for support/audits
+ */
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { configureStore } from '@reduxjs/toolkit';
+import authReducer, { setCredentials, userDataLoaded } from '../src/redux/slices/authSlice';
+import loyaltyReducer, { setLoyaltyData } from '../src/redux/slices/loyaltySlice';
+import cartReducer, { addToCart, setCartQuantity } from '../src/redux/slices/cartSlice';
+import ordersReducer, { checkout } from '../src/redux/slices/ordersSlice';
+import { POINTS_PER_CURRENCY, STORAGE_KEYS, TRANSACTION_TYPES } from '../src/utils/constants';
+import { getUserStorageKey } from '../src/utils/storage';
+
+const jacket = { id: 3, title: 'Jacket', price: 55.99, category: "men's clothing", image: 'j.png' };
+const pin = { id: 4, title: 'Pin', price: 0.5, category: 'jewelery', image: 'p.png' };
+
+const createStore = () =>
+  configureStore({
+    reducer: { auth: authReducer, loyalty: loyaltyReducer, cart: cartReducer, orders: ordersReducer },
+  });
+
+describe('ordersSlice', () => {
+  beforeEach(() => AsyncStorage.clear());
+
+  it('should turn the cart into an order and award purchase points', async () => {
+    const store = createStore();
+    store.dispatch(addToCart(jacket));
+    store.dispatch(setCartQuantity({ productId: 3, quantity: 2 }));
+
+    const order = await store.dispatch(checkout()).unwrap();
+
+    expect(order.id).toMatch(/^ORD-/);
+    expect(order.total).toBe(111.98);
+    expect(order.lines).toEqual([
+      { product: jacket, quantity: 2, subtotal: 111.98 },
+    ]);
+    expect(order.points).toBe(Math.floor(111.98 * POINTS_PER_CURRENCY));
+
+    const { loyalty, cart, orders } = store.getState();
+    const transaction = loyalty.transactions.find((tx) => tx.id === order.transactionId);
+    expect(transaction.type).toBe(TRANSACTION_TYPES.PURCHASE);
+    expect(transaction.description).toContain(order.id);
+    expect(loyalty.points).toBe(order.points);
+    expect(cart.items).toEqual([]);
+    expect(orders.items[0]).toEqual(order);
+  });
+
+  it('should apply the level multiplier', async () => {
+    const store = createStore();
+    store.dispatch(setLoyaltyData({ points: 0, transactions: [], level: 'SILVER' }));
+
+    const order = await store.dispatch(checkout([{ product: jacket, quantity: 1 }])).unwrap();
+    expect(order.points).toBe(Math.round(55 * 1.25));
+  });
+
+  it('should record orders below one dollar without a transaction', async () => {
+    const store = createStore();
+    const order = await store.dispatch(checkout([{ product: pin, quantity: 1 }])).unwrap();
+
+    expect(order.points).toBe(0);
+    expect(order.transactionId).toBeNull();
+    expect(store.getState().loyalty.transactions).toEqual([]);
+  });
+
+  it('should reject an empty cart', async () => {
+    const store = createStore();
+    const result = await store.dispatch(checkout());
+    expect(result.payload).toBe('Your cart is empty.');
+  });
+
+  it('should persist the order history', async () => {
+    const store = createStore();
+    store.dispatch(setCredentials({ token: 't', user: { id: 7 } }));
+    store.dispatch(userDataLoaded(7));
+    const order = await store.dispatch(checkout([{ product: jacket, quantity: 1 }])).unwrap();
+
+    const saved = JSON.parse(await AsyncStorage.getItem(getUserStorageKey(STORAGE_KEYS.ORDERS, 7)));
+    expect(saved.map((item) => item.id)).toEqual([order.id]);
+  });
+});
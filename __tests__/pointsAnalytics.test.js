@@ -0,0 +1,95 @@
+/**
+ * pointsAnalytics test — validates the insights chart aggregations.
+ *
+ * WHY test analytics?
+ * - Off-by-one week/month bucketing silently moves points between bars
+ * - The balance line must end at the member's real balance
+ */
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+import { configureStore } from '@reduxjs/toolkit';
+import loyaltyReducer, {
+  setLoyaltyData,
+  selectPointsByPeriod,
+  selectPointsByType,
+} from '../src/redux/slices/loyaltySlice';
+import {
+  getWeekKey,
+  getPointsByPeriod,
+  getPointsByType,
+  getBalanceTimeline,
+} from '../src/utils/pointsAnalytics';
+
+// Local-time dates so the test holds in any timezone
+const at = (month, day, hour = 12) => new Date(2026, month - 1, day, hour).toISOString();
+
+// Newest first, like the ledger
+const transactions = [
+  { id: 't6', type: 'REDEMPTION', points: -50, date: at(3, 16, 9) },
+  { id: 't5', type: 'FAVORITE_ADDED', points: 10, date: at(3, 16, 8) },
+  { id: 't4', type: 'LEVEL_UP', points: 0, date: at(3, 11) },
+  { id: 't3', type: 'PURCHASE', points: 64, date: at(3, 11) },
+  { id: 't2', type: 'LOGIN_BONUS', points: 5, date: at(3, 2) },
+  { id: 't1', type: 'LOGIN_BONUS', points: 5, date: at(2, 20) },
+];
+
+describe('pointsAnalytics', () => {
+  it('starts weeks on Monday', () => {
+    // 15 Mar 2026 is a Sunday, 16 Mar a Monday
+    expect(getWeekKey(at(3, 15))).toBe('2026-03-09');
+    expect(getWeekKey(at(3, 16))).toBe('2026-03-16');
+  });
+
+  it('buckets earned and spent points per week, including empty weeks', () => {
+    const weeks = getPointsByPeriod(transactions, 'week', at(3, 17));
+    expect(weeks).toHaveLength(8);
+    expect(weeks[7]).toMatchObject({ key: '2026-03-16', earned: 10, spent: 50 });
+    expect(weeks[6]).toMatchObject({ key: '2026-03-09', earned: 64, spent: 0 });
+    expect(weeks[5]).toMatchObject({ key: '2026-03-02', earned: 5 });
+    expect(weeks[4]).toMatchObject({ key: '2026-02-23', earned: 0 });
+    expect(weeks[3]).toMatchObject({ key: '2026-02-16', earned: 5 });
+  });
+
+  it('buckets per month across a year boundary', () => {
+    const months = getPointsByPeriod(transactions, 'month', at(3, 17));
+    expect(months.map((m) => m.key)).toEqual([
+      '2025-10', '2025-11', '2025-12', '2026-01', '2026-02', '2026-03',
+    ]);
+    expect(months[5]).toMatchObject({ earned: 79, spent: 50 });
+    expect(months[4]).toMatchObject({ earned: 5, spent: 0 });
+  });
+
+  it('breaks points down by type, largest first, without level changes', () => {
+    const types = getPointsByType(transactions);
+    expect(types.map((t) => [t.type, t.points, t.count])).toEqual([
+      ['PURCHASE', 64, 1],
+      ['REDEMPTION', -50, 1],
+      ['FAVORITE_ADDED', 10, 1],
+      ['LOGIN_BONUS', 10, 2],
+    ]);
+    expect(types[0].label).toBe('Purchases');
+    expect(types.reduce((sum, t) => sum + t.share, 0)).toBeCloseTo(1);
+  });
+
+  it('traces the end-of-day balance up to the current balance', () => {
+    expect(getBalanceTimeline(transactions).map(({ day, balance }) => [day, balance])).toEqual([
+      ['2026-02-20', 5],
+      ['2026-03-02', 10],
+      ['2026-03-11', 74],
+      ['2026-03-16', 34],
+    ]);
+    expect(getBalanceTimeline(transactions, 2).map((p) => p.day)).toEqual(['2026-03-11', '2026-03-16']);
+  });
+
+  it('memoizes the selectors per ledger', () => {
+    const store = configureStore({ reducer: { loyalty: loyaltyReducer } });
+    store.dispatch(setLoyaltyData({ points: 34, transactions }));
+    const state = store.getState();
+    expect(selectPointsByType(state)).toBe(selectPointsByType(state));
+    expect(selectPointsByPeriod(state, 'month')).toBe(selectPointsByPeriod(state, 'month'));
+    expect(selectPointsByPeriod(state, 'week')).toHaveLength(8);
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * profile test — validates updateProfile (PUT /users/:id, or on the device
+ * for locally registered members).
+ *
+ * WHY test profile edits?
+ * - The saved profile is what the app shows offline and on the next
+ *   launch, so it must only change when the API accepted the edit
+ */
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { configureStore } from '@reduxjs/toolkit';
+import { authAPI } from '../src/services/api';
+import authReducer, {
+  setCredentials,
+  updateProfile,
+  LOCAL_TOKEN_PREFIX,
+} from '../src/redux/slices/authSlice';
+import { STORAGE_KEYS } from '../src/utils/constants';
+
+const user = { id: 1, username: 'emilys', firstName: 'Emily', lastName: 'Johnson', email: 'emily@x.dev' };
+
+const createStore = () => {
+  const store = configureStore({ reducer: { auth: authReducer } });
+  store.dispatch(setCredentials({ token: 'access-1', user }));
+  return store;
+};
+
+describe('updateProfile', () => {
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should PUT the changes and save the returned profile', async () => {
+    const put = jest.spyOn(authAPI, 'put').mockResolvedValue({
+      data: { ...user, firstName: 'Em', email: 'em@x.dev', password: 'secret', bank: {} },
+    });
+    const store = createStore();
+
+    await store.dispatch(updateProfile({ firstName: 'Em', email: 'em@x.dev' })).unwrap();
+
+    expect(put).toHaveBeenCalledWith('/users/1', { firstName: 'Em', email: 'em@x.dev' });
+    expect(store.getState().auth.user).toEqual({ ...user, firstName: 'Em', email: 'em@x.dev' });
+    expect(JSON.parse(await AsyncStorage.getItem(STORAGE_KEYS.USER_DATA))).toEqual(
+      store.getState().auth.user
+    );
+  });
+
+  it('should keep the old profile when the API rejects the edit', async () => {
+    jest.spyOn(authAPI, 'put').mockRejectedValue({ response: { data: { message: 'Invalid email' } } });
+    const store = createStore();
+
+    await expect(store.dispatch(updateProfile({ email: 'nope' })).unwrap()).rejects.toBe('Invalid email');
+
+    expect(store.getState().auth.user).toEqual(user);
+    expect(await AsyncStorage.getItem(STORAGE_KEYS.USER_DATA)).toBeNull();
+  });
+
+  it('should save a registered member\'s edits on the device only', async () => {
+    const put = jest.spyOn(authAPI, 'put');
+    const local = { ...user, id: 1000042, username: 'ada.l' };
+    const store = configureStore({ reducer: { auth: authReducer } });
+    store.dispatch(setCredentials({ token: `${LOCAL_TOKEN_PREFIX}1000042`, user: local }));
+
+    await store.dispatch(updateProfile({ firstName: 'Ada', id: 1 })).unwrap();
+
+    expect(put).not.toHaveBeenCalled();
+    expect(store.getState().auth.user).toEqual({ ...local, firstName: 'Ada' });
+    expect(JSON.parse(await AsyncStorage.getItem(STORAGE_KEYS.USER_DATA))).toEqual(
+      store.getState().auth.user
+    );
+  });
+
+  it('should refuse edits when signed out', async () => {
+    const put = jest.spyOn(authAPI, 'put');
+    const store = configureStore({ reducer: { auth: authReducer } });
+
+    await expect(store.dispatch(updateProfile({ firstName: 'X' })).unwrap()).rejects.toMatch(/signed in/);
+    expect(put).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * referrals test — validates referral codes and the two-sided bonus.
+ *
+ * WHY test referrals?
+ * - Codes are derived, not stored — a change to the format would orphan
+ *   every code already shared
+ * - Each side must be paid exactly once, however often members sign in
+ */
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+import { configureStore, createSlice } from '@reduxjs/toolkit';
+import loyaltyReducer, { setLoyaltyData } from '../src/redux/slices/loyaltySlice';
+import referralsReducer, {
+  applyReferralCode,
+  claimReferralRewards,
+} from '../src/redux/slices/referralsSlice';
+import { getReferralCode, parseReferralCode, validateReferral } from '../src/utils/referrals';
+import { REFERRAL_BONUS, TRANSACTION_TYPES } from '../src/utils/constants';
+
+// Minimal auth slice so tests can switch the signed-in user
+const authSlice = createSlice({
+  name: 'auth',
+  initialState: { user: null },
+  reducers: { signIn: (state, action) => { state.user = { id: action.payload }; } },
+});
+
+const createStore = () =>
+  configureStore({
+    reducer: { auth: authSlice.reducer, loyalty: loyaltyReducer, referrals: referralsReducer },
+  });
+
+describe('referrals', () => {
+  it('should derive a stable code that parses back to the user', () => {
+    const code = getReferralCode(42);
+    expect(code).toMatch(/^RL-16-[0-9A-F]{4}$/);
+    expect(getReferralCode(42)).toBe(code);
+    expect(parseReferralCode(code)).toBe(42);
+    expect(parseReferralCode(` ${code.toLowerCase()} `)).toBe(42);
+  });
+
+  it('should reject malformed codes and bad checksums', () => {
+    const code = getReferralCode(7);
+    const tampered = code.slice(0, -1) + (code.endsWith('0') ? '1' : '0');
+    expect(parseReferralCode(tampered)).toBeNull();
+    expect(parseReferralCode('RL-7')).toBeNull();
+    expect(parseReferralCode('')).toBeNull();
+  });
+
+  const now = new Date(2026, 2, 10, 12).toISOString();
+  const newMember = { transactions: [], now };
+
+  it('should reject self-referral and a second code', () => {
+    expect(validateReferral({ code: getReferralCode(5), userId: 5, redemptions: {}, ...newMember }).error)
+      .toMatch(/own/);
+    expect(
+      validateReferral({ code: getReferralCode(6), userId: 5, redemptions: { 5: { referrerId: 9 } }, ...newMember })
+        .error
+    ).toMatch(/already/);
+    expect(validateReferral({ code: getReferralCode(6), userId: 5, redemptions: {}, ...newMember }))
+      .toEqual({ referrerId: 6 });
+  });
+
+  it('should only accept a code from a new member', () => {
+    const firstCheckIn = { id: 'a', type: 'LOGIN_BONUS', points: 5, date: new Date(2026, 2, 10, 9).toISOString() };
+    const lastWeek = { id: 'b', type: 'PURCHASE', points: 40, date: new Date(2026, 2, 3, 9).toISOString() };
+    const validate = (transactions) =>
+      validateReferral({ code: getReferralCode(6), userId: 5, redemptions: {}, transactions, now });
+
+    expect(validate([firstCheckIn])).toEqual({ referrerId: 6 });
+    expect(validate([firstCheckIn, lastWeek]).error).toMatch(/new members/);
+  });
+
+  it('should not let two members redeem each other\'s codes', () => {
+    // Member 6 joined with member 5's code; 5 now tries 6's code
+    const redemptions = { 6: { referrerId: 5 } };
+    expect(
+      validateReferral({ code: getReferralCode(6), userId: 5, redemptions, ...newMember }).error
+    ).toMatch(/joined with your code/);
+  });
+
+  it('should turn away an existing member at sign-in', async () => {
+    const store = createStore();
+    store.dispatch(authSlice.actions.signIn(2));
+    store.dispatch(
+      setLoyaltyData({
+        points: 40,
+        transactions: [{ id: 'old', type: 'PURCHASE', points: 40, description: 'Order', date: '2025-01-01T12:00:00.000Z' }],
+      })
+    );
+
+    const action = await store.dispatch(applyReferralCode(getReferralCode(1)));
+
+    expect(action.payload).toMatch(/new members/);
+    expect(store.getState().referrals.redemptions).toEqual({});
+  });
+
+  it('should credit the referee immediately and only once', async () => {
+    const store = createStore();
+    store.dispatch(authSlice.actions.signIn(2));
+
+    await store.dispatch(applyReferralCode(getReferralCode(1))).unwrap();
+    const again = await store.dispatch(applyReferralCode(getReferralCode(3)));
+
+    expect(applyReferralCode.rejected.match(again)).toBe(true);
+    expect(store.getState().loyalty.points).toBe(REFERRAL_BONUS.REFEREE);
+    expect(store.getState().loyalty.transactions[0].type).toBe(TRANSACTION_TYPES.REFERRAL);
+    expect(store.getState().referrals.redemptions[2].referrerId).toBe(1);
+  });
+
+  it('should pay the referrer on their next sign-in, once', async () => {
+    const store = createStore();
+    store.dispatch(authSlice.actions.signIn(2));
+    await store.dispatch(applyReferralCode(getReferralCode(1)));
+    const pointsBefore = store.getState().loyalty.points;
+
+    store.dispatch(authSlice.actions.signIn(1));
+    expect(await store.dispatch(claimReferralRewards()).unwrap()).toBe(1);
+    expect(await store.dispatch(claimReferralRewards()).unwrap()).toBe(0);
+
+    expect(store.getState().loyalty.points).toBe(pointsBefore + REFERRAL_BONUS.REFERRER);
+    expect(store.getState().referrals.redemptions[2].referrerCreditedAt).not.toBeNull();
+  });
+});
@@ -0,0 +1,200 @@
+/**
+ * register test — validates sign-up: the form rules, POST /users/add
+ * starting the new member's session under its own local id, and the
+ * one-time SIGNUP_BONUS.
+ *
+ * WHY test registration?
+ * - A weak-password rule that drifts lets bad passwords through silently
+ * - The welcome bonus must be paid exactly once per member
+ */
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { configureStore, createListenerMiddleware } from '@reduxjs/toolkit';
+import { authAPI, setAuthToken } from '../src/services/api';
+import authReducer, {
+  registerUser,
+  logoutUser,
+  restoreSession,
+  userDataLoaded,
+  LOCAL_TOKEN_PREFIX,
+} from '../src/redux/slices/authSlice';
+import loyaltyReducer, { awardSignupBonus } from '../src/redux/slices/loyaltySlice';
+import favoritesReducer from '../src/redux/slices/favoritesSlice';
+import syncReducer from '../src/redux/slices/syncSlice';
+import missionsReducer from '../src/redux/slices/missionsSlice';
+import achievementsReducer from '../src/redux/slices/achievementsSlice';
+import referralsReducer from '../src/redux/slices/referralsSlice';
+import cartReducer from '../src/redux/slices/cartSlice';
+import ordersReducer from '../src/redux/slices/ordersSlice';
+import transfersReducer from '../src/redux/slices/transfersSlice';
+import accountsReducer, {
+  loadUserData,
+  registerAccountListeners,
+} from '../src/redux/slices/accountsSlice';
+import { getUserStorageKey } from '../src/utils/storage';
+import { EMAIL_PATTERN, USERNAME_PATTERN, getPasswordIssues } from '../src/utils/validation';
+import { SIGNUP_BONUS, STORAGE_KEYS, TRANSACTION_TYPES } from '../src/utils/constants';
+
+const details = {
+  firstName: 'Ada',
+  lastName: 'Lovelace',
+  username: 'ada.l',
+  email: 'ada@example.com',
+  password: 'Engine1843',
+};
+
+const createStore = () =>
+  configureStore({ reducer: { auth: authReducer, loyalty: loyaltyReducer } });
+
+// Everything loadUserData hydrates, plus the remembered-accounts listener
+const createAppStore = () => {
+  const listenerMiddleware = createListenerMiddleware();
+  registerAccountListeners(listenerMiddleware.startListening);
+  return configureStore({
+    reducer: {
+      auth: authReducer,
+      loyalty: loyaltyReducer,
+      favorites: favoritesReducer,
+      sync: syncReducer,
+      missions: missionsReducer,
+      achievements: achievementsReducer,
+      referrals: referralsReducer,
+      cart: cartReducer,
+      orders: ordersReducer,
+      transfers: transfersReducer,
+      accounts: accountsReducer,
+    },
+    middleware: (getDefaultMiddleware) =>
+      getDefaultMiddleware().prepend(listenerMiddleware.middleware),
+  });
+};
+
+describe('registration', () => {
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    setAuthToken(null);
+  });
+
+  it('should judge usernames, emails and password strength', () => {
+    expect(USERNAME_PATTERN.test('ada.l')).toBe(true);
+    expect(USERNAME_PATTERN.test('ad')).toBe(false);
+    expect(USERNAME_PATTERN.test('ada lovelace')).toBe(false);
+    expect(EMAIL_PATTERN.test('ada@example.com')).toBe(true);
+    expect(EMAIL_PATTERN.test('ada@example')).toBe(false);
+    expect(getPasswordIssues('Engine1843')).toEqual([]);
+    expect(getPasswordIssues('engine').map((rule) => rule.id)).toEqual(['length', 'upper', 'digit']);
+  });
+
+  it('should create the account and start a session from the response', async () => {
+    // DummyJSON echoes the new user (password included) and issues no tokens
+    const post = jest
+      .spyOn(authAPI, 'post')
+      .mockResolvedValue({ data: { id: 209, ...details } });
+    const store = createStore();
+
+    const session = await store.dispatch(registerUser(details)).unwrap();
+
+    expect(post).toHaveBeenCalledTimes(1);
+    expect(post).toHaveBeenCalledWith('/users/add', details, { skipAuthRefresh: true });
+    // DummyJSON's id is the same for everyone, so a local one replaces it
+    const { id } = session.user;
+    expect(id).toBeGreaterThanOrEqual(1000000);
+    const user = { id, username: 'ada.l', email: 'ada@example.com', firstName: 'Ada', lastName: 'Lovelace' };
+    expect(session).toEqual({ token: `${LOCAL_TOKEN_PREFIX}${id}`, refreshToken: null, user });
+    expect(store.getState().auth).toMatchObject({ isLoggedIn: true, user });
+    expect(JSON.parse(await AsyncStorage.getItem(STORAGE_KEYS.USER_DATA))).toEqual(user);
+  });
+
+  it('should sign the new member in and book the sign-up bonus', async () => {
+    jest.spyOn(authAPI, 'post').mockResolvedValue({ data: { id: 209, ...details } });
+    const get = jest.spyOn(authAPI, 'get');
+    const store = createAppStore();
+
+    // What the Register screen does
+    const { user } = await store.dispatch(registerUser(details)).unwrap();
+    await store.dispatch(loadUserData());
+    await store.dispatch(awardSignupBonus());
+
+    const { loyalty, auth, accounts } = store.getState();
+    expect(auth.dataUserId).toBe(user.id);
+    expect(loyalty.transactions.find((t) => t.type === TRANSACTION_TYPES.SIGNUP_BONUS)).toMatchObject({
+      points: SIGNUP_BONUS,
+      idempotencyKey: `signup:${user.id}`,
+    });
+    const saved = JSON.parse(
+      await AsyncStorage.getItem(getUserStorageKey(STORAGE_KEYS.LOYALTY_DATA, user.id))
+    );
+    expect(saved.transactions.some((t) => t.type === TRANSACTION_TYPES.SIGNUP_BONUS)).toBe(true);
+    expect(accounts.list.map((account) => account.username)).toEqual(['ada.l']);
+
+    // Next launch: the local session comes back without asking /auth/me
+    const relaunched = createAppStore();
+    await relaunched.dispatch(restoreSession()).unwrap();
+    expect(get).not.toHaveBeenCalled();
+    expect(relaunched.getState().auth).toMatchObject({ isLoggedIn: true, user: { id: user.id } });
+  });
+
+  it('should keep each sign-up on a device to its own data and bonus', async () => {
+    jest.spyOn(authAPI, 'post').mockImplementation(async (url, body) => ({ data: { id: 209, ...body } }));
+    const store = createAppStore();
+    const signUp = async (username) => {
+      const { user } = await store.dispatch(registerUser({ ...details, username })).unwrap();
+      await store.dispatch(loadUserData());
+      await store.dispatch(awardSignupBonus());
+      return user;
+    };
+
+    const ada = await signUp('ada.l');
+    const adaPoints = store.getState().loyalty.points;
+    await store.dispatch(logoutUser());
+    const grace = await signUp('grace.h');
+
+    // Grace starts fresh — her own bonus, none of Ada's points
+    expect(grace.id).not.toBe(ada.id);
+    expect(store.getState().loyalty.points).toBe(adaPoints);
+    expect(
+      store.getState().loyalty.transactions.filter((t) => t.type === TRANSACTION_TYPES.SIGNUP_BONUS)
+    ).toEqual([expect.objectContaining({ idempotencyKey: `signup:${grace.id}` })]);
+    expect(store.getState().accounts.list.map((account) => account.username)).toEqual(['grace.h', 'ada.l']);
+
+    // A username remembered on this device can't be registered again
+    await store.dispatch(logoutUser());
+    await expect(
+      store.dispatch(registerUser({ ...details, username: 'Ada.L' })).unwrap()
+    ).rejects.toMatch(/already registered/);
+    expect(store.getState().auth.isLoggedIn).toBe(false);
+  });
+
+  it('should report a rejected sign-up without signing in', async () => {
+    const post = jest
+      .spyOn(authAPI, 'post')
+      .mockRejectedValue({ response: { status: 400, data: { message: 'Username taken' } } });
+    const store = createStore();
+
+    await expect(store.dispatch(registerUser(details)).unwrap()).rejects.toBe('Username taken');
+    expect(post).toHaveBeenCalledTimes(1);
+    expect(store.getState().auth.isLoggedIn).toBe(false);
+  });
+
+  it('should pay the sign-up bonus once', async () => {
+    jest.spyOn(authAPI, 'post').mockResolvedValue({ data: { id: 209, ...details } });
+    const store = createStore();
+    const { user } = await store.dispatch(registerUser(details)).unwrap();
+    store.dispatch(userDataLoaded(user.id));
+
+    await store.dispatch(awardSignupBonus());
+    await store.dispatch(awardSignupBonus());
+
+    const { points, transactions } = store.getState().loyalty;
+    expect(points).toBe(SIGNUP_BONUS);
+    expect(transactions.map((t) => t.type)).toEqual([TRANSACTION_TYPES.SIGNUP_BONUS]);
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * syncSlice test — validates the offline outbox against the mock backend.
+ *
+ * WHY test sync?
+ * - Losing or double-counting a ledger entry means a wrong balance on
+ *   the server, which is exactly what members complain about
+ * - The mock server runs in-memory as an axios adapter, so the real
+ *   request flow is exercised without any network
+ */
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+import { configureStore, createListenerMiddleware } from '@reduxjs/toolkit';
+import authReducer from '../src/redux/slices/authSlice';
+import loyaltyReducer, {
+  earnPoints,
+  setLoyaltyData,
+} from '../src/redux/slices/loyaltySlice';
+import syncReducer, {
+  syncLoyalty,
+  enqueueTransactions,
+  queueExistingLedger,
+  registerSyncListeners,
+} from '../src/redux/slices/syncSlice';
+import { configureLoyaltyAPI } from '../src/services/api';
+import { createMockLoyaltyServer } from '../src/services/mockLoyaltyServer';
+
+describe('syncSlice', () => {
+  const server = createMockLoyaltyServer();
+  let listenerMiddleware;
+  let store;
+
+  beforeEach(() => {
+    // The debounced auto-sync waits on a timer — keep it out of real time
+    jest.useFakeTimers();
+    server.reset();
+    configureLoyaltyAPI({ baseURL: 'mock://loyalty', adapter: server.adapter });
+    listenerMiddleware = createListenerMiddleware();
+    registerSyncListeners(listenerMiddleware.startListening);
+    store = configureStore({
+      reducer: { auth: authReducer, loyalty: loyaltyReducer, sync: syncReducer },
+      preloadedState: {
+        auth: { token: 't', user: { id: 1 }, isLoggedIn: true, loading: false, error: null },
+      },
+      middleware: (getDefaultMiddleware) =>
+        getDefaultMiddleware().prepend(listenerMiddleware.middleware),
+    });
+  });
+
+  afterEach(() => {
+    listenerMiddleware.clearListeners();
+    jest.useRealTimers();
+  });
+
+  const earn = (points) => {
+    store.dispatch(earnPoints({ type: 'LOGIN_BONUS', points, description: 'Test' }));
+  };
+
+  it('should queue every new ledger entry but not hydrated data', () => {
+    store.dispatch(
+      setLoyaltyData({
+        points: 5,
+        transactions: [{ id: 'old', type: 'LOGIN_BONUS', points: 5, description: 'Old', date: '2026-01-01T00:00:00.000Z' }],
+      })
+    );
+    expect(store.getState().sync.outbox).toEqual([]);
+
+    earn(10);
+    const { outbox } = store.getState().sync;
+    expect(outbox).toHaveLength(1);
+    expect(outbox[0]).toMatchObject({
+      id: store.getState().loyalty.transactions[0].id,
+      userId: 1,
+      transaction: { points: 10 },
+    });
+  });
+
+  it('should queue the pre-sync ledger exactly once', () => {
+    store.dispatch(
+      setLoyaltyData({
+        points: 5,
+        transactions: [{ id: 'old', type: 'LOGIN_BONUS', points: 5, description: 'Old', date: '2026-01-01T00:00:00.000Z' }],
+      })
+    );
+    store.dispatch(queueExistingLedger());
+    store.dispatch(queueExistingLedger());
+
+    expect(store.getState().sync.outbox.map((entry) => entry.id)).toEqual(['old']);
+    expect(store.getState().sync.initialized).toBe(true);
+  });
+
+  it('should push the outbox and reconcile a matching balance', async () => {
+    earn(10);
+    earn(5);
+    await store.dispatch(syncLoyalty());
+
+    const { sync } = store.getState();
+    expect(sync.outbox).toEqual([]);
+    expect(sync.status).toBe('idle');
+    expect(sync.serverPoints).toBe(15);
+    expect(sync.conflict).toBeNull();
+    expect(server.getAccount(1).transactions).toHaveLength(2);
+  });
+
+  it('should not double-count entries that are sent twice', async () => {
+    earn(10);
+    const { transactions } = store.getState().loyalty;
+    await store.dispatch(syncLoyalty());
+
+    store.dispatch(enqueueTransactions({ transactions, userId: 1 }));
+    await store.dispatch(syncLoyalty());
+
+    expect(server.getAccount(1).points).toBe(10);
+    expect(store.getState().sync.outbox).toEqual([]);
+  });
+
+  it('should keep the outbox while offline and deliver it later', async () => {
+    earn(10);
+    server.setOffline(true);
+    await store.dispatch(syncLoyalty());
+
+    expect(store.getState().sync.status).toBe('error');
+    expect(store.getState().sync.outbox).toHaveLength(1);
+
+    server.setOffline(false);
+    await store.dispatch(syncLoyalty());
+
+    expect(store.getState().sync.outbox).toEqual([]);
+    expect(server.getAccount(1).points).toBe(10);
+  });
+
+  it('should surface a conflict when the server balance differs', async () => {
+    earn(10);
+    await store.dispatch(syncLoyalty());
+    server.setPoints(1, 25);
+    await store.dispatch(syncLoyalty());
+
+    expect(store.getState().sync.conflict).toMatchObject({
+      localPoints: 10,
+      serverPoints: 25,
+    });
+  });
+});
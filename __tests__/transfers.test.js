@@ -0,0 +1,218 @@
+/**
+ * transfers test — validates gifting points between members.
+ *
+ * WHY test transfers?
+ * - Points leave one ledger and land on another: a bug either destroys
+ *   or mints points
+ * - Daily limits are the main guard against a hijacked account being
+ *   drained
+ */
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { configureStore, createSlice } from '@reduxjs/toolkit';
+import { authAPI } from '../src/services/api';
+import {
+  configureTransferTransport,
+  createInMemoryTransport,
+} from '../src/services/transferTransport';
+import loyaltyReducer, {
+  earnPoints,
+  setLoyaltyData,
+  reverseTransaction,
+} from '../src/redux/slices/loyaltySlice';
+import transfersReducer, {
+  searchMembers,
+  sendPoints,
+  receiveTransfers,
+  deliverPendingTransfers,
+} from '../src/redux/slices/transfersSlice';
+import { getDailyAllowance, validateTransfer } from '../src/utils/transfers';
+import { getQualifyingPoints } from '../src/utils/membershipLevels';
+import { TRANSFER_LIMITS, TRANSACTION_TYPES, STORAGE_KEYS } from '../src/utils/constants';
+import { getUserStorageKey } from '../src/utils/storage';
+
+// Minimal auth slice so tests can switch the signed-in member; signIn
+// stands for login + loadUserData, so the member's data counts as loaded
+const authSlice = createSlice({
+  name: 'auth',
+  initialState: { user: null, dataUserId: null },
+  reducers: {
+    signIn: (state, action) => {
+      state.user = action.payload;
+      state.dataUserId = action.payload.id;
+    },
+    signInWithoutData: (state, action) => {
+      state.user = action.payload;
+      state.dataUserId = null;
+    },
+  },
+});
+
+const emily = { id: 1, username: 'emilys', firstName: 'Emily', lastName: 'Johnson' };
+const michael = { id: 2, username: 'michaelw', firstName: 'Michael', lastName: 'Williams' };
+
+const createStore = (balance = 1000) => {
+  const store = configureStore({
+    reducer: { auth: authSlice.reducer, loyalty: loyaltyReducer, transfers: transfersReducer },
+  });
+  store.dispatch(authSlice.actions.signIn(emily));
+  store.dispatch(earnPoints({ type: 'LOGIN_BONUS', points: balance }));
+  return store;
+};
+
+describe('point transfers', () => {
+  let transport;
+
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+    transport = createInMemoryTransport();
+    configureTransferTransport(transport);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('should enforce the minimum, the balance and the daily limits', () => {
+    const now = new Date().toISOString();
+    const base = { balance: 1000, senderId: 1, recipient: michael, sent: [], now };
+
+    expect(validateTransfer({ ...base, points: TRANSFER_LIMITS.MIN_POINTS - 1 })).toMatch(/at least/);
+    expect(validateTransfer({ ...base, points: 2000 })).toMatch(/enough/);
+    expect(validateTransfer({ ...base, recipient: emily, points: 50 })).toMatch(/yourself/);
+    expect(validateTransfer({ ...base, points: 50 })).toBeNull();
+
+    const sentToday = [{ fromUserId: 1, points: TRANSFER_LIMITS.DAILY_POINTS - 20, sentAt: now }];
+    expect(validateTransfer({ ...base, sent: sentToday, points: 50 })).toMatch(/20 more points/);
+
+    const maxedOut = Array.from({ length: TRANSFER_LIMITS.DAILY_TRANSFERS }, () => ({
+      fromUserId: 1,
+      points: 10,
+      sentAt: now,
+    }));
+    expect(validateTransfer({ ...base, sent: maxedOut, points: 10 })).toMatch(/gifts a day/);
+    expect(getDailyAllowance(maxedOut, 2, now).transfers).toBe(TRANSFER_LIMITS.DAILY_TRANSFERS);
+  });
+
+  it('should debit the sender and hand the credit to the transport', async () => {
+    const store = createStore(300);
+
+    const transfer = await store
+      .dispatch(sendPoints({ recipient: michael, points: 120, note: 'For the trip' }))
+      .unwrap();
+
+    const { loyalty, transfers } = store.getState();
+    expect(loyalty.points).toBe(180);
+    expect(loyalty.transactions[0]).toMatchObject({
+      type: TRANSACTION_TYPES.TRANSFER_OUT,
+      points: -120,
+      transferId: transfer.id,
+    });
+    expect(transfers.sent[0].deliveredAt).not.toBeNull();
+    expect(transport.getPending()).toEqual([
+      expect.objectContaining({ id: transfer.id, toUserId: 2, points: 120, fromName: 'Emily Johnson' }),
+    ]);
+  });
+
+  it('should credit the recipient once, without the level multiplier or status', async () => {
+    const store = createStore(300);
+    await store.dispatch(sendPoints({ recipient: michael, points: 100 }));
+
+    // Michael signs in on the same device, as a Gold member
+    store.dispatch(authSlice.actions.signIn(michael));
+    store.dispatch(setLoyaltyData({ points: 0, transactions: [], level: 'GOLD' }));
+    expect(await store.dispatch(receiveTransfers()).unwrap()).toBe(1);
+    expect(await store.dispatch(receiveTransfers()).unwrap()).toBe(0);
+
+    const { loyalty } = store.getState();
+    expect(loyalty.points).toBe(100);
+    const credit = loyalty.transactions.find((tx) => tx.type === TRANSACTION_TYPES.TRANSFER_IN);
+    expect(credit).toMatchObject({
+      points: 100,
+      description: 'Gift from Emily Johnson',
+    });
+    expect(getQualifyingPoints(loyalty.transactions, new Date().toISOString())).toBe(0);
+  });
+
+  it('should leave gifts in the mailbox until the member\'s data is loaded', async () => {
+    const store = createStore(300);
+    await store.dispatch(sendPoints({ recipient: michael, points: 100 }));
+
+    // Michael's session is back, but loadUserData hasn't finished yet
+    store.dispatch(authSlice.actions.signInWithoutData(michael));
+    store.dispatch(setLoyaltyData({ points: 0, transactions: [] }));
+    expect(await store.dispatch(receiveTransfers()).unwrap()).toBe(0);
+    expect(transport.getPending()).toHaveLength(1);
+
+    store.dispatch(authSlice.actions.signIn(michael));
+    expect(await store.dispatch(receiveTransfers()).unwrap()).toBe(1);
+    expect(transport.getPending()).toEqual([]);
+  });
+
+  it('should take a gift out of the mailbox only once the ledger is saved', async () => {
+    const store = createStore(300);
+    await store.dispatch(sendPoints({ recipient: michael, points: 100 }));
+    store.dispatch(authSlice.actions.signIn(michael));
+    store.dispatch(setLoyaltyData({ points: 0, transactions: [] }));
+
+    let savedAtAck = null;
+    jest.spyOn(transport, 'ack').mockImplementation(async () => {
+      savedAtAck = JSON.parse(
+        await AsyncStorage.getItem(getUserStorageKey(STORAGE_KEYS.LOYALTY_DATA, michael.id))
+      );
+    });
+    await store.dispatch(receiveTransfers());
+
+    expect(savedAtAck.points).toBe(100);
+    expect(savedAtAck.transactions[0].type).toBe(TRANSACTION_TYPES.TRANSFER_IN);
+  });
+
+  it('should not refund a gift by reversing it', async () => {
+    const store = createStore(300);
+    const transfer = await store.dispatch(sendPoints({ recipient: michael, points: 100 })).unwrap();
+
+    store.dispatch(reverseTransaction({ transactionId: transfer.transactionId }));
+
+    expect(store.getState().loyalty.points).toBe(200);
+    expect(transport.getPending()).toHaveLength(1);
+  });
+
+  it('should keep a transfer pending when delivery fails and retry it', async () => {
+    const store = createStore(300);
+    const send = jest.spyOn(transport, 'send').mockRejectedValueOnce(new Error('offline'));
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const transfer = await store.dispatch(sendPoints({ recipient: michael, points: 50 })).unwrap();
+    expect(transfer.deliveredAt).toBeNull();
+    expect(store.getState().loyalty.points).toBe(250);
+
+    expect(await store.dispatch(deliverPendingTransfers()).unwrap()).toBe(1);
+    expect(send).toHaveBeenCalledTimes(2);
+    expect(store.getState().transfers.sent[0].deliveredAt).not.toBeNull();
+  });
+
+  it('should reject transfers over the limit without touching the ledger', async () => {
+    const store = createStore(1000);
+    const result = await store.dispatch(
+      sendPoints({ recipient: michael, points: TRANSFER_LIMITS.DAILY_POINTS + 1 })
+    );
+
+    expect(sendPoints.rejected.match(result)).toBe(true);
+    expect(store.getState().loyalty.points).toBe(1000);
+    expect(store.getState().transfers.sent).toEqual([]);
+  });
+
+  it('should search members by username and leave out the sender', async () => {
+    const get = jest.spyOn(authAPI, 'get').mockResolvedValue({ data: { users: [emily, michael] } });
+    const store = createStore();
+
+    const users = await store.dispatch(searchMembers(' mich ')).unwrap();
+
+    expect(get).toHaveBeenCalledWith('/users/search', expect.objectContaining({
+      params: expect.objectContaining({ q: 'mich' }),
+    }));
+    expect(users).toEqual([michael]);
+  });
+});
@@ -0,0 +1,26 @@
+/**
+ * Jest setup — runs before each test file.
+ *
+ * Expo's runtime installs some globals (structuredClone, URL, …) as lazy
+ * getters that `require` their polyfill on first read. Under Jest 30 a
+ * first read from inside a test module is rejected as an import outside the
+ * test's scope, so read each one here, while the environment is set up.
+ */
+
+const LAZY_EXPO_GLOBALS = [
+  '__ExpoImportMetaRegistry',
+  'structuredClone',
+  'TextDecoder',
+  'TextDecoderStream',
+  'TextEncoderStream',
+  'URL',
+  'URLSearchParams',
+];
+
+LAZY_EXPO_GLOBALS.forEach((name) => {
+  try {
+    void global[name];
+  } catch {
+    // Not installed on this platform — nothing to resolve
+  }
+});
@@ -0,0 +1,131 @@
+/**
+ * AccountSwitcher — the other accounts remembered on this device, one tap
+ * to switch to each (see accountsSlice). Shown on the Login and Profile
+ * screens; renders nothing when there are none.
+ */
+
+import React, { memo, useCallback } from 'react';
+import {
+  View,
+  Text,
+  Image,
+  TouchableOpacity,
+  ActivityIndicator,
+  StyleSheet,
+  Alert,
+} from 'react-native';
+import { useDispatch, useSelector } from 'react-redux';
+import { switchAccount, forgetAccount, selectOtherAccounts } from '../redux/slices/accountsSlice';
+import { useTheme } from '../theme/ThemeContext';
+import { Spacing, FontSize, BorderRadius } from '../theme';
+import { confirmAction } from '../utils/confirm';
+
+const AccountRow = memo(({ account, isSwitching, onSwitch, onForget, colors }) => {
+  const name = [account.firstName, account.lastName].filter(Boolean).join(' ') || account.username;
+  return (
+    <TouchableOpacity
+      style={[styles.row, { borderColor: colors.border }]}
+      onPress={() => onSwitch(account)}
+      disabled={isSwitching}
+      activeOpacity={0.7}
+      accessibilityLabel={`Switch to ${name}`}
+    >
+      {account.image ? (
+        <Image source={{ uri: account.image }} style={[styles.avatar, { backgroundColor: colors.background }]} />
+      ) : (
+        <View style={[styles.avatar, styles.avatarFallback, { backgroundColor: colors.primary }]}>
+          <Text style={[styles.initial, { color: colors.white }]}>{name[0]?.toUpperCase()}</Text>
+        </View>
+      )}
+      <View style={styles.info}>
+        <Text style={[styles.name, { color: colors.textPrimary }]} numberOfLines={1}>
+          {name}
+        </Text>
+        <Text style={[styles.username, { color: colors.textSecondary }]}>@{account.username}</Text>
+      </View>
+      {isSwitching ? (
+        <ActivityIndicator color={colors.primary} />
+      ) : (
+        <TouchableOpacity
+          onPress={() => onForget(account)}
+          hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+          accessibilityLabel={`Forget ${name}`}
+        >
+          <Text style={[styles.forget, { color: colors.textLight }]}>✕</Text>
+        </TouchableOpacity>
+      )}
+    </TouchableOpacity>
+  );
+});
+
+const AccountSwitcher = ({ title = 'Switch account', style }) => {
+  const dispatch = useDispatch();
+  const { colors } = useTheme();
+  const accounts = useSelector(selectOtherAccounts);
+  const switchingId = useSelector((state) => state.accounts.switchingId);
+
+  const handleSwitch = useCallback(
+    async (account) => {
+      try {
+        await dispatch(switchAccount(account.id)).unwrap();
+      } catch (message) {
+        Alert.alert('Could not switch account', message);
+      }
+    },
+    [dispatch]
+  );
+
+  const handleForget = useCallback(
+    (account) => {
+      confirmAction(
+        {
+          title: 'Forget account?',
+          message: `@${account.username} will need to sign in again.`,
+          confirmText: 'Forget',
+          destructive: true,
+        },
+        () => dispatch(forgetAccount(account.id))
+      );
+    },
+    [dispatch]
+  );
+
+  if (accounts.length === 0) return null;
+
+  return (
+    <View style={style}>
+      <Text style={[styles.title, { color: colors.textSecondary }]}>{title}</Text>
+      {accounts.map((account) => (
+        <AccountRow
+          key={account.id}
+          account={account}
+          isSwitching={switchingId === account.id}
+          onSwitch={handleSwitch}
+          onForget={handleForget}
+          colors={colors}
+        />
+      ))}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  title: { fontSize: FontSize.sm, fontWeight: '600', marginBottom: Spacing.sm },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderWidth: 1,
+    borderRadius: BorderRadius.md,
+    padding: Spacing.sm,
+    marginBottom: Spacing.sm,
+  },
+  avatar: { width: 36, height: 36, borderRadius: 18 },
+  avatarFallback: { justifyContent: 'center', alignItems: 'center' },
+  initial: { fontSize: FontSize.md, fontWeight: '700' },
+  info: { flex: 1, marginLeft: Spacing.sm },
+  name: { fontSize: FontSize.md, fontWeight: '600' },
+  username: { fontSize: FontSize.xs, marginTop: 2 },
+  forget: { fontSize: FontSize.md, paddingHorizontal: Spacing.xs },
+});
+
+export default AccountSwitcher;
@@ -0,0 +1,195 @@
+/**
+ * CouponDetailModal — one wallet coupon, with the code shown large enough
+ * for the cashier to read or type in, a mark-as-used action and a refund
+ * (reverses the redemption) for coupons that were never used.
+ */
+
+import React from 'react';
+import { Modal, View, Text, StyleSheet, Platform, TouchableOpacity } from 'react-native';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  markCouponUsed,
+  reverseTransaction,
+  persistLoyaltyData,
+} from '../redux/slices/loyaltySlice';
+import { COUPON_STATUS, formatDate, formatDay } from '../utils/constants';
+import { confirmAction } from '../utils/confirm';
+import CustomButton from './CustomButton';
+import { useTheme } from '../theme/ThemeContext';
+import { Spacing, FontSize, BorderRadius } from '../theme';
+
+export const getCouponStatusStyle = (status, colors) => {
+  switch (status) {
+    case COUPON_STATUS.USED: return { label: 'Used', color: colors.textLight };
+    case COUPON_STATUS.EXPIRED: return { label: 'Expired', color: colors.error };
+    case COUPON_STATUS.REFUNDED: return { label: 'Refunded', color: colors.textLight };
+    default: return { label: 'Active', color: colors.success };
+  }
+};
+
+const CouponDetailModal = ({ couponId, onClose }) => {
+  const dispatch = useDispatch();
+  const { colors } = useTheme();
+  // Read from the store so the status updates in place after mark-as-used
+  const coupon = useSelector((state) =>
+    couponId ? state.loyalty.coupons.find((c) => c.id === couponId) : null
+  );
+
+  const handleMarkUsed = () => {
+    confirmAction(
+      {
+        title: 'Mark as Used',
+        message: `Only do this once the cashier has accepted ${coupon.code}. This can't be undone.`,
+        confirmText: 'Mark as Used',
+        destructive: true,
+      },
+      () => {
+        dispatch(markCouponUsed(coupon.id));
+        dispatch(persistLoyaltyData());
+      }
+    );
+  };
+
+  const handleRefund = () => {
+    confirmAction(
+      {
+        title: 'Refund Coupon',
+        message: `Cancel ${coupon.code} and get your ${coupon.points} points back? The code will stop working.`,
+        confirmText: 'Refund',
+        cancelText: 'Keep Coupon',
+        destructive: true,
+      },
+      () => {
+        dispatch(
+          reverseTransaction({
+            transactionId: coupon.transactionId,
+            description: `Refunded: ${coupon.label}`,
+          })
+        );
+        dispatch(persistLoyaltyData());
+      }
+    );
+  };
+
+  const status = coupon ? getCouponStatusStyle(coupon.status, colors) : null;
+  const isActive = coupon?.status === COUPON_STATUS.ACTIVE;
+
+  return (
+    <Modal visible={!!coupon} transparent animationType="slide" onRequestClose={onClose}>
+      <View style={[styles.backdrop, { backgroundColor: colors.overlay }]}>
+        {coupon && (
+          <View style={[styles.sheet, { backgroundColor: colors.surface }]}>
+            <View style={styles.header}>
+              <Text style={[styles.title, { color: colors.textPrimary }]}>{coupon.label}</Text>
+              <View style={[styles.statusPill, { backgroundColor: status.color + '20' }]}>
+                <Text style={[styles.statusText, { color: status.color }]}>{status.label}</Text>
+              </View>
+            </View>
+            <Text style={[styles.value, { color: colors.textSecondary }]}>
+              Worth ₹{coupon.value}
+            </Text>
+
+            <View
+              style={[
+                styles.codeBox,
+                { borderColor: isActive ? colors.primary : colors.border },
+              ]}
+            >
+              <Text
+                style={[
+                  styles.code,
+                  { color: isActive ? colors.primary : colors.textLight },
+                  !isActive && styles.codeInactive,
+                ]}
+                selectable
+                adjustsFontSizeToFit
+                numberOfLines={1}
+              >
+                {coupon.code}
+              </Text>
+              {isActive && (
+                <Text style={[styles.codeHint, { color: colors.textSecondary }]}>
+                  Show this code at checkout
+                </Text>
+              )}
+            </View>
+
+            <View style={styles.details}>
+              <Text style={[styles.detail, { color: colors.textSecondary }]}>
+                Issued {formatDate(coupon.date)}
+              </Text>
+              {coupon.status === COUPON_STATUS.USED && (
+                <Text style={[styles.detail, { color: colors.textSecondary }]}>
+                  Used {formatDate(coupon.usedAt)}
+                </Text>
+              )}
+              {coupon.status === COUPON_STATUS.REFUNDED && (
+                <Text style={[styles.detail, { color: colors.textSecondary }]}>
+                  Refunded {formatDate(coupon.refundedAt)} · {coupon.points} points returned
+                </Text>
+              )}
+              {(isActive || coupon.status === COUPON_STATUS.EXPIRED) && (
+                <Text style={[styles.detail, { color: isActive ? colors.textSecondary : colors.error }]}>
+                  {isActive ? 'Valid until' : 'Expired'} {formatDay(coupon.expiresAt)}
+                </Text>
+              )}
+            </View>
+
+            <View style={styles.actions}>
+              <CustomButton title="Close" variant="outline" onPress={onClose} style={styles.button} />
+              {isActive && (
+                <CustomButton title="Mark as Used" onPress={handleMarkUsed} style={styles.button} />
+              )}
+            </View>
+            {isActive && coupon.transactionId && (
+              <TouchableOpacity onPress={handleRefund} style={styles.refund}>
+                <Text style={[styles.refundText, { color: colors.error }]}>
+                  Cancel coupon and refund {coupon.points} points
+                </Text>
+              </TouchableOpacity>
+            )}
+          </View>
+        )}
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  backdrop: { flex: 1, justifyContent: 'flex-end' },
+  sheet: {
+    borderTopLeftRadius: BorderRadius.xl,
+    borderTopRightRadius: BorderRadius.xl,
+    padding: Spacing.lg,
+  },
+  header: { flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center' },
+  title: { fontSize: FontSize.lg, fontWeight: '700', flex: 1, marginRight: Spacing.sm },
+  statusPill: { borderRadius: BorderRadius.full, paddingHorizontal: Spacing.sm, paddingVertical: 2 },
+  statusText: { fontSize: FontSize.xs, fontWeight: '700', textTransform: 'uppercase' },
+  value: { fontSize: FontSize.sm, marginTop: 2 },
+  codeBox: {
+    alignItems: 'center',
+    borderWidth: 2,
+    borderStyle: 'dashed',
+    borderRadius: BorderRadius.lg,
+    paddingVertical: Spacing.xl,
+    paddingHorizontal: Spacing.md,
+    marginVertical: Spacing.lg,
+  },
+  code: {
+    fontSize: 36,
+    fontWeight: '800',
+    letterSpacing: 3,
+    fontFamily: Platform.OS === 'ios' ? 'Menlo' : 'monospace',
+  },
+  codeInactive: { textDecorationLine: 'line-through' },
+  codeHint: { fontSize: FontSize.sm, marginTop: Spacing.sm },
+  details: { gap: Spacing.xs },
+  detail: { fontSize: FontSize.sm },
+  actions: { flexDirection: 'row', gap: Spacing.md, marginTop: Spacing.lg },
+  button: { flex: 1 },
+  refund: { alignItems: 'center', marginTop: Spacing.md },
+  refundText: { fontSize: FontSize.sm, fontWeight: '600' },
+});
+
+export default CouponDetailModal;
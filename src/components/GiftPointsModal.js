@@ -0,0 +1,282 @@
+/**
+ * GiftPointsModal — send points to another member in three steps:
+ * find them by username, choose an amount, then confirm.
+ */
+
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+  Modal,
+  View,
+  Text,
+  Image,
+  StyleSheet,
+  TouchableOpacity,
+  KeyboardAvoidingView,
+  ActivityIndicator,
+  Platform,
+} from 'react-native';
+import { useDispatch, useSelector } from 'react-redux';
+import { searchMembers, sendPoints } from '../redux/slices/transfersSlice';
+import { getDailyAllowance, validateTransfer } from '../utils/transfers';
+import { TRANSFER_LIMITS } from '../utils/constants';
+import useDebounce from '../hooks/useDebounce';
+import CustomInput from './CustomInput';
+import CustomButton from './CustomButton';
+import { useTheme } from '../theme/ThemeContext';
+import { Spacing, FontSize, BorderRadius } from '../theme';
+
+const STEPS = { SEARCH: 'search', AMOUNT: 'amount', CONFIRM: 'confirm', DONE: 'done' };
+
+const MemberRow = React.memo(({ member, onPress, colors }) => (
+  <TouchableOpacity
+    style={[styles.memberRow, { borderBottomColor: colors.border }]}
+    onPress={() => onPress(member)}
+    activeOpacity={0.7}
+  >
+    <Image source={{ uri: member.image }} style={[styles.avatar, { backgroundColor: colors.background }]} />
+    <View style={styles.memberInfo}>
+      <Text style={[styles.memberName, { color: colors.textPrimary }]}>
+        {member.firstName} {member.lastName}
+      </Text>
+      <Text style={[styles.memberUsername, { color: colors.textSecondary }]}>@{member.username}</Text>
+    </View>
+  </TouchableOpacity>
+));
+
+const GiftPointsModal = ({ visible, onClose }) => {
+  const dispatch = useDispatch();
+  const { colors } = useTheme();
+  const userId = useSelector((state) => state.auth.user?.id);
+  const balance = useSelector((state) => state.loyalty.points);
+  const sent = useSelector((state) => state.transfers.sent);
+
+  const [step, setStep] = useState(STEPS.SEARCH);
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState([]);
+  const [searching, setSearching] = useState(false);
+  const [recipient, setRecipient] = useState(null);
+  const [amount, setAmount] = useState('');
+  const [note, setNote] = useState('');
+  const [error, setError] = useState(null);
+  const [sending, setSending] = useState(false);
+  const [result, setResult] = useState(null);
+  const debouncedQuery = useDebounce(query, 400);
+
+  const allowance = useMemo(
+    () => getDailyAllowance(sent, userId, new Date().toISOString()),
+    [sent, userId]
+  );
+
+  useEffect(() => {
+    if (!visible || debouncedQuery.trim().length < 2) {
+      setResults([]);
+      return undefined;
+    }
+    let cancelled = false;
+    setSearching(true);
+    dispatch(searchMembers(debouncedQuery))
+      .unwrap()
+      .then((users) => {
+        if (!cancelled) {
+          setResults(users);
+          setError(null);
+        }
+      })
+      .catch((message) => !cancelled && setError(message))
+      .finally(() => !cancelled && setSearching(false));
+    return () => {
+      cancelled = true;
+    };
+  }, [dispatch, debouncedQuery, visible]);
+
+  const handleClose = () => {
+    setStep(STEPS.SEARCH);
+    setQuery('');
+    setResults([]);
+    setRecipient(null);
+    setAmount('');
+    setNote('');
+    setError(null);
+    setResult(null);
+    onClose();
+  };
+
+  const handleChooseMember = (member) => {
+    setRecipient(member);
+    setError(null);
+    setStep(STEPS.AMOUNT);
+  };
+
+  const handleReview = () => {
+    const message = validateTransfer({
+      points: Number(amount),
+      balance,
+      senderId: userId,
+      recipient,
+      sent,
+      now: new Date().toISOString(),
+    });
+    setError(message);
+    if (!message) setStep(STEPS.CONFIRM);
+  };
+
+  const handleSend = async () => {
+    setSending(true);
+    setError(null);
+    try {
+      setResult(await dispatch(sendPoints({ recipient, points: Number(amount), note })).unwrap());
+      setStep(STEPS.DONE);
+    } catch (message) {
+      setError(message);
+      setStep(STEPS.AMOUNT);
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <Modal visible={visible} transparent animationType="slide" onRequestClose={handleClose}>
+      <KeyboardAvoidingView
+        style={[styles.backdrop, { backgroundColor: colors.overlay }]}
+        behavior={Platform.OS === 'ios' ? 'padding' : undefined}
+      >
+        <View style={[styles.sheet, { backgroundColor: colors.surface }]}>
+          <Text style={[styles.title, { color: colors.textPrimary }]}>Gift Points</Text>
+          <Text style={[styles.hint, { color: colors.textSecondary }]}>
+            You can send {allowance.points} more points in {allowance.transfers} more gift
+            {allowance.transfers !== 1 ? 's' : ''} today.
+          </Text>
+
+          {step === STEPS.SEARCH && (
+            <>
+              <CustomInput
+                label="Find a member"
+                value={query}
+                onChangeText={setQuery}
+                placeholder="Username or name"
+                icon="🔍"
+                autoCapitalize="none"
+                autoCorrect={false}
+              />
+              {searching && <ActivityIndicator color={colors.primary} />}
+              <View style={styles.results}>
+                {results.map((member) => (
+                  <MemberRow key={member.id} member={member} onPress={handleChooseMember} colors={colors} />
+                ))}
+                {!searching && debouncedQuery.trim().length >= 2 && results.length === 0 && !error && (
+                  <Text style={[styles.hint, { color: colors.textSecondary }]}>No members found</Text>
+                )}
+              </View>
+            </>
+          )}
+
+          {step === STEPS.AMOUNT && recipient && (
+            <>
+              <MemberRow member={recipient} onPress={() => setStep(STEPS.SEARCH)} colors={colors} />
+              <CustomInput
+                label={`Points (min ${TRANSFER_LIMITS.MIN_POINTS}, you have ${balance})`}
+                value={amount}
+                onChangeText={(text) => {
+                  setAmount(text.replace(/[^0-9]/g, ''));
+                  if (error) setError(null);
+                }}
+                placeholder="e.g. 100"
+                icon="⭐"
+                keyboardType="number-pad"
+              />
+              <CustomInput
+                label="Message (optional)"
+                value={note}
+                onChangeText={setNote}
+                placeholder="Happy birthday!"
+                icon="💬"
+                maxLength={80}
+              />
+            </>
+          )}
+
+          {step === STEPS.CONFIRM && recipient && (
+            <View style={[styles.confirmBox, { borderColor: colors.primary }]}>
+              <Text style={[styles.confirmPoints, { color: colors.primary }]}>{amount} points</Text>
+              <Text style={[styles.confirmText, { color: colors.textPrimary }]}>
+                to {recipient.firstName} {recipient.lastName} (@{recipient.username})
+              </Text>
+              {!!note.trim() && (
+                <Text style={[styles.confirmNote, { color: colors.textSecondary }]}>“{note.trim()}”</Text>
+              )}
+              <Text style={[styles.hint, { color: colors.textSecondary }]}>
+                Gifts can't be undone. Your balance after: {balance - Number(amount)} points.
+              </Text>
+            </View>
+          )}
+
+          {step === STEPS.DONE && result && (
+            <Text style={[styles.message, { color: colors.success }]}>
+              ✅ Sent {result.points} points to @{result.toUsername}.
+              {result.deliveredAt ? '' : ' It will be delivered as soon as possible.'}
+            </Text>
+          )}
+
+          {error && <Text style={[styles.message, { color: colors.error }]}>{error}</Text>}
+
+          <View style={styles.actions}>
+            {step === STEPS.CONFIRM ? (
+              <CustomButton
+                title="Back"
+                variant="outline"
+                onPress={() => setStep(STEPS.AMOUNT)}
+                style={styles.button}
+              />
+            ) : (
+              <CustomButton title="Close" variant="outline" onPress={handleClose} style={styles.button} />
+            )}
+            {step === STEPS.AMOUNT && (
+              <CustomButton title="Review" onPress={handleReview} disabled={!amount} style={styles.button} />
+            )}
+            {step === STEPS.CONFIRM && (
+              <CustomButton title="Send Gift" onPress={handleSend} loading={sending} style={styles.button} />
+            )}
+          </View>
+        </View>
+      </KeyboardAvoidingView>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  backdrop: { flex: 1, justifyContent: 'flex-end' },
+  sheet: {
+    borderTopLeftRadius: BorderRadius.xl,
+    borderTopRightRadius: BorderRadius.xl,
+    padding: Spacing.lg,
+    maxHeight: '85%',
+  },
+  title: { fontSize: FontSize.lg, fontWeight: '700', marginBottom: Spacing.xs },
+  hint: { fontSize: FontSize.sm, marginBottom: Spacing.md },
+  results: { marginBottom: Spacing.sm },
+  memberRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: Spacing.sm,
+    borderBottomWidth: StyleSheet.hairlineWidth,
+    marginBottom: Spacing.sm,
+  },
+  avatar: { width: 40, height: 40, borderRadius: BorderRadius.full, marginRight: Spacing.md },
+  memberInfo: { flex: 1 },
+  memberName: { fontSize: FontSize.md, fontWeight: '600' },
+  memberUsername: { fontSize: FontSize.sm },
+  confirmBox: {
+    alignItems: 'center',
+    borderWidth: 1.5,
+    borderRadius: BorderRadius.md,
+    padding: Spacing.md,
+  },
+  confirmPoints: { fontSize: FontSize.xxl, fontWeight: '800' },
+  confirmText: { fontSize: FontSize.md, fontWeight: '600', marginTop: Spacing.xs, textAlign: 'center' },
+  confirmNote: { fontSize: FontSize.sm, fontStyle: 'italic', marginTop: Spacing.xs },
+  message: { fontSize: FontSize.sm, marginTop: Spacing.sm },
+  actions: { flexDirection: 'row', gap: Spacing.md, marginTop: Spacing.md },
+  button: { flex: 1 },
+});
+
+export default GiftPointsModal;
@@ -0,0 +1,121 @@
+/**
+ * ImportHistoryModal — paste a CSV or JSON history export to merge it in.
+ *
+ * WHY paste instead of a file picker?
+ * - Exports are shared as text (see utils/shareFile), so the member can
+ *   copy them out of the mail/notes app on the new device without an
+ *   extra native module
+ */
+
+import React, { useState } from 'react';
+import { Modal, View, Text, TextInput, StyleSheet, KeyboardAvoidingView, Platform } from 'react-native';
+import { useDispatch } from 'react-redux';
+import { importLoyaltyHistory } from '../redux/slices/loyaltySlice';
+import CustomButton from './CustomButton';
+import { useTheme } from '../theme/ThemeContext';
+import { Spacing, FontSize, BorderRadius } from '../theme';
+
+const ImportHistoryModal = ({ visible, onClose }) => {
+  const dispatch = useDispatch();
+  const { colors } = useTheme();
+  const [text, setText] = useState('');
+  const [error, setError] = useState(null);
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const handleClose = () => {
+    setText('');
+    setError(null);
+    setResult(null);
+    onClose();
+  };
+
+  const handleImport = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      setResult(await dispatch(importLoyaltyHistory(text)).unwrap());
+      setText('');
+    } catch (message) {
+      setError(message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Modal visible={visible} transparent animationType="slide" onRequestClose={handleClose}>
+      <KeyboardAvoidingView
+        style={[styles.backdrop, { backgroundColor: colors.overlay }]}
+        behavior={Platform.OS === 'ios' ? 'padding' : undefined}
+      >
+        <View style={[styles.sheet, { backgroundColor: colors.surface }]}>
+          <Text style={[styles.title, { color: colors.textPrimary }]}>Import History</Text>
+          <Text style={[styles.hint, { color: colors.textSecondary }]}>
+            Paste a CSV or JSON export from your other device. Entries you already have are skipped.
+          </Text>
+          <TextInput
+            style={[
+              styles.input,
+              {
+                color: colors.textPrimary,
+                backgroundColor: colors.inputBackground,
+                borderColor: error ? colors.error : colors.border,
+              },
+            ]}
+            value={text}
+            onChangeText={setText}
+            placeholder="Paste export here..."
+            placeholderTextColor={colors.textLight}
+            multiline
+            autoCapitalize="none"
+            autoCorrect={false}
+            textAlignVertical="top"
+          />
+          {error && <Text style={[styles.message, { color: colors.error }]}>{error}</Text>}
+          {result && (
+            <Text style={[styles.message, { color: colors.success }]}>
+              ✅ Imported {result.transactionsAdded} transaction
+              {result.transactionsAdded !== 1 ? 's' : ''} and {result.favoritesAdded} favorite
+              {result.favoritesAdded !== 1 ? 's' : ''}.
+            </Text>
+          )}
+          <View style={styles.actions}>
+            <CustomButton title="Close" variant="outline" onPress={handleClose} style={styles.button} />
+            <CustomButton
+              title="Import"
+              onPress={handleImport}
+              loading={loading}
+              disabled={!text.trim()}
+              style={styles.button}
+            />
+          </View>
+        </View>
+      </KeyboardAvoidingView>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  backdrop: { flex: 1, justifyContent: 'flex-end' },
+  sheet: {
+    borderTopLeftRadius: BorderRadius.xl,
+    borderTopRightRadius: BorderRadius.xl,
+    padding: Spacing.lg,
+  },
+  title: { fontSize: FontSize.lg, fontWeight: '700', marginBottom: Spacing.xs },
+  hint: { fontSize: FontSize.sm, marginBottom: Spacing.md },
+  input: {
+    height: 180,
+    borderWidth: 1.5,
+    borderRadius: BorderRadius.md,
+    padding: Spacing.md,
+    fontSize: FontSize.sm,
+    fontFamily: Platform.OS === 'ios' ? 'Menlo' : 'monospace',
+  },
+  message: { fontSize: FontSize.sm, marginTop: Spacing.sm },
+  actions: { flexDirection: 'row', gap: Spacing.md, marginTop: Spacing.md },
+  button: { flex: 1 },
+});
+
+export default ImportHistoryModal;
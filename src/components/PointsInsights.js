@@ -0,0 +1,218 @@
+/**
+ * PointsInsights — charts of the member's points: earned per week/month,
+ * a breakdown by transaction type and the balance over time.
+ *
+ * WHY plain Views instead of a chart library?
+ * - Bars are sized Views and the balance line is rotated 2px segments, so
+ *   it renders the same on iOS, Android and web with no native deps
+ */
+
+import React, { memo, useState } from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { useSelector } from 'react-redux';
+import {
+  selectPointsByPeriod,
+  selectPointsByType,
+  selectBalanceTimeline,
+} from '../redux/slices/loyaltySlice';
+import { ANALYTICS_PERIODS, formatDay, formatSignedPoints } from '../utils/constants';
+import CategoryChip from './CategoryChip';
+import { useTheme } from '../theme/ThemeContext';
+import { Spacing, FontSize, BorderRadius } from '../theme';
+
+const CHART_HEIGHT = 120;
+const LINE_WIDTH = 2;
+const DOT_SIZE = 6;
+
+const PeriodChart = memo(({ buckets, colors }) => {
+  const max = Math.max(1, ...buckets.map((bucket) => bucket.earned));
+  const earned = buckets.reduce((sum, bucket) => sum + bucket.earned, 0);
+  const spent = buckets.reduce((sum, bucket) => sum + bucket.spent, 0);
+
+  return (
+    <View>
+      <View style={[styles.bars, { height: CHART_HEIGHT }]}>
+        {buckets.map((bucket) => (
+          <View key={bucket.key} style={styles.barColumn}>
+            {bucket.earned > 0 && (
+              <Text style={[styles.barValue, { color: colors.textSecondary }]}>{bucket.earned}</Text>
+            )}
+            <View
+              style={[
+                styles.bar,
+                {
+                  height: Math.max(2, (bucket.earned / max) * (CHART_HEIGHT - 16)),
+                  backgroundColor: bucket.earned > 0 ? colors.primary : colors.border,
+                },
+              ]}
+            />
+          </View>
+        ))}
+      </View>
+      <View style={styles.barLabels}>
+        {buckets.map((bucket) => (
+          <Text key={bucket.key} style={[styles.barLabel, { color: colors.textLight }]} numberOfLines={1}>
+            {bucket.label}
+          </Text>
+        ))}
+      </View>
+      <Text style={[styles.caption, { color: colors.textSecondary }]}>
+        Earned {earned} · Spent {spent} in this period
+      </Text>
+    </View>
+  );
+});
+
+const TypeBreakdown = memo(({ types, colors }) => (
+  <View>
+    {types.map((entry) => {
+      const color = entry.points > 0 ? colors.success : colors.error;
+      return (
+        <View key={entry.type} style={styles.typeRow}>
+          <View style={styles.typeHeader}>
+            <Text style={[styles.typeLabel, { color: colors.textPrimary }]}>
+              {entry.label} <Text style={{ color: colors.textLight }}>×{entry.count}</Text>
+            </Text>
+            <Text style={[styles.typePoints, { color }]}>
+              {formatSignedPoints(entry.points)}
+            </Text>
+          </View>
+          <View style={[styles.track, { backgroundColor: colors.border }]}>
+            <View style={[styles.fill, { width: `${Math.round(entry.share * 100)}%`, backgroundColor: color }]} />
+          </View>
+        </View>
+      );
+    })}
+  </View>
+));
+
+const BalanceLine = memo(({ timeline, colors }) => {
+  const [width, setWidth] = useState(0);
+  const balances = timeline.map((point) => point.balance);
+  const min = Math.min(0, ...balances);
+  const max = Math.max(...balances);
+  const range = max - min || 1;
+
+  const coords = timeline.map((point, index) => ({
+    x: timeline.length === 1 ? width / 2 : (index / (timeline.length - 1)) * width,
+    y: CHART_HEIGHT - ((point.balance - min) / range) * CHART_HEIGHT,
+  }));
+
+  return (
+    <View>
+      <View style={styles.lineLegend}>
+        <Text style={[styles.caption, { color: colors.textLight }]}>{max}</Text>
+      </View>
+      <View
+        style={[styles.lineArea, { height: CHART_HEIGHT, borderColor: colors.border }]}
+        onLayout={(event) => setWidth(event.nativeEvent.layout.width)}
+      >
+        {width > 0 &&
+          coords.slice(1).map((to, index) => {
+            const from = coords[index];
+            const dx = to.x - from.x;
+            const dy = to.y - from.y;
+            const length = Math.sqrt(dx * dx + dy * dy);
+            return (
+              <View
+                key={timeline[index + 1].day}
+                style={[
+                  styles.segment,
+                  {
+                    width: length,
+                    left: (from.x + to.x) / 2 - length / 2,
+                    top: (from.y + to.y) / 2 - LINE_WIDTH / 2,
+                    backgroundColor: colors.primary,
+                    transform: [{ rotate: `${Math.atan2(dy, dx)}rad` }],
+                  },
+                ]}
+              />
+            );
+          })}
+        {width > 0 && (
+          <View
+            style={[
+              styles.dot,
+              {
+                left: coords[coords.length - 1].x - DOT_SIZE / 2,
+                top: coords[coords.length - 1].y - DOT_SIZE / 2,
+                backgroundColor: colors.primary,
+              },
+            ]}
+          />
+        )}
+      </View>
+      <View style={styles.lineLegend}>
+        <Text style={[styles.caption, { color: colors.textLight }]}>{formatDay(timeline[0].date)}</Text>
+        <Text style={[styles.caption, { color: colors.textLight }]}>
+          {formatDay(timeline[timeline.length - 1].date)} · {balances[balances.length - 1]} pts
+        </Text>
+      </View>
+    </View>
+  );
+});
+
+const PointsInsights = () => {
+  const { colors } = useTheme();
+  const [periodId, setPeriodId] = useState(ANALYTICS_PERIODS[0].id);
+  const buckets = useSelector((state) => selectPointsByPeriod(state, periodId));
+  const types = useSelector(selectPointsByType);
+  const timeline = useSelector(selectBalanceTimeline);
+
+  if (types.length === 0) {
+    return (
+      <Text style={[styles.empty, { color: colors.textSecondary }]}>
+        Your charts appear once you've earned some points.
+      </Text>
+    );
+  }
+
+  return (
+    <View style={[styles.card, { backgroundColor: colors.surface, borderColor: colors.border }]}>
+      <View style={styles.periods}>
+        {ANALYTICS_PERIODS.map((period) => (
+          <CategoryChip
+            key={period.id}
+            label={period.label}
+            isSelected={period.id === periodId}
+            onPress={() => setPeriodId(period.id)}
+          />
+        ))}
+      </View>
+      <Text style={[styles.chartTitle, { color: colors.textPrimary }]}>Points earned</Text>
+      <PeriodChart buckets={buckets} colors={colors} />
+
+      <Text style={[styles.chartTitle, { color: colors.textPrimary }]}>By type</Text>
+      <TypeBreakdown types={types} colors={colors} />
+
+      <Text style={[styles.chartTitle, { color: colors.textPrimary }]}>Balance over time</Text>
+      <BalanceLine timeline={timeline} colors={colors} />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  card: { borderRadius: BorderRadius.md, padding: Spacing.md, borderWidth: 1 },
+  periods: { flexDirection: 'row' },
+  chartTitle: { fontSize: FontSize.md, fontWeight: '700', marginTop: Spacing.md, marginBottom: Spacing.sm },
+  bars: { flexDirection: 'row', alignItems: 'flex-end' },
+  barColumn: { flex: 1, alignItems: 'center', justifyContent: 'flex-end' },
+  barValue: { fontSize: 9, marginBottom: 2 },
+  bar: { width: '60%', borderTopLeftRadius: 3, borderTopRightRadius: 3 },
+  barLabels: { flexDirection: 'row', marginTop: Spacing.xs },
+  barLabel: { flex: 1, fontSize: 9, textAlign: 'center' },
+  caption: { fontSize: FontSize.xs, marginTop: Spacing.xs },
+  typeRow: { marginBottom: Spacing.sm },
+  typeHeader: { flexDirection: 'row', justifyContent: 'space-between', marginBottom: 3 },
+  typeLabel: { fontSize: FontSize.sm, fontWeight: '600' },
+  typePoints: { fontSize: FontSize.sm, fontWeight: '700' },
+  track: { height: 6, borderRadius: 3, overflow: 'hidden' },
+  fill: { height: '100%', borderRadius: 3 },
+  lineLegend: { flexDirection: 'row', justifyContent: 'space-between' },
+  lineArea: { borderLeftWidth: 1, borderBottomWidth: 1, position: 'relative' },
+  segment: { position: 'absolute', height: LINE_WIDTH, borderRadius: LINE_WIDTH / 2 },
+  dot: { position: 'absolute', width: DOT_SIZE, height: DOT_SIZE, borderRadius: DOT_SIZE / 2 },
+  empty: { fontSize: FontSize.sm },
+});
+
+export default PointsInsights;
@@ -1,13 +1,15 @@
 /**
  * ProductCard — memoized, dark-mode-aware product card.
+ * Pass `campaign` to tag a product that an active campaign boosts.
  */
 
 import React, { memo } from 'react';
 import { View, Text, Image, StyleSheet, TouchableOpacity } from 'react-native';
 import { useTheme } from '../theme/ThemeContext';
 import { Spacing, FontSize, BorderRadius } from '../theme';
+import { getCampaignTag } from '../utils/campaigns';
 
-const ProductCard = ({ product, onPress, isFavorite }) => {
+const ProductCard = ({ product, onPress, isFavorite, campaign }) => {
   const { colors } = useTheme();
 
   return (
@@ -31,6 +33,13 @@ const ProductCard = ({ product, onPress, isFavorite }) => {
             <Text style={styles.favIcon}>❤️</Text>
           </View>
         )}
+        {campaign && (
+          <View style={[styles.campaignTag, { backgroundColor: campaign.color }]}>
+            <Text style={[styles.campaignText, { color: colors.white }]}>
+              🔥 {getCampaignTag(campaign)}
+            </Text>
+          </View>
+        )}
       </View>
       <View style={styles.info}>
         <Text style={[styles.category, { color: colors.primary }]}>{product.category}</Text>
@@ -85,6 +94,15 @@ const styles = StyleSheet.create({
     elevation: 2,
   },
   favIcon: { fontSize: 14 },
+  campaignTag: {
+    position: 'absolute',
+    top: Spacing.sm,
+    left: Spacing.sm,
+    borderRadius: BorderRadius.full,
+    paddingHorizontal: Spacing.sm,
+    paddingVertical: 3,
+  },
+  campaignText: { fontSize: FontSize.xs, fontWeight: '700' },
   info: { padding: Spacing.md },
   category: {
     fontSize: FontSize.xs,
@@ -0,0 +1,112 @@
+/**
+ * ReferralCard — the member's own referral code (with share) and, until
+ * they have used one, a field to enter a friend's code.
+ */
+
+import React, { useState } from 'react';
+import { View, Text, StyleSheet, Share, TouchableOpacity, Platform } from 'react-native';
+import { useDispatch, useSelector } from 'react-redux';
+import { applyReferralCode, selectOwnRedemption } from '../redux/slices/referralsSlice';
+import { getReferralCode } from '../utils/referrals';
+import { REFERRAL_BONUS } from '../utils/constants';
+import CustomInput from './CustomInput';
+import CustomButton from './CustomButton';
+import { useTheme } from '../theme/ThemeContext';
+import { Spacing, FontSize, BorderRadius } from '../theme';
+
+const ReferralCard = () => {
+  const dispatch = useDispatch();
+  const { colors } = useTheme();
+  const user = useSelector((state) => state.auth.user);
+  const redemption = useSelector(selectOwnRedemption);
+  const [code, setCode] = useState('');
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  if (!user) return null;
+  const ownCode = getReferralCode(user.id);
+
+  const handleShare = () => {
+    Share.share({
+      message: `Join me on RewardLoop! Use my referral code ${ownCode} and we both get ${REFERRAL_BONUS.REFEREE} points.`,
+    }).catch(() => {});
+  };
+
+  const handleApply = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      await dispatch(applyReferralCode(code)).unwrap();
+      setCode('');
+    } catch (message) {
+      setError(message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <View style={[styles.card, { backgroundColor: colors.surface, borderColor: colors.border }]}>
+      <Text style={[styles.label, { color: colors.textSecondary }]}>
+        Share your code — you both earn {REFERRAL_BONUS.REFERRER} points
+      </Text>
+      <View style={styles.codeRow}>
+        <Text style={[styles.code, { color: colors.primary }]} selectable>{ownCode}</Text>
+        <TouchableOpacity onPress={handleShare} hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}>
+          <Text style={[styles.share, { color: colors.primary }]}>Share</Text>
+        </TouchableOpacity>
+      </View>
+
+      {redemption ? (
+        <Text style={[styles.joined, { color: colors.success }]}>
+          ✅ You joined with code {redemption.code}
+        </Text>
+      ) : (
+        <View style={styles.enter}>
+          <CustomInput
+            label="Have a friend's code?"
+            value={code}
+            onChangeText={(text) => {
+              setCode(text);
+              if (error) setError(null);
+            }}
+            placeholder="e.g. RL-1A-3F9A"
+            error={error}
+            icon="🤝"
+            autoCapitalize="characters"
+            autoCorrect={false}
+          />
+          <CustomButton
+            title="Apply Code"
+            variant="outline"
+            onPress={handleApply}
+            loading={loading}
+            disabled={!code.trim()}
+          />
+        </View>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  card: { borderRadius: BorderRadius.md, padding: Spacing.md, borderWidth: 1 },
+  label: { fontSize: FontSize.sm, fontWeight: '600' },
+  codeRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginTop: Spacing.sm,
+  },
+  code: {
+    fontSize: FontSize.xl,
+    fontWeight: '800',
+    letterSpacing: 1,
+    fontFamily: Platform.OS === 'ios' ? 'Menlo' : 'monospace',
+  },
+  share: { fontSize: FontSize.md, fontWeight: '700' },
+  joined: { fontSize: FontSize.sm, fontWeight: '600', marginTop: Spacing.md },
+  enter: { marginTop: Spacing.md },
+});
+
+export default ReferralCard;
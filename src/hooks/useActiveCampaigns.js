@@ -0,0 +1,43 @@
+/**
+ * useActiveCampaigns — the campaigns running right now, for banners,
+ * product tags and points projections.
+ *
+ * WHY a hook instead of a selector?
+ * - "Active" depends on the clock, which no store update signals; the
+ *   hook re-checks every minute so a campaign appears and disappears on
+ *   time without the screen being reopened
+ *
+ * Usage:
+ *   const campaigns = useActiveCampaigns();
+ */
+
+import { useEffect, useMemo, useState } from 'react';
+import { useSelector } from 'react-redux';
+import { getActiveCampaigns } from '../utils/campaigns';
+
+const REFRESH_MS = 60 * 1000;
+
+const getActiveKey = (now, categories) =>
+  getActiveCampaigns(now, categories).map((campaign) => campaign.id).join('|');
+
+const useActiveCampaigns = () => {
+  const categories = useSelector((state) => state.products.categories);
+  const [now, setNow] = useState(() => new Date().toISOString());
+
+  useEffect(() => {
+    const timer = setInterval(() => {
+      const next = new Date().toISOString();
+      // Only move the clock when the active set changes, so the array below
+      // stays the same and memoized selectors and React.memo children don't
+      // recompute every minute
+      setNow((current) =>
+        getActiveKey(current, categories) === getActiveKey(next, categories) ? current : next
+      );
+    }, REFRESH_MS);
+    return () => clearInterval(timer);
+  }, [categories]);
+
+  return useMemo(() => getActiveCampaigns(now, categories), [now, categories]);
+};
+
+export default useActiveCampaigns;
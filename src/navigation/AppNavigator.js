@@ -4,10 +4,16 @@
 
 import React, { useEffect, useState } from 'react';
 import { useSelector, useDispatch } from 'react-redux';
-import { NavigationContainer, DefaultTheme, DarkTheme as NavDarkTheme } from '@react-navigation/native';
+import {
+  NavigationContainer,
+  DefaultTheme,
+  DarkTheme as NavDarkTheme,
+  useNavigation,
+} from '@react-navigation/native';
 import { createNativeStackNavigator } from '@react-navigation/native-stack';
 import { createBottomTabNavigator } from '@react-navigation/bottom-tabs';
 import {
+  AppState,
   Text,
   View,
   Switch,
@@ -15,27 +21,39 @@ import {
   TouchableOpacity,
   ActivityIndicator,
 } from 'react-native';
-import AsyncStorage from '@react-native-async-storage/async-storage';
 import { useTheme } from '../theme/ThemeContext';
 import { Spacing, FontSize, BorderRadius } from '../theme';
-import { STORAGE_KEYS } from '../utils/constants';
 
-import { setCredentials, logoutUser } from '../redux/slices/authSlice';
-import { setLoyaltyData } from '../redux/slices/loyaltySlice';
-import { setFavorites } from '../redux/slices/favoritesSlice';
+import { restoreSession, logoutUser } from '../redux/slices/authSlice';
+import { setAccounts, loadUserData } from '../redux/slices/accountsSlice';
+import { dailyCheckIn, selectMembershipLevel } from '../redux/slices/loyaltySlice';
+import { syncLoyalty } from '../redux/slices/syncSlice';
+import { setReferrals } from '../redux/slices/referralsSlice';
+import { selectCartSummary } from '../redux/slices/cartSlice';
+import {
+  setTransfers,
+  receiveTransfers,
+  deliverPendingTransfers,
+} from '../redux/slices/transfersSlice';
+import { loadReferrals, loadTransfers, loadAccounts } from '../utils/storage';
 
 import LoginScreen from '../screens/LoginScreen';
+import RegisterScreen from '../screens/RegisterScreen';
 import ProductListScreen from '../screens/ProductListScreen';
 import ProductDetailScreen from '../screens/ProductDetailScreen';
 import FavoritesScreen from '../screens/FavoritesScreen';
+import CartScreen from '../screens/CartScreen';
+import OrderHistoryScreen from '../screens/OrderHistoryScreen';
 import RewardsScreen from '../screens/RewardsScreen';
+import ProfileScreen from '../screens/ProfileScreen';
 
 const Stack = createNativeStackNavigator();
 const Tab = createBottomTabNavigator();
 
-/** Brand title + points badge centered in header */
+/** Brand title + points badge + membership level centered in header */
 const HeaderTitle = () => {
   const points = useSelector((state) => state.loyalty.points);
+  const level = useSelector(selectMembershipLevel);
   const { colors } = useTheme();
   return (
     <View style={styles.brandHeader}>
@@ -44,16 +62,31 @@ const HeaderTitle = () => {
         <Text style={styles.pointsIcon}>⭐</Text>
         <Text style={[styles.pointsText, { color: colors.goldDark }]}>{points}</Text>
       </View>
+      <View
+        style={[styles.levelBadge, { backgroundColor: level.color + '25' }]}
+        accessibilityLabel={`${level.label} member`}
+      >
+        <Text style={styles.pointsIcon}>{level.icon}</Text>
+      </View>
     </View>
   );
 };
 
-/** Theme switch + Logout in header */
+/** Profile shortcut + theme switch + Logout in header */
 const HeaderRight = () => {
   const dispatch = useDispatch();
+  const navigation = useNavigation();
   const { isDark, toggleTheme, colors } = useTheme();
   return (
     <View style={styles.headerRight}>
+      <TouchableOpacity
+        onPress={() => navigation.navigate('Profile')}
+        hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+        accessibilityLabel="My profile"
+        style={styles.profileButton}
+      >
+        <Text style={styles.profileIcon}>👤</Text>
+      </TouchableOpacity>
       <View style={styles.switchContainer}>
         <Text style={styles.switchLabel}>{isDark ? '🌙' : '☀️'}</Text>
         <Switch
@@ -104,9 +137,46 @@ const ProductsStack = () => {
   );
 };
 
+/** Cart stack — cart + order history */
+const CartStack = () => {
+  const { colors } = useTheme();
+  return (
+    <Stack.Navigator
+      screenOptions={{
+        headerStyle: { backgroundColor: colors.surface },
+        headerTintColor: colors.textPrimary,
+        headerTitleStyle: { fontWeight: '600', fontSize: FontSize.lg },
+        headerShadowVisible: false,
+      }}
+    >
+      <Stack.Screen
+        name="Cart"
+        component={CartScreen}
+        options={({ navigation }) => ({
+          title: '🛒 Cart',
+          headerRight: () => (
+            <TouchableOpacity
+              onPress={() => navigation.navigate('OrderHistory')}
+              hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+            >
+              <Text style={[styles.headerLink, { color: colors.primary }]}>Orders</Text>
+            </TouchableOpacity>
+          ),
+        })}
+      />
+      <Stack.Screen
+        name="OrderHistory"
+        component={OrderHistoryScreen}
+        options={{ title: '🧾 Order History' }}
+      />
+    </Stack.Navigator>
+  );
+};
+
 /** Main bottom tabs */
 const MainTabs = () => {
   const { colors } = useTheme();
+  const { itemCount } = useSelector(selectCartSummary);
   return (
     <Tab.Navigator
       screenOptions={{
@@ -144,6 +214,15 @@ const MainTabs = () => {
           tabBarIcon: ({ color }) => <Text style={[styles.tabIcon, { color }]}>❤️</Text>,
         }}
       />
+      <Tab.Screen
+        name="CartTab"
+        component={CartStack}
+        options={{
+          tabBarLabel: 'Cart',
+          tabBarBadge: itemCount > 0 ? itemCount : undefined,
+          tabBarIcon: ({ color }) => <Text style={[styles.tabIcon, { color }]}>🛒</Text>,
+        }}
+      />
       <Tab.Screen
         name="RewardsTab"
         component={RewardsScreen}
@@ -166,9 +245,16 @@ const MainTabs = () => {
 const AppNavigator = () => {
   const dispatch = useDispatch();
   const isLoggedIn = useSelector((state) => state.auth.isLoggedIn);
-  const { colors, isDark } = useTheme();
+  const userId = useSelector((state) => state.auth.user?.id ?? null);
+  const isSwitching = useSelector((state) => state.accounts.switchingId != null);
+  const { colors, isDark, setThemeUser } = useTheme();
   const [isHydrating, setIsHydrating] = useState(true);
 
+  // Each account keeps its own light/dark preference
+  useEffect(() => {
+    setThemeUser(userId);
+  }, [setThemeUser, userId]);
+
   // Custom nav themes that match our palette
   const navTheme = {
     ...(isDark ? NavDarkTheme : DefaultTheme),
@@ -185,15 +271,19 @@ const AppNavigator = () => {
   useEffect(() => {
     const hydrateAuth = async () => {
       try {
-        const token = await AsyncStorage.getItem(STORAGE_KEYS.AUTH_TOKEN);
-        const userJson = await AsyncStorage.getItem(STORAGE_KEYS.USER_DATA);
-        if (token) {
-          const user = userJson ? JSON.parse(userJson) : null;
-          dispatch(setCredentials({ token, user }));
-          const loyaltyJson = await AsyncStorage.getItem(STORAGE_KEYS.LOYALTY_DATA);
-          if (loyaltyJson) dispatch(setLoyaltyData(JSON.parse(loyaltyJson)));
-          const favoritesJson = await AsyncStorage.getItem(STORAGE_KEYS.FAVORITES);
-          if (favoritesJson) dispatch(setFavorites(JSON.parse(favoritesJson)));
+        // Device-wide, and needed by LoginScreen too — load even when signed out
+        const referrals = await loadReferrals();
+        if (referrals) dispatch(setReferrals(referrals));
+        const transfers = await loadTransfers();
+        if (transfers) dispatch(setTransfers(transfers));
+        dispatch(setAccounts(await loadAccounts()));
+        // Re-attaches and validates the saved token (falls back to the
+        // cached user offline); a rejected session lands on Login
+        const session = await dispatch(restoreSession());
+        if (restoreSession.fulfilled.match(session) && session.payload) {
+          // The member's own data, plus the check-in persisted sessions
+          // would otherwise miss (they never pass through LoginScreen)
+          await dispatch(loadUserData());
         }
       } catch (err) {
         console.warn('Auth hydration failed:', err);
@@ -204,7 +294,22 @@ const AppNavigator = () => {
     hydrateAuth();
   }, [dispatch]);
 
-  if (isHydrating) {
+  // Daily check-in + outbox retry whenever the app comes back to the foreground
+  useEffect(() => {
+    if (!isLoggedIn) return undefined;
+    const subscription = AppState.addEventListener('change', (nextState) => {
+      if (nextState === 'active') {
+        dispatch(dailyCheckIn());
+        dispatch(receiveTransfers());
+        // Retry anything that queued up while offline
+        dispatch(deliverPendingTransfers());
+        dispatch(syncLoyalty());
+      }
+    });
+    return () => subscription.remove();
+  }, [dispatch, isLoggedIn]);
+
+  if (isHydrating || isSwitching) {
     return (
       <View style={[styles.splash, { backgroundColor: colors.background }]}>
         <Text style={styles.splashLogo}>🎁</Text>
@@ -218,9 +323,37 @@ const AppNavigator = () => {
     <NavigationContainer theme={navTheme}>
       <Stack.Navigator screenOptions={{ headerShown: false }}>
         {isLoggedIn ? (
-          <Stack.Screen name="Main" component={MainTabs} />
+          <>
+            <Stack.Screen name="Main" component={MainTabs} />
+            <Stack.Screen
+              name="Profile"
+              component={ProfileScreen}
+              options={{
+                title: '👤 My Profile',
+                headerShown: true,
+                headerStyle: { backgroundColor: colors.surface },
+                headerTintColor: colors.textPrimary,
+                headerTitleStyle: { fontWeight: '600', fontSize: FontSize.lg },
+                headerShadowVisible: false,
+              }}
+            />
+          </>
         ) : (
-          <Stack.Screen name="Login" component={LoginScreen} />
+          <>
+            <Stack.Screen name="Login" component={LoginScreen} />
+            <Stack.Screen
+              name="Register"
+              component={RegisterScreen}
+              options={{
+                title: 'Create Account',
+                headerShown: true,
+                headerStyle: { backgroundColor: colors.surface },
+                headerTintColor: colors.textPrimary,
+                headerTitleStyle: { fontWeight: '600', fontSize: FontSize.lg },
+                headerShadowVisible: false,
+              }}
+            />
+          </>
         )}
       </Stack.Navigator>
     </NavigationContainer>
@@ -246,13 +379,23 @@ const styles = StyleSheet.create({
     marginLeft: Spacing.sm,
   },
   pointsIcon: { fontSize: 14, marginRight: 4 },
+  levelBadge: {
+    borderRadius: BorderRadius.full,
+    paddingLeft: Spacing.xs + 2,
+    paddingRight: 2,
+    paddingVertical: 4,
+    marginLeft: Spacing.xs,
+  },
   pointsText: { fontSize: FontSize.sm, fontWeight: '700' },
   // ── Header right ──
   headerRight: { flexDirection: 'row', alignItems: 'center', marginRight: Spacing.sm },
+  profileButton: { marginRight: Spacing.md },
+  profileIcon: { fontSize: 18 },
   switchContainer: { flexDirection: 'row', alignItems: 'center', marginRight: Spacing.md },
   switchLabel: { fontSize: 14, marginRight: 4 },
   switch: { transform: [{ scale: 0.8 }] },
   logoutText: { fontSize: FontSize.md, fontWeight: '600' },
+  headerLink: { fontSize: FontSize.md, fontWeight: '600' },
   // ── Splash ──
   splash: { flex: 1, justifyContent: 'center', alignItems: 'center' },
   splashLogo: { fontSize: 64, marginBottom: Spacing.sm },
@@ -0,0 +1,257 @@
+/**
+ * accountsSlice — remembered accounts and loading each member's own data.
+ *
+ * How it works:
+ * 1. Every account that signs in on this device is remembered with its
+ *    token pair (STORAGE_KEYS.ACCOUNTS, unencrypted — see saveAccounts).
+ *    A listener keeps the entry current on login, session restore, token
+ *    refresh and profile edits.
+ * 2. Member data (loyalty, coupons, outbox, favorites, cart, orders) is
+ *    stored per user — see USER_SCOPED_KEYS. loadUserData reads the
+ *    signed-in member's copy (moving data saved before keys were per user
+ *    first), then marks it loaded (auth.dataUserId) so saving can start,
+ *    and runs the sign-in chores: check-in, referral rewards, transfers, sync.
+ * 3. On logout the member's data is cleared from the store. The account
+ *    stays remembered until it is forgotten from the AccountSwitcher; only
+ *    a session that expired (logoutUser({ expired: true })) forgets it.
+ * 4. switchAccount signs the current member out (still remembered) and
+ *    restores the chosen account's saved session through restoreSession, so
+ *    an expired token is refreshed — or the account forgotten — as at boot.
+ */
+
+import { createSlice, createSelector, createAsyncThunk, isAnyOf } from '@reduxjs/toolkit';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { STORAGE_KEYS } from '../../utils/constants';
+import {
+  getUserStorageKey,
+  migrateLegacyUserData,
+  loadSyncState,
+  loadCoupons,
+  loadFavorites,
+  loadCart,
+  loadOrders,
+  saveAccounts,
+} from '../../utils/storage';
+import {
+  loginUser,
+  registerUser,
+  logoutUser,
+  restoreSession,
+  tokenRefreshed,
+  updateProfile,
+  userDataLoaded,
+  SESSION_EXPIRED_MESSAGE,
+} from './authSlice';
+import {
+  setLoyaltyData,
+  expirePoints,
+  expireCoupons,
+  evaluateLevel,
+  persistLoyaltyData,
+  dailyCheckIn,
+  resetLoyalty,
+} from './loyaltySlice';
+import { setFavorites } from './favoritesSlice';
+import { setSyncState, queueExistingLedger, syncLoyalty } from './syncSlice';
+import { setMissions } from './missionsSlice';
+import { setAchievements } from './achievementsSlice';
+import { claimReferralRewards } from './referralsSlice';
+import { setCart } from './cartSlice';
+import { setOrders } from './ordersSlice';
+import { receiveTransfers, deliverPendingTransfers } from './transfersSlice';
+
+// Enough of the profile to show the account in a switcher
+const ACCOUNT_FIELDS = ['id', 'username', 'firstName', 'lastName', 'image'];
+
+const toAccountProfile = (source) =>
+  Object.fromEntries(ACCOUNT_FIELDS.map((field) => [field, source[field] ?? null]));
+
+/**
+ * loadUserData thunk — hydrates the signed-in member's saved data.
+ * Dispatch once the user is known: after restoreSession on boot, after
+ * loginUser or registerUser, and by switchAccount. Resolves with the user id (null if
+ * nobody is signed in).
+ */
+export const loadUserData = createAsyncThunk(
+  'accounts/loadUserData',
+  async (_, { dispatch, getState }) => {
+    const userId = getState().auth.user?.id;
+    if (userId == null) return null;
+
+    await migrateLegacyUserData(userId);
+    // Outbox first, so entries written during hydration aren't overwritten
+    const syncState = await loadSyncState(userId);
+    if (syncState) dispatch(setSyncState(syncState));
+    const loyaltyJson = await AsyncStorage.getItem(
+      getUserStorageKey(STORAGE_KEYS.LOYALTY_DATA, userId)
+    );
+    if (loyaltyJson) {
+      const loyaltyData = JSON.parse(loyaltyJson);
+      // Wallets saved before STORAGE_KEYS.COUPONS existed live in the loyalty data
+      const coupons = await loadCoupons(userId);
+      // Badges first, so the unlock check on hydration keeps their dates
+      dispatch(setAchievements(loyaltyData.achievements));
+      dispatch(setLoyaltyData({ ...loyaltyData, coupons: coupons ?? loyaltyData.coupons }));
+      dispatch(setMissions(loyaltyData.missions));
+      // Expiry sweep — lots that lapsed while the app was closed
+      dispatch(expirePoints());
+      dispatch(expireCoupons());
+      // Status may drop once old earnings leave the rolling window
+      dispatch(evaluateLevel());
+    }
+    dispatch(setFavorites(await loadFavorites(userId)));
+    dispatch(setCart(await loadCart(userId)));
+    dispatch(setOrders(await loadOrders(userId)));
+
+    // Everything is in the store — saving under this user is safe from here
+    dispatch(userDataLoaded(userId));
+    if (loyaltyJson) dispatch(persistLoyaltyData());
+
+    dispatch(dailyCheckIn());
+    dispatch(claimReferralRewards());
+    dispatch(receiveTransfers());
+    dispatch(deliverPendingTransfers());
+    dispatch(queueExistingLedger());
+    dispatch(syncLoyalty());
+    return userId;
+  }
+);
+
+/**
+ * switchAccount thunk — signs in as another remembered account.
+ * Resolves with the account id; rejects with a message (and forgets the
+ * account) when its saved session is no longer accepted.
+ */
+export const switchAccount = createAsyncThunk(
+  'accounts/switch',
+  async (accountId, { dispatch, getState, rejectWithValue }) => {
+    const account = getState().accounts.list.find((item) => item.id === accountId);
+    if (!account) return rejectWithValue('That account is no longer remembered. Please sign in.');
+    if (getState().auth.user?.id === accountId) return accountId;
+
+    if (getState().auth.isLoggedIn) await dispatch(logoutUser());
+
+    // Saved the way loginUser saves a session, then validated as at boot
+    await AsyncStorage.multiSet([
+      [STORAGE_KEYS.AUTH_TOKEN, account.token],
+      [STORAGE_KEYS.USER_DATA, JSON.stringify(toAccountProfile(account))],
+      ...(account.refreshToken ? [[STORAGE_KEYS.REFRESH_TOKEN, account.refreshToken]] : []),
+    ]);
+    const session = await dispatch(restoreSession());
+    if (!restoreSession.fulfilled.match(session) || !session.payload) {
+      dispatch(forgetAccount(accountId));
+      return rejectWithValue(session.payload || SESSION_EXPIRED_MESSAGE);
+    }
+    await dispatch(loadUserData());
+    return accountId;
+  }
+);
+
+const initialState = {
+  list: [],           // [{ id, username, firstName, lastName, image, token, refreshToken, lastUsedAt }], most recent first
+  switchingId: null,  // Account being switched to
+};
+
+const accountsSlice = createSlice({
+  name: 'accounts',
+  initialState,
+  reducers: {
+    /**
+     * Remember (or update) the signed-in account.
+     * Payload: { user, token, refreshToken }; the time is added in `prepare`.
+     */
+    rememberAccount: {
+      reducer: (state, action) => {
+        const account = action.payload;
+        state.list = [account, ...state.list.filter((item) => item.id !== account.id)];
+      },
+      prepare: ({ user, token, refreshToken }) => ({
+        payload: {
+          ...toAccountProfile(user),
+          token,
+          refreshToken: refreshToken || null,
+          lastUsedAt: new Date().toISOString(),
+        },
+      }),
+    },
+
+    /** Drop a remembered account and its tokens. Payload: account id */
+    forgetAccount: (state, action) => {
+      state.list = state.list.filter((item) => item.id !== action.payload);
+    },
+
+    /** Hydrate from AsyncStorage on app boot */
+    setAccounts: (state, action) => {
+      state.list = action.payload || [];
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+      .addCase(switchAccount.pending, (state, action) => {
+        state.switchingId = action.meta.arg;
+      })
+      .addCase(switchAccount.fulfilled, (state) => {
+        state.switchingId = null;
+      })
+      .addCase(switchAccount.rejected, (state) => {
+        state.switchingId = null;
+      });
+  },
+});
+
+export const { rememberAccount, forgetAccount, setAccounts } = accountsSlice.actions;
+
+/**
+ * Wire remembered accounts and per-user data into the store. Called once
+ * from store.js with the listener middleware's startListening.
+ */
+export const registerAccountListeners = (startListening) => {
+  // Keep the signed-in account (and its latest tokens) remembered
+  startListening({
+    matcher: isAnyOf(
+      loginUser.fulfilled,
+      registerUser.fulfilled,
+      restoreSession.fulfilled,
+      tokenRefreshed,
+      updateProfile.fulfilled
+    ),
+    effect: (action, listenerApi) => {
+      const { user, token, refreshToken } = listenerApi.getState().auth;
+      // restoreSession refreshes tokens before the user is known
+      if (!user || !token) return;
+      listenerApi.dispatch(rememberAccount({ user, token, refreshToken }));
+    },
+  });
+
+  // The next account must not inherit this member's points, cart or favorites
+  startListening({
+    actionCreator: logoutUser.fulfilled,
+    effect: (action, listenerApi) => {
+      const userId = listenerApi.getOriginalState().auth.user?.id;
+      listenerApi.dispatch(resetLoyalty());
+      listenerApi.dispatch(setFavorites([]));
+      listenerApi.dispatch(setCart([]));
+      listenerApi.dispatch(setOrders([]));
+      // Its tokens no longer work, so switching back would fail anyway
+      if (userId != null && action.meta.arg?.expired) {
+        listenerApi.dispatch(forgetAccount(userId));
+      }
+    },
+  });
+
+  // Persist the list whenever it changes
+  startListening({
+    matcher: isAnyOf(rememberAccount, forgetAccount),
+    effect: (action, listenerApi) => {
+      saveAccounts(listenerApi.getState().accounts.list);
+    },
+  });
+};
+
+/** Remembered accounts other than the signed-in one (memoized) */
+export const selectOtherAccounts = createSelector(
+  [(state) => state.accounts.list, (state) => state.auth.user?.id],
+  (accounts, userId) => accounts.filter((account) => account.id !== userId)
+);
+
+export default accountsSlice.reducer;
@@ -0,0 +1,91 @@
+/**
+ * achievementsSlice — unlocked milestone badges (see utils/achievements).
+ *
+ * How it works:
+ * 1. A store listener (registerAchievementListeners) re-evaluates the
+ *    catalog whenever the loyalty state, the favorites or the product
+ *    categories change — no screen has to remember to check.
+ * 2. Newly qualified badges are unlocked with a timestamp; a badge never
+ *    locks again, even if e.g. the favorite is removed later.
+ * 3. Unlocks are saved with the loyalty data (persistLoyaltyData) and
+ *    hydrated with setAchievements before the ledger, so existing badges
+ *    keep their original unlock time.
+ */
+
+import { createSlice, createSelector } from '@reduxjs/toolkit';
+import { ACHIEVEMENTS, findNewAchievements } from '../../utils/achievements';
+import { persistLoyaltyData, resetLoyalty } from './loyaltySlice';
+
+const initialState = {
+  unlocked: {}, // { [achievementId]: unlockedAt (ISO) }
+};
+
+const achievementsSlice = createSlice({
+  name: 'achievements',
+  initialState,
+  reducers: {
+    /** Payload: { ids: string[] }; the unlock time is added in `prepare` */
+    unlockAchievements: {
+      reducer: (state, action) => {
+        const { ids, unlockedAt } = action.payload;
+        ids.forEach((id) => {
+          if (!state.unlocked[id]) state.unlocked[id] = unlockedAt;
+        });
+      },
+      prepare: (payload) => ({
+        payload: { ...payload, unlockedAt: new Date().toISOString() },
+      }),
+    },
+
+    /** Hydrate from the saved loyalty data on app boot */
+    setAchievements: (state, action) => {
+      state.unlocked = action.payload || {};
+    },
+  },
+  extraReducers: (builder) => {
+    builder.addCase(resetLoyalty, () => initialState);
+  },
+});
+
+export const { unlockAchievements, setAchievements } = achievementsSlice.actions;
+
+/** The state the badge predicates look at */
+const getSnapshot = (state) => ({
+  transactions: state.loyalty.transactions,
+  streak: state.loyalty.streak,
+  level: state.loyalty.level,
+  favorites: state.favorites?.items || [],
+  categories: state.products?.categories || [],
+});
+
+/**
+ * Wire achievements into the store. Called once from store.js with the
+ * listener middleware's startListening.
+ */
+export const registerAchievementListeners = (startListening) => {
+  startListening({
+    predicate: (action, currentState, previousState) =>
+      currentState.loyalty !== previousState.loyalty ||
+      currentState.favorites?.items !== previousState.favorites?.items ||
+      currentState.products?.categories !== previousState.products?.categories,
+    effect: (action, listenerApi) => {
+      const state = listenerApi.getState();
+      const ids = findNewAchievements(getSnapshot(state), state.achievements.unlocked);
+      if (ids.length === 0) return;
+      listenerApi.dispatch(unlockAchievements({ ids }));
+      listenerApi.dispatch(persistLoyaltyData());
+    },
+  });
+};
+
+/** Badge catalog with each badge's unlock time (null while locked), memoized */
+export const selectAchievements = createSelector(
+  [(state) => state.achievements.unlocked],
+  (unlocked) =>
+    ACHIEVEMENTS.map(({ isUnlocked, ...achievement }) => ({
+      ...achievement,
+      unlockedAt: unlocked[achievement.id] || null,
+    }))
+);
+
+export default achievementsSlice.reducer;
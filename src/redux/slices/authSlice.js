@@ -5,14 +5,22 @@
  * 1. createAsyncThunk for loginUser — handles pending/fulfilled/rejected 
  *    lifecycle automatically, keeping the component clean of try/catch.
  * 2. Token + user data persisted to AsyncStorage so the session survives
- *    app restarts (hydrated on boot via setCredentials).
- * 3. The slice is the SINGLE source of truth for auth state — navigation
+ *    app restarts; restoreSession re-attaches the token on boot and checks
+ *    it with /auth/me before the user lands in the app.
+ * 3. The refresh token is persisted too; registerAuthRefresh lets authAPI
+ *    swap an expired access token for a new one on a 401, and logs the
+ *    user out if that fails.
+ * 4. The slice is the SINGLE source of truth for auth state — navigation
  *    reads isLoggedIn to switch between auth and main stacks.
+ * 5. dataUserId records whose saved data (loyalty, favorites, cart…) is in
+ *    the store. It is set by accountsSlice's loadUserData and cleared on
+ *    logout; per-user data is only saved under it, so a half-loaded store
+ *    can never overwrite a member's saved points.
  */
 
 import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
 import AsyncStorage from '@react-native-async-storage/async-storage';
-import { authAPI } from '../../services/api';
+import { authAPI, setAuthToken, configureAuthRefresh } from '../../services/api';
 import { STORAGE_KEYS } from '../../utils/constants';
 
 /**
@@ -21,7 +29,8 @@ import { STORAGE_KEYS } from '../../utils/constants';
  * DummyJSON test credentials:
  *   username: 'emilys'  password: 'emilyspass'
  * 
- * On success: stores token + user in AsyncStorage for persistence.
+ * On success: stores both tokens + user in AsyncStorage for persistence
+ * and attaches the access token to authAPI.
  * On failure: rejects with a user-friendly error message.
  */
 export const loginUser = createAsyncThunk(
@@ -33,16 +42,18 @@ export const loginUser = createAsyncThunk(
         password,
       });
 
-      const { accessToken, ...userData } = response.data;
+      const { accessToken, refreshToken, ...userData } = response.data;
 
       // Persist to AsyncStorage so session survives app restart
       await AsyncStorage.setItem(STORAGE_KEYS.AUTH_TOKEN, accessToken);
+      if (refreshToken) await AsyncStorage.setItem(STORAGE_KEYS.REFRESH_TOKEN, refreshToken);
       await AsyncStorage.setItem(
         STORAGE_KEYS.USER_DATA,
         JSON.stringify(userData)
       );
+      setAuthToken(accessToken);
 
-      return { token: accessToken, user: userData };
+      return { token: accessToken, refreshToken: refreshToken || null, user: userData };
     } catch (error) {
       // DummyJSON returns { message: "..." } on failure
       const message =
@@ -53,22 +64,196 @@ export const loginUser = createAsyncThunk(
   }
 );
 
+// Profile fields kept from /auth/me and /users/add (they also return address, bank, etc.)
+const PROFILE_FIELDS = ['id', 'username', 'email', 'firstName', 'lastName', 'gender', 'image'];
+
+const toProfile = (data) =>
+  PROFILE_FIELDS.reduce(
+    (profile, field) => (data[field] === undefined ? profile : { ...profile, [field]: data[field] }),
+    {}
+  );
+
+// Sessions started by registerUser carry `local:<user id>` instead of a
+// server token (DummyJSON's /users/add issues none); restoreSession
+// trusts them without asking /auth/me
+export const LOCAL_TOKEN_PREFIX = 'local:';
+
+const isLocalToken = (token) => Boolean(token?.startsWith(LOCAL_TOKEN_PREFIX));
+
+// Locally registered members get ids above every DummyJSON user id, so they
+// never share per-user data with a server account or with each other
+const LOCAL_USER_ID_MIN = 1000000;
+
+const createLocalUserId = (takenIds) => {
+  let id;
+  do {
+    id = LOCAL_USER_ID_MIN + Math.floor(Math.random() * 1e9);
+  } while (takenIds.includes(id));
+  return id;
+};
+
+/**
+ * registerUser thunk — creates an account with POST /users/add and starts
+ * a session for the new member straight from the response.
+ *
+ * DummyJSON only simulates /users/add: it echoes the user with an id but
+ * saves nothing and issues no tokens, so /auth/login would reject the new
+ * credentials. The session is therefore local (LOCAL_TOKEN_PREFIX) and
+ * persisted like loginUser's, so the member stays signed in and appears in
+ * the account switcher. DummyJSON also returns the same id for every new
+ * user, so the member gets a random local id instead, saved with the
+ * account, and a username already remembered on this device is refused.
+ *
+ * On success: resolves with { token, refreshToken: null, user }.
+ * On failure: rejects with a user-friendly error message.
+ *
+ * @param {Object} details - { firstName, lastName, username, email, password }
+ */
+export const registerUser = createAsyncThunk(
+  'auth/registerUser',
+  async (details, { getState, rejectWithValue }) => {
+    const accounts = getState().accounts?.list || [];
+    const username = details.username.trim().toLowerCase();
+    if (accounts.some((account) => account.username.toLowerCase() === username)) {
+      return rejectWithValue('That username is already registered on this device.');
+    }
+
+    let response;
+    try {
+      // No session yet — a 401 here is not an expired token
+      response = await authAPI.post('/users/add', details, { skipAuthRefresh: true });
+    } catch (error) {
+      const message =
+        error.response?.data?.message ||
+        'Could not create your account. Please try again.';
+      return rejectWithValue(message);
+    }
+
+    // The response echoes the password too — keep only the profile
+    const user = {
+      ...toProfile(response.data),
+      id: createLocalUserId(accounts.map((account) => account.id)),
+    };
+    const token = `${LOCAL_TOKEN_PREFIX}${user.id}`;
+    await AsyncStorage.multiSet([
+      [STORAGE_KEYS.AUTH_TOKEN, token],
+      [STORAGE_KEYS.USER_DATA, JSON.stringify(user)],
+    ]);
+    await AsyncStorage.removeItem(STORAGE_KEYS.REFRESH_TOKEN);
+    setAuthToken(null);
+    return { token, refreshToken: null, user };
+  }
+);
+
+/** Shown on the Login screen when a saved session can no longer be used */
+export const SESSION_EXPIRED_MESSAGE = 'Your session has expired. Please log in again.';
+
 /**
- * logoutUser thunk — clears persisted auth data.
+ * restoreSession thunk — brings back a persisted session on app boot.
+ *
+ * The saved token is attached to authAPI and validated with GET /auth/me
+ * (an expired access token is refreshed by the 401 interceptor on the way).
+ * On success the stored profile is refreshed from the response.
+ *
+ * Resolves with { token, refreshToken, user, offline }, or null when no
+ * session was saved. If the server rejects the session it is cleared and
+ * the thunk rejects with SESSION_EXPIRED_MESSAGE. Offline (or when the
+ * auth server fails) the cached user is trusted, with `offline: true`;
+ * later requests still hit the 401 interceptor if the token is stale.
+ * A local session from registerUser has nothing to validate and is
+ * restored from the cached user.
+ */
+export const restoreSession = createAsyncThunk(
+  'auth/restoreSession',
+  async (_, { dispatch, getState, rejectWithValue }) => {
+    const [[, token], [, refreshToken], [, userJson]] = await AsyncStorage.multiGet([
+      STORAGE_KEYS.AUTH_TOKEN,
+      STORAGE_KEYS.REFRESH_TOKEN,
+      STORAGE_KEYS.USER_DATA,
+    ]);
+    if (!token) return null;
+    const cachedUser = userJson ? JSON.parse(userJson) : null;
+    if (isLocalToken(token)) {
+      return cachedUser ? { token, refreshToken: null, user: cachedUser, offline: false } : null;
+    }
+
+    setAuthToken(token);
+    // Gives the 401 interceptor the refresh token before anything is sent
+    dispatch(tokenRefreshed({ token, refreshToken }));
+
+    try {
+      const response = await authAPI.get('/auth/me');
+      const user = { ...cachedUser, ...toProfile(response.data) };
+      await AsyncStorage.setItem(STORAGE_KEYS.USER_DATA, JSON.stringify(user));
+      // The interceptor may have swapped the token pair while validating
+      const { auth } = getState();
+      return { token: auth.token, refreshToken: auth.refreshToken, user, offline: false };
+    } catch (error) {
+      const status = error.response?.status;
+      if (status === 401 || status === 403) {
+        await dispatch(logoutUser({ expired: true }));
+        return rejectWithValue(SESSION_EXPIRED_MESSAGE);
+      }
+      return { token, refreshToken, user: cachedUser, offline: true };
+    }
+  }
+);
+
+/**
+ * updateProfile thunk — saves edits to the signed-in user's profile with
+ * PUT /users/:id (DummyJSON simulates the update and echoes the user).
+ * Members from registerUser don't exist on the server, so their edits are
+ * only saved on the device.
+ *
+ * On success: the profile is updated in the slice and STORAGE_KEYS.USER_DATA.
+ * On failure: rejects with a user-friendly error message.
+ *
+ * @param {Object} changes - e.g. { firstName, lastName, email }
+ */
+export const updateProfile = createAsyncThunk(
+  'auth/updateProfile',
+  async (changes, { getState, rejectWithValue }) => {
+    const { user, token } = getState().auth;
+    if (!user) return rejectWithValue('You need to be signed in to edit your profile.');
+    try {
+      const saved = isLocalToken(token)
+        ? changes
+        : (await authAPI.put(`/users/${user.id}`, changes)).data;
+      const updated = { ...user, ...toProfile(saved), id: user.id };
+      await AsyncStorage.setItem(STORAGE_KEYS.USER_DATA, JSON.stringify(updated));
+      return updated;
+    } catch (error) {
+      const message =
+        error.response?.data?.message ||
+        'Could not update your profile. Please try again.';
+      return rejectWithValue(message);
+    }
+  }
+);
+
+/**
+ * logoutUser thunk — clears persisted auth data and the authAPI header.
+ * Pass { expired: true } when the session ended on its own, so the Login
+ * screen can say so (and the account is forgotten — see accountsSlice).
  */
 export const logoutUser = createAsyncThunk('auth/logoutUser', async () => {
+  setAuthToken(null);
   await AsyncStorage.multiRemove([
     STORAGE_KEYS.AUTH_TOKEN,
+    STORAGE_KEYS.REFRESH_TOKEN,
     STORAGE_KEYS.USER_DATA,
   ]);
 });
 
 const initialState = {
   token: null,
+  refreshToken: null,
   user: null,
   isLoggedIn: false,
   loading: false,
   error: null,
+  sessionExpired: false, // Set when a saved session was rejected; cleared on next login
+  dataUserId: null,      // Whose saved data is loaded in the store (see accountsSlice)
 };
 
 const authSlice = createSlice({
@@ -81,11 +266,23 @@ const authSlice = createSlice({
      */
     setCredentials: (state, action) => {
       state.token = action.payload.token;
+      state.refreshToken = action.payload.refreshToken || null;
       state.user = action.payload.user || null;
       state.isLoggedIn = true;
       state.error = null;
     },
 
+    /** New token pair from /auth/refresh. Payload: { token, refreshToken } */
+    tokenRefreshed: (state, action) => {
+      state.token = action.payload.token;
+      state.refreshToken = action.payload.refreshToken;
+    },
+
+    /** The signed-in user's saved data is in the store. Payload: userId */
+    userDataLoaded: (state, action) => {
+      state.dataUserId = action.payload;
+    },
+
     /** Clear any previous error (e.g., when user re-types) */
     clearError: (state) => {
       state.error = null;
@@ -97,10 +294,12 @@ const authSlice = createSlice({
       .addCase(loginUser.pending, (state) => {
         state.loading = true;
         state.error = null;
+        state.sessionExpired = false;
       })
       .addCase(loginUser.fulfilled, (state, action) => {
         state.loading = false;
         state.token = action.payload.token;
+        state.refreshToken = action.payload.refreshToken;
         state.user = action.payload.user;
         state.isLoggedIn = true;
       })
@@ -109,10 +308,62 @@ const authSlice = createSlice({
         state.error = action.payload || 'An unexpected error occurred.';
       });
 
+    // ── Sign-up (the Register screen shows its own errors) ──
+    builder.addCase(registerUser.fulfilled, (state, action) => {
+      state.token = action.payload.token;
+      state.refreshToken = null;
+      state.user = action.payload.user;
+      state.isLoggedIn = true;
+      state.error = null;
+      state.sessionExpired = false;
+    });
+
+    // ── Boot-time session check ──
+    builder.addCase(restoreSession.fulfilled, (state, action) => {
+      if (!action.payload) return;
+      state.token = action.payload.token;
+      state.refreshToken = action.payload.refreshToken;
+      state.user = action.payload.user;
+      state.isLoggedIn = true;
+      state.error = null;
+    });
+
+    // ── Profile edits ──
+    builder.addCase(updateProfile.fulfilled, (state, action) => {
+      state.user = action.payload;
+    });
+
     // ── Logout lifecycle ──
-    builder.addCase(logoutUser.fulfilled, () => initialState);
+    builder.addCase(logoutUser.fulfilled, (_, action) => ({
+      ...initialState,
+      sessionExpired: Boolean(action.meta.arg?.expired),
+    }));
   },
 });
 
-export const { setCredentials, clearError } = authSlice.actions;
+export const { setCredentials, tokenRefreshed, userDataLoaded, clearError } = authSlice.actions;
+
+/** Id to save per-user data under, or null while it shouldn't be saved */
+export const selectDataUserId = (state) => state.auth?.dataUserId ?? null;
+
+/**
+ * Let authAPI refresh expired access tokens from the store's refresh
+ * token. Called once from store.js with the configured store.
+ */
+export const registerAuthRefresh = ({ dispatch, getState }) => {
+  configureAuthRefresh({
+    getRefreshToken: () => getState().auth.refreshToken,
+    onRefreshed: async ({ token, refreshToken }) => {
+      await AsyncStorage.multiSet([
+        [STORAGE_KEYS.AUTH_TOKEN, token],
+        [STORAGE_KEYS.REFRESH_TOKEN, refreshToken],
+      ]);
+      dispatch(tokenRefreshed({ token, refreshToken }));
+    },
+    onRefreshFailed: () => {
+      // Several requests can fail with the same refresh — log out once
+      if (getState().auth.isLoggedIn) dispatch(logoutUser({ expired: true }));
+    },
+  });
+};
 export default authSlice.reducer;
@@ -0,0 +1,129 @@
+/**
+ * cartSlice — products the member intends to buy.
+ *
+ * How it works:
+ * 1. Lines are { product, quantity }, one per product id, in the order they
+ *    were first added. The full product is kept so the cart renders (and
+ *    survives a restart) without the product list being loaded.
+ * 2. Quantities are clamped to 1..MAX_CART_QUANTITY; setting 0 removes the
+ *    line.
+ * 3. A store listener (registerCartListeners) saves the cart after every
+ *    change, so screens never call the storage helper themselves.
+ * 4. Prices and points are derived in selectors (utils/cart), never stored.
+ *    Points selectors take the active campaigns (useActiveCampaigns) as a
+ *    second argument so projections include campaign boosts.
+ */
+
+import { createSlice, createSelector, isAnyOf } from '@reduxjs/toolkit';
+import { MAX_CART_QUANTITY } from '../../utils/constants';
+import {
+  getLineSubtotal,
+  getCartSubtotal,
+  getLineBasePoints,
+  getPurchaseBasePoints,
+} from '../../utils/cart';
+import { saveCart } from '../../utils/storage';
+import { selectMembershipLevel } from './loyaltySlice';
+import { selectDataUserId } from './authSlice';
+
+const initialState = {
+  items: [], // [{ product, quantity }]
+};
+
+const clampQuantity = (quantity) => Math.min(Math.max(Math.floor(quantity), 0), MAX_CART_QUANTITY);
+
+const cartSlice = createSlice({
+  name: 'cart',
+  initialState,
+  reducers: {
+    /** Payload: product — adds one unit, or one more if already in the cart */
+    addToCart: (state, action) => {
+      const line = state.items.find((item) => item.product.id === action.payload.id);
+      if (line) {
+        line.quantity = clampQuantity(line.quantity + 1);
+      } else {
+        state.items.push({ product: action.payload, quantity: 1 });
+      }
+    },
+
+    /** Payload: productId */
+    removeFromCart: (state, action) => {
+      state.items = state.items.filter((item) => item.product.id !== action.payload);
+    },
+
+    /** Payload: { productId, quantity } — 0 or less removes the line */
+    setCartQuantity: (state, action) => {
+      const { productId, quantity } = action.payload;
+      const nextQuantity = clampQuantity(quantity);
+      if (nextQuantity === 0) {
+        state.items = state.items.filter((item) => item.product.id !== productId);
+        return;
+      }
+      const line = state.items.find((item) => item.product.id === productId);
+      if (line) line.quantity = nextQuantity;
+    },
+
+    clearCart: (state) => {
+      state.items = [];
+    },
+
+    /** Hydrate from AsyncStorage on app boot */
+    setCart: (state, action) => {
+      state.items = action.payload || [];
+    },
+  },
+});
+
+export const { addToCart, removeFromCart, setCartQuantity, clearCart, setCart } =
+  cartSlice.actions;
+
+/**
+ * Wire cart persistence into the store. Called once from store.js with the
+ * listener middleware's startListening.
+ */
+export const registerCartListeners = (startListening) => {
+  startListening({
+    matcher: isAnyOf(addToCart, removeFromCart, setCartQuantity, clearCart),
+    effect: (action, listenerApi) => {
+      const state = listenerApi.getState();
+      saveCart(selectDataUserId(state), state.cart.items);
+    },
+  });
+};
+
+const NO_CAMPAIGNS = [];
+const selectCampaignsArg = (state, campaigns = NO_CAMPAIGNS) => campaigns;
+
+/**
+ * Cart lines with their subtotal, projected points and the campaigns
+ * boosting them, memoized.
+ * Usage: useSelector((state) => selectCartLines(state, campaigns))
+ */
+export const selectCartLines = createSelector(
+  [(state) => state.cart.items, selectMembershipLevel, selectCampaignsArg],
+  (items, level, campaigns) =>
+    items.map((line) => {
+      const { points, campaignIds } = getLineBasePoints(line, campaigns);
+      return {
+        ...line,
+        subtotal: getLineSubtotal(line),
+        points: Math.round(points * level.multiplier),
+        campaignIds,
+      };
+    })
+);
+
+/**
+ * Cart totals. `points` is projected from the whole subtotal, so it can be
+ * a little more than the sum of the per-line projections (cents add up).
+ */
+export const selectCartSummary = createSelector(
+  [(state) => state.cart.items, selectMembershipLevel, selectCampaignsArg],
+  (items, level, campaigns) => ({
+    itemCount: items.reduce((sum, line) => sum + line.quantity, 0),
+    subtotal: getCartSubtotal(items),
+    points: Math.round(getPurchaseBasePoints(items, campaigns).points * level.multiplier),
+  })
+);
+
+export default cartSlice.reducer;
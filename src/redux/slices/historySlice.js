@@ -0,0 +1,107 @@
+/**
+ * historySlice — filters and paging for the points history list.
+ *
+ * WHY in Redux instead of RewardsScreen state?
+ * - The search, type and date filters are still applied when the member
+ *   switches tabs and comes back, like the product search
+ * - The filtered/grouped history is a memoized selector over
+ *   state.loyalty.transactions, so it only recomputes when the ledger or
+ *   the filters change
+ *
+ * Paging: `limit` grows by HISTORY_PAGE_SIZE each time the list reaches its
+ * end (loadMoreHistory) and snaps back to one page whenever a filter changes.
+ * Filters are cleared on logout (resetLoyalty).
+ */
+
+import { createSlice, createSelector } from '@reduxjs/toolkit';
+import { HISTORY_PAGE_SIZE } from '../../utils/constants';
+import {
+  filterTransactions,
+  groupTransactionsByMonth,
+  paginateSections,
+} from '../../utils/transactionHistory';
+import { resetLoyalty } from './loyaltySlice';
+
+const initialState = {
+  searchQuery: '',
+  types: [],                           // Selected TRANSACTION_TYPES (empty = all)
+  dateRange: { from: null, to: null }, // Inclusive local day keys "YYYY-MM-DD"
+  limit: HISTORY_PAGE_SIZE,            // Transactions currently rendered
+};
+
+const historySlice = createSlice({
+  name: 'history',
+  initialState,
+  reducers: {
+    setHistorySearch: (state, action) => {
+      state.searchQuery = action.payload;
+      state.limit = HISTORY_PAGE_SIZE;
+    },
+
+    /** Add the type to the filter, or remove it if already selected */
+    toggleHistoryType: (state, action) => {
+      state.types = state.types.includes(action.payload)
+        ? state.types.filter((type) => type !== action.payload)
+        : [...state.types, action.payload];
+      state.limit = HISTORY_PAGE_SIZE;
+    },
+
+    /** Payload: { from: string|null, to: string|null } */
+    setHistoryDateRange: (state, action) => {
+      state.dateRange = { from: action.payload.from || null, to: action.payload.to || null };
+      state.limit = HISTORY_PAGE_SIZE;
+    },
+
+    clearHistoryFilters: () => initialState,
+
+    loadMoreHistory: (state) => {
+      state.limit += HISTORY_PAGE_SIZE;
+    },
+  },
+  extraReducers: (builder) => {
+    builder.addCase(resetLoyalty, () => initialState);
+  },
+});
+
+export const {
+  setHistorySearch,
+  toggleHistoryType,
+  setHistoryDateRange,
+  clearHistoryFilters,
+  loadMoreHistory,
+} = historySlice.actions;
+
+/** Is any filter narrowing the history? */
+export const selectHasHistoryFilters = (state) => {
+  const { searchQuery, types, dateRange } = state.history;
+  return Boolean(searchQuery.trim() || types.length || dateRange.from || dateRange.to);
+};
+
+/** Ledger entries matching the current filters (memoized) */
+export const selectFilteredTransactions = createSelector(
+  [
+    (state) => state.loyalty.transactions,
+    (state) => state.history.searchQuery,
+    (state) => state.history.types,
+    (state) => state.history.dateRange,
+  ],
+  (transactions, searchQuery, types, dateRange) =>
+    filterTransactions(transactions, { searchQuery, types, dateRange })
+);
+
+const selectMonthSections = createSelector([selectFilteredTransactions], groupTransactionsByMonth);
+
+/**
+ * The current page of history, grouped by month (memoized).
+ * @returns {{ sections: Array, total: number, hasMore: boolean }}
+ */
+export const selectHistoryPage = createSelector(
+  [selectMonthSections, selectFilteredTransactions, (state) => state.history.limit],
+  (sections, filtered, limit) => ({
+    sections: paginateSections(sections, limit),
+    total: filtered.length,
+    hasMore: filtered.length > limit,
+  })
+);
+
+export default historySlice.reducer;
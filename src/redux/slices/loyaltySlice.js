@@ -4,19 +4,138 @@
  * WHY a separate slice?
  * GARS Technology's core offering is Loyalty SaaS. This slice is designed
  * to mirror a real backend-synced loyalty engine:
- *   - Points accumulate via actions (login, favorite, future: purchase)
- *   - Every point change is tracked as a transaction (audit trail)
- *   - The slice is "sync-ready" — a future thunk could POST transactions
- *     to a backend and reconcile the local state.
- * 
- * Fully wired in Phase 6.
+ *   - Points accumulate via actions (login, favorite, purchase);
+ *     screens report events and utils/earningRules decides the award
+ *   - Awards with an idempotency key (e.g. one per favorited product) are
+ *     granted at most once; undoing the event inside the rule's grace
+ *     period claws the award back with a reversing transaction
+ *   - A daily check-in (login or app open) tracks consecutive-day streaks
+ *     in the device's local timezone and pays the daily/streak bonuses
+ *   - Points are spent by redeeming a reward tier for a coupon code; the
+ *     coupon wallet tracks each coupon's expiry and whether it was used,
+ *     and is persisted under its own key (STORAGE_KEYS.COUPONS)
+ *   - Each earning is a dated lot that expires after POINTS_EXPIRY_DAYS;
+ *     spending and expiry drain the oldest lots first (FIFO)
+ *   - Membership level (Silver, Gold, …) follows points earned over a
+ *     rolling window and multiplies every new earning
+ *   - The ledger can be exported (CSV/JSON) and merged into another
+ *     device's ledger on import — see utils/ledgerTransfer
+ *   - Credits (earnPoints) and debits (redeemPoints, debitPoints) are
+ *     separate actions; any entry can be undone by a reversal that points
+ *     at it, and support can post signed adjustments with a reason. No
+ *     reducer lets the balance go below zero
+ *   - Every point change is tracked as a transaction (audit trail), and
+ *     the ledger is hash-chained (utils/ledger); on hydration the balance
+ *     is recomputed from the ledger and any tampering is flagged/repaired
+ *   - New ledger entries are queued in the sync outbox and POSTed to the
+ *     loyalty backend, which reconciles the balance — see syncSlice
  */
 
-import { createSlice } from '@reduxjs/toolkit';
+import { createSlice, createSelector, createAsyncThunk } from '@reduxjs/toolkit';
+import {
+  TRANSACTION_TYPES,
+  EARNING_EVENTS,
+  COUPON_STATUS,
+  generateCouponCode,
+  formatDay,
+  getLocalDayKey,
+  addDaysToDayKey,
+  SIGNUP_BONUS,
+} from '../../utils/constants';
+import { saveLoyaltyData, saveFavorites, saveCoupons } from '../../utils/storage';
+import { getCouponExpiry, normalizeCoupon, isCouponExpired } from '../../utils/coupons';
+import {
+  createLot,
+  consumeLots,
+  takeLots,
+  restoreLots,
+  partitionExpiredLots,
+  buildLotsFromTransactions,
+  getNextExpiry,
+  sumLots,
+} from '../../utils/pointLots';
+import {
+  getLevelById,
+  getLevelForPoints,
+  getQualifyingPoints,
+  compareLevels,
+} from '../../utils/membershipLevels';
+import {
+  evaluateEarningRules,
+  recordRuleUsage,
+  findClawbacks,
+} from '../../utils/earningRules';
+import {
+  createTransactionId,
+  sealTransaction,
+  sealLedger,
+  verifyLedger,
+  getLedgerBalance,
+} from '../../utils/ledger';
+import {
+  buildExport,
+  getExportFileName,
+  toCSVExport,
+  toJSONExport,
+  parseImport,
+} from '../../utils/ledgerTransfer';
+import { getActiveCampaigns, boostAward } from '../../utils/campaigns';
+import {
+  getPointsByPeriod,
+  getPointsByType,
+  getBalanceTimeline,
+} from '../../utils/pointsAnalytics';
+import { setFavorites } from './favoritesSlice';
+import { selectDataUserId } from './authSlice';
 
 const initialState = {
-  points: 0,            // Running total
-  transactions: [],     // Array of { id, type, points, date, description }
+  points: 0,            // Running total (always equals the lots' remaining sum)
+  transactions: [],     // Newest first: { id, type, points, date, description, prevHash, hash }
+  coupons: [],          // Wallet, newest first: { id, code, label, value, points, date (issued), expiresAt, status, usedAt, transactionId }
+  lots: [],             // Oldest-first earning lots — see utils/pointLots
+  level: 'MEMBER',      // Membership level id — see MEMBERSHIP_LEVELS
+  ruleUsage: {},        // Per earning-rule cap/cooldown counters, keyed by rule id
+  awardedKeys: {},      // Granted idempotency keys: { [key]: transactionId }
+  streak: {
+    current: 0,         // Consecutive days checked in, ending at lastCheckIn
+    longest: 0,
+    lastCheckIn: null,  // Local day key "YYYY-MM-DD"
+    days: [],           // Recent check-in day keys (newest last)
+  },
+  integrity: null,      // Last hydration repair: { detectedAt, storedPoints, recoveredPoints, droppedTransactions, brokenLinks }
+};
+
+const STREAK_HISTORY_DAYS = 30;
+
+// Points moved to or from another member's ledger — can't be reversed here
+const GIFT_TYPES = [TRANSACTION_TYPES.TRANSFER_OUT, TRANSACTION_TYPES.TRANSFER_IN];
+
+/** Seal a transaction onto the hash chain and add it to the ledger */
+const appendTransaction = (state, transaction) => {
+  state.transactions.unshift(sealTransaction(transaction, state.transactions));
+};
+
+/**
+ * Re-evaluate the membership level at `now` and record a LEVEL_UP /
+ * LEVEL_DOWN transaction (0 points) with the given id when it changes.
+ */
+const applyLevelChange = (state, now, id) => {
+  const next = getLevelForPoints(getQualifyingPoints(state.transactions, now));
+  const direction = compareLevels(next.id, state.level);
+  if (direction === 0) return;
+
+  appendTransaction(state, {
+    id,
+    type: direction > 0 ? TRANSACTION_TYPES.LEVEL_UP : TRANSACTION_TYPES.LEVEL_DOWN,
+    points: 0,
+    description:
+      direction > 0
+        ? `Welcome to ${next.label} status!`
+        : `Status changed to ${next.label}`,
+    date: now,
+    level: next.id,
+  });
+  state.level = next.id;
 };
 
 const loyaltySlice = createSlice({
@@ -25,24 +144,455 @@ const loyaltySlice = createSlice({
   reducers: {
     /**
      * Generic "earn points" action.
-     * Payload: { type: string, points: number, description?: string }
+     * Payload: { type, points, description?, ruleId?, idempotencyKey?, applyMultiplier?, campaignIds? }
+     *
+     * `points` is the base award; the current level's multiplier is applied
+     * here (unless `applyMultiplier` is false, e.g. for points gifted by
+     * another member), and the base + multiplier are kept on boosted
+     * transactions.
+     * Awards coming from the rules engine carry `ruleId` so the rule's
+     * caps and cooldown can be tracked. An award whose `idempotencyKey`
+     * was already granted is ignored.
+     */
+    earnPoints: {
+      reducer: (state, action) => {
+        const {
+          id,
+          date,
+          type,
+          points: basePoints,
+          description,
+          ruleId,
+          idempotencyKey,
+          applyMultiplier = true,
+          campaignIds,
+        } = action.payload;
+        if (!(basePoints > 0)) return;
+        if (idempotencyKey && state.awardedKeys[idempotencyKey]) return;
+
+        const multiplier = applyMultiplier ? getLevelById(state.level).multiplier : 1;
+        const points = Math.round(basePoints * multiplier);
+        const transaction = {
+          id,
+          type,
+          points,
+          description: description || type,
+          date,
+          ...(multiplier !== 1 && { basePoints, multiplier }),
+          ...(ruleId && { ruleId }),
+          ...(idempotencyKey && { idempotencyKey }),
+          ...(campaignIds?.length > 0 && { campaignIds }),
+        };
+        state.points += points;
+        appendTransaction(state, transaction);
+        state.lots.push(createLot(transaction));
+        if (ruleId) {
+          state.ruleUsage[ruleId] = recordRuleUsage(
+            state.ruleUsage[ruleId],
+            basePoints,
+            transaction.date
+          );
+        }
+        if (idempotencyKey) state.awardedKeys[idempotencyKey] = transaction.id;
+        applyLevelChange(state, date, `level-${id}`);
+      },
+      prepare: (payload) => ({
+        payload: { ...payload, id: createTransactionId(), date: new Date().toISOString() },
+      }),
+    },
+
+    /**
+     * Undo an earlier transaction with an offsetting one.
+     * Payload: { transactionId: string, type?: string, description?: string }
+     *
+     * Reversing a credit takes its points back (its own lot first);
+     * reversing a debit puts back the lot slices it spent (`lotsUsed`) with
+     * their original expiry — any already expired are written off with an
+     * EXPIRED entry — and a reversed redemption refunds its coupon.
+     * Debits saved before `lotsUsed` existed come back as a fresh lot. The original is marked `reversedBy`
+     * and the reversal `reverses`, so the ledger shows both sides. Its
+     * idempotency key is released, so the net award per key is still at
+     * most one.
+     * Ignored: reversals of reversals, of zero-point entries, of a
+     * redemption whose coupon is used or expired, of gifts (the other
+     * member's side is out of reach, so refunding the sender would
+     * duplicate the points) and any that would take the balance below zero
+     * (points already spent).
+     */
+    reverseTransaction: {
+      reducer: (state, action) => {
+        const { transactionId, type, description, date } = action.payload;
+        const original = state.transactions.find((t) => t.id === transactionId);
+        if (!original || original.reversedBy || original.reverses || !original.points) return;
+        if (original.points > state.points) return;
+        if (GIFT_TYPES.includes(original.type)) return;
+
+        const coupon =
+          original.type === TRANSACTION_TYPES.REDEMPTION
+            ? state.coupons.find((c) => c.transactionId === original.id)
+            : null;
+        if (coupon && (coupon.status !== COUPON_STATUS.ACTIVE || isCouponExpired(coupon, date))) {
+          return;
+        }
+
+        const reversal = {
+          id: `reversal-${original.id}`,
+          type: type || TRANSACTION_TYPES.REVERSAL,
+          points: -original.points,
+          description: description || `Reversed: ${original.description}`,
+          date,
+          reverses: original.id,
+        };
+        original.reversedBy = reversal.id;
+        state.points -= original.points;
+        let expired = 0;
+        if (original.points > 0) {
+          state.lots = consumeLots(state.lots, original.points, original.id);
+        } else if (original.lotsUsed) {
+          ({ lots: state.lots, expired } = restoreLots(state.lots, original.lotsUsed, date));
+        } else {
+          state.lots.push(createLot(reversal));
+        }
+        if (coupon) {
+          coupon.status = COUPON_STATUS.REFUNDED;
+          coupon.refundedAt = date;
+        }
+        appendTransaction(state, reversal);
+        if (expired > 0) {
+          state.points -= expired;
+          appendTransaction(state, {
+            id: `expired-${reversal.id}`,
+            type: TRANSACTION_TYPES.EXPIRED,
+            points: -expired,
+            description: 'Refunded points had already expired',
+            date,
+          });
+        }
+        if (original.idempotencyKey) delete state.awardedKeys[original.idempotencyKey];
+        applyLevelChange(state, date, `level-${reversal.id}`);
+      },
+      prepare: (payload) => ({
+        payload: { ...payload, date: new Date().toISOString() },
+      }),
+    },
+
+    /**
+     * Spend points on a reward tier and issue a coupon for it.
+     * Payload: { points: number, label: string, value?: number }
+     *
+     * The coupon code, transaction id and date are generated in `prepare`
+     * so the reducer stays deterministic. The lot slices spent are kept on
+     * the transaction (`lotsUsed`) so a refund restores their expiry. Redemptions that would overdraw the balance are
+     * ignored — callers should only offer tiers the user can afford.
+     */
+    redeemPoints: {
+      reducer: (state, action) => {
+        const { points, label, value, code, transactionId, date } = action.payload;
+        if (!(points > 0) || points > state.points) return;
+
+        state.points -= points;
+        const { lots, taken } = takeLots(state.lots, points);
+        state.lots = lots;
+        appendTransaction(state, {
+          id: transactionId,
+          type: TRANSACTION_TYPES.REDEMPTION,
+          points: -points,
+          description: `Redeemed: ${label}`,
+          date,
+          lotsUsed: taken,
+        });
+        state.coupons.unshift({
+          id: code,
+          code,
+          label,
+          value: value ?? points,
+          points,
+          date,
+          expiresAt: getCouponExpiry(date),
+          status: COUPON_STATUS.ACTIVE,
+          usedAt: null,
+          transactionId,
+        });
+      },
+      prepare: ({ points, label, value }) => ({
+        payload: {
+          points,
+          label,
+          value,
+          code: generateCouponCode(),
+          transactionId: createTransactionId(),
+          date: new Date().toISOString(),
+        },
+      }),
+    },
+
+    /**
+     * Take points off the balance for something other than a reward tier
+     * (e.g. a gift to another member). Oldest lots are drained first and
+     * recorded on the transaction (`lotsUsed`).
+     * Payload: { type, points (positive), description, transferId? }; the
+     * transaction id and date are added in `prepare`. Debits that would
+     * overdraw the balance are ignored.
      */
-    earnPoints: (state, action) => {
-      const { type, points, description } = action.payload;
-      state.points += points;
-      state.transactions.unshift({
-        id: Date.now().toString(),
-        type,
-        points,
-        description: description || type,
-        date: new Date().toISOString(),
-      });
+    debitPoints: {
+      reducer: (state, action) => {
+        const { id, date, type, points, description, transferId } = action.payload;
+        if (!(points > 0) || points > state.points) return;
+
+        state.points -= points;
+        const { lots, taken } = takeLots(state.lots, points);
+        state.lots = lots;
+        appendTransaction(state, {
+          id,
+          type,
+          points: -points,
+          description,
+          date,
+          lotsUsed: taken,
+          ...(transferId && { transferId }),
+        });
+      },
+      prepare: (payload) => ({
+        payload: { ...payload, id: createTransactionId(), date: new Date().toISOString() },
+      }),
+    },
+
+    /**
+     * Manual correction by support, e.g. points missing from a purchase.
+     * Payload: { points (non-zero integer, negative to deduct), reason };
+     * the transaction id and date are added in `prepare`. The reason is
+     * required and shown in the history. Deductions that would overdraw
+     * the balance are ignored.
+     */
+    adjustPoints: {
+      reducer: (state, action) => {
+        const { id, date, points } = action.payload;
+        const reason = (action.payload.reason || '').trim();
+        if (!Number.isInteger(points) || points === 0 || !reason) return;
+        if (-points > state.points) return;
+
+        const transaction = {
+          id,
+          type: TRANSACTION_TYPES.ADJUSTMENT,
+          points,
+          description: `Adjustment: ${reason}`,
+          reason,
+          date,
+        };
+        state.points += points;
+        if (points > 0) {
+          state.lots.push(createLot(transaction));
+        } else {
+          const { lots, taken } = takeLots(state.lots, -points);
+          state.lots = lots;
+          transaction.lotsUsed = taken;
+        }
+        appendTransaction(state, transaction);
+      },
+      prepare: (payload) => ({
+        payload: { ...payload, id: createTransactionId(), date: new Date().toISOString() },
+      }),
+    },
+
+    /**
+     * The cashier accepted a coupon. Payload: couponId; the time is added
+     * in `prepare`. Only active coupons that haven't expired can be used.
+     */
+    markCouponUsed: {
+      reducer: (state, action) => {
+        const { couponId, usedAt } = action.payload;
+        const coupon = state.coupons.find((c) => c.id === couponId);
+        if (!coupon || coupon.status !== COUPON_STATUS.ACTIVE) return;
+        if (isCouponExpired(coupon, usedAt)) {
+          coupon.status = COUPON_STATUS.EXPIRED;
+          return;
+        }
+        coupon.status = COUPON_STATUS.USED;
+        coupon.usedAt = usedAt;
+      },
+      prepare: (couponId) => ({
+        payload: { couponId, usedAt: new Date().toISOString() },
+      }),
+    },
+
+    /**
+     * Coupon expiry sweep — marks active coupons past their expiry date as
+     * expired. Payload (optional): { now: ISO string }.
+     */
+    expireCoupons: {
+      reducer: (state, action) => {
+        state.coupons.forEach((coupon) => {
+          if (isCouponExpired(coupon, action.payload.now)) coupon.status = COUPON_STATUS.EXPIRED;
+        });
+      },
+      prepare: (payload = {}) => ({
+        payload: { now: payload.now || new Date().toISOString() },
+      }),
     },
 
-    /** Hydrate from AsyncStorage on app boot */
+    /**
+     * Expiry sweep — writes an EXPIRED transaction for every lot whose
+     * expiry date has passed and removes it from the balance.
+     * Payload (optional): { now: ISO string }, defaults to the current time.
+     */
+    expirePoints: {
+      reducer: (state, action) => {
+        const { now } = action.payload;
+        const { active, expired } = partitionExpiredLots(state.lots, now);
+        if (expired.length === 0) return;
+
+        expired.forEach((lot) => {
+          state.points -= lot.remaining;
+          appendTransaction(state, {
+            id: `expired-${lot.id}`,
+            type: TRANSACTION_TYPES.EXPIRED,
+            points: -lot.remaining,
+            description: `Points earned on ${formatDay(lot.earnedAt)} expired`,
+            date: now,
+          });
+        });
+        state.lots = active;
+      },
+      prepare: (payload = {}) => ({
+        payload: { now: payload.now || new Date().toISOString() },
+      }),
+    },
+
+    /**
+     * Re-evaluate the membership level — run on hydration so members drop
+     * a level once old earnings leave the rolling window.
+     * Payload (optional): { now: ISO string }, defaults to the current time.
+     */
+    evaluateLevel: {
+      reducer: (state, action) => {
+        applyLevelChange(state, action.payload.now, action.payload.id);
+      },
+      prepare: (payload = {}) => ({
+        payload: {
+          now: payload.now || new Date().toISOString(),
+          id: createTransactionId(),
+        },
+      }),
+    },
+
+    /**
+     * Daily check-in — extends the streak if the last check-in was
+     * yesterday (local time), restarts it otherwise. A second check-in on
+     * the same day is a no-op.
+     * Payload (optional): { now: ISO string }, defaults to the current time.
+     */
+    checkIn: {
+      reducer: (state, action) => {
+        const today = getLocalDayKey(action.payload.now);
+        const { streak } = state;
+        if (streak.lastCheckIn === today) return;
+
+        const continues = streak.lastCheckIn === addDaysToDayKey(today, -1);
+        streak.current = continues ? streak.current + 1 : 1;
+        streak.longest = Math.max(streak.longest, streak.current);
+        streak.lastCheckIn = today;
+        streak.days = [...streak.days, today].slice(-STREAK_HISTORY_DAYS);
+      },
+      prepare: (payload = {}) => ({
+        payload: { now: payload.now || new Date().toISOString() },
+      }),
+    },
+
+    /**
+     * Hydrate from AsyncStorage on app boot.
+     *
+     * The stored balance is never trusted on its own: the hash chain is
+     * verified and the balance recomputed from the ledger. Entries whose
+     * hash no longer matches are dropped, and if anything had to change
+     * the lots are rebuilt and `integrity` describes the repair so the UI
+     * can tell the member. Ledgers saved before the chain existed are
+     * sealed as-is, and data saved before lots existed is migrated by
+     * replaying the ledger.
+     */
     setLoyaltyData: (state, action) => {
-      state.points = action.payload.points;
-      state.transactions = action.payload.transactions;
+      const now = new Date().toISOString();
+      const storedPoints = action.payload.points;
+      const check = verifyLedger(action.payload.transactions);
+      const dropped = new Set(check.tampered);
+      const transactions = sealLedger(
+        action.payload.transactions.filter((t) => !dropped.has(t.id))
+      );
+      const points = Math.max(0, getLedgerBalance(transactions));
+      const repaired = !check.valid || points !== storedPoints;
+
+      state.points = points;
+      state.transactions = transactions;
+      state.coupons = (action.payload.coupons || []).map(normalizeCoupon);
+      state.lots =
+        !repaired && action.payload.lots && sumLots(action.payload.lots) === points
+          ? action.payload.lots
+          : buildLotsFromTransactions(transactions, points, now);
+      // A repaired ledger may no longer earn the stored tier
+      state.level =
+        (!repaired && action.payload.level) ||
+        getLevelForPoints(getQualifyingPoints(transactions, now)).id;
+      state.ruleUsage = action.payload.ruleUsage || {};
+      state.awardedKeys = Object.fromEntries(
+        Object.entries(action.payload.awardedKeys || {}).filter(([, id]) => !dropped.has(id))
+      );
+      state.streak = action.payload.streak || initialState.streak;
+      state.integrity = repaired
+        ? {
+            detectedAt: now,
+            storedPoints,
+            recoveredPoints: points,
+            droppedTransactions: check.tampered.length,
+            brokenLinks: check.brokenLinks.length,
+          }
+        : null;
+    },
+
+    /**
+     * Merge transactions imported from another device.
+     * Payload: { transactions: Array }
+     *
+     * Entries whose id is already in the ledger are skipped, and so are
+     * awards whose idempotency key was already granted here (e.g. today's
+     * login bonus earned on both devices). The merged ledger is re-sorted by
+     * date and re-sealed; balance, lots and level are recomputed from it.
+     */
+    mergeTransactions: {
+      reducer: (state, action) => {
+        const { transactions, now, id } = action.payload;
+        const ids = new Set(state.transactions.map((t) => t.id));
+        const added = transactions.filter(
+          (t) =>
+            !ids.has(t.id) && !(t.idempotencyKey && state.awardedKeys[t.idempotencyKey])
+        );
+        if (added.length === 0) return;
+
+        const merged = [...state.transactions, ...added]
+          .map(({ hash, prevHash, ...transaction }) => transaction)
+          .sort((a, b) => Date.parse(b.date) - Date.parse(a.date));
+        merged.forEach((transaction) => {
+          if (!transaction.reverses) return;
+          const original = merged.find((t) => t.id === transaction.reverses);
+          if (original) original.reversedBy = transaction.id;
+        });
+        added.forEach((transaction) => {
+          if (transaction.idempotencyKey) {
+            state.awardedKeys[transaction.idempotencyKey] = transaction.id;
+          }
+        });
+
+        state.transactions = sealLedger(merged);
+        state.points = Math.max(0, getLedgerBalance(state.transactions));
+        state.lots = buildLotsFromTransactions(state.transactions, state.points, now);
+        applyLevelChange(state, now, id);
+      },
+      prepare: (payload) => ({
+        payload: { ...payload, now: new Date().toISOString(), id: createTransactionId() },
+      }),
+    },
+
+    /** The member has seen the integrity warning */
+    dismissIntegrityIssue: (state) => {
+      state.integrity = null;
     },
 
     /** Reset — e.g., on logout */
@@ -50,6 +600,248 @@ const loyaltySlice = createSlice({
   },
 });
 
-export const { earnPoints, setLoyaltyData, resetLoyalty } =
-  loyaltySlice.actions;
+export const {
+  earnPoints,
+  redeemPoints,
+  debitPoints,
+  adjustPoints,
+  markCouponUsed,
+  expireCoupons,
+  expirePoints,
+  evaluateLevel,
+  reverseTransaction,
+  checkIn,
+  setLoyaltyData,
+  mergeTransactions,
+  dismissIntegrityIssue,
+  resetLoyalty,
+} = loyaltySlice.actions;
+
+/**
+ * Persist the current loyalty state to AsyncStorage.
+ * Dispatch right after any loyalty action so storage mirrors the store
+ * instead of each screen rebuilding the saved snapshot by hand.
+ * Mission progress (missionsSlice) and unlocked badges (achievementsSlice)
+ * are saved alongside; the coupon wallet goes to its own key.
+ */
+export const persistLoyaltyData = () => (dispatch, getState) => {
+  const {
+    points,
+    transactions,
+    coupons,
+    lots,
+    level,
+    ruleUsage,
+    awardedKeys,
+    streak,
+  } = getState().loyalty;
+  const userId = selectDataUserId(getState());
+  const loyaltySaved = saveLoyaltyData(userId, {
+    points,
+    transactions,
+    lots,
+    level,
+    ruleUsage,
+    awardedKeys,
+    streak,
+    missions: getState().missions?.progress || {},
+    achievements: getState().achievements?.unlocked || {},
+  });
+  return Promise.all([loyaltySaved, saveCoupons(userId, coupons)]);
+};
+
+/**
+ * Report an earning event (see EARNING_EVENTS) to the rules engine.
+ * Every matching rule that still has allowance becomes an earnPoints
+ * award, boosted by any active campaign for the event's product; the
+ * result is persisted. Returns the awards that were granted.
+ *
+ * @param {string} event - EARNING_EVENTS value
+ * @param {Object} context - Event details, e.g. { product }
+ */
+export const reportEvent = (event, context = {}) => (dispatch, getState) => {
+  const { ruleUsage, awardedKeys } = getState().loyalty;
+  const now = new Date().toISOString();
+  const campaigns = getActiveCampaigns(now, getState().products?.categories);
+  const awards = evaluateEarningRules(event, context, {
+    usage: ruleUsage,
+    awardedKeys,
+    now,
+  }).map((award) => boostAward(award, context.product, campaigns));
+  awards.forEach((award) => dispatch(earnPoints(award)));
+  if (awards.length > 0) dispatch(persistLoyaltyData());
+  return awards;
+};
+
+/**
+ * Undo an earning event (e.g. a favorite was removed). Awards still inside
+ * their rule's clawback window are reversed with CLAWBACK transactions;
+ * older awards are kept. Returns the clawbacks that were applied.
+ *
+ * @param {string} event - EARNING_EVENTS value of the original event
+ * @param {Object} context - Same context the event was reported with
+ */
+export const revokeEvent = (event, context = {}) => (dispatch, getState) => {
+  const { transactions, awardedKeys } = getState().loyalty;
+  const clawbacks = findClawbacks(event, context, {
+    awardedKeys,
+    transactions,
+    now: new Date().toISOString(),
+  });
+  clawbacks.forEach(({ transactionId }) => {
+    const original = transactions.find((t) => t.id === transactionId);
+    dispatch(
+      reverseTransaction({
+        transactionId,
+        type: TRANSACTION_TYPES.CLAWBACK,
+        description: `Clawback: ${original.description}`,
+      })
+    );
+  });
+  if (clawbacks.length > 0) dispatch(persistLoyaltyData());
+  return clawbacks;
+};
+
+/**
+ * Daily check-in — call on login and whenever the app opens with a session.
+ * Updates the streak and reports DAILY_CHECK_IN so the rules engine can pay
+ * the daily login bonus and any streak bonus. Returns the awards granted
+ * (empty if the member already checked in today).
+ */
+export const dailyCheckIn = () => (dispatch, getState) => {
+  const previous = getState().loyalty.streak.lastCheckIn;
+  dispatch(checkIn());
+  const { streak } = getState().loyalty;
+  if (streak.lastCheckIn === previous) return [];
+
+  const awards = dispatch(
+    reportEvent(EARNING_EVENTS.DAILY_CHECK_IN, {
+      day: streak.lastCheckIn,
+      streak: streak.current,
+    })
+  );
+  dispatch(persistLoyaltyData());
+  return awards;
+};
+
+/**
+ * Welcome bonus — call once a newly registered member's data is loaded.
+ * Pays SIGNUP_BONUS, keyed by user id so it is never paid twice.
+ */
+export const awardSignupBonus = () => (dispatch, getState) => {
+  const userId = getState().auth?.user?.id;
+  if (userId == null) return Promise.resolve();
+  dispatch(
+    earnPoints({
+      type: TRANSACTION_TYPES.SIGNUP_BONUS,
+      points: SIGNUP_BONUS,
+      description: 'Welcome to RewardLoop!',
+      idempotencyKey: `signup:${userId}`,
+    })
+  );
+  return dispatch(persistLoyaltyData());
+};
+
+/**
+ * Export the ledger and favorites for support or device migration.
+ * @param {'csv'|'json'} format
+ * @returns {{ fileName: string, mimeType: string, content: string }}
+ */
+export const exportLoyaltyHistory = (format) => (dispatch, getState) => {
+  const { auth, loyalty, favorites } = getState();
+  const data = buildExport({
+    loyalty,
+    favorites: favorites.items,
+    userId: auth.user?.id,
+    exportedAt: new Date().toISOString(),
+  });
+  return format === 'csv'
+    ? { fileName: getExportFileName(data, 'csv'), mimeType: 'text/csv', content: toCSVExport(data) }
+    : {
+        fileName: getExportFileName(data, 'json'),
+        mimeType: 'application/json',
+        content: toJSONExport(data),
+      };
+};
+
+/**
+ * Import an export made on another device (CSV or JSON text). Only the
+ * member who exported the file can import it (see parseImport).
+ * Transactions are merged without duplicates, favorites are added if
+ * missing (without earning points again), and both are persisted.
+ * Resolves with { transactionsAdded, favoritesAdded }.
+ */
+export const importLoyaltyHistory = createAsyncThunk(
+  'loyalty/importHistory',
+  async (text, { dispatch, getState, rejectWithValue }) => {
+    let data;
+    try {
+      data = parseImport(text, getState().auth.user?.id);
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+
+    const before = getState();
+    dispatch(mergeTransactions({ transactions: data.transactions }));
+
+    const favoriteIds = new Set(before.favorites.items.map((item) => item.id));
+    const newFavorites = data.favorites.filter((product) => !favoriteIds.has(product.id));
+    // setFavorites, not addFavorite — imported favorites don't count towards missions
+    if (newFavorites.length > 0) {
+      dispatch(setFavorites([...before.favorites.items, ...newFavorites]));
+    }
+
+    await Promise.all([
+      dispatch(persistLoyaltyData()),
+      newFavorites.length > 0 &&
+        saveFavorites(selectDataUserId(getState()), getState().favorites.items),
+    ]);
+
+    const previousIds = new Set(before.loyalty.transactions.map((t) => t.id));
+    const currentIds = new Set(getState().loyalty.transactions.map((t) => t.id));
+    return {
+      transactionsAdded: data.transactions.filter(
+        (t) => !previousIds.has(t.id) && currentIds.has(t.id)
+      ).length,
+      favoritesAdded: newFavorites.length,
+    };
+  }
+);
+
+/** Points due on the next expiry day: { points, date } or null (memoized) */
+export const selectNextExpiry = createSelector(
+  [(state) => state.loyalty.lots],
+  getNextExpiry
+);
+
+/** Current membership level definition */
+export const selectMembershipLevel = (state) => getLevelById(state.loyalty.level);
+
+/** Points earned inside the rolling level window (memoized per ledger) */
+export const selectQualifyingPoints = createSelector(
+  [(state) => state.loyalty.transactions],
+  (transactions) => getQualifyingPoints(transactions, new Date().toISOString())
+);
+
+/**
+ * Points earned/spent per week or month (memoized per ledger and period).
+ * Usage: useSelector((state) => selectPointsByPeriod(state, 'week'))
+ */
+export const selectPointsByPeriod = createSelector(
+  [(state) => state.loyalty.transactions, (state, periodId) => periodId],
+  (transactions, periodId) => getPointsByPeriod(transactions, periodId, new Date().toISOString())
+);
+
+/** Net points per transaction type, largest first (memoized) */
+export const selectPointsByType = createSelector(
+  [(state) => state.loyalty.transactions],
+  getPointsByType
+);
+
+/** End-of-day balance for the most recent active days (memoized) */
+export const selectBalanceTimeline = createSelector(
+  [(state) => state.loyalty.transactions],
+  (transactions) => getBalanceTimeline(transactions)
+);
+
 export default loyaltySlice.reducer;
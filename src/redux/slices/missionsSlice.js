@@ -0,0 +1,117 @@
+/**
+ * missionsSlice — progress on time-boxed missions (see utils/missions).
+ *
+ * How it works:
+ * 1. A store listener (registerMissionListeners) turns existing actions
+ *    into mission events: addFavorite → FAVORITE_ADDED with the product
+ *    (its `category` comes from productsSlice's product data), and
+ *    the daily check-in (checkIn, only once the member's missions are
+ *    loaded) → DAILY_CHECK_IN.
+ * 2. recordMissionEvent advances every matching mission for the current
+ *    week/month; the same product or day never counts twice.
+ * 3. A mission that reaches its goal pays out once through earnPoints,
+ *    with an idempotency key per mission period.
+ * 4. Progress is saved with the loyalty data (persistLoyaltyData) and
+ *    hydrated with setMissions.
+ */
+
+import { createSlice, createSelector } from '@reduxjs/toolkit';
+import { EARNING_EVENTS, TRANSACTION_TYPES } from '../../utils/constants';
+import { MISSIONS, advanceMission, getMissionView } from '../../utils/missions';
+import { earnPoints, persistLoyaltyData, checkIn, resetLoyalty } from './loyaltySlice';
+import { addFavorite } from './favoritesSlice';
+
+const initialState = {
+  progress: {}, // { [missionId]: { periodKey, count, counted, lastDay, completedAt } }
+};
+
+const missionsSlice = createSlice({
+  name: 'missions',
+  initialState,
+  reducers: {
+    /**
+     * Advance every mission that reacts to the event.
+     * Payload: { event, context? }; the time is added in `prepare`.
+     */
+    recordMissionEvent: {
+      reducer: (state, action) => {
+        const { event, context = {}, now } = action.payload;
+        MISSIONS.forEach((mission) => {
+          const next = advanceMission(mission, state.progress[mission.id], event, context, now);
+          if (next) state.progress[mission.id] = next;
+        });
+      },
+      prepare: (payload) => ({
+        payload: { ...payload, now: new Date().toISOString() },
+      }),
+    },
+
+    /** Hydrate from the saved loyalty data on app boot */
+    setMissions: (state, action) => {
+      state.progress = action.payload || {};
+    },
+  },
+  extraReducers: (builder) => {
+    builder.addCase(resetLoyalty, () => initialState);
+  },
+});
+
+export const { recordMissionEvent, setMissions } = missionsSlice.actions;
+
+/**
+ * Record a mission event and pay out every mission it completes.
+ * Returns the missions that were completed.
+ */
+export const trackMissionEvent = (event, context) => (dispatch, getState) => {
+  const before = getState().missions.progress;
+  dispatch(recordMissionEvent({ event, context }));
+  const { progress } = getState().missions;
+
+  const completed = MISSIONS.filter(
+    (mission) =>
+      progress[mission.id]?.completedAt &&
+      progress[mission.id] !== before[mission.id]
+  );
+  completed.forEach((mission) => {
+    dispatch(
+      earnPoints({
+        type: TRANSACTION_TYPES.MISSION_REWARD,
+        points: mission.payout,
+        description: `Mission complete: ${mission.title}`,
+        idempotencyKey: `mission:${mission.id}:${progress[mission.id].periodKey}`,
+      })
+    );
+  });
+  if (progress !== before) dispatch(persistLoyaltyData());
+  return completed;
+};
+
+/**
+ * Wire missions into the store. Called once from store.js with the
+ * listener middleware's startListening.
+ */
+export const registerMissionListeners = (startListening) => {
+  startListening({
+    actionCreator: addFavorite,
+    effect: (action, listenerApi) => {
+      listenerApi.dispatch(
+        trackMissionEvent(EARNING_EVENTS.FAVORITE_ADDED, { product: action.payload })
+      );
+    },
+  });
+
+  startListening({
+    actionCreator: checkIn,
+    effect: (action, listenerApi) => {
+      listenerApi.dispatch(trackMissionEvent(EARNING_EVENTS.DAILY_CHECK_IN));
+    },
+  });
+};
+
+/** Every mission with its progress for the current period (memoized) */
+export const selectMissions = createSelector([(state) => state.missions.progress], (progress) => {
+  const now = new Date().toISOString();
+  return MISSIONS.map((mission) => getMissionView(mission, progress[mission.id], now));
+});
+
+export default missionsSlice.reducer;
@@ -0,0 +1,102 @@
+/**
+ * ordersSlice — simulated checkout and the order history.
+ *
+ * How it works:
+ * 1. checkout freezes the cart lines into an order { id, lines, total,
+ *    timestamp } (utils/cart.buildOrder).
+ * 2. The total earns POINTS_PER_CURRENCY base points per whole dollar, plus
+ *    any active campaign boosts for its lines (utils/campaigns), as a
+ *    PURCHASE transaction (earnPoints applies the level multiplier). The
+ *    order id is the award's idempotency key, so an order is paid once.
+ * 3. The order keeps the id of that transaction, which links the order
+ *    history to the points ledger both ways (description names the order).
+ * 4. The cart is emptied and orders + loyalty data are persisted.
+ *
+ * WHY a thunk?
+ * - No payment backend yet; a real one would slot in before step 2 and
+ *   only award points once the payment is confirmed
+ */
+
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import { TRANSACTION_TYPES, POINTS_PER_CURRENCY } from '../../utils/constants';
+import { buildOrder, getPurchaseBasePoints, createOrderId } from '../../utils/cart';
+import { getActiveCampaigns } from '../../utils/campaigns';
+import { saveOrders } from '../../utils/storage';
+import { earnPoints, persistLoyaltyData } from './loyaltySlice';
+import { clearCart } from './cartSlice';
+import { selectDataUserId } from './authSlice';
+
+const initialState = {
+  items: [], // Orders, newest first
+};
+
+const ordersSlice = createSlice({
+  name: 'orders',
+  initialState,
+  reducers: {
+    /** Payload: a built order with { points, transactionId } */
+    addOrder: (state, action) => {
+      state.items.unshift(action.payload);
+    },
+
+    /** Hydrate from AsyncStorage on app boot */
+    setOrders: (state, action) => {
+      state.items = action.payload || [];
+    },
+  },
+});
+
+export const { addOrder, setOrders } = ordersSlice.actions;
+
+/**
+ * Place an order for the cart's contents (or the given lines) and award
+ * the purchase points. Resolves with the stored order; rejects with a
+ * user-facing message.
+ *
+ * @param {Array} [lines] - [{ product, quantity }]; defaults to the cart
+ */
+export const checkout = createAsyncThunk(
+  'orders/checkout',
+  async (lines, { dispatch, getState, rejectWithValue }) => {
+    const fromCart = !lines;
+    const orderLines = (lines || getState().cart.items).filter((line) => line.quantity > 0);
+    if (orderLines.length === 0) return rejectWithValue('Your cart is empty.');
+
+    const timestamp = new Date().toISOString();
+    const order = buildOrder(orderLines, { id: createOrderId(), timestamp });
+
+    const campaigns = getActiveCampaigns(timestamp, getState().products?.categories);
+    const { points: basePoints, campaignIds } = getPurchaseBasePoints(orderLines, campaigns);
+    let transaction = null;
+    if (basePoints > 0) {
+      const { payload } = dispatch(
+        earnPoints({
+          type: TRANSACTION_TYPES.PURCHASE,
+          points: basePoints,
+          description: `Purchase — order ${order.id}`,
+          idempotencyKey: `purchase:${order.id}`,
+          campaignIds,
+        })
+      );
+      transaction = getState().loyalty.transactions.find((tx) => tx.id === payload.id) || null;
+    }
+
+    const placed = {
+      ...order,
+      pointsRate: POINTS_PER_CURRENCY,
+      campaignIds,
+      points: transaction ? transaction.points : 0,
+      transactionId: transaction ? transaction.id : null,
+    };
+    dispatch(addOrder(placed));
+    if (fromCart) dispatch(clearCart());
+
+    await Promise.all([
+      dispatch(persistLoyaltyData()),
+      saveOrders(selectDataUserId(getState()), getState().orders.items),
+    ]);
+    return placed;
+  }
+);
+
+export default ordersSlice.reducer;
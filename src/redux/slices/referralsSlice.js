@@ -0,0 +1,144 @@
+/**
+ * referralsSlice — referral program bookkeeping.
+ *
+ * How it works:
+ * 1. Every user's code is derived from auth.user.id (utils/referrals), so
+ *    it never needs to be stored or fetched.
+ * 2. applyReferralCode validates the code (format + checksum, no
+ *    self-referral, one code per user, new members only, no referring each
+ *    other back), records the redemption and pays the referee a REFERRAL
+ *    bonus right away.
+ * 3. The referrer is usually on another session, so their bonus waits in
+ *    the registry and is paid by claimReferralRewards the next time they
+ *    sign in (accountsSlice.loadUserData).
+ * 4. The registry is device-wide and persisted (STORAGE_KEYS.REFERRALS).
+ *
+ * WHY thunks over a local registry?
+ * - A referral backend can take over by swapping the thunk bodies for API
+ *   calls; screens only ever dispatch applyReferralCode / claimReferralRewards
+ */
+
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import { REFERRAL_BONUS, TRANSACTION_TYPES } from '../../utils/constants';
+import { saveReferrals } from '../../utils/storage';
+import { validateReferral } from '../../utils/referrals';
+import { earnPoints, persistLoyaltyData } from './loyaltySlice';
+
+const initialState = {
+  // { [refereeId]: { code, referrerId, redeemedAt, referrerCreditedAt } }
+  redemptions: {},
+};
+
+const referralsSlice = createSlice({
+  name: 'referrals',
+  initialState,
+  reducers: {
+    /** Payload: { refereeId, referrerId, code }; the time is added in `prepare` */
+    recordRedemption: {
+      reducer: (state, action) => {
+        const { refereeId, referrerId, code, redeemedAt } = action.payload;
+        if (state.redemptions[refereeId]) return;
+        state.redemptions[refereeId] = { code, referrerId, redeemedAt, referrerCreditedAt: null };
+      },
+      prepare: (payload) => ({
+        payload: { ...payload, redeemedAt: new Date().toISOString() },
+      }),
+    },
+
+    /** Payload: { refereeIds: Array } — the referrer's bonus for these was paid */
+    markReferrerCredited: {
+      reducer: (state, action) => {
+        action.payload.refereeIds.forEach((refereeId) => {
+          const redemption = state.redemptions[refereeId];
+          if (redemption) redemption.referrerCreditedAt = action.payload.creditedAt;
+        });
+      },
+      prepare: (payload) => ({
+        payload: { ...payload, creditedAt: new Date().toISOString() },
+      }),
+    },
+
+    /** Hydrate from AsyncStorage on app boot */
+    setReferrals: (state, action) => {
+      state.redemptions = action.payload?.redemptions || {};
+    },
+  },
+});
+
+export const { recordRedemption, markReferrerCredited, setReferrals } = referralsSlice.actions;
+
+/**
+ * Redeem a referral code for the signed-in user.
+ * Resolves with { referrerId }; rejects with a user-facing message.
+ */
+export const applyReferralCode = createAsyncThunk(
+  'referrals/applyReferralCode',
+  async (code, { dispatch, getState, rejectWithValue }) => {
+    const userId = getState().auth.user?.id;
+    if (userId == null) return rejectWithValue('Sign in to use a referral code.');
+
+    const { referrerId, error } = validateReferral({
+      code,
+      userId,
+      redemptions: getState().referrals.redemptions,
+      transactions: getState().loyalty.transactions,
+      now: new Date().toISOString(),
+    });
+    if (error) return rejectWithValue(error);
+
+    dispatch(recordRedemption({ refereeId: userId, referrerId, code: code.trim().toUpperCase() }));
+    dispatch(
+      earnPoints({
+        type: TRANSACTION_TYPES.REFERRAL,
+        points: REFERRAL_BONUS.REFEREE,
+        description: 'Welcome bonus for joining with a referral code',
+        idempotencyKey: `referral:referee:${userId}`,
+      })
+    );
+    await Promise.all([
+      dispatch(persistLoyaltyData()),
+      saveReferrals(getState().referrals),
+    ]);
+    return { referrerId };
+  }
+);
+
+/**
+ * Pay the signed-in user's bonus for every friend who used their code
+ * since they last signed in. Resolves with the number of referrals paid.
+ */
+export const claimReferralRewards = createAsyncThunk(
+  'referrals/claimReferralRewards',
+  async (_, { dispatch, getState }) => {
+    const userId = getState().auth.user?.id;
+    if (userId == null) return 0;
+
+    const pending = Object.entries(getState().referrals.redemptions).filter(
+      ([, redemption]) => redemption.referrerId === Number(userId) && !redemption.referrerCreditedAt
+    );
+    if (pending.length === 0) return 0;
+
+    pending.forEach(([refereeId]) => {
+      dispatch(
+        earnPoints({
+          type: TRANSACTION_TYPES.REFERRAL,
+          points: REFERRAL_BONUS.REFERRER,
+          description: 'A friend joined with your referral code',
+          idempotencyKey: `referral:referrer:${refereeId}`,
+        })
+      );
+    });
+    dispatch(markReferrerCredited({ refereeIds: pending.map(([refereeId]) => refereeId) }));
+    await Promise.all([
+      dispatch(persistLoyaltyData()),
+      saveReferrals(getState().referrals),
+    ]);
+    return pending.length;
+  }
+);
+
+/** The signed-in user's redemption, if they joined with a code */
+export const selectOwnRedemption = (state) =>
+  state.auth.user ? state.referrals.redemptions[state.auth.user.id] || null : null;
+
+export default referralsSlice.reducer;
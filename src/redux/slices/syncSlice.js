@@ -0,0 +1,244 @@
+/**
+ * syncSlice — offline outbox that pushes the loyalty ledger to a backend.
+ *
+ * How it works:
+ * 1. A store listener (registerSyncListeners) watches loyalty.transactions
+ *    and queues every NEW ledger entry in the outbox, tagged with the
+ *    signed-in user. Hydration (setLoyaltyData) is not a change and is
+ *    ignored; the ledger that existed before sync is queued once via
+ *    queueExistingLedger.
+ * 2. The outbox is persisted per user (STORAGE_KEYS.SYNC_STATE), so changes
+ *    made offline survive restarts and are sent when that member is next
+ *    signed in. It is cleared with the rest of the member's data
+ *    (resetLoyalty) when they sign out or switch accounts.
+ * 3. syncLoyalty POSTs the outbox in batches. Each transaction carries an
+ *    idempotency key (its id), so a batch retried after a timeout is never
+ *    double-counted by the server.
+ * 4. Once the outbox is empty the server balance is fetched and compared
+ *    with the local one; a mismatch is surfaced as `conflict`.
+ *
+ * Nothing is sent until loyaltyAPI has a base URL (LOYALTY_SYNC.BASE_URL or
+ * configureLoyaltyAPI) — tests point it at services/mockLoyaltyServer.
+ */
+
+import { createSlice, createAsyncThunk, isAnyOf } from '@reduxjs/toolkit';
+import { loyaltyAPI, isLoyaltyAPIConfigured } from '../../services/api';
+import { LOYALTY_SYNC } from '../../utils/constants';
+import { saveSyncState } from '../../utils/storage';
+import { setLoyaltyData, resetLoyalty } from './loyaltySlice';
+import { selectDataUserId } from './authSlice';
+
+/**
+ * Push the outbox to the loyalty backend, then reconcile balances.
+ *
+ * Batches are sent oldest-first and one user at a time. If a request fails
+ * part-way, the batches already delivered are still removed from the
+ * outbox (rejectWithValue carries them) and the rest wait for a retry.
+ */
+export const syncLoyalty = createAsyncThunk(
+  'sync/syncLoyalty',
+  async (_, { getState, rejectWithValue }) => {
+    const { outbox } = getState().sync;
+    const delivered = [];
+
+    try {
+      let remaining = outbox;
+      while (remaining.length > 0) {
+        const { userId } = remaining[0];
+        const sameUser = remaining.findIndex((entry) => entry.userId !== userId);
+        const batch = remaining
+          .slice(0, sameUser === -1 ? remaining.length : sameUser)
+          .slice(0, LOYALTY_SYNC.BATCH_SIZE);
+
+        await loyaltyAPI.post(
+          '/loyalty/transactions',
+          {
+            userId,
+            transactions: batch.map((entry) => ({
+              idempotencyKey: entry.id,
+              ...entry.transaction,
+            })),
+          },
+          { headers: { 'Idempotency-Key': `batch:${batch.map((entry) => entry.id).join(',')}` } }
+        );
+        delivered.push(...batch.map((entry) => entry.id));
+        remaining = remaining.slice(batch.length);
+      }
+
+      const userId = getState().auth.user?.id;
+      if (userId == null) return { delivered, serverPoints: null };
+
+      const response = await loyaltyAPI.get('/loyalty/balance', { params: { userId } });
+      return {
+        delivered,
+        serverPoints: response.data.points,
+        localPoints: getState().loyalty.points,
+      };
+    } catch (error) {
+      return rejectWithValue({
+        delivered,
+        message: error.response?.data?.message || error.message || 'Sync failed.',
+      });
+    }
+  },
+  {
+    // Skip when there is no backend, or a sync is already running
+    condition: (_, { getState }) =>
+      isLoyaltyAPIConfigured() && getState().sync.status !== 'syncing',
+  }
+);
+
+const initialState = {
+  outbox: [],           // Array of { id, userId, transaction, queuedAt }
+  initialized: false,   // Has the pre-sync ledger been queued yet?
+  status: 'idle',       // 'idle' | 'syncing' | 'error'
+  lastSyncedAt: null,
+  lastError: null,
+  serverPoints: null,
+  conflict: null,       // { localPoints, serverPoints, detectedAt }
+};
+
+const removeDelivered = (state, delivered = []) => {
+  const ids = new Set(delivered);
+  state.outbox = state.outbox.filter((entry) => !ids.has(entry.id));
+};
+
+const syncSlice = createSlice({
+  name: 'sync',
+  initialState,
+  reducers: {
+    /**
+     * Queue ledger entries for upload.
+     * Payload: { transactions: Array (oldest first), userId }
+     * Entries already in the outbox are skipped.
+     */
+    enqueueTransactions: {
+      reducer: (state, action) => {
+        const { transactions, userId, queuedAt } = action.payload;
+        const queued = new Set(state.outbox.map((entry) => entry.id));
+        transactions
+          .filter((transaction) => !queued.has(transaction.id))
+          .forEach((transaction) => {
+            state.outbox.push({ id: transaction.id, userId, transaction, queuedAt });
+          });
+      },
+      prepare: (payload) => ({
+        payload: { ...payload, queuedAt: new Date().toISOString() },
+      }),
+    },
+
+    /** Mark the pre-sync ledger as queued (see queueExistingLedger) */
+    markInitialized: (state) => {
+      state.initialized = true;
+    },
+
+    /** The member has seen the balance conflict */
+    dismissConflict: (state) => {
+      state.conflict = null;
+    },
+
+    /** Hydrate from AsyncStorage on app boot */
+    setSyncState: (state, action) => {
+      state.outbox = action.payload.outbox || [];
+      state.initialized = Boolean(action.payload.initialized);
+      state.lastSyncedAt = action.payload.lastSyncedAt || null;
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+      .addCase(syncLoyalty.pending, (state) => {
+        state.status = 'syncing';
+        state.lastError = null;
+      })
+      .addCase(syncLoyalty.fulfilled, (state, action) => {
+        const { delivered, serverPoints, localPoints } = action.payload;
+        removeDelivered(state, delivered);
+        state.status = 'idle';
+        state.lastSyncedAt = new Date().toISOString();
+        if (serverPoints == null) return;
+
+        state.serverPoints = serverPoints;
+        // Only compare once nothing is pending — queued entries explain gaps
+        state.conflict =
+          state.outbox.length === 0 && serverPoints !== localPoints
+            ? { localPoints, serverPoints, detectedAt: state.lastSyncedAt }
+            : null;
+      })
+      .addCase(syncLoyalty.rejected, (state, action) => {
+        removeDelivered(state, action.payload?.delivered);
+        state.status = 'error';
+        state.lastError = action.payload?.message || 'Sync failed.';
+      })
+      .addCase(resetLoyalty, () => initialState);
+  },
+});
+
+export const { enqueueTransactions, markInitialized, dismissConflict, setSyncState } =
+  syncSlice.actions;
+
+/**
+ * Queue the ledger that existed before sync was turned on — once.
+ * Call after hydration; later changes are picked up by the listener.
+ */
+export const queueExistingLedger = () => (dispatch, getState) => {
+  const { sync, loyalty, auth } = getState();
+  if (sync.initialized) return;
+  dispatch(
+    enqueueTransactions({
+      transactions: [...loyalty.transactions].reverse(),
+      userId: auth.user?.id ?? null,
+    })
+  );
+  dispatch(markInitialized());
+};
+
+/**
+ * Wire the outbox into the store. Called once from store.js with the
+ * listener middleware's startListening.
+ */
+export const registerSyncListeners = (startListening) => {
+  // Queue every new ledger entry — hydration and resets aren't changes
+  startListening({
+    predicate: (action, currentState, previousState) =>
+      !isAnyOf(setLoyaltyData, resetLoyalty)(action) &&
+      currentState.loyalty.transactions !== previousState.loyalty.transactions,
+    effect: (action, listenerApi) => {
+      const previousIds = new Set(
+        listenerApi.getOriginalState().loyalty.transactions.map((t) => t.id)
+      );
+      const { loyalty, auth } = listenerApi.getState();
+      const added = loyalty.transactions.filter((t) => !previousIds.has(t.id));
+      if (added.length === 0) return;
+      listenerApi.dispatch(
+        enqueueTransactions({ transactions: added.reverse(), userId: auth.user?.id ?? null })
+      );
+    },
+  });
+
+  // Push shortly after the outbox grows — bursts of changes share a sync
+  startListening({
+    actionCreator: enqueueTransactions,
+    effect: async (action, listenerApi) => {
+      listenerApi.cancelActiveListeners();
+      await listenerApi.delay(LOYALTY_SYNC.DEBOUNCE_MS);
+      listenerApi.dispatch(syncLoyalty());
+    },
+  });
+
+  // Persist the outbox whenever it changes
+  startListening({
+    matcher: isAnyOf(
+      enqueueTransactions,
+      markInitialized,
+      syncLoyalty.fulfilled,
+      syncLoyalty.rejected
+    ),
+    effect: (action, listenerApi) => {
+      const state = listenerApi.getState();
+      const { outbox, initialized, lastSyncedAt } = state.sync;
+      saveSyncState(selectDataUserId(state), { outbox, initialized, lastSyncedAt });
+    },
+  });
+};
+
+export default syncSlice.reducer;
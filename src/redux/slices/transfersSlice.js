@@ -0,0 +1,227 @@
+/**
+ * transfersSlice — gifting points to another member.
+ *
+ * How it works:
+ * 1. The recipient is looked up by username on DummyJSON
+ *    (searchMembers → authAPI GET /users/search).
+ * 2. sendPoints checks the amount against the balance and the daily limits
+ *    (utils/transfers), writes a TRANSFER_OUT debit on the sender's ledger
+ *    and records the transfer.
+ * 3. The matching credit is handed to the transfer transport
+ *    (services/transferTransport). A transfer whose credit could not be
+ *    handed over stays pending and is retried by deliverPendingTransfers.
+ * 4. receiveTransfers collects credits addressed to the signed-in member
+ *    and books them as TRANSFER_IN earnings — without the level
+ *    multiplier, and keyed by transfer id so a credit is never paid twice.
+ *    It waits until the member's data is loaded (auth.dataUserId), and a
+ *    credit leaves the mailbox only after the ledger holding it is saved.
+ *    Gifts can't be reversed (see reverseTransaction), so the sender is
+ *    never refunded for points the recipient still gets.
+ * 5. Sent transfers are device-wide and persisted (STORAGE_KEYS.TRANSFERS).
+ */
+
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import { authAPI } from '../../services/api';
+import { getTransferTransport } from '../../services/transferTransport';
+import { TRANSACTION_TYPES } from '../../utils/constants';
+import { saveTransfers } from '../../utils/storage';
+import { createTransferId, validateTransfer } from '../../utils/transfers';
+import { earnPoints, debitPoints, persistLoyaltyData } from './loyaltySlice';
+import { selectDataUserId } from './authSlice';
+
+const initialState = {
+  // Newest first: { id, fromUserId, toUserId, toUsername, points, note, sentAt, transactionId, deliveredAt }
+  sent: [],
+};
+
+const transfersSlice = createSlice({
+  name: 'transfers',
+  initialState,
+  reducers: {
+    /** Payload: a transfer record (see initialState) */
+    recordTransfer: (state, action) => {
+      state.sent.unshift(action.payload);
+    },
+
+    /** Payload: { ids: string[] }; the delivery time is added in `prepare` */
+    markTransfersDelivered: {
+      reducer: (state, action) => {
+        const { ids, deliveredAt } = action.payload;
+        state.sent.forEach((transfer) => {
+          if (ids.includes(transfer.id)) transfer.deliveredAt = deliveredAt;
+        });
+      },
+      prepare: (payload) => ({
+        payload: { ...payload, deliveredAt: new Date().toISOString() },
+      }),
+    },
+
+    /** Hydrate from AsyncStorage on app boot */
+    setTransfers: (state, action) => {
+      state.sent = action.payload?.sent || [];
+    },
+  },
+});
+
+export const { recordTransfer, markTransfersDelivered, setTransfers } = transfersSlice.actions;
+
+const getDisplayName = (user) =>
+  [user.firstName, user.lastName].filter(Boolean).join(' ') || user.username;
+
+/** Build the credit the transport delivers to the recipient */
+const toCredit = (transfer, sender) => ({
+  id: transfer.id,
+  fromUserId: transfer.fromUserId,
+  fromName: getDisplayName(sender),
+  toUserId: transfer.toUserId,
+  points: transfer.points,
+  note: transfer.note,
+  sentAt: transfer.sentAt,
+});
+
+/**
+ * Find members by username or name.
+ * Resolves with [{ id, username, firstName, lastName, image }], without
+ * the signed-in member; rejects with a user-facing message.
+ */
+export const searchMembers = createAsyncThunk(
+  'transfers/searchMembers',
+  async (query, { getState, rejectWithValue }) => {
+    try {
+      const response = await authAPI.get('/users/search', {
+        params: { q: query.trim(), limit: 10, select: 'username,firstName,lastName,image' },
+      });
+      const selfId = getState().auth.user?.id;
+      return (response.data.users || []).filter((user) => user.id !== selfId);
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.message || 'Could not search members. Check your connection.'
+      );
+    }
+  }
+);
+
+/**
+ * Gift points to another member.
+ * Resolves with the transfer record (deliveredAt is null if the credit is
+ * still waiting for the transport); rejects with a user-facing message.
+ *
+ * @param {Object} params
+ * @param {Object} params.recipient - A searchMembers result
+ * @param {number} params.points
+ * @param {string} [params.note]
+ */
+export const sendPoints = createAsyncThunk(
+  'transfers/sendPoints',
+  async ({ recipient, points, note = '' }, { dispatch, getState, rejectWithValue }) => {
+    const sender = getState().auth.user;
+    if (!sender) return rejectWithValue('Sign in to send points.');
+
+    const error = validateTransfer({
+      points,
+      balance: getState().loyalty.points,
+      senderId: sender.id,
+      recipient,
+      sent: getState().transfers.sent,
+      now: new Date().toISOString(),
+    });
+    if (error) return rejectWithValue(error);
+
+    const transferId = createTransferId();
+    const { payload } = dispatch(
+      debitPoints({
+        type: TRANSACTION_TYPES.TRANSFER_OUT,
+        points,
+        description: `Gift to @${recipient.username}`,
+        transferId,
+      })
+    );
+    const debit = getState().loyalty.transactions.find((tx) => tx.id === payload.id);
+    if (!debit) return rejectWithValue("You don't have enough points.");
+
+    const transfer = {
+      id: transferId,
+      fromUserId: sender.id,
+      toUserId: recipient.id,
+      toUsername: recipient.username,
+      points,
+      note: note.trim(),
+      sentAt: debit.date,
+      transactionId: debit.id,
+      deliveredAt: null,
+    };
+    dispatch(recordTransfer(transfer));
+
+    let deliveredAt = null;
+    try {
+      await getTransferTransport().send(toCredit(transfer, sender));
+      deliveredAt = dispatch(markTransfersDelivered({ ids: [transferId] })).payload.deliveredAt;
+    } catch (sendError) {
+      console.warn('Transfer delivery failed, will retry:', sendError);
+    }
+
+    await Promise.all([
+      dispatch(persistLoyaltyData()),
+      saveTransfers(getState().transfers),
+    ]);
+    return { ...transfer, deliveredAt };
+  }
+);
+
+/** Retry handing over credits that failed to send. Resolves with the count delivered. */
+export const deliverPendingTransfers = createAsyncThunk(
+  'transfers/deliverPending',
+  async (_, { dispatch, getState }) => {
+    const sender = getState().auth.user;
+    if (!sender) return 0;
+    const pending = getState().transfers.sent.filter(
+      (transfer) => transfer.fromUserId === sender.id && !transfer.deliveredAt
+    );
+    const delivered = [];
+    for (const transfer of pending) {
+      try {
+        await getTransferTransport().send(toCredit(transfer, sender));
+        delivered.push(transfer.id);
+      } catch (error) {
+        break; // Transport still down — keep the rest for the next retry
+      }
+    }
+    if (delivered.length === 0) return 0;
+    dispatch(markTransfersDelivered({ ids: delivered }));
+    await saveTransfers(getState().transfers);
+    return delivered.length;
+  }
+);
+
+/** Book the gifts waiting for the signed-in member. Resolves with the count received. */
+export const receiveTransfers = createAsyncThunk(
+  'transfers/receive',
+  async (_, { dispatch, getState }) => {
+    // Booked before loadUserData finishes, the credits would not be saved
+    // and setLoyaltyData would then overwrite them
+    const userId = selectDataUserId(getState());
+    if (userId == null) return 0;
+
+    const transport = getTransferTransport();
+    const credits = await transport.peek(userId);
+    if (credits.length === 0 || selectDataUserId(getState()) !== userId) return 0;
+    credits.forEach((credit) => {
+      dispatch(
+        earnPoints({
+          type: TRANSACTION_TYPES.TRANSFER_IN,
+          points: credit.points,
+          description: credit.note
+            ? `Gift from ${credit.fromName}: “${credit.note}”`
+            : `Gift from ${credit.fromName}`,
+          idempotencyKey: `transfer:${credit.id}`,
+          applyMultiplier: false,
+        })
+      );
+    });
+    await dispatch(persistLoyaltyData());
+    await transport.ack(credits.map((credit) => credit.id));
+    return credits.length;
+  }
+);
+
+export default transfersSlice.reducer;
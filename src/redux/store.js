@@ -7,15 +7,34 @@
  * - Enables Immer for immutable updates with mutable syntax
  * - Provides good defaults with zero boilerplate
  * 
- * All four feature slices are registered here. The store is the single
+ * All feature slices are registered here. The store is the single
  * source of truth for the entire app's state tree.
+ *
+ * A listener middleware hosts cross-slice reactions (e.g. queueing every
+ * loyalty ledger change in the sync outbox) so slices stay decoupled.
  */
 
-import { configureStore } from '@reduxjs/toolkit';
-import authReducer from './slices/authSlice';
+import { configureStore, createListenerMiddleware } from '@reduxjs/toolkit';
+import authReducer, { registerAuthRefresh } from './slices/authSlice';
 import productsReducer from './slices/productsSlice';
 import favoritesReducer from './slices/favoritesSlice';
 import loyaltyReducer from './slices/loyaltySlice';
+import syncReducer, { registerSyncListeners } from './slices/syncSlice';
+import historyReducer from './slices/historySlice';
+import missionsReducer, { registerMissionListeners } from './slices/missionsSlice';
+import achievementsReducer, { registerAchievementListeners } from './slices/achievementsSlice';
+import referralsReducer from './slices/referralsSlice';
+import cartReducer, { registerCartListeners } from './slices/cartSlice';
+import ordersReducer from './slices/ordersSlice';
+import transfersReducer from './slices/transfersSlice';
+import accountsReducer, { registerAccountListeners } from './slices/accountsSlice';
+
+const listenerMiddleware = createListenerMiddleware();
+registerSyncListeners(listenerMiddleware.startListening);
+registerMissionListeners(listenerMiddleware.startListening);
+registerAchievementListeners(listenerMiddleware.startListening);
+registerCartListeners(listenerMiddleware.startListening);
+registerAccountListeners(listenerMiddleware.startListening);
 
 const store = configureStore({
   reducer: {
@@ -23,9 +42,23 @@ const store = configureStore({
     products: productsReducer,
     favorites: favoritesReducer,
     loyalty: loyaltyReducer,
+    sync: syncReducer,
+    history: historyReducer,
+    missions: missionsReducer,
+    achievements: achievementsReducer,
+    referrals: referralsReducer,
+    cart: cartReducer,
+    orders: ordersReducer,
+    transfers: transfersReducer,
+    accounts: accountsReducer,
   },
-  // Middleware: redux-thunk is included by default.
+  // Middleware: redux-thunk is included by default; the listener
+  // middleware is prepended, as the RTK docs recommend.
   // serializableCheck is on by default — we keep it for safety.
+  middleware: (getDefaultMiddleware) =>
+    getDefaultMiddleware().prepend(listenerMiddleware.middleware),
 });
 
+registerAuthRefresh(store);
+
 export default store;
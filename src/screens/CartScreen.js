@@ -0,0 +1,272 @@
+/**
+ * CartScreen — cart lines with quantity steppers, subtotals and the
+ * points each line is projected to earn, plus a simulated checkout.
+ */
+
+import React, { useCallback, useState } from 'react';
+import {
+  View,
+  Text,
+  Image,
+  FlatList,
+  StyleSheet,
+  TouchableOpacity,
+  Alert,
+} from 'react-native';
+import { useDispatch, useSelector } from 'react-redux';
+import { useNavigation } from '@react-navigation/native';
+import {
+  removeFromCart,
+  setCartQuantity,
+  selectCartLines,
+  selectCartSummary,
+} from '../redux/slices/cartSlice';
+import { checkout } from '../redux/slices/ordersSlice';
+import CustomButton from '../components/CustomButton';
+import useActiveCampaigns from '../hooks/useActiveCampaigns';
+import { MAX_CART_QUANTITY } from '../utils/constants';
+import { useTheme } from '../theme/ThemeContext';
+import { Spacing, FontSize, BorderRadius } from '../theme';
+
+const StepButton = ({ label, onPress, disabled, colors }) => (
+  <TouchableOpacity
+    style={[styles.stepButton, { borderColor: colors.border }, disabled && styles.stepDisabled]}
+    onPress={onPress}
+    disabled={disabled}
+    hitSlop={{ top: 6, bottom: 6, left: 6, right: 6 }}
+  >
+    <Text style={[styles.stepLabel, { color: colors.textPrimary }]}>{label}</Text>
+  </TouchableOpacity>
+);
+
+const CartLine = React.memo(({ line, onChangeQuantity, onRemove, onPress, colors }) => (
+  <TouchableOpacity
+    style={[
+      styles.card,
+      {
+        backgroundColor: colors.surface,
+        shadowColor: colors.shadowColor,
+        shadowOpacity: colors.cardShadowOpacity,
+      },
+    ]}
+    onPress={onPress}
+    activeOpacity={0.7}
+  >
+    <View style={[styles.imageContainer, { backgroundColor: colors.white }]}>
+      <Image source={{ uri: line.product.image }} style={styles.image} resizeMode="contain" />
+    </View>
+    <View style={styles.cardInfo}>
+      <Text style={[styles.cardTitle, { color: colors.textPrimary }]} numberOfLines={2}>
+        {line.product.title}
+      </Text>
+      <Text style={[styles.unitPrice, { color: colors.textSecondary }]}>
+        ${line.product.price.toFixed(2)} each
+      </Text>
+      <View style={styles.lineFooter}>
+        <View style={styles.stepper}>
+          <StepButton
+            label="−"
+            colors={colors}
+            onPress={() => onChangeQuantity(line.quantity - 1)}
+          />
+          <Text style={[styles.quantity, { color: colors.textPrimary }]}>{line.quantity}</Text>
+          <StepButton
+            label="+"
+            colors={colors}
+            disabled={line.quantity >= MAX_CART_QUANTITY}
+            onPress={() => onChangeQuantity(line.quantity + 1)}
+          />
+        </View>
+        <View style={styles.lineTotals}>
+          <Text style={[styles.subtotal, { color: colors.textPrimary }]}>
+            ${line.subtotal.toFixed(2)}
+          </Text>
+          <Text style={[styles.linePoints, { color: colors.goldDark }]}>
+            {line.campaignIds.length > 0 ? '🔥' : '⭐'} +{line.points} pts
+          </Text>
+        </View>
+      </View>
+    </View>
+    <TouchableOpacity
+      style={[styles.removeButton, { backgroundColor: colors.error + '15' }]}
+      onPress={onRemove}
+      hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+    >
+      <Text style={[styles.removeIcon, { color: colors.error }]}>✕</Text>
+    </TouchableOpacity>
+  </TouchableOpacity>
+));
+
+const CartScreen = () => {
+  const dispatch = useDispatch();
+  const navigation = useNavigation();
+  const campaigns = useActiveCampaigns();
+  const lines = useSelector((state) => selectCartLines(state, campaigns));
+  const summary = useSelector((state) => selectCartSummary(state, campaigns));
+  const { colors } = useTheme();
+  const [placing, setPlacing] = useState(false);
+
+  const placeOrder = useCallback(async () => {
+    setPlacing(true);
+    try {
+      const order = await dispatch(checkout()).unwrap();
+      Alert.alert(
+        'Order placed',
+        `Order ${order.id} — $${order.total.toFixed(2)}.\nYou earned ${order.points} points.`,
+        [
+          { text: 'OK' },
+          { text: 'View Orders', onPress: () => navigation.navigate('OrderHistory') },
+        ]
+      );
+    } catch (message) {
+      Alert.alert('Checkout failed', message);
+    } finally {
+      setPlacing(false);
+    }
+  }, [dispatch, navigation]);
+
+  const handleCheckout = useCallback(() => {
+    Alert.alert(
+      'Confirm Checkout',
+      `Pay $${summary.subtotal.toFixed(2)} and earn ${summary.points} points?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Place Order', onPress: placeOrder },
+      ]
+    );
+  }, [summary, placeOrder]);
+
+  const handlePress = useCallback(
+    (product) => {
+      navigation.navigate('ProductsTab', { screen: 'ProductDetail', params: { product } });
+    },
+    [navigation]
+  );
+
+  const renderItem = useCallback(
+    ({ item }) => (
+      <CartLine
+        line={item}
+        colors={colors}
+        onChangeQuantity={(quantity) =>
+          dispatch(setCartQuantity({ productId: item.product.id, quantity }))
+        }
+        onRemove={() => dispatch(removeFromCart(item.product.id))}
+        onPress={() => handlePress(item.product)}
+      />
+    ),
+    [dispatch, handlePress, colors]
+  );
+
+  const keyExtractor = useCallback((item) => item.product.id.toString(), []);
+
+  if (lines.length === 0) {
+    return (
+      <View style={[styles.emptyContainer, { backgroundColor: colors.background }]}>
+        <Text style={styles.emptyIcon}>🛒</Text>
+        <Text style={[styles.emptyTitle, { color: colors.textPrimary }]}>Your cart is empty</Text>
+        <Text style={[styles.emptySubtitle, { color: colors.textSecondary }]}>
+          Add products to see how many{'\n'}points your purchase earns
+        </Text>
+        <TouchableOpacity
+          style={[styles.browseButton, { backgroundColor: colors.primary }]}
+          onPress={() => navigation.navigate('ProductsTab')}
+          activeOpacity={0.7}
+        >
+          <Text style={[styles.browseButtonText, { color: colors.white }]}>Browse Products</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  }
+
+  return (
+    <View style={[styles.container, { backgroundColor: colors.background }]}>
+      <FlatList
+        data={lines}
+        renderItem={renderItem}
+        keyExtractor={keyExtractor}
+        contentContainerStyle={styles.listContent}
+        showsVerticalScrollIndicator={false}
+        initialNumToRender={8}
+      />
+      <View style={[styles.summary, { backgroundColor: colors.surface, borderTopColor: colors.border }]}>
+        <View style={styles.summaryRow}>
+          <Text style={[styles.summaryLabel, { color: colors.textSecondary }]}>
+            Subtotal ({summary.itemCount} item{summary.itemCount !== 1 ? 's' : ''})
+          </Text>
+          <Text style={[styles.summaryTotal, { color: colors.textPrimary }]}>
+            ${summary.subtotal.toFixed(2)}
+          </Text>
+        </View>
+        <Text style={[styles.summaryPoints, { color: colors.goldDark }]}>
+          ⭐ This order earns {summary.points} points
+        </Text>
+        <CustomButton
+          title="Checkout"
+          onPress={handleCheckout}
+          loading={placing}
+          style={styles.checkoutButton}
+        />
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: { flex: 1 },
+  card: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    marginHorizontal: Spacing.md,
+    marginVertical: Spacing.xs,
+    borderRadius: BorderRadius.md,
+    padding: Spacing.md,
+    shadowOffset: { width: 0, height: 2 },
+    shadowRadius: 8,
+    elevation: 2,
+  },
+  imageContainer: {
+    width: 56,
+    height: 56,
+    borderRadius: BorderRadius.sm,
+    padding: Spacing.xs,
+    marginRight: Spacing.md,
+  },
+  image: { width: '100%', height: '100%' },
+  cardInfo: { flex: 1, marginRight: Spacing.sm },
+  cardTitle: { fontSize: FontSize.md, fontWeight: '600', lineHeight: 18, marginBottom: 2 },
+  unitPrice: { fontSize: FontSize.xs, marginBottom: Spacing.sm },
+  lineFooter: { flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center' },
+  stepper: { flexDirection: 'row', alignItems: 'center' },
+  stepButton: {
+    width: 28,
+    height: 28,
+    borderRadius: BorderRadius.sm,
+    borderWidth: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  stepDisabled: { opacity: 0.4 },
+  stepLabel: { fontSize: FontSize.body, fontWeight: '700' },
+  quantity: { fontSize: FontSize.md, fontWeight: '700', minWidth: 32, textAlign: 'center' },
+  lineTotals: { alignItems: 'flex-end' },
+  subtotal: { fontSize: FontSize.body, fontWeight: '800' },
+  linePoints: { fontSize: FontSize.xs, fontWeight: '600', marginTop: 2 },
+  removeButton: { width: 32, height: 32, borderRadius: BorderRadius.full, justifyContent: 'center', alignItems: 'center' },
+  removeIcon: { fontSize: 14, fontWeight: '700' },
+  listContent: { paddingVertical: Spacing.sm },
+  summary: { padding: Spacing.lg, borderTopWidth: 1 },
+  summaryRow: { flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center' },
+  summaryLabel: { fontSize: FontSize.md, fontWeight: '600' },
+  summaryTotal: { fontSize: FontSize.xl, fontWeight: '800' },
+  summaryPoints: { fontSize: FontSize.sm, fontWeight: '600', marginTop: Spacing.xs },
+  checkoutButton: { marginTop: Spacing.md },
+  emptyContainer: { flex: 1, justifyContent: 'center', alignItems: 'center', padding: Spacing.xl },
+  emptyIcon: { fontSize: 64, marginBottom: Spacing.md },
+  emptyTitle: { fontSize: FontSize.xl, fontWeight: '700', marginBottom: Spacing.sm },
+  emptySubtitle: { fontSize: FontSize.md, textAlign: 'center', lineHeight: 22, marginBottom: Spacing.lg },
+  browseButton: { paddingHorizontal: Spacing.xl, paddingVertical: Spacing.md, borderRadius: BorderRadius.md },
+  browseButtonText: { fontSize: FontSize.body, fontWeight: '700' },
+});
+
+export default CartScreen;
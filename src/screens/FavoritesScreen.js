@@ -13,7 +13,10 @@ import {
 import { useDispatch, useSelector } from 'react-redux';
 import { useNavigation } from '@react-navigation/native';
 import { removeFavorite } from '../redux/slices/favoritesSlice';
+import { revokeEvent } from '../redux/slices/loyaltySlice';
+import { selectDataUserId } from '../redux/slices/authSlice';
 import { saveFavorites } from '../utils/storage';
+import { EARNING_EVENTS } from '../utils/constants';
 import { useTheme } from '../theme/ThemeContext';
 import { Spacing, FontSize, BorderRadius } from '../theme';
 
@@ -54,15 +57,17 @@ const FavoritesScreen = () => {
   const dispatch = useDispatch();
   const navigation = useNavigation();
   const favorites = useSelector((state) => state.favorites.items);
+  const userId = useSelector(selectDataUserId);
   const { colors } = useTheme();
 
   const handleRemove = useCallback(
-    (productId) => {
-      dispatch(removeFavorite(productId));
-      const updated = favorites.filter((item) => item.id !== productId);
-      saveFavorites(updated);
+    (product) => {
+      dispatch(removeFavorite(product.id));
+      dispatch(revokeEvent(EARNING_EVENTS.FAVORITE_ADDED, { product }));
+      const updated = favorites.filter((item) => item.id !== product.id);
+      saveFavorites(userId, updated);
     },
-    [dispatch, favorites]
+    [dispatch, favorites, userId]
   );
 
   const handlePress = useCallback(
@@ -77,7 +82,7 @@ const FavoritesScreen = () => {
       <FavoriteCard
         product={item}
         colors={colors}
-        onRemove={() => handleRemove(item.id)}
+        onRemove={() => handleRemove(item)}
         onPress={() => handlePress(item)}
       />
     ),
@@ -10,24 +10,31 @@ import {
   KeyboardAvoidingView,
   Platform,
   ScrollView,
+  TouchableOpacity,
+  Alert,
 } from 'react-native';
 import { useDispatch, useSelector } from 'react-redux';
-import { loginUser, clearError } from '../redux/slices/authSlice';
-import { earnPoints } from '../redux/slices/loyaltySlice';
-import { LOYALTY_POINTS, TRANSACTION_TYPES } from '../utils/constants';
-import { saveLoyaltyData } from '../utils/storage';
+import { useNavigation } from '@react-navigation/native';
+import { loginUser, clearError, SESSION_EXPIRED_MESSAGE } from '../redux/slices/authSlice';
+import { loadUserData } from '../redux/slices/accountsSlice';
+import { applyReferralCode } from '../redux/slices/referralsSlice';
+import { parseReferralCode } from '../utils/referrals';
 import CustomInput from '../components/CustomInput';
 import CustomButton from '../components/CustomButton';
+import AccountSwitcher from '../components/AccountSwitcher';
 import { useTheme } from '../theme/ThemeContext';
 import { Spacing, FontSize, BorderRadius } from '../theme';
 
 const LoginScreen = () => {
   const dispatch = useDispatch();
-  const { loading, error } = useSelector((state) => state.auth);
+  const navigation = useNavigation();
+  const { loading, error, sessionExpired } = useSelector((state) => state.auth);
   const { colors } = useTheme();
 
   const [username, setUsername] = useState('');
   const [password, setPassword] = useState('');
+  const [referralCode, setReferralCode] = useState('');
+  const [showReferral, setShowReferral] = useState(false);
   const [errors, setErrors] = useState({});
 
   const validate = useCallback(() => {
@@ -36,34 +43,29 @@ const LoginScreen = () => {
     else if (username.trim().length < 3) newErrors.username = 'Username must be at least 3 characters';
     if (!password.trim()) newErrors.password = 'Password is required';
     else if (password.length < 6) newErrors.password = 'Password must be at least 6 characters';
+    if (referralCode.trim() && parseReferralCode(referralCode) == null) {
+      newErrors.referralCode = 'Referral code is not valid';
+    }
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
-  }, [username, password]);
+  }, [username, password, referralCode]);
 
   const handleLogin = useCallback(async () => {
     dispatch(clearError());
     if (!validate()) return;
     const result = await dispatch(loginUser({ username: username.trim(), password }));
     if (loginUser.fulfilled.match(result)) {
-      dispatch(
-        earnPoints({
-          type: TRANSACTION_TYPES.LOGIN_BONUS,
-          points: LOYALTY_POINTS.LOGIN_BONUS,
-          description: 'Welcome bonus for logging in',
-        })
-      );
-      saveLoyaltyData({
-        points: LOYALTY_POINTS.LOGIN_BONUS,
-        transactions: [{
-          id: Date.now().toString(),
-          type: TRANSACTION_TYPES.LOGIN_BONUS,
-          points: LOYALTY_POINTS.LOGIN_BONUS,
-          description: 'Welcome bonus for logging in',
-          date: new Date().toISOString(),
-        }],
-      });
+      // This member's saved points/favorites/cart, then the daily check-in
+      await dispatch(loadUserData());
+      if (referralCode.trim()) {
+        // Self-referral / reuse can only be checked once we know who signed in
+        const referral = await dispatch(applyReferralCode(referralCode));
+        if (applyReferralCode.rejected.match(referral)) {
+          Alert.alert('Referral code not applied', referral.payload);
+        }
+      }
     }
-  }, [dispatch, username, password, validate]);
+  }, [dispatch, username, password, referralCode, validate]);
 
   return (
     <KeyboardAvoidingView
@@ -130,6 +132,34 @@ const LoginScreen = () => {
             onSubmitEditing={handleLogin}
           />
 
+          {showReferral ? (
+            <CustomInput
+              label="Referral Code (optional)"
+              value={referralCode}
+              onChangeText={(text) => {
+                setReferralCode(text);
+                if (errors.referralCode) setErrors((prev) => ({ ...prev, referralCode: null }));
+              }}
+              placeholder="e.g. RL-1A-3F9A"
+              error={errors.referralCode}
+              icon="🤝"
+              autoCapitalize="characters"
+              autoCorrect={false}
+            />
+          ) : (
+            <TouchableOpacity onPress={() => setShowReferral(true)} style={styles.referralToggle}>
+              <Text style={[styles.referralToggleText, { color: colors.primary }]}>
+                Have a referral code?
+              </Text>
+            </TouchableOpacity>
+          )}
+
+          {sessionExpired && !error && (
+            <View style={[styles.apiError, { backgroundColor: colors.info + '15' }]}>
+              <Text style={[styles.apiErrorText, { color: colors.info }]}>🔒 {SESSION_EXPIRED_MESSAGE}</Text>
+            </View>
+          )}
+
           {error && (
             <View style={[styles.apiError, { backgroundColor: colors.error + '15' }]}>
               <Text style={[styles.apiErrorText, { color: colors.error }]}>⚠️ {error}</Text>
@@ -139,6 +169,16 @@ const LoginScreen = () => {
           <CustomButton title="Sign In" onPress={handleLogin} loading={loading} style={styles.loginButton} />
         </View>
 
+        <TouchableOpacity onPress={() => navigation.navigate('Register')} style={styles.registerLink}>
+          <Text style={[styles.registerText, { color: colors.textSecondary }]}>
+            New to RewardLoop?{' '}
+            <Text style={{ color: colors.primary, fontWeight: '700' }}>Create an account</Text>
+          </Text>
+        </TouchableOpacity>
+
+        {/* Accounts remembered on this device */}
+        <AccountSwitcher title="Continue as" style={styles.accounts} />
+
         {/* Demo credentials */}
         <View style={[styles.hint, { backgroundColor: colors.surface, borderColor: colors.border }]}>
           <Text style={[styles.hintTitle, { color: colors.textSecondary }]}>Demo Credentials</Text>
@@ -169,6 +209,11 @@ const styles = StyleSheet.create({
   apiError: { borderRadius: BorderRadius.sm, padding: Spacing.md, marginBottom: Spacing.md },
   apiErrorText: { fontSize: FontSize.sm, textAlign: 'center' },
   loginButton: { marginTop: Spacing.sm },
+  registerLink: { alignItems: 'center', marginTop: Spacing.lg },
+  registerText: { fontSize: FontSize.md },
+  accounts: { marginTop: Spacing.lg },
+  referralToggle: { alignSelf: 'flex-start', marginBottom: Spacing.md },
+  referralToggleText: { fontSize: FontSize.sm, fontWeight: '600' },
   hint: {
     marginTop: Spacing.lg,
     alignItems: 'center',
@@ -0,0 +1,161 @@
+/**
+ * OrderHistoryScreen — past orders, each linked to the PURCHASE
+ * transaction that paid its points. Tapping the points opens that
+ * transaction in the Rewards tab's history.
+ */
+
+import React, { useCallback, useMemo } from 'react';
+import { View, Text, FlatList, StyleSheet, TouchableOpacity } from 'react-native';
+import { useDispatch, useSelector } from 'react-redux';
+import { useNavigation } from '@react-navigation/native';
+import { clearHistoryFilters, setHistorySearch } from '../redux/slices/historySlice';
+import { formatDate } from '../utils/constants';
+import { useTheme } from '../theme/ThemeContext';
+import { Spacing, FontSize, BorderRadius } from '../theme';
+
+const OrderCard = React.memo(({ order, transaction, onOpenTransaction, colors }) => {
+  const itemCount = order.lines.reduce((sum, line) => sum + line.quantity, 0);
+  let pointsLabel = 'No points (under $1)';
+  if (order.transactionId && !transaction) pointsLabel = 'Points transaction not found';
+  else if (transaction?.reversedBy) pointsLabel = `+${transaction.points} pts (reversed)`;
+  else if (transaction) pointsLabel = `⭐ +${transaction.points} pts`;
+
+  return (
+    <View
+      style={[
+        styles.card,
+        {
+          backgroundColor: colors.surface,
+          shadowColor: colors.shadowColor,
+          shadowOpacity: colors.cardShadowOpacity,
+        },
+      ]}
+    >
+      <View style={styles.cardHeader}>
+        <Text style={[styles.orderId, { color: colors.textPrimary }]} selectable>
+          {order.id}
+        </Text>
+        <Text style={[styles.total, { color: colors.textPrimary }]}>${order.total.toFixed(2)}</Text>
+      </View>
+      <Text style={[styles.meta, { color: colors.textSecondary }]}>
+        {formatDate(order.timestamp)} · {itemCount} item{itemCount !== 1 ? 's' : ''}
+      </Text>
+      {order.lines.map((line) => (
+        <Text
+          key={line.product.id}
+          style={[styles.line, { color: colors.textSecondary }]}
+          numberOfLines={1}
+        >
+          {line.quantity} × {line.product.title}
+        </Text>
+      ))}
+      <TouchableOpacity
+        style={[styles.pointsLink, { backgroundColor: colors.gold + '20' }]}
+        onPress={onOpenTransaction}
+        disabled={!transaction}
+        activeOpacity={0.7}
+      >
+        <Text style={[styles.pointsText, { color: colors.goldDark }]}>{pointsLabel}</Text>
+        {transaction && (
+          <Text style={[styles.pointsAction, { color: colors.primary }]}>View in history ›</Text>
+        )}
+      </TouchableOpacity>
+    </View>
+  );
+});
+
+const OrderHistoryScreen = () => {
+  const dispatch = useDispatch();
+  const navigation = useNavigation();
+  const orders = useSelector((state) => state.orders.items);
+  const transactions = useSelector((state) => state.loyalty.transactions);
+  const { colors } = useTheme();
+
+  const transactionsById = useMemo(
+    () => new Map(transactions.map((transaction) => [transaction.id, transaction])),
+    [transactions]
+  );
+
+  const handleOpenTransaction = useCallback(
+    (order) => {
+      // The PURCHASE description names the order, so a search finds it
+      dispatch(clearHistoryFilters());
+      dispatch(setHistorySearch(order.id));
+      navigation.navigate('RewardsTab');
+    },
+    [dispatch, navigation]
+  );
+
+  const renderItem = useCallback(
+    ({ item }) => (
+      <OrderCard
+        order={item}
+        transaction={item.transactionId ? transactionsById.get(item.transactionId) : null}
+        onOpenTransaction={() => handleOpenTransaction(item)}
+        colors={colors}
+      />
+    ),
+    [transactionsById, handleOpenTransaction, colors]
+  );
+
+  const keyExtractor = useCallback((item) => item.id, []);
+
+  if (orders.length === 0) {
+    return (
+      <View style={[styles.emptyContainer, { backgroundColor: colors.background }]}>
+        <Text style={styles.emptyIcon}>🧾</Text>
+        <Text style={[styles.emptyTitle, { color: colors.textPrimary }]}>No orders yet</Text>
+        <Text style={[styles.emptySubtitle, { color: colors.textSecondary }]}>
+          Orders you check out appear here{'\n'}with the points they earned
+        </Text>
+      </View>
+    );
+  }
+
+  return (
+    <FlatList
+      style={{ backgroundColor: colors.background }}
+      data={orders}
+      renderItem={renderItem}
+      keyExtractor={keyExtractor}
+      contentContainerStyle={styles.listContent}
+      showsVerticalScrollIndicator={false}
+      initialNumToRender={6}
+    />
+  );
+};
+
+const styles = StyleSheet.create({
+  listContent: { paddingVertical: Spacing.sm },
+  card: {
+    marginHorizontal: Spacing.md,
+    marginVertical: Spacing.xs,
+    borderRadius: BorderRadius.md,
+    padding: Spacing.md,
+    shadowOffset: { width: 0, height: 2 },
+    shadowRadius: 8,
+    elevation: 2,
+  },
+  cardHeader: { flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center' },
+  orderId: { fontSize: FontSize.md, fontWeight: '700', letterSpacing: 0.5 },
+  total: { fontSize: FontSize.lg, fontWeight: '800' },
+  meta: { fontSize: FontSize.xs, marginTop: 2, marginBottom: Spacing.sm },
+  line: { fontSize: FontSize.sm, lineHeight: 20 },
+  pointsLink: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    borderRadius: BorderRadius.sm,
+    paddingHorizontal: Spacing.sm,
+    paddingVertical: Spacing.xs + 2,
+    marginTop: Spacing.sm,
+  },
+  pointsText: { fontSize: FontSize.sm, fontWeight: '700' },
+  pointsAction: { fontSize: FontSize.sm, fontWeight: '600' },
+  emptyContainer: { flex: 1, justifyContent: 'center', alignItems: 'center', padding: Spacing.xl },
+  emptyIcon: { fontSize: 64, marginBottom: Spacing.md },
+  emptyTitle: { fontSize: FontSize.xl, fontWeight: '700', marginBottom: Spacing.sm },
+  emptySubtitle: { fontSize: FontSize.md, textAlign: 'center', lineHeight: 22 },
+});
+
+export default OrderHistoryScreen;
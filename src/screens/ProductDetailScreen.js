@@ -13,9 +13,15 @@ import {
 } from 'react-native';
 import { useDispatch, useSelector } from 'react-redux';
 import { addFavorite, removeFavorite } from '../redux/slices/favoritesSlice';
-import { earnPoints } from '../redux/slices/loyaltySlice';
-import { saveFavorites, saveLoyaltyData } from '../utils/storage';
-import { LOYALTY_POINTS, TRANSACTION_TYPES } from '../utils/constants';
+import { reportEvent, revokeEvent, selectMembershipLevel } from '../redux/slices/loyaltySlice';
+import { addToCart } from '../redux/slices/cartSlice';
+import { selectDataUserId } from '../redux/slices/authSlice';
+import { saveFavorites } from '../utils/storage';
+import { EARNING_EVENTS } from '../utils/constants';
+import { estimateEventPoints } from '../utils/earningRules';
+import { getLineBasePoints } from '../utils/cart';
+import { applyCampaigns, getProductCampaigns, getCampaignTag } from '../utils/campaigns';
+import useActiveCampaigns from '../hooks/useActiveCampaigns';
 import { useTheme } from '../theme/ThemeContext';
 import { Spacing, FontSize, BorderRadius } from '../theme';
 
@@ -28,41 +34,47 @@ const ProductDetailScreen = ({ route }) => {
     state.favorites.items.some((item) => item.id === product.id)
   );
   const favorites = useSelector((state) => state.favorites.items);
-  const loyalty = useSelector((state) => state.loyalty);
+  const userId = useSelector(selectDataUserId);
+  const awardedKeys = useSelector((state) => state.loyalty.awardedKeys);
+  const level = useSelector(selectMembershipLevel);
+  const activeCampaigns = useActiveCampaigns();
+  const campaigns = useMemo(
+    () => getProductCampaigns(product, activeCampaigns),
+    [product, activeCampaigns]
+  );
+  const cartQuantity = useSelector(
+    (state) => state.cart.items.find((line) => line.product.id === product.id)?.quantity || 0
+  );
 
   const handleToggleFavorite = useCallback(() => {
     if (isFavorite) {
       dispatch(removeFavorite(product.id));
+      dispatch(revokeEvent(EARNING_EVENTS.FAVORITE_ADDED, { product }));
       const updated = favorites.filter((item) => item.id !== product.id);
-      saveFavorites(updated);
+      saveFavorites(userId, updated);
     } else {
       dispatch(addFavorite(product));
-      dispatch(
-        earnPoints({
-          type: TRANSACTION_TYPES.FAVORITE_ADDED,
-          points: LOYALTY_POINTS.FAVORITE_ADDED,
-          description: `Favorited: ${product.title}`,
-        })
-      );
+      dispatch(reportEvent(EARNING_EVENTS.FAVORITE_ADDED, { product }));
       const updated = [...favorites, product];
-      saveFavorites(updated);
-      setTimeout(() => {
-        saveLoyaltyData({
-          points: loyalty.points + LOYALTY_POINTS.FAVORITE_ADDED,
-          transactions: [
-            {
-              id: Date.now().toString(),
-              type: TRANSACTION_TYPES.FAVORITE_ADDED,
-              points: LOYALTY_POINTS.FAVORITE_ADDED,
-              description: `Favorited: ${product.title}`,
-              date: new Date().toISOString(),
-            },
-            ...loyalty.transactions,
-          ],
-        });
-      }, 100);
+      saveFavorites(userId, updated);
     }
-  }, [dispatch, product, isFavorite, favorites, loyalty]);
+  }, [dispatch, product, isFavorite, favorites, userId]);
+
+  // Projected the way earnPoints pays: campaign boost, then the level multiplier
+  const favoritePoints = useMemo(() => {
+    const base = estimateEventPoints(EARNING_EVENTS.FAVORITE_ADDED, { product }, { awardedKeys });
+    return base > 0
+      ? Math.round(applyCampaigns(base, product, campaigns).points * level.multiplier)
+      : 0;
+  }, [product, awardedKeys, campaigns, level.multiplier]);
+
+  const handleAddToCart = useCallback(() => {
+    dispatch(addToCart(product));
+  }, [dispatch, product]);
+
+  const purchasePoints = Math.round(
+    getLineBasePoints({ product, quantity: 1 }, campaigns).points * level.multiplier
+  );
 
   const renderStars = useMemo(() => {
     const rate = product.rating?.rate || 0;
@@ -110,6 +122,18 @@ const ProductDetailScreen = ({ route }) => {
           </View>
         </View>
 
+        {campaigns.map((campaign) => (
+          <View
+            key={campaign.id}
+            style={[styles.campaignRow, { backgroundColor: campaign.color + '15', borderColor: campaign.color }]}
+          >
+            <Text style={styles.campaignIcon}>{campaign.icon}</Text>
+            <Text style={[styles.campaignText, { color: campaign.color }]}>
+              {campaign.title} · {getCampaignTag(campaign)}
+            </Text>
+          </View>
+        ))}
+
         <Text style={[styles.sectionTitle, { color: colors.textPrimary }]}>Description</Text>
         <Text style={[styles.description, { color: colors.textSecondary }]}>{product.description}</Text>
 
@@ -135,11 +159,25 @@ const ProductDetailScreen = ({ route }) => {
           </Text>
         </TouchableOpacity>
 
-        {!isFavorite && (
+        {!isFavorite && favoritePoints > 0 && (
           <Text style={[styles.loyaltyHint, { color: colors.goldDark }]}>
-            ⭐ Earn {LOYALTY_POINTS.FAVORITE_ADDED} loyalty points!
+            ⭐ Earn {favoritePoints} loyalty points!
           </Text>
         )}
+
+        <TouchableOpacity
+          style={[styles.cartButton, { backgroundColor: colors.primary }]}
+          onPress={handleAddToCart}
+          activeOpacity={0.7}
+        >
+          <Text style={styles.favoriteIcon}>🛒</Text>
+          <Text style={[styles.favoriteText, { color: colors.white }]}>
+            {cartQuantity > 0 ? `Add Another (${cartQuantity} in cart)` : 'Add to Cart'}
+          </Text>
+        </TouchableOpacity>
+        <Text style={[styles.loyaltyHint, { color: colors.goldDark }]}>
+          ⭐ Buying this earns {purchasePoints} points
+        </Text>
       </View>
     </ScrollView>
   );
@@ -180,6 +218,17 @@ const styles = StyleSheet.create({
   ratingContainer: { alignItems: 'flex-end' },
   stars: { fontSize: FontSize.body, marginBottom: 2 },
   ratingText: { fontSize: FontSize.xs },
+  campaignRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderWidth: 1,
+    borderRadius: BorderRadius.md,
+    paddingHorizontal: Spacing.md,
+    paddingVertical: Spacing.sm,
+    marginBottom: Spacing.md,
+  },
+  campaignIcon: { fontSize: FontSize.lg, marginRight: Spacing.sm },
+  campaignText: { fontSize: FontSize.sm, fontWeight: '700' },
   sectionTitle: { fontSize: FontSize.body, fontWeight: '700', marginBottom: Spacing.sm },
   description: { fontSize: FontSize.md, lineHeight: 22, marginBottom: Spacing.lg },
   favoriteButton: {
@@ -190,6 +239,14 @@ const styles = StyleSheet.create({
     borderRadius: BorderRadius.md,
     borderWidth: 2,
   },
+  cartButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    height: 52,
+    borderRadius: BorderRadius.md,
+    marginTop: Spacing.md,
+  },
   favoriteIcon: { fontSize: 20, marginRight: Spacing.sm },
   favoriteText: { fontSize: FontSize.body, fontWeight: '700' },
   loyaltyHint: { fontSize: FontSize.sm, textAlign: 'center', marginTop: Spacing.sm },
@@ -1,8 +1,10 @@
 /**
  * ProductListScreen — dark-mode-aware with skeleton loading.
+ * Active campaigns show as banners above the list (tap to filter to the
+ * campaign's category) and as tags on the products they boost.
  */
 
-import React, { useEffect, useCallback, useMemo } from 'react';
+import React, { useEffect, useCallback, useMemo, memo } from 'react';
 import {
   View,
   Text,
@@ -22,12 +24,48 @@ import {
   filterProducts,
 } from '../redux/slices/productsSlice';
 import useDebounce from '../hooks/useDebounce';
+import useActiveCampaigns from '../hooks/useActiveCampaigns';
+import { getProductCampaigns } from '../utils/campaigns';
 import ProductCard from '../components/ProductCard';
 import CategoryChip from '../components/CategoryChip';
 import { ProductCardSkeleton } from '../components/SkeletonLoader';
 import { useTheme } from '../theme/ThemeContext';
 import { Spacing, FontSize, BorderRadius } from '../theme';
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const CampaignBanner = memo(({ campaign, onPress }) => {
+  const { colors } = useTheme();
+  const daysLeft = Math.ceil((Date.parse(campaign.endsAt) - Date.now()) / DAY_MS);
+
+  return (
+    <TouchableOpacity
+      style={[styles.banner, { backgroundColor: campaign.color }]}
+      onPress={() => onPress(campaign)}
+      activeOpacity={0.8}
+    >
+      <Text style={styles.bannerIcon}>{campaign.icon}</Text>
+      <View style={styles.bannerInfo}>
+        <Text style={[styles.bannerTitle, { color: colors.white }]}>{campaign.title}</Text>
+        <Text style={[styles.bannerText, { color: colors.white }]} numberOfLines={2}>
+          {campaign.description}
+        </Text>
+        <Text style={[styles.bannerEnds, { color: colors.white }]}>
+          {daysLeft <= 1 ? 'Ends today' : `Ends in ${daysLeft} days`}
+        </Text>
+      </View>
+    </TouchableOpacity>
+  );
+});
+
+// The campaign to tag a product with: the biggest multiplier, else the
+// biggest flat bonus
+const pickTagCampaign = (product, campaigns) =>
+  getProductCampaigns(product, campaigns).sort(
+    (a, b) =>
+      (b.multiplier || 1) - (a.multiplier || 1) || (b.bonusPoints || 0) - (a.bonusPoints || 0)
+  )[0];
+
 const ProductListScreen = ({ navigation }) => {
   const dispatch = useDispatch();
   const { colors } = useTheme();
@@ -49,6 +87,8 @@ const ProductListScreen = ({ navigation }) => {
     [favoriteItems]
   );
 
+  const campaigns = useActiveCampaigns();
+
   const debouncedSearch = useDebounce(searchQuery, 300);
 
   useEffect(() => {
@@ -74,15 +114,25 @@ const ProductListScreen = ({ navigation }) => {
     [dispatch, selectedCategory]
   );
 
+  const handleCampaignPress = useCallback(
+    (campaign) => {
+      if (campaign.categories.length === 1) {
+        dispatch(setSelectedCategory(campaign.categories[0]));
+      }
+    },
+    [dispatch]
+  );
+
   const renderProduct = useCallback(
     ({ item }) => (
       <ProductCard
         product={item}
         isFavorite={favoriteIds.includes(item.id)}
+        campaign={pickTagCampaign(item, campaigns)}
         onPress={() => navigation.navigate('ProductDetail', { product: item })}
       />
     ),
-    [navigation, favoriteIds]
+    [navigation, favoriteIds, campaigns]
   );
 
   const keyExtractor = useCallback((item) => item.id.toString(), []);
@@ -158,6 +208,20 @@ const ProductListScreen = ({ navigation }) => {
         </ScrollView>
       </View>
 
+      {/* Campaign banners */}
+      {campaigns.length > 0 && (
+        <ScrollView
+          horizontal
+          showsHorizontalScrollIndicator={false}
+          contentContainerStyle={styles.bannerBar}
+          style={styles.bannerWrapper}
+        >
+          {campaigns.map((campaign) => (
+            <CampaignBanner key={campaign.id} campaign={campaign} onPress={handleCampaignPress} />
+          ))}
+        </ScrollView>
+      )}
+
       {/* Skeleton Loading */}
       {loading ? (
         <FlatList
@@ -223,6 +287,21 @@ const styles = StyleSheet.create({
   clearIcon: { fontSize: 16, marginLeft: Spacing.sm },
   categoryWrapper: { maxHeight: 48 },
   categoryBar: { paddingHorizontal: Spacing.md, paddingBottom: Spacing.sm, alignItems: 'center' },
+  bannerWrapper: { flexGrow: 0 },
+  bannerBar: { paddingHorizontal: Spacing.md, paddingBottom: Spacing.sm },
+  banner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    width: 280,
+    borderRadius: BorderRadius.lg,
+    padding: Spacing.md,
+    marginRight: Spacing.sm,
+  },
+  bannerIcon: { fontSize: 32, marginRight: Spacing.md },
+  bannerInfo: { flex: 1 },
+  bannerTitle: { fontSize: FontSize.md, fontWeight: '800' },
+  bannerText: { fontSize: FontSize.sm, marginTop: 2 },
+  bannerEnds: { fontSize: FontSize.xs, fontWeight: '700', marginTop: Spacing.xs, opacity: 0.85 },
   listContent: { paddingBottom: Spacing.xl, flexGrow: 1 },
   center: { flex: 1, justifyContent: 'center', alignItems: 'center', padding: Spacing.xl },
   errorIcon: { fontSize: 48, marginBottom: Spacing.md },
@@ -0,0 +1,267 @@
+/**
+ * ProfileScreen — the signed-in member's DummyJSON profile and membership
+ * summary, with an edit form for their name and email, and the switcher
+ * for other accounts remembered on this device.
+ */
+
+import React, { useCallback, useState } from 'react';
+import {
+  View,
+  Text,
+  Image,
+  ScrollView,
+  StyleSheet,
+  Alert,
+  KeyboardAvoidingView,
+  Platform,
+} from 'react-native';
+import { useDispatch, useSelector } from 'react-redux';
+import { updateProfile, logoutUser } from '../redux/slices/authSlice';
+import { selectMembershipLevel, selectQualifyingPoints } from '../redux/slices/loyaltySlice';
+import { getNextLevel } from '../utils/membershipLevels';
+import { EMAIL_PATTERN } from '../utils/validation';
+import CustomInput from '../components/CustomInput';
+import CustomButton from '../components/CustomButton';
+import AccountSwitcher from '../components/AccountSwitcher';
+import { useTheme } from '../theme/ThemeContext';
+import { Spacing, FontSize, BorderRadius } from '../theme';
+
+const Avatar = React.memo(({ user, colors }) => {
+  const initials = `${user.firstName?.[0] || ''}${user.lastName?.[0] || ''}`.toUpperCase();
+  return user.image ? (
+    <Image source={{ uri: user.image }} style={[styles.avatar, { backgroundColor: colors.background }]} />
+  ) : (
+    <View style={[styles.avatar, styles.avatarFallback, { backgroundColor: colors.primary }]}>
+      <Text style={[styles.initials, { color: colors.white }]}>{initials || '🙂'}</Text>
+    </View>
+  );
+});
+
+const MembershipSummary = React.memo(({ points, level, qualifyingPoints, colors }) => {
+  const nextLevel = getNextLevel(level.id);
+  return (
+    <View style={[styles.card, { backgroundColor: colors.surface, borderColor: colors.border }]}>
+      <View style={styles.statsRow}>
+        <View style={styles.stat}>
+          <Text style={[styles.statValue, { color: colors.goldDark }]}>⭐ {points}</Text>
+          <Text style={[styles.statLabel, { color: colors.textSecondary }]}>Points</Text>
+        </View>
+        <View style={styles.stat}>
+          <Text style={[styles.statValue, { color: level.color }]}>{level.icon} {level.label}</Text>
+          <Text style={[styles.statLabel, { color: colors.textSecondary }]}>{level.multiplier}× earning</Text>
+        </View>
+        <View style={styles.stat}>
+          <Text style={[styles.statValue, { color: colors.textPrimary }]}>{qualifyingPoints}</Text>
+          <Text style={[styles.statLabel, { color: colors.textSecondary }]}>Earned this year</Text>
+        </View>
+      </View>
+      {nextLevel && (
+        <Text style={[styles.nextLevel, { color: colors.textSecondary }]}>
+          {nextLevel.icon} {nextLevel.minPoints - qualifyingPoints} more points to reach {nextLevel.label}
+        </Text>
+      )}
+    </View>
+  );
+});
+
+const ProfileScreen = () => {
+  const dispatch = useDispatch();
+  const { colors } = useTheme();
+  const user = useSelector((state) => state.auth.user);
+  const points = useSelector((state) => state.loyalty.points);
+  const level = useSelector(selectMembershipLevel);
+  const qualifyingPoints = useSelector(selectQualifyingPoints);
+
+  const [editing, setEditing] = useState(false);
+  const [firstName, setFirstName] = useState(user?.firstName || '');
+  const [lastName, setLastName] = useState(user?.lastName || '');
+  const [email, setEmail] = useState(user?.email || '');
+  const [errors, setErrors] = useState({});
+  const [apiError, setApiError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const validate = useCallback(() => {
+    const newErrors = {};
+    if (!firstName.trim()) newErrors.firstName = 'First name is required';
+    if (!lastName.trim()) newErrors.lastName = 'Last name is required';
+    if (!email.trim()) newErrors.email = 'Email is required';
+    else if (!EMAIL_PATTERN.test(email.trim())) newErrors.email = 'Enter a valid email address';
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  }, [firstName, lastName, email]);
+
+  const handleEdit = useCallback(() => {
+    setFirstName(user?.firstName || '');
+    setLastName(user?.lastName || '');
+    setEmail(user?.email || '');
+    setErrors({});
+    setApiError(null);
+    setEditing(true);
+  }, [user]);
+
+  const handleSave = useCallback(async () => {
+    setApiError(null);
+    if (!validate()) return;
+    setSaving(true);
+    try {
+      await dispatch(
+        updateProfile({
+          firstName: firstName.trim(),
+          lastName: lastName.trim(),
+          email: email.trim(),
+        })
+      ).unwrap();
+      setEditing(false);
+      Alert.alert('Profile updated', 'Your changes have been saved.');
+    } catch (message) {
+      setApiError(message);
+    } finally {
+      setSaving(false);
+    }
+  }, [dispatch, validate, firstName, lastName, email]);
+
+  const clearFieldError = (field) => {
+    if (errors[field]) setErrors((prev) => ({ ...prev, [field]: null }));
+  };
+
+  if (!user) return null;
+
+  return (
+    <KeyboardAvoidingView
+      style={[styles.container, { backgroundColor: colors.background }]}
+      behavior={Platform.OS === 'ios' ? 'padding' : undefined}
+    >
+      <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+        <View style={styles.header}>
+          <Avatar user={user} colors={colors} />
+          <Text style={[styles.name, { color: colors.textPrimary }]}>
+            {user.firstName} {user.lastName}
+          </Text>
+          <Text style={[styles.username, { color: colors.textSecondary }]}>@{user.username}</Text>
+          {user.email && (
+            <Text style={[styles.email, { color: colors.textSecondary }]}>✉️ {user.email}</Text>
+          )}
+        </View>
+
+        <Text style={[styles.sectionTitle, { color: colors.textPrimary }]}>🏆 Membership</Text>
+        <MembershipSummary
+          points={points}
+          level={level}
+          qualifyingPoints={qualifyingPoints}
+          colors={colors}
+        />
+
+        <Text style={[styles.sectionTitle, { color: colors.textPrimary }]}>👤 Details</Text>
+        {editing ? (
+          <View style={[styles.card, { backgroundColor: colors.surface, borderColor: colors.border }]}>
+            <CustomInput
+              label="First name"
+              value={firstName}
+              onChangeText={(text) => {
+                setFirstName(text);
+                clearFieldError('firstName');
+              }}
+              placeholder="First name"
+              error={errors.firstName}
+              autoCapitalize="words"
+            />
+            <CustomInput
+              label="Last name"
+              value={lastName}
+              onChangeText={(text) => {
+                setLastName(text);
+                clearFieldError('lastName');
+              }}
+              placeholder="Last name"
+              error={errors.lastName}
+              autoCapitalize="words"
+            />
+            <CustomInput
+              label="Email"
+              value={email}
+              onChangeText={(text) => {
+                setEmail(text);
+                clearFieldError('email');
+              }}
+              placeholder="you@example.com"
+              error={errors.email}
+              icon="✉️"
+              autoCapitalize="none"
+              autoCorrect={false}
+              keyboardType="email-address"
+            />
+            {apiError && (
+              <View style={[styles.apiError, { backgroundColor: colors.error + '15' }]}>
+                <Text style={[styles.apiErrorText, { color: colors.error }]}>⚠️ {apiError}</Text>
+              </View>
+            )}
+            <View style={styles.actions}>
+              <CustomButton
+                title="Cancel"
+                variant="outline"
+                onPress={() => setEditing(false)}
+                disabled={saving}
+                style={styles.button}
+              />
+              <CustomButton title="Save" onPress={handleSave} loading={saving} style={styles.button} />
+            </View>
+          </View>
+        ) : (
+          <View style={[styles.card, { backgroundColor: colors.surface, borderColor: colors.border }]}>
+            <Text style={[styles.detail, { color: colors.textSecondary }]}>
+              Name: <Text style={{ color: colors.textPrimary }}>{user.firstName} {user.lastName}</Text>
+            </Text>
+            <Text style={[styles.detail, { color: colors.textSecondary }]}>
+              Email: <Text style={{ color: colors.textPrimary }}>{user.email || '—'}</Text>
+            </Text>
+            {user.gender && (
+              <Text style={[styles.detail, { color: colors.textSecondary }]}>
+                Gender: <Text style={[styles.capitalize, { color: colors.textPrimary }]}>{user.gender}</Text>
+              </Text>
+            )}
+            <CustomButton title="Edit Profile" variant="outline" onPress={handleEdit} style={styles.editButton} />
+          </View>
+        )}
+
+        <Text style={[styles.sectionTitle, { color: colors.textPrimary }]}>🔁 Accounts</Text>
+        <View style={[styles.card, { backgroundColor: colors.surface, borderColor: colors.border }]}>
+          <AccountSwitcher />
+          {/* Signs out to Login but keeps this account one tap away */}
+          <CustomButton
+            title="➕ Add another account"
+            variant="outline"
+            onPress={() => dispatch(logoutUser())}
+          />
+        </View>
+      </ScrollView>
+    </KeyboardAvoidingView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: { flex: 1 },
+  content: { padding: Spacing.md, paddingBottom: Spacing.xxl },
+  header: { alignItems: 'center', marginVertical: Spacing.lg },
+  avatar: { width: 96, height: 96, borderRadius: 48 },
+  avatarFallback: { justifyContent: 'center', alignItems: 'center' },
+  initials: { fontSize: FontSize.xxl, fontWeight: '800' },
+  name: { fontSize: FontSize.xl, fontWeight: '800', marginTop: Spacing.md },
+  username: { fontSize: FontSize.md, marginTop: 2 },
+  email: { fontSize: FontSize.sm, marginTop: Spacing.xs },
+  sectionTitle: { fontSize: FontSize.lg, fontWeight: '700', marginTop: Spacing.lg, marginBottom: Spacing.md },
+  card: { borderRadius: BorderRadius.md, padding: Spacing.md, borderWidth: 1 },
+  statsRow: { flexDirection: 'row', justifyContent: 'space-between' },
+  stat: { flex: 1, alignItems: 'center' },
+  statValue: { fontSize: FontSize.md, fontWeight: '800' },
+  statLabel: { fontSize: FontSize.xs, marginTop: 2 },
+  nextLevel: { fontSize: FontSize.sm, textAlign: 'center', marginTop: Spacing.md },
+  detail: { fontSize: FontSize.md, marginBottom: Spacing.sm },
+  capitalize: { textTransform: 'capitalize' },
+  editButton: { marginTop: Spacing.sm },
+  apiError: { borderRadius: BorderRadius.sm, padding: Spacing.md, marginBottom: Spacing.md },
+  apiErrorText: { fontSize: FontSize.sm, textAlign: 'center' },
+  actions: { flexDirection: 'row', gap: Spacing.md },
+  button: { flex: 1 },
+});
+
+export default ProfileScreen;
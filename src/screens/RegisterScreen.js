@@ -0,0 +1,270 @@
+/**
+ * RegisterScreen — self-service sign-up. Creates the account, starts the
+ * new member's session (see registerUser) and pays the SIGNUP_BONUS.
+ */
+
+import React, { useState, useCallback } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  KeyboardAvoidingView,
+  Platform,
+  ScrollView,
+  TouchableOpacity,
+  Alert,
+} from 'react-native';
+import { useDispatch } from 'react-redux';
+import { useNavigation } from '@react-navigation/native';
+import { registerUser } from '../redux/slices/authSlice';
+import { loadUserData } from '../redux/slices/accountsSlice';
+import { awardSignupBonus } from '../redux/slices/loyaltySlice';
+import { SIGNUP_BONUS } from '../utils/constants';
+import {
+  EMAIL_PATTERN,
+  USERNAME_PATTERN,
+  PASSWORD_RULES,
+  getPasswordIssues,
+} from '../utils/validation';
+import CustomInput from '../components/CustomInput';
+import CustomButton from '../components/CustomButton';
+import { useTheme } from '../theme/ThemeContext';
+import { Spacing, FontSize, BorderRadius } from '../theme';
+
+const PasswordChecklist = React.memo(({ password, colors }) => (
+  <View style={styles.checklist}>
+    {PASSWORD_RULES.map((rule) => {
+      const met = rule.test(password);
+      return (
+        <Text key={rule.id} style={[styles.rule, { color: met ? colors.success : colors.textLight }]}>
+          {met ? '✓' : '○'} {rule.label}
+        </Text>
+      );
+    })}
+  </View>
+));
+
+const RegisterScreen = () => {
+  const dispatch = useDispatch();
+  const navigation = useNavigation();
+  const { colors } = useTheme();
+
+  const [firstName, setFirstName] = useState('');
+  const [lastName, setLastName] = useState('');
+  const [username, setUsername] = useState('');
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [errors, setErrors] = useState({});
+  const [apiError, setApiError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const validate = useCallback(() => {
+    const newErrors = {};
+    if (!firstName.trim()) newErrors.firstName = 'First name is required';
+    if (!lastName.trim()) newErrors.lastName = 'Last name is required';
+    if (!username.trim()) newErrors.username = 'Username is required';
+    else if (!USERNAME_PATTERN.test(username.trim())) {
+      newErrors.username = 'Use 3–20 letters, numbers, dots or underscores';
+    }
+    if (!email.trim()) newErrors.email = 'Email is required';
+    else if (!EMAIL_PATTERN.test(email.trim())) newErrors.email = 'Enter a valid email address';
+    if (!password) newErrors.password = 'Password is required';
+    else if (getPasswordIssues(password).length > 0) newErrors.password = 'Password is too weak';
+    if (confirmPassword !== password) newErrors.confirmPassword = 'Passwords do not match';
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  }, [firstName, lastName, username, email, password, confirmPassword]);
+
+  const handleRegister = useCallback(async () => {
+    setApiError(null);
+    if (!validate()) return;
+    setSubmitting(true);
+    try {
+      await dispatch(
+        registerUser({
+          firstName: firstName.trim(),
+          lastName: lastName.trim(),
+          username: username.trim(),
+          email: email.trim(),
+          password,
+        })
+      ).unwrap();
+      // Signed in — load the new member's (empty) data, then the bonus on top
+      await dispatch(loadUserData());
+      await dispatch(awardSignupBonus());
+      Alert.alert('🎉 Welcome to RewardLoop!', `You earned ${SIGNUP_BONUS} points for joining.`);
+    } catch (message) {
+      setApiError(message);
+      setSubmitting(false);
+    }
+  }, [dispatch, validate, firstName, lastName, username, email, password]);
+
+  const clearFieldError = (field) => {
+    if (errors[field]) setErrors((prev) => ({ ...prev, [field]: null }));
+  };
+
+  return (
+    <KeyboardAvoidingView
+      style={[styles.container, { backgroundColor: colors.background }]}
+      behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+    >
+      <ScrollView
+        contentContainerStyle={styles.scrollContent}
+        keyboardShouldPersistTaps="handled"
+        showsVerticalScrollIndicator={false}
+      >
+        <View
+          style={[
+            styles.form,
+            {
+              backgroundColor: colors.surface,
+              shadowColor: colors.shadowColor,
+              shadowOpacity: colors.cardShadowOpacity,
+            },
+          ]}
+        >
+          <Text style={[styles.formTitle, { color: colors.textPrimary }]}>Join RewardLoop</Text>
+          <Text style={[styles.formSubtitle, { color: colors.textSecondary }]}>
+            Create an account and get {SIGNUP_BONUS} bonus points
+          </Text>
+
+          <View style={styles.nameRow}>
+            <View style={styles.nameField}>
+              <CustomInput
+                label="First name"
+                value={firstName}
+                onChangeText={(text) => {
+                  setFirstName(text);
+                  clearFieldError('firstName');
+                }}
+                placeholder="Emily"
+                error={errors.firstName}
+                autoCapitalize="words"
+              />
+            </View>
+            <View style={styles.nameField}>
+              <CustomInput
+                label="Last name"
+                value={lastName}
+                onChangeText={(text) => {
+                  setLastName(text);
+                  clearFieldError('lastName');
+                }}
+                placeholder="Johnson"
+                error={errors.lastName}
+                autoCapitalize="words"
+              />
+            </View>
+          </View>
+
+          <CustomInput
+            label="Username"
+            value={username}
+            onChangeText={(text) => {
+              setUsername(text);
+              clearFieldError('username');
+            }}
+            placeholder="Choose a username"
+            error={errors.username}
+            icon="👤"
+            autoCapitalize="none"
+            autoCorrect={false}
+            autoComplete="username"
+          />
+
+          <CustomInput
+            label="Email"
+            value={email}
+            onChangeText={(text) => {
+              setEmail(text);
+              clearFieldError('email');
+            }}
+            placeholder="you@example.com"
+            error={errors.email}
+            icon="✉️"
+            autoCapitalize="none"
+            autoCorrect={false}
+            keyboardType="email-address"
+            autoComplete="email"
+          />
+
+          <CustomInput
+            label="Password"
+            value={password}
+            onChangeText={(text) => {
+              setPassword(text);
+              clearFieldError('password');
+            }}
+            placeholder="Create a password"
+            error={errors.password}
+            secureTextEntry
+            icon="🔒"
+            autoComplete="password-new"
+          />
+          <PasswordChecklist password={password} colors={colors} />
+
+          <CustomInput
+            label="Confirm password"
+            value={confirmPassword}
+            onChangeText={(text) => {
+              setConfirmPassword(text);
+              clearFieldError('confirmPassword');
+            }}
+            placeholder="Repeat your password"
+            error={errors.confirmPassword}
+            secureTextEntry
+            icon="🔒"
+            returnKeyType="done"
+            onSubmitEditing={handleRegister}
+          />
+
+          {apiError && (
+            <View style={[styles.apiError, { backgroundColor: colors.error + '15' }]}>
+              <Text style={[styles.apiErrorText, { color: colors.error }]}>⚠️ {apiError}</Text>
+            </View>
+          )}
+
+          <CustomButton
+            title="Create Account"
+            onPress={handleRegister}
+            loading={submitting}
+            style={styles.registerButton}
+          />
+        </View>
+
+        <TouchableOpacity onPress={() => navigation.navigate('Login')} style={styles.switchLink}>
+          <Text style={[styles.switchText, { color: colors.textSecondary }]}>
+            Already have an account?{' '}
+            <Text style={{ color: colors.primary, fontWeight: '700' }}>Sign in</Text>
+          </Text>
+        </TouchableOpacity>
+      </ScrollView>
+    </KeyboardAvoidingView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: { flex: 1 },
+  scrollContent: { flexGrow: 1, justifyContent: 'center', padding: Spacing.lg },
+  form: {
+    borderRadius: BorderRadius.lg,
+    padding: Spacing.lg,
+    shadowOffset: { width: 0, height: 4 },
+    shadowRadius: 16,
+    elevation: 4,
+  },
+  formTitle: { fontSize: FontSize.xl, fontWeight: '700', marginBottom: Spacing.xs },
+  formSubtitle: { fontSize: FontSize.md, marginBottom: Spacing.lg },
+  nameRow: { flexDirection: 'row', gap: Spacing.sm },
+  nameField: { flex: 1 },
+  checklist: { marginTop: -Spacing.xs, marginBottom: Spacing.md },
+  rule: { fontSize: FontSize.sm, marginBottom: 2 },
+  apiError: { borderRadius: BorderRadius.sm, padding: Spacing.md, marginBottom: Spacing.md },
+  apiErrorText: { fontSize: FontSize.sm, textAlign: 'center' },
+  registerButton: { marginTop: Spacing.sm },
+  switchLink: { alignItems: 'center', marginTop: Spacing.lg },
+  switchText: { fontSize: FontSize.md },
+});
+
+export default RegisterScreen;
@@ -2,35 +2,99 @@
  * RewardsScreen — dark-mode-aware loyalty dashboard.
  */
 
-import React, { useMemo } from 'react';
-import { View, Text, FlatList, StyleSheet } from 'react-native';
-import { useSelector } from 'react-redux';
+import React, { useCallback, useMemo, useState } from 'react';
+import {
+  View,
+  Text,
+  SectionList,
+  TextInput,
+  ScrollView,
+  StyleSheet,
+  TouchableOpacity,
+  Alert,
+  Platform,
+} from 'react-native';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  redeemPoints,
+  persistLoyaltyData,
+  dismissIntegrityIssue,
+  exportLoyaltyHistory,
+  selectNextExpiry,
+  selectMembershipLevel,
+  selectQualifyingPoints,
+} from '../redux/slices/loyaltySlice';
+import { syncLoyalty, dismissConflict } from '../redux/slices/syncSlice';
+import {
+  setHistorySearch,
+  toggleHistoryType,
+  setHistoryDateRange,
+  clearHistoryFilters,
+  loadMoreHistory,
+  selectHistoryPage,
+  selectHasHistoryFilters,
+} from '../redux/slices/historySlice';
+import { selectMissions } from '../redux/slices/missionsSlice';
+import { selectAchievements } from '../redux/slices/achievementsSlice';
+import CategoryChip from '../components/CategoryChip';
+import ImportHistoryModal from '../components/ImportHistoryModal';
+import CouponDetailModal, { getCouponStatusStyle } from '../components/CouponDetailModal';
+import ReferralCard from '../components/ReferralCard';
+import GiftPointsModal from '../components/GiftPointsModal';
+import PointsInsights from '../components/PointsInsights';
+import { shareTextFile } from '../utils/shareFile';
+import { confirmAction } from '../utils/confirm';
+import { isLoyaltyAPIConfigured } from '../services/api';
+import { getNextLevel } from '../utils/membershipLevels';
 import { useTheme } from '../theme/ThemeContext';
 import { Spacing, FontSize, BorderRadius } from '../theme';
-import { formatDate } from '../utils/constants';
-
-const REWARD_TIERS = [
-  { points: 50, label: '₹50 Coupon', icon: '🎟️', color: '#10B981' },
-  { points: 100, label: '₹100 Coupon', icon: '🎫', color: '#3B82F6' },
-  { points: 250, label: '₹250 Coupon', icon: '🏷️', color: '#8B5CF6' },
-  { points: 500, label: '₹500 Coupon', icon: '🎁', color: '#F59E0B' },
-  { points: 1000, label: 'Premium Reward', icon: '👑', color: '#EF4444' },
-];
+import {
+  formatDate,
+  formatDay,
+  getLocalDayKey,
+  addDaysToDayKey,
+  REWARD_TIERS,
+  STREAK_BONUSES,
+  TRANSACTION_TYPE_LABELS,
+  HISTORY_DATE_RANGES,
+  COUPON_STATUS,
+  formatSignedPoints,
+} from '../utils/constants';
 
 const getTransactionIcon = (type) => {
   switch (type) {
     case 'LOGIN_BONUS': return '🔑';
     case 'FAVORITE_ADDED': return '❤️';
+    case 'REDEMPTION': return '🎟️';
+    case 'EXPIRED': return '⌛';
+    case 'LEVEL_UP': return '🚀';
+    case 'LEVEL_DOWN': return '📉';
+    case 'REVERSAL':
+    case 'CLAWBACK': return '↩️';
+    case 'STREAK_BONUS': return '🔥';
+    case 'MISSION_REWARD': return '🎯';
+    case 'REFERRAL': return '🤝';
+    case 'SIGNUP_BONUS': return '🎉';
+    case 'PURCHASE': return '🛍️';
+    case 'TRANSFER_OUT': return '📤';
+    case 'TRANSFER_IN': return '📥';
+    case 'ADJUSTMENT': return '🛠️';
     default: return '⭐';
   }
 };
 
-const PointsHeroCard = React.memo(({ points, colors }) => {
+const PointsHeroCard = React.memo(({ points, level, qualifyingPoints, nextExpiry, colors }) => {
   const nextTier = REWARD_TIERS.find((tier) => tier.points > points);
   const progress = nextTier ? Math.min((points / nextTier.points) * 100, 100) : 100;
+  const nextLevel = getNextLevel(level.id);
 
   return (
     <View style={[styles.heroCard, { backgroundColor: colors.primary, shadowColor: colors.primary }]}>
+      <View style={styles.levelPill}>
+        <Text style={styles.levelPillText}>
+          {level.icon} {level.label} · {level.multiplier}× points
+        </Text>
+      </View>
       <View style={styles.pointsCircle}>
         <Text style={styles.pointsValue}>{points}</Text>
         <Text style={styles.pointsLabel}>Points</Text>
@@ -50,11 +114,129 @@ const PointsHeroCard = React.memo(({ points, colors }) => {
           <Text style={[styles.maxLevelText, { color: colors.gold }]}>👑 You've reached the highest level!</Text>
         </View>
       )}
+      {nextLevel && (
+        <Text style={styles.expiryText}>
+          {nextLevel.icon} Earn {nextLevel.minPoints - qualifyingPoints} more points this year to reach {nextLevel.label}
+        </Text>
+      )}
+      {nextExpiry && (
+        <Text style={styles.expiryText}>
+          ⌛ {nextExpiry.points} points expiring on {formatDay(nextExpiry.date)}
+        </Text>
+      )}
+    </View>
+  );
+});
+
+/** Outbox status + balance conflict banner (only when a backend is configured) */
+const SyncStatus = React.memo(({ sync, onRetry, onDismiss, colors }) => {
+  let message = '☁️ All changes synced';
+  if (sync.status === 'syncing') message = '🔄 Syncing…';
+  else if (sync.status === 'error') message = `⚠️ Sync failed — ${sync.outbox.length} change${sync.outbox.length !== 1 ? 's' : ''} waiting`;
+  else if (sync.outbox.length > 0) message = `⏳ ${sync.outbox.length} change${sync.outbox.length !== 1 ? 's' : ''} waiting to sync`;
+
+  return (
+    <View style={styles.section}>
+      <View style={[styles.syncRow, { backgroundColor: colors.surface, borderColor: colors.border }]}>
+        <Text style={[styles.syncText, { color: colors.textSecondary }]}>{message}</Text>
+        {sync.status !== 'syncing' && (sync.status === 'error' || sync.outbox.length > 0) && (
+          <TouchableOpacity onPress={onRetry} hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}>
+            <Text style={[styles.syncAction, { color: colors.primary }]}>Retry</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+      {sync.conflict && (
+        <View style={[styles.syncConflict, { backgroundColor: colors.warning + '18', borderColor: colors.warning }]}>
+          <Text style={[styles.syncConflictText, { color: colors.textPrimary }]}>
+            Balance mismatch: the server shows {sync.conflict.serverPoints} points, this device shows{' '}
+            {sync.conflict.localPoints}. Contact support if this doesn't clear up after the next sync.
+          </Text>
+          <View style={styles.syncConflictActions}>
+            <TouchableOpacity onPress={onRetry}>
+              <Text style={[styles.syncAction, { color: colors.primary }]}>Sync again</Text>
+            </TouchableOpacity>
+            <TouchableOpacity onPress={onDismiss}>
+              <Text style={[styles.syncAction, { color: colors.textSecondary }]}>Dismiss</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      )}
     </View>
   );
 });
 
-const RewardTierCard = React.memo(({ tier, isUnlocked, colors }) => (
+/** Shown after hydration had to repair the ledger (see setLoyaltyData) */
+const IntegrityNotice = React.memo(({ integrity, onDismiss, colors }) => (
+  <View style={styles.section}>
+    <View style={[styles.syncConflict, { backgroundColor: colors.error + '14', borderColor: colors.error }]}>
+      <Text style={[styles.syncConflictText, { color: colors.textPrimary }]}>
+        🛡️ Your points history failed an integrity check and was restored from the verified
+        ledger{integrity.droppedTransactions > 0
+          ? ` (${integrity.droppedTransactions} altered entr${integrity.droppedTransactions !== 1 ? 'ies' : 'y'} removed)`
+          : ''}. Balance: {integrity.storedPoints} → {integrity.recoveredPoints} points.
+      </Text>
+      <View style={styles.syncConflictActions}>
+        <TouchableOpacity onPress={onDismiss}>
+          <Text style={[styles.syncAction, { color: colors.textSecondary }]}>Dismiss</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  </View>
+));
+
+const WEEKDAY_LABELS = ['S', 'M', 'T', 'W', 'T', 'F', 'S'];
+
+/** Current streak, next bonus and a 7-day check-in calendar strip */
+const StreakCard = React.memo(({ streak, colors }) => {
+  const today = getLocalDayKey(new Date());
+  const checkedIn = new Set(streak.days);
+  // A streak only counts if it reaches today or yesterday
+  const isAlive = streak.lastCheckIn === today || streak.lastCheckIn === addDaysToDayKey(today, -1);
+  const current = isAlive ? streak.current : 0;
+  const nextBonusDay = Object.keys(STREAK_BONUSES).map(Number).find((day) => day > current);
+  const strip = Array.from({ length: 7 }, (_, index) => addDaysToDayKey(today, index - 6));
+
+  return (
+    <View style={[styles.streakCard, { backgroundColor: colors.surface, borderColor: colors.border }]}>
+      <View style={styles.streakHeader}>
+        <Text style={[styles.streakCount, { color: colors.textPrimary }]}>🔥 {current}-day streak</Text>
+        <Text style={[styles.streakLongest, { color: colors.textSecondary }]}>Best: {streak.longest}</Text>
+      </View>
+      {nextBonusDay && (
+        <Text style={[styles.streakHint, { color: colors.goldDark }]}>
+          {nextBonusDay - current} more day{nextBonusDay - current !== 1 ? 's' : ''} to the {nextBonusDay}-day bonus (+{STREAK_BONUSES[nextBonusDay]})
+        </Text>
+      )}
+      <View style={styles.calendarStrip}>
+        {strip.map((dayKey) => {
+          const [year, month, day] = dayKey.split('-').map(Number);
+          const weekday = new Date(year, month - 1, day).getDay();
+          const done = checkedIn.has(dayKey);
+          return (
+            <View key={dayKey} style={styles.calendarDay}>
+              <Text style={[styles.calendarWeekday, { color: colors.textLight }]}>{WEEKDAY_LABELS[weekday]}</Text>
+              <View
+                style={[
+                  styles.calendarDot,
+                  {
+                    backgroundColor: done ? colors.success : colors.background,
+                    borderColor: dayKey === today ? colors.primary : colors.border,
+                  },
+                ]}
+              >
+                <Text style={[styles.calendarDate, { color: done ? colors.white : colors.textSecondary }]}>
+                  {done ? '✓' : day}
+                </Text>
+              </View>
+            </View>
+          );
+        })}
+      </View>
+    </View>
+  );
+});
+
+const RewardTierCard = React.memo(({ tier, isUnlocked, onRedeem, colors }) => (
   <View
     style={[
       styles.tierCard,
@@ -71,12 +253,52 @@ const RewardTierCard = React.memo(({ tier, isUnlocked, colors }) => (
       </Text>
       <Text style={[styles.tierPoints, { color: colors.textSecondary }]}>{tier.points} points</Text>
     </View>
-    <View style={[styles.tierBadge, { backgroundColor: isUnlocked ? tier.color : colors.border }]}>
-      <Text style={styles.tierBadgeText}>{isUnlocked ? '✓' : '🔒'}</Text>
-    </View>
+    {isUnlocked ? (
+      <TouchableOpacity
+        style={[styles.redeemButton, { backgroundColor: tier.color }]}
+        onPress={() => onRedeem(tier)}
+        activeOpacity={0.7}
+      >
+        <Text style={styles.redeemButtonText}>Redeem</Text>
+      </TouchableOpacity>
+    ) : (
+      <View style={[styles.tierBadge, { backgroundColor: colors.border }]}>
+        <Text style={styles.tierBadgeText}>🔒</Text>
+      </View>
+    )}
   </View>
 ));
 
+const CouponItem = React.memo(({ coupon, onPress, colors }) => {
+  const status = getCouponStatusStyle(coupon.status, colors);
+  const isActive = coupon.status === COUPON_STATUS.ACTIVE;
+  return (
+    <TouchableOpacity
+      style={[
+        styles.couponItem,
+        { backgroundColor: colors.surface, borderColor: isActive ? colors.primary : colors.border },
+      ]}
+      onPress={() => onPress(coupon.id)}
+      activeOpacity={0.7}
+    >
+      <View style={styles.couponInfo}>
+        <Text style={[styles.couponLabel, { color: isActive ? colors.textPrimary : colors.textLight }]}>
+          {coupon.label}
+        </Text>
+        <Text style={[styles.transactionDate, { color: colors.textLight }]}>
+          {isActive ? `Valid until ${formatDay(coupon.expiresAt)}` : `Issued ${formatDay(coupon.date)}`}
+        </Text>
+      </View>
+      <View style={styles.couponRight}>
+        <Text style={[styles.couponCode, { color: isActive ? colors.primary : colors.textLight }]}>
+          {coupon.code}
+        </Text>
+        <Text style={[styles.couponStatus, { color: status.color }]}>{status.label}</Text>
+      </View>
+    </TouchableOpacity>
+  );
+});
+
 const TransactionItem = React.memo(({ transaction, colors }) => (
   <View style={[styles.transactionItem, { backgroundColor: colors.surface }]}>
     <View style={[styles.transactionIcon, { backgroundColor: colors.background }]}>
@@ -88,55 +310,404 @@ const TransactionItem = React.memo(({ transaction, colors }) => (
       </Text>
       <Text style={[styles.transactionDate, { color: colors.textLight }]}>
         {formatDate(transaction.date)}
+        {transaction.reversedBy ? ' · Reversed' : ''}
       </Text>
     </View>
-    <Text style={[styles.transactionPoints, { color: colors.success }]}>+{transaction.points}</Text>
+    {transaction.points !== 0 && (
+      <Text
+        style={[
+          styles.transactionPoints,
+          { color: transaction.points < 0 ? colors.error : colors.success },
+          transaction.reversedBy && styles.reversedPoints,
+        ]}
+      >
+        {formatSignedPoints(transaction.points)}
+      </Text>
+    )}
+  </View>
+));
+
+/** "Ends in 3 days" / "Ends today" for a mission deadline */
+const formatDeadline = (deadline) => {
+  const daysLeft = Math.ceil((Date.parse(deadline) - Date.now()) / (24 * 60 * 60 * 1000));
+  if (daysLeft <= 1) return 'Ends today';
+  return `Ends in ${daysLeft} days`;
+};
+
+/** One mission with its progress bar, deadline and payout */
+const MissionCard = React.memo(({ mission, colors }) => {
+  const done = Boolean(mission.completedAt);
+  return (
+    <View style={[styles.missionCard, { backgroundColor: colors.surface, borderColor: done ? colors.success : colors.border }]}>
+      <Text style={styles.tierIcon}>{mission.icon}</Text>
+      <View style={styles.tierInfo}>
+        <View style={styles.missionHeader}>
+          <Text style={[styles.tierLabel, { color: colors.textPrimary }]}>{mission.title}</Text>
+          <Text style={[styles.missionPayout, { color: done ? colors.success : colors.primary }]}>
+            {done ? '✅ ' : ''}+{mission.payout} pts
+          </Text>
+        </View>
+        <Text style={[styles.tierPoints, { color: colors.textSecondary }]}>{mission.description}</Text>
+        <View style={[styles.missionBar, { backgroundColor: colors.border }]}>
+          <View
+            style={[
+              styles.missionFill,
+              { width: `${(mission.count / mission.goal) * 100}%`, backgroundColor: done ? colors.success : colors.primary },
+            ]}
+          />
+        </View>
+        <Text style={[styles.transactionDate, { color: colors.textLight }]}>
+          {mission.count}/{mission.goal} · {done ? 'Completed' : formatDeadline(mission.deadline)}
+        </Text>
+      </View>
+    </View>
+  );
+});
+
+/** Badge grid — unlocked badges in color with their date, locked ones dimmed */
+const BadgeGrid = React.memo(({ achievements, colors }) => (
+  <View style={styles.badgeGrid}>
+    {achievements.map((badge) => (
+      <View
+        key={badge.id}
+        style={[
+          styles.badge,
+          { backgroundColor: colors.surface, borderColor: badge.unlockedAt ? colors.primary : colors.border },
+        ]}
+      >
+        <Text style={[styles.badgeIcon, !badge.unlockedAt && styles.badgeLocked]}>
+          {badge.unlockedAt ? badge.icon : '🔒'}
+        </Text>
+        <Text style={[styles.badgeTitle, { color: colors.textPrimary }]} numberOfLines={1}>
+          {badge.title}
+        </Text>
+        <Text style={[styles.badgeDetail, { color: colors.textLight }]} numberOfLines={2}>
+          {badge.unlockedAt ? formatDay(badge.unlockedAt) : badge.description}
+        </Text>
+      </View>
+    ))}
+  </View>
+));
+
+/** Month section header with the month's net points */
+const MonthHeader = React.memo(({ section, colors }) => (
+  <View style={[styles.monthHeader, { backgroundColor: colors.background }]}>
+    <Text style={[styles.monthTitle, { color: colors.textPrimary }]}>{section.title}</Text>
+    <Text
+      style={[
+        styles.monthNet,
+        { color: section.net < 0 ? colors.error : section.net > 0 ? colors.success : colors.textLight },
+      ]}
+    >
+      {section.net > 0 ? '+' : ''}{section.net} pts
+    </Text>
+  </View>
+));
+
+/** Search box plus type and date-range chips for the points history */
+const HistoryFilters = React.memo(({ filters, hasFilters, todayKey, onSearch, onToggleType, onDateRange, onClear, colors }) => (
+  <View>
+    <View style={[styles.historySearch, { backgroundColor: colors.surface, borderColor: colors.border }]}>
+      <Text style={styles.historySearchIcon}>🔍</Text>
+      <TextInput
+        style={[styles.historySearchInput, { color: colors.textPrimary }]}
+        value={filters.searchQuery}
+        onChangeText={onSearch}
+        placeholder="Search history..."
+        placeholderTextColor={colors.textLight}
+        returnKeyType="search"
+      />
+      {hasFilters && (
+        <TouchableOpacity onPress={onClear} hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}>
+          <Text style={[styles.syncAction, { color: colors.primary }]}>Clear</Text>
+        </TouchableOpacity>
+      )}
+    </View>
+    <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.chipRow}>
+      {HISTORY_DATE_RANGES.map((range) => {
+        const from = range.days ? addDaysToDayKey(todayKey, -(range.days - 1)) : null;
+        return (
+          <CategoryChip
+            key={range.id}
+            label={range.label}
+            isSelected={filters.dateRange.from === from && !filters.dateRange.to}
+            onPress={() => onDateRange({ from, to: null })}
+          />
+        );
+      })}
+    </ScrollView>
+    <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.chipRow}>
+      {Object.entries(TRANSACTION_TYPE_LABELS).map(([type, label]) => (
+        <CategoryChip
+          key={type}
+          label={label}
+          isSelected={filters.types.includes(type)}
+          onPress={() => onToggleType(type)}
+        />
+      ))}
+    </ScrollView>
+  </View>
+));
+
+/** Send-a-gift button plus the member's most recent gifts */
+const GiftSection = React.memo(({ transfers, onOpen, colors }) => (
+  <View>
+    <TouchableOpacity
+      style={[styles.backupButton, { backgroundColor: colors.surface, borderColor: colors.border }]}
+      onPress={onOpen}
+      activeOpacity={0.7}
+    >
+      <Text style={[styles.backupButtonText, { color: colors.primary }]}>🎁 Send Points to a Member</Text>
+    </TouchableOpacity>
+    {transfers.map((transfer) => (
+      <View key={transfer.id} style={styles.giftRow}>
+        <Text style={[styles.giftText, { color: colors.textPrimary }]} numberOfLines={1}>
+          📤 {transfer.points} pts to @{transfer.toUsername}
+        </Text>
+        <Text style={[styles.giftStatus, { color: transfer.deliveredAt ? colors.success : colors.warning }]}>
+          {transfer.deliveredAt ? 'Delivered' : 'Pending'} · {formatDay(transfer.sentAt)}
+        </Text>
+      </View>
+    ))}
+  </View>
+));
+
+/** Export (CSV / JSON) and import buttons for the points history */
+const BackupActions = React.memo(({ onExport, onImport, colors }) => (
+  <View style={styles.backupRow}>
+    {[
+      { label: '📄 Export CSV', onPress: () => onExport('csv') },
+      { label: '🧾 Export JSON', onPress: () => onExport('json') },
+      { label: '📥 Import', onPress: onImport },
+    ].map((action) => (
+      <TouchableOpacity
+        key={action.label}
+        style={[styles.backupButton, { backgroundColor: colors.surface, borderColor: colors.border }]}
+        onPress={action.onPress}
+        activeOpacity={0.7}
+      >
+        <Text style={[styles.backupButtonText, { color: colors.primary }]}>{action.label}</Text>
+      </TouchableOpacity>
+    ))}
   </View>
 ));
 
 const RewardsScreen = () => {
-  const { points, transactions } = useSelector((state) => state.loyalty);
+  const dispatch = useDispatch();
+  const { points, transactions, coupons, streak, integrity } = useSelector(
+    (state) => state.loyalty
+  );
+  const sync = useSelector((state) => state.sync);
+  const historyFilters = useSelector((state) => state.history);
+  const historyPage = useSelector(selectHistoryPage);
+  const hasHistoryFilters = useSelector(selectHasHistoryFilters);
+  const userId = useSelector((state) => state.auth.user?.id);
+  const sentTransfers = useSelector((state) => state.transfers.sent);
+  const recentGifts = useMemo(
+    () => sentTransfers.filter((transfer) => transfer.fromUserId === userId).slice(0, 3),
+    [sentTransfers, userId]
+  );
+  const missions = useSelector(selectMissions);
+  const achievements = useSelector(selectAchievements);
+  const unlockedCount = achievements.filter((badge) => badge.unlockedAt).length;
+  const nextExpiry = useSelector(selectNextExpiry);
+  const level = useSelector(selectMembershipLevel);
+  const qualifyingPoints = useSelector(selectQualifyingPoints);
   const { colors } = useTheme();
+  const [importVisible, setImportVisible] = useState(false);
+  const [openCouponId, setOpenCouponId] = useState(null);
+  const [giftVisible, setGiftVisible] = useState(false);
+  const activeCouponCount = coupons.filter((c) => c.status === COUPON_STATUS.ACTIVE).length;
+
+  const handleRedeem = useCallback(
+    (tier) => {
+      if (tier.points > points) return;
+      confirmAction(
+        {
+          title: 'Redeem Reward',
+          message: `Spend ${tier.points} points on a ${tier.label}?`,
+          confirmText: 'Redeem',
+        },
+        () => {
+          dispatch(redeemPoints({ points: tier.points, label: tier.label, value: tier.value }));
+          dispatch(persistLoyaltyData());
+        }
+      );
+    },
+    [dispatch, points]
+  );
+
+  const handleSyncRetry = useCallback(() => dispatch(syncLoyalty()), [dispatch]);
+  const handleDismissConflict = useCallback(() => dispatch(dismissConflict()), [dispatch]);
+  const handleDismissIntegrity = useCallback(() => dispatch(dismissIntegrityIssue()), [dispatch]);
+
+  const handleExport = useCallback(
+    (format) => {
+      shareTextFile(dispatch(exportLoyaltyHistory(format))).catch(() =>
+        Alert.alert('Export failed', 'Could not share your points history. Please try again.')
+      );
+    },
+    [dispatch]
+  );
+  const handleOpenCoupon = useCallback((couponId) => setOpenCouponId(couponId), []);
+  const handleCloseCoupon = useCallback(() => setOpenCouponId(null), []);
+  const handleOpenGift = useCallback(() => setGiftVisible(true), []);
+  const handleCloseGift = useCallback(() => setGiftVisible(false), []);
+  const handleOpenImport = useCallback(() => setImportVisible(true), []);
+  const handleCloseImport = useCallback(() => setImportVisible(false), []);
+
+  const handleHistorySearch = useCallback((text) => dispatch(setHistorySearch(text)), [dispatch]);
+  const handleToggleType = useCallback((type) => dispatch(toggleHistoryType(type)), [dispatch]);
+  const handleDateRange = useCallback((range) => dispatch(setHistoryDateRange(range)), [dispatch]);
+  const handleClearFilters = useCallback(() => dispatch(clearHistoryFilters()), [dispatch]);
+  const handleEndReached = useCallback(() => {
+    if (historyPage.hasMore) dispatch(loadMoreHistory());
+  }, [dispatch, historyPage.hasMore]);
 
   const renderTransaction = ({ item }) => <TransactionItem transaction={item} colors={colors} />;
+  const renderSectionHeader = ({ section }) => <MonthHeader section={section} colors={colors} />;
   const keyExtractor = (item) => item.id;
+  const todayKey = getLocalDayKey(new Date());
 
   const ListHeader = useMemo(
     () => (
       <View>
-        <PointsHeroCard points={points} colors={colors} />
+        <PointsHeroCard
+          points={points}
+          level={level}
+          qualifyingPoints={qualifyingPoints}
+          nextExpiry={nextExpiry}
+          colors={colors}
+        />
+        {integrity && (
+          <IntegrityNotice
+            integrity={integrity}
+            onDismiss={handleDismissIntegrity}
+            colors={colors}
+          />
+        )}
+        {isLoyaltyAPIConfigured() && (
+          <SyncStatus
+            sync={sync}
+            onRetry={handleSyncRetry}
+            onDismiss={handleDismissConflict}
+            colors={colors}
+          />
+        )}
+        <View style={styles.section}>
+          <Text style={[styles.sectionTitle, { color: colors.textPrimary }]}>📊 Insights</Text>
+          <PointsInsights />
+        </View>
+        <View style={styles.section}>
+          <Text style={[styles.sectionTitle, { color: colors.textPrimary }]}>📅 Daily Check-in</Text>
+          <StreakCard streak={streak} colors={colors} />
+        </View>
+        <View style={styles.section}>
+          <Text style={[styles.sectionTitle, { color: colors.textPrimary }]}>🎯 Missions</Text>
+          {missions.map((mission) => (
+            <MissionCard key={mission.id} mission={mission} colors={colors} />
+          ))}
+        </View>
+        <View style={styles.section}>
+          <Text style={[styles.sectionTitle, { color: colors.textPrimary }]}>
+            🏅 Badges ({unlockedCount}/{achievements.length})
+          </Text>
+          <BadgeGrid achievements={achievements} colors={colors} />
+        </View>
         <View style={styles.section}>
           <Text style={[styles.sectionTitle, { color: colors.textPrimary }]}>🏆 Reward Tiers</Text>
           {REWARD_TIERS.map((tier) => (
-            <RewardTierCard key={tier.points} tier={tier} isUnlocked={points >= tier.points} colors={colors} />
+            <RewardTierCard
+              key={tier.points}
+              tier={tier}
+              isUnlocked={points >= tier.points}
+              onRedeem={handleRedeem}
+              colors={colors}
+            />
           ))}
         </View>
+        {coupons.length > 0 && (
+          <View style={styles.section}>
+            <Text style={[styles.sectionTitle, { color: colors.textPrimary }]}>
+              🎟️ Coupon Wallet ({activeCouponCount} active)
+            </Text>
+            {coupons.map((coupon) => (
+              <CouponItem key={coupon.id} coupon={coupon} onPress={handleOpenCoupon} colors={colors} />
+            ))}
+          </View>
+        )}
+        <View style={styles.section}>
+          <Text style={[styles.sectionTitle, { color: colors.textPrimary }]}>🤝 Refer a Friend</Text>
+          <ReferralCard />
+        </View>
+        <View style={styles.section}>
+          <Text style={[styles.sectionTitle, { color: colors.textPrimary }]}>🎁 Gift Points</Text>
+          <GiftSection transfers={recentGifts} onOpen={handleOpenGift} colors={colors} />
+        </View>
+        <View style={styles.section}>
+          <Text style={[styles.sectionTitle, { color: colors.textPrimary }]}>💾 Backup & Transfer</Text>
+          <BackupActions onExport={handleExport} onImport={handleOpenImport} colors={colors} />
+        </View>
         <View style={styles.section}>
           <Text style={[styles.sectionTitle, { color: colors.textPrimary }]}>📋 Points History</Text>
-          {transactions.length === 0 && (
+          {transactions.length === 0 ? (
             <View style={styles.emptyHistory}>
               <Text style={styles.emptyHistoryIcon}>📝</Text>
               <Text style={[styles.emptyHistoryText, { color: colors.textSecondary }]}>
                 No transactions yet. Start earning points!
               </Text>
             </View>
+          ) : (
+            <HistoryFilters
+              filters={historyFilters}
+              hasFilters={hasHistoryFilters}
+              todayKey={todayKey}
+              onSearch={handleHistorySearch}
+              onToggleType={handleToggleType}
+              onDateRange={handleDateRange}
+              onClear={handleClearFilters}
+              colors={colors}
+            />
+          )}
+          {transactions.length > 0 && historyPage.total === 0 && (
+            <View style={styles.emptyHistory}>
+              <Text style={styles.emptyHistoryIcon}>🔍</Text>
+              <Text style={[styles.emptyHistoryText, { color: colors.textSecondary }]}>
+                No transactions match these filters
+              </Text>
+            </View>
           )}
         </View>
       </View>
     ),
-    [points, transactions.length, colors]
+    [
+      points, level, qualifyingPoints, nextExpiry, integrity, sync, streak, missions, achievements,
+      unlockedCount, transactions.length, coupons, activeCouponCount, historyFilters, hasHistoryFilters, historyPage.total, todayKey, handleRedeem,
+      handleSyncRetry, handleDismissConflict, handleDismissIntegrity, handleHistorySearch,
+      handleToggleType, handleDateRange, handleClearFilters, handleExport, handleOpenImport,
+      handleOpenCoupon, recentGifts, handleOpenGift, colors,
+    ]
   );
 
   return (
-    <FlatList
-      style={[styles.container, { backgroundColor: colors.background }]}
-      data={transactions}
-      renderItem={renderTransaction}
-      keyExtractor={keyExtractor}
-      ListHeaderComponent={ListHeader}
-      contentContainerStyle={styles.content}
-      showsVerticalScrollIndicator={false}
-    />
+    <>
+      <SectionList
+        style={[styles.container, { backgroundColor: colors.background }]}
+        sections={historyPage.sections}
+        renderItem={renderTransaction}
+        renderSectionHeader={renderSectionHeader}
+        keyExtractor={keyExtractor}
+        ListHeaderComponent={ListHeader}
+        onEndReached={handleEndReached}
+        onEndReachedThreshold={0.5}
+        initialNumToRender={12}
+        contentContainerStyle={styles.content}
+        showsVerticalScrollIndicator={false}
+      />
+      <ImportHistoryModal visible={importVisible} onClose={handleCloseImport} />
+      <CouponDetailModal couponId={openCouponId} onClose={handleCloseCoupon} />
+      <GiftPointsModal visible={giftVisible} onClose={handleCloseGift} />
+    </>
   );
 };
 
@@ -153,6 +724,14 @@ const styles = StyleSheet.create({
     shadowRadius: 12,
     elevation: 6,
   },
+  levelPill: {
+    backgroundColor: 'rgba(255,255,255,0.2)',
+    borderRadius: BorderRadius.full,
+    paddingHorizontal: Spacing.md,
+    paddingVertical: Spacing.xs,
+    marginBottom: Spacing.md,
+  },
+  levelPillText: { fontSize: FontSize.sm, fontWeight: '700', color: '#FFF' },
   pointsCircle: {
     width: 120, height: 120, borderRadius: 60,
     backgroundColor: 'rgba(255,255,255,0.2)',
@@ -168,8 +747,47 @@ const styles = StyleSheet.create({
   progressFill: { height: '100%', borderRadius: 4 },
   progressPercent: { fontSize: FontSize.xs, color: 'rgba(255,255,255,0.7)', marginTop: Spacing.xs },
   maxLevelText: { fontSize: FontSize.body, fontWeight: '700' },
+  expiryText: { fontSize: FontSize.sm, color: 'rgba(255,255,255,0.85)', marginTop: Spacing.md },
   section: { marginHorizontal: Spacing.md, marginTop: Spacing.lg },
+  syncRow: {
+    flexDirection: 'row', alignItems: 'center', justifyContent: 'space-between',
+    borderRadius: BorderRadius.md, padding: Spacing.md, borderWidth: 1,
+  },
+  syncText: { fontSize: FontSize.sm, fontWeight: '600', flex: 1, marginRight: Spacing.sm },
+  syncAction: { fontSize: FontSize.sm, fontWeight: '700' },
+  syncConflict: { borderRadius: BorderRadius.md, padding: Spacing.md, borderWidth: 1, marginTop: Spacing.sm },
+  syncConflictText: { fontSize: FontSize.sm, lineHeight: 18 },
+  syncConflictActions: { flexDirection: 'row', justifyContent: 'flex-end', gap: Spacing.md, marginTop: Spacing.sm },
+  streakCard: { borderRadius: BorderRadius.md, padding: Spacing.md, borderWidth: 1 },
+  streakHeader: { flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center' },
+  streakCount: { fontSize: FontSize.body, fontWeight: '700' },
+  streakLongest: { fontSize: FontSize.sm, fontWeight: '600' },
+  streakHint: { fontSize: FontSize.sm, fontWeight: '600', marginTop: Spacing.xs },
+  calendarStrip: { flexDirection: 'row', justifyContent: 'space-between', marginTop: Spacing.md },
+  calendarDay: { alignItems: 'center' },
+  calendarWeekday: { fontSize: FontSize.xs, fontWeight: '600', marginBottom: Spacing.xs },
+  calendarDot: { width: 32, height: 32, borderRadius: BorderRadius.full, borderWidth: 1.5, justifyContent: 'center', alignItems: 'center' },
+  calendarDate: { fontSize: FontSize.sm, fontWeight: '700' },
   sectionTitle: { fontSize: FontSize.lg, fontWeight: '700', marginBottom: Spacing.md },
+  badgeGrid: { flexDirection: 'row', flexWrap: 'wrap', justifyContent: 'space-between' },
+  badge: {
+    width: '31.5%', alignItems: 'center',
+    borderRadius: BorderRadius.md, borderWidth: 1,
+    padding: Spacing.sm, marginBottom: Spacing.sm,
+  },
+  badgeIcon: { fontSize: 28, marginBottom: Spacing.xs },
+  badgeLocked: { opacity: 0.4 },
+  badgeTitle: { fontSize: FontSize.sm, fontWeight: '700', textAlign: 'center' },
+  badgeDetail: { fontSize: FontSize.xs, textAlign: 'center', marginTop: 2 },
+  missionCard: {
+    flexDirection: 'row', alignItems: 'center',
+    borderRadius: BorderRadius.md, padding: Spacing.md,
+    marginBottom: Spacing.sm, borderWidth: 1,
+  },
+  missionHeader: { flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center' },
+  missionPayout: { fontSize: FontSize.sm, fontWeight: '700' },
+  missionBar: { height: 6, borderRadius: 3, overflow: 'hidden', marginVertical: Spacing.xs },
+  missionFill: { height: '100%', borderRadius: 3 },
   tierCard: {
     flexDirection: 'row', alignItems: 'center',
     borderRadius: BorderRadius.md, padding: Spacing.md,
@@ -181,6 +799,18 @@ const styles = StyleSheet.create({
   tierPoints: { fontSize: FontSize.sm, marginTop: 2 },
   tierBadge: { width: 28, height: 28, borderRadius: BorderRadius.full, justifyContent: 'center', alignItems: 'center' },
   tierBadgeText: { fontSize: 14, color: '#FFF', fontWeight: '700' },
+  redeemButton: { borderRadius: BorderRadius.full, paddingHorizontal: Spacing.md, paddingVertical: Spacing.xs },
+  redeemButtonText: { fontSize: FontSize.sm, color: '#FFF', fontWeight: '700' },
+  couponItem: {
+    flexDirection: 'row', alignItems: 'center',
+    borderRadius: BorderRadius.md, padding: Spacing.md,
+    marginBottom: Spacing.sm, borderWidth: 1, borderStyle: 'dashed',
+  },
+  couponInfo: { flex: 1, marginRight: Spacing.sm },
+  couponLabel: { fontSize: FontSize.md, fontWeight: '600', marginBottom: 2 },
+  couponRight: { alignItems: 'flex-end' },
+  couponStatus: { fontSize: FontSize.xs, fontWeight: '700', textTransform: 'uppercase', marginTop: 2 },
+  couponCode: { fontSize: FontSize.body, fontWeight: '800', letterSpacing: 1, fontFamily: Platform.OS === 'ios' ? 'Menlo' : 'monospace' },
   transactionItem: {
     flexDirection: 'row', alignItems: 'center',
     marginHorizontal: Spacing.md, marginBottom: Spacing.xs,
@@ -192,6 +822,31 @@ const styles = StyleSheet.create({
   transactionDesc: { fontSize: FontSize.md, fontWeight: '600', marginBottom: 2 },
   transactionDate: { fontSize: FontSize.xs },
   transactionPoints: { fontSize: FontSize.body, fontWeight: '800' },
+  reversedPoints: { textDecorationLine: 'line-through', opacity: 0.5 },
+  backupRow: { flexDirection: 'row', gap: Spacing.sm },
+  backupButton: {
+    flex: 1, alignItems: 'center',
+    borderRadius: BorderRadius.md, borderWidth: 1,
+    paddingVertical: Spacing.sm,
+  },
+  backupButtonText: { fontSize: FontSize.sm, fontWeight: '700' },
+  giftRow: { flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', marginTop: Spacing.sm },
+  giftText: { flex: 1, fontSize: FontSize.sm, fontWeight: '600', marginRight: Spacing.sm },
+  giftStatus: { fontSize: FontSize.xs, fontWeight: '600' },
+  historySearch: {
+    flexDirection: 'row', alignItems: 'center',
+    borderRadius: BorderRadius.md, borderWidth: 1,
+    paddingHorizontal: Spacing.md, height: 44,
+  },
+  historySearchIcon: { fontSize: 14, marginRight: Spacing.sm },
+  historySearchInput: { flex: 1, fontSize: FontSize.md, height: '100%' },
+  chipRow: { paddingTop: Spacing.sm },
+  monthHeader: {
+    flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center',
+    paddingHorizontal: Spacing.md, paddingTop: Spacing.md, paddingBottom: Spacing.sm,
+  },
+  monthTitle: { fontSize: FontSize.md, fontWeight: '700' },
+  monthNet: { fontSize: FontSize.sm, fontWeight: '700' },
   emptyHistory: { alignItems: 'center', padding: Spacing.lg },
   emptyHistoryIcon: { fontSize: 36, marginBottom: Spacing.sm },
   emptyHistoryText: { fontSize: FontSize.md, textAlign: 'center' },
@@ -11,6 +11,7 @@
  */
 
 import axios from 'axios';
+import { LOYALTY_SYNC } from '../utils/constants';
 
 /**
  * DummyJSON API — used for authentication (login endpoint).
@@ -31,9 +32,36 @@ export const productsAPI = axios.create({
   timeout: 10000,
 });
 
+/**
+ * Loyalty backend — receives ledger batches from the sync outbox.
+ * Unconfigured until LOYALTY_SYNC.BASE_URL is set or configureLoyaltyAPI
+ * is called; see redux/slices/syncSlice.
+ */
+export const loyaltyAPI = axios.create({
+  baseURL: LOYALTY_SYNC.BASE_URL || undefined,
+  timeout: 10000,
+  headers: { 'Content-Type': 'application/json' },
+});
+
+/**
+ * Point the loyalty instance at a backend.
+ *
+ * @param {Object} options
+ * @param {string} options.baseURL - Loyalty backend base URL
+ * @param {Function} options.adapter - Custom axios adapter, e.g. the
+ *   in-memory mock server from services/mockLoyaltyServer
+ */
+export const configureLoyaltyAPI = ({ baseURL, adapter } = {}) => {
+  loyaltyAPI.defaults.baseURL = baseURL;
+  if (adapter) loyaltyAPI.defaults.adapter = adapter;
+};
+
+/** True once the loyalty instance has somewhere to send requests. */
+export const isLoyaltyAPIConfigured = () => Boolean(loyaltyAPI.defaults.baseURL);
+
 /**
  * Attach auth token to requests that need it.
- * Called once after login to configure the instance.
+ * Called after login and after every token refresh.
  *
  * @param {string} token - JWT from DummyJSON auth
  */
@@ -44,3 +72,104 @@ export const setAuthToken = (token) => {
     delete authAPI.defaults.headers.common['Authorization'];
   }
 };
+
+// ── Access-token refresh ──
+// DummyJSON access tokens expire (60 min by default). When an authAPI
+// request comes back 401, the interceptor below trades the refresh token
+// for a new pair at /auth/refresh and retries the request.
+//
+// WHY callbacks instead of importing the store?
+// - The store imports the slices, which import this module; callbacks
+//   (wired in authSlice.registerAuthRefresh) avoid the import cycle
+
+let refreshHandlers = null;
+let refreshInFlight = null;
+
+/**
+ * Enable refresh-on-401 for authAPI.
+ *
+ * @param {Object} handlers
+ * @param {Function} handlers.getRefreshToken - () => string|null
+ * @param {Function} handlers.onRefreshed - ({ token, refreshToken }) => Promise, persist the new pair
+ * @param {Function} handlers.onRefreshFailed - (error) => void, e.g. log the user out
+ */
+export const configureAuthRefresh = (handlers) => {
+  refreshHandlers = handlers;
+};
+
+const refreshAccessToken = async () => {
+  const refreshToken = refreshHandlers.getRefreshToken();
+  if (!refreshToken) throw new Error('No refresh token');
+
+  const response = await authAPI.post('/auth/refresh', { refreshToken }, { skipAuthRefresh: true });
+  const tokens = {
+    token: response.data.accessToken,
+    refreshToken: response.data.refreshToken || refreshToken,
+  };
+  setAuthToken(tokens.token);
+  await refreshHandlers.onRefreshed(tokens);
+  return tokens.token;
+};
+
+/**
+ * One refresh at a time: every caller shares the in-flight promise, so a
+ * burst of 401s (or requests sent during a refresh) triggers a single
+ * /auth/refresh call and then all go out with the new token.
+ */
+const getFreshToken = () => {
+  if (!refreshInFlight) {
+    refreshInFlight = refreshAccessToken()
+      .catch((error) => {
+        refreshHandlers.onRefreshFailed(error);
+        throw error;
+      })
+      .finally(() => {
+        refreshInFlight = null;
+      });
+  }
+  return refreshInFlight;
+};
+
+// Hold requests while a refresh is in flight instead of sending them with
+// the token that is being replaced
+authAPI.interceptors.request.use(async (config) => {
+  if (refreshInFlight && !config.skipAuthRefresh) {
+    try {
+      config.headers.Authorization = `Bearer ${await refreshInFlight}`;
+    } catch {
+      // Refresh failed and the user is being logged out — send as is
+    }
+  }
+  return config;
+});
+
+authAPI.interceptors.response.use(
+  (response) => response,
+  async (error) => {
+    const { config, response } = error;
+    if (
+      !refreshHandlers ||
+      response?.status !== 401 ||
+      !config ||
+      config.skipAuthRefresh ||
+      config.isAuthRetry ||
+      config.url === '/auth/login'
+    ) {
+      throw error;
+    }
+
+    // Another request already refreshed while this one was out — just retry
+    const current = authAPI.defaults.headers.common.Authorization;
+    let token = current && current !== config.headers.Authorization ? current.slice(7) : null;
+    if (!token) {
+      try {
+        token = await getFreshToken();
+      } catch {
+        throw error;
+      }
+    }
+    config.isAuthRetry = true;
+    config.headers.Authorization = `Bearer ${token}`;
+    return authAPI(config);
+  }
+);
@@ -0,0 +1,104 @@
+/**
+ * In-memory mock of the loyalty backend, exposed as an axios adapter.
+ *
+ * WHY an adapter?
+ * - The sync code talks to `loyaltyAPI` exactly as it would in production;
+ *   only the transport is swapped, so tests exercise the real request flow
+ * - Works without any network — in Jest or on a device in development
+ *
+ * Usage:
+ *   const server = createMockLoyaltyServer();
+ *   configureLoyaltyAPI({ baseURL: 'mock://loyalty', adapter: server.adapter });
+ *
+ * Endpoints:
+ *   POST /loyalty/transactions  { userId, transactions: [{ idempotencyKey, ...tx }] }
+ *     → { accepted: [keys], duplicates: [keys], points }
+ *   GET  /loyalty/balance?userId=…
+ *     → { userId, points }
+ */
+
+import { AxiosError } from 'axios';
+
+/**
+ * Create a fresh mock server.
+ * @param {Object} options
+ * @param {number} options.latencyMs - Simulated network delay
+ * @returns {{ adapter, getAccount, setPoints, setOffline, reset }}
+ */
+export const createMockLoyaltyServer = ({ latencyMs = 0 } = {}) => {
+  let accounts = {};
+  let offline = false;
+
+  const getAccountRecord = (userId) => {
+    const key = String(userId);
+    if (!accounts[key]) accounts[key] = { points: 0, transactions: [], keys: new Set() };
+    return accounts[key];
+  };
+
+  const respond = (config, status, data) => {
+    const response = { data, status, statusText: String(status), headers: {}, config, request: {} };
+    if (status >= 400) {
+      throw new AxiosError(data.message, String(status), config, {}, response);
+    }
+    return response;
+  };
+
+  const adapter = async (config) => {
+    if (latencyMs) await new Promise((resolve) => setTimeout(resolve, latencyMs));
+    if (offline) {
+      throw new AxiosError('Network Error', AxiosError.ERR_NETWORK, config, {});
+    }
+
+    const body = typeof config.data === 'string' ? JSON.parse(config.data) : config.data || {};
+    const method = config.method.toLowerCase();
+
+    if (method === 'post' && config.url === '/loyalty/transactions') {
+      if (body.userId == null || !Array.isArray(body.transactions)) {
+        return respond(config, 400, { message: 'userId and transactions are required' });
+      }
+      const account = getAccountRecord(body.userId);
+      const accepted = [];
+      const duplicates = [];
+      body.transactions.forEach((transaction) => {
+        if (account.keys.has(transaction.idempotencyKey)) {
+          duplicates.push(transaction.idempotencyKey);
+          return;
+        }
+        account.keys.add(transaction.idempotencyKey);
+        account.transactions.push(transaction);
+        account.points += transaction.points;
+        accepted.push(transaction.idempotencyKey);
+      });
+      return respond(config, 200, { accepted, duplicates, points: account.points });
+    }
+
+    if (method === 'get' && config.url === '/loyalty/balance') {
+      const { userId } = config.params || {};
+      if (userId == null) return respond(config, 400, { message: 'userId is required' });
+      return respond(config, 200, { userId, points: getAccountRecord(userId).points });
+    }
+
+    return respond(config, 404, { message: `No mock route for ${method.toUpperCase()} ${config.url}` });
+  };
+
+  return {
+    adapter,
+    /** Server-side view of an account: { points, transactions } */
+    getAccount: (userId) => {
+      const { points, transactions } = getAccountRecord(userId);
+      return { points, transactions };
+    },
+    /** Simulate a change made on the server side (e.g. by support staff) */
+    setPoints: (userId, points) => {
+      getAccountRecord(userId).points = points;
+    },
+    /** Simulate losing connectivity — every request fails with a network error */
+    setOffline: (value) => {
+      offline = value;
+    },
+    reset: () => {
+      accounts = {};
+      offline = false;
+    },
+  };
+};
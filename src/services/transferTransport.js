@@ -0,0 +1,71 @@
+/**
+ * Point-transfer transports — how a gift's credit reaches the recipient.
+ *
+ * WHY pluggable?
+ * - The sender's debit is written locally, but the credit has to land on
+ *   another member's ledger, which needs something shared between them.
+ *   Until the loyalty backend handles transfers, the default transport is
+ *   a mailbox in AsyncStorage (members who share a device — e.g. a family
+ *   tablet — receive gifts on their next sign-in). A backend transport
+ *   only has to implement the same three methods.
+ * - Tests swap in the in-memory transport.
+ *
+ * Transport interface:
+ *   send(credit)     → Promise   credit: { id, fromUserId, fromName, toUserId, points, note, sentAt }
+ *   peek(userId)     → Promise<Array>  pending credits for the user, left
+ *                      in the mailbox
+ *   ack(ids)         → Promise   remove credits the recipient has booked
+ *                      and saved, so a crash in between can't lose a gift
+ *
+ * Usage:
+ *   configureTransferTransport(createInMemoryTransport());
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { STORAGE_KEYS } from '../utils/constants';
+
+/**
+ * Mailbox held in memory only — for tests and development.
+ * @returns {{ send, peek, ack, getPending }}
+ */
+export const createInMemoryTransport = () => {
+  let mailbox = [];
+  return {
+    send: async (credit) => {
+      mailbox.push(credit);
+    },
+    peek: async (userId) => mailbox.filter((credit) => credit.toUserId === Number(userId)),
+    ack: async (ids) => {
+      mailbox = mailbox.filter((credit) => !ids.includes(credit.id));
+    },
+    /** Credits not yet received (test helper) */
+    getPending: () => [...mailbox],
+  };
+};
+
+/**
+ * Mailbox persisted on this device (STORAGE_KEYS.TRANSFER_INBOX).
+ * @returns {{ send, peek, ack }}
+ */
+export const createDeviceTransport = () => {
+  const load = async () => JSON.parse((await AsyncStorage.getItem(STORAGE_KEYS.TRANSFER_INBOX)) || '[]');
+  const save = (mailbox) => AsyncStorage.setItem(STORAGE_KEYS.TRANSFER_INBOX, JSON.stringify(mailbox));
+  return {
+    send: async (credit) => {
+      await save([...(await load()), credit]);
+    },
+    peek: async (userId) => (await load()).filter((credit) => credit.toUserId === Number(userId)),
+    ack: async (ids) => {
+      await save((await load()).filter((credit) => !ids.includes(credit.id)));
+    },
+  };
+};
+
+let activeTransport = createDeviceTransport();
+
+/** Replace the transport used by transfersSlice (e.g. in tests). */
+export const configureTransferTransport = (transport) => {
+  activeTransport = transport;
+};
+
+export const getTransferTransport = () => activeTransport;
@@ -8,22 +8,28 @@
  * 
  * Architecture:
  * - ThemeProvider wraps the app in App.js
- * - Persists theme preference to AsyncStorage
+ * - Persists theme preference to AsyncStorage, per signed-in member
+ *   (AppNavigator reports who via setThemeUser) plus a device default for
+ *   the Login screen
  * - Reads system preference on first launch as default
- * - Provides: colors, isDark, toggleTheme
+ * - Provides: colors, isDark, toggleTheme, setThemeUser
  */
 
 import React, { createContext, useContext, useState, useEffect, useMemo } from 'react';
 import { useColorScheme } from 'react-native';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { LightTheme, DarkTheme } from './colors';
+import { STORAGE_KEYS } from '../utils/constants';
+import { getUserStorageKey } from '../utils/storage';
 
-const THEME_STORAGE_KEY = '@RewardLoop:theme';
+const getThemeKey = (userId) =>
+  userId == null ? STORAGE_KEYS.THEME : getUserStorageKey(STORAGE_KEYS.THEME, userId);
 
 const ThemeContext = createContext({
   colors: LightTheme,
   isDark: false,
   toggleTheme: () => {},
+  setThemeUser: () => {},
 });
 
 export const ThemeProvider = ({ children }) => {
@@ -31,30 +37,37 @@ export const ThemeProvider = ({ children }) => {
   const systemScheme = useColorScheme();
   const [isDark, setIsDark] = useState(systemScheme === 'dark');
   const [isLoaded, setIsLoaded] = useState(false);
+  const [themeUserId, setThemeUser] = useState(null);
 
-  // Load saved preference from AsyncStorage
+  // Load saved preference — the signed-in member's, else the device's. A
+  // member who never picked one gets the system scheme, not the previous
+  // member's choice (which the device default follows)
   useEffect(() => {
     const loadTheme = async () => {
       try {
-        const saved = await AsyncStorage.getItem(THEME_STORAGE_KEY);
-        if (saved !== null) {
-          setIsDark(saved === 'dark');
-        }
+        const saved = await AsyncStorage.getItem(getThemeKey(themeUserId));
+        setIsDark(saved !== null ? saved === 'dark' : systemScheme === 'dark');
       } catch (e) {
         // Silently fall back to system preference
+        setIsDark(systemScheme === 'dark');
       } finally {
         setIsLoaded(true);
       }
     };
     loadTheme();
-  }, []);
+  }, [themeUserId, systemScheme]);
 
   // Toggle and persist
   const toggleTheme = async () => {
     const next = !isDark;
     setIsDark(next);
     try {
-      await AsyncStorage.setItem(THEME_STORAGE_KEY, next ? 'dark' : 'light');
+      const preference = next ? 'dark' : 'light';
+      // The device default follows the last choice, so Login matches it
+      await AsyncStorage.multiSet([
+        [STORAGE_KEYS.THEME, preference],
+        ...(themeUserId == null ? [] : [[getThemeKey(themeUserId), preference]]),
+      ]);
     } catch (e) {
       // Silent fail
     }
@@ -66,8 +79,9 @@ export const ThemeProvider = ({ children }) => {
       colors: isDark ? DarkTheme : LightTheme,
       isDark,
       toggleTheme,
+      setThemeUser,
     }),
-    [isDark]
+    [isDark, themeUserId]
   );
 
   // Wait for theme preference to load before rendering
@@ -83,7 +97,7 @@ export const ThemeProvider = ({ children }) => {
 /**
  * useTheme() — hook for accessing the current theme in any component.
  * 
- * Returns: { colors, isDark, toggleTheme }
+ * Returns: { colors, isDark, toggleTheme, setThemeUser }
  * 
  * Usage:
  *   const { colors, isDark, toggleTheme } = useTheme();
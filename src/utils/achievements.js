@@ -0,0 +1,98 @@
+/**
+ * Achievements — milestone badges that unlock once and stay unlocked.
+ *
+ * WHY a catalog of predicates?
+ * - Like EARNING_RULES and MISSIONS, adding a badge is one entry here;
+ *   achievementsSlice evaluates the whole catalog whenever loyalty,
+ *   favorites or the category list change
+ * - Predicates read a plain snapshot, so they are trivial to unit test
+ *
+ * Achievement shape:
+ *   {
+ *     id, title, description, icon
+ *     isUnlocked: ({ transactions, favorites, categories, streak, level }) => boolean
+ *   }
+ */
+
+import { TRANSACTION_TYPES } from './constants';
+import { compareLevels, isEarning } from './membershipLevels';
+
+/**
+ * Points ever earned (see isEarning). Spending and expiry don't lower it;
+ * gifts from other members don't raise it.
+ * @param {Array} transactions
+ * @returns {number}
+ */
+export const getLifetimePoints = (transactions) =>
+  transactions
+    .filter(isEarning)
+    .reduce((sum, t) => sum + t.points, 0);
+
+const hasTransaction = (transactions, type) => transactions.some((t) => t.type === type);
+
+export const ACHIEVEMENTS = [
+  {
+    id: 'first-favorite',
+    title: 'First Love',
+    description: 'Favorite your first product',
+    icon: '❤️',
+    isUnlocked: ({ favorites, transactions }) =>
+      favorites.length > 0 || hasTransaction(transactions, TRANSACTION_TYPES.FAVORITE_ADDED),
+  },
+  {
+    id: 'first-redemption',
+    title: 'Treat Yourself',
+    description: 'Redeem your first reward',
+    icon: '🎟️',
+    isUnlocked: ({ transactions }) => hasTransaction(transactions, TRANSACTION_TYPES.REDEMPTION),
+  },
+  {
+    id: 'streak-7',
+    title: 'Creature of Habit',
+    description: 'Check in 7 days in a row',
+    icon: '🔥',
+    isUnlocked: ({ streak }) => streak.longest >= 7,
+  },
+  {
+    id: 'first-mission',
+    title: 'Mission Accomplished',
+    description: 'Complete a mission',
+    icon: '🎯',
+    isUnlocked: ({ transactions }) => hasTransaction(transactions, TRANSACTION_TYPES.MISSION_REWARD),
+  },
+  {
+    id: 'lifetime-1000',
+    title: 'Point Collector',
+    description: 'Earn 1,000 points in total',
+    icon: '💰',
+    isUnlocked: ({ transactions }) => getLifetimePoints(transactions) >= 1000,
+  },
+  {
+    id: 'all-categories',
+    title: 'Explorer',
+    description: 'Favorite a product in every category',
+    icon: '🧭',
+    isUnlocked: ({ favorites, categories }) =>
+      categories.length > 0 &&
+      categories.every((category) => favorites.some((item) => item.category === category)),
+  },
+  {
+    id: 'gold-status',
+    title: 'Golden',
+    description: 'Reach Gold membership',
+    icon: '🥇',
+    isUnlocked: ({ level }) => compareLevels(level, 'GOLD') >= 0,
+  },
+];
+
+/**
+ * Achievements the snapshot qualifies for that aren't unlocked yet.
+ * @param {Object} snapshot - { transactions, favorites, categories, streak, level }
+ * @param {Object} unlocked - { [achievementId]: unlockedAt }
+ * @param {Array} catalog - Defaults to ACHIEVEMENTS
+ * @returns {string[]} Achievement ids
+ */
+export const findNewAchievements = (snapshot, unlocked = {}, catalog = ACHIEVEMENTS) =>
+  catalog
+    .filter((achievement) => !unlocked[achievement.id] && achievement.isUnlocked(snapshot))
+    .map((achievement) => achievement.id);
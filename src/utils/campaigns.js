@@ -0,0 +1,142 @@
+/**
+ * Campaigns — time-boxed promotions that boost earnings on products in
+ * the targeted categories ("double points on jewelery this weekend").
+ *
+ * WHY separate from the earning rules?
+ * - Rules decide WHAT an event is worth; a campaign temporarily boosts
+ *   whatever the rules (or a purchase) already award for qualifying
+ *   products, so marketing never has to touch the rules
+ * - Like EARNING_RULES, the list could later be fetched from a backend
+ *
+ * Campaign shape:
+ *   {
+ *     id:          unique, stable id (stored on boosted transactions)
+ *     title, description, icon, color
+ *     startsAt, endsAt: ISO dates — active while startsAt <= now < endsAt
+ *     categories:  product categories it targets (productsSlice.categories);
+ *                  empty = every product
+ *     multiplier:  multiplies the base points              (optional)
+ *     bonusPoints: flat bonus per qualifying item          (optional)
+ *   }
+ *
+ * When several campaigns match a product, the highest multiplier wins and
+ * flat bonuses add up. Campaign points are base points — the member's
+ * level multiplier is applied on top by earnPoints.
+ */
+
+export const CAMPAIGNS = [
+  {
+    id: 'tech-week-2026-10',
+    title: 'Tech Week',
+    description: '+25 bonus points on every electronics item',
+    icon: '🔌',
+    color: '#3B82F6',
+    startsAt: '2026-10-19T00:00:00',
+    endsAt: '2026-10-26T00:00:00',
+    categories: ['electronics'],
+    bonusPoints: 25,
+  },
+  {
+    id: 'jewelery-weekend-2026-10',
+    title: 'Double Points Weekend',
+    description: '2× points on jewelery, Friday to Sunday',
+    icon: '💍',
+    color: '#8B5CF6',
+    startsAt: '2026-10-23T00:00:00',
+    endsAt: '2026-10-26T00:00:00',
+    categories: ['jewelery'],
+    multiplier: 2,
+  },
+  {
+    id: 'holiday-style-2026-12',
+    title: 'Holiday Style',
+    description: '1.5× points on clothing all December',
+    icon: '🎄',
+    color: '#10B981',
+    startsAt: '2026-12-01T00:00:00',
+    endsAt: '2027-01-01T00:00:00',
+    categories: ["men's clothing", "women's clothing"],
+    multiplier: 1.5,
+  },
+];
+
+/**
+ * Campaigns running at `now`. When the product categories are known,
+ * targets that aren't real categories are dropped (and a campaign left
+ * with no valid target is skipped) so a typo never boosts everything.
+ * @param {string} now - ISO date
+ * @param {string[]} [categories] - productsSlice.categories; empty = not loaded yet
+ * @param {Array} [campaigns=CAMPAIGNS]
+ * @returns {Array}
+ */
+export const getActiveCampaigns = (now, categories = [], campaigns = CAMPAIGNS) => {
+  const time = Date.parse(now);
+  return campaigns
+    .filter((campaign) => Date.parse(campaign.startsAt) <= time && time < Date.parse(campaign.endsAt))
+    .map((campaign) => {
+      if (categories.length === 0 || campaign.categories.length === 0) return campaign;
+      const targets = campaign.categories.filter((category) => categories.includes(category));
+      return targets.length > 0 ? { ...campaign, categories: targets } : null;
+    })
+    .filter(Boolean);
+};
+
+/**
+ * Campaigns that apply to a product.
+ * @param {Object} product
+ * @param {Array} campaigns - Active campaigns
+ * @returns {Array}
+ */
+export const getProductCampaigns = (product, campaigns) =>
+  product
+    ? campaigns.filter(
+        (campaign) =>
+          campaign.categories.length === 0 || campaign.categories.includes(product.category)
+      )
+    : [];
+
+/**
+ * Boost base points for a product.
+ * @param {number} points - Base points before campaigns
+ * @param {Object} product
+ * @param {Array} campaigns - Active campaigns
+ * @param {number} [quantity=1] - Flat bonuses are paid per item
+ * @returns {{ points: number, campaignIds: string[] }}
+ */
+export const applyCampaigns = (points, product, campaigns, quantity = 1) => {
+  const matching = getProductCampaigns(product, campaigns);
+  if (matching.length === 0) return { points, campaignIds: [] };
+
+  const multiplier = Math.max(1, ...matching.map((campaign) => campaign.multiplier || 1));
+  const bonus = matching.reduce((sum, campaign) => sum + (campaign.bonusPoints || 0), 0);
+  return {
+    points: Math.round(points * multiplier) + bonus * quantity,
+    campaignIds: matching.map((campaign) => campaign.id),
+  };
+};
+
+/**
+ * Short label for a campaign's boost, e.g. "2× points" or "+25 pts".
+ * @param {Object} campaign
+ * @returns {string}
+ */
+export const getCampaignTag = (campaign) =>
+  campaign.multiplier ? `${campaign.multiplier}× points` : `+${campaign.bonusPoints} pts`;
+
+/**
+ * Apply campaigns to a rules-engine award for a product event, noting the
+ * campaigns in the description and on the award (→ transaction).
+ * @param {Object} award - From evaluateEarningRules
+ * @param {Object} product - The event's product (awards without one pass through)
+ * @param {Array} campaigns - Active campaigns
+ * @returns {Object} Award
+ */
+export const boostAward = (award, product, campaigns) => {
+  const { points, campaignIds } = applyCampaigns(award.points, product, campaigns);
+  if (campaignIds.length === 0) return award;
+  const titles = campaigns
+    .filter((campaign) => campaignIds.includes(campaign.id))
+    .map((campaign) => campaign.title)
+    .join(', ');
+  return { ...award, points, campaignIds, description: `${award.description} (${titles})` };
+};
@@ -0,0 +1,104 @@
+/**
+ * Cart math — line subtotals, purchase-points projections and orders.
+ *
+ * Kept out of cartSlice so the cart screen, checkout and tests all price a
+ * cart the same way. Amounts are rounded to cents to avoid float drift
+ * (e.g. 3 × 0.1 = 0.30000000000000004).
+ */
+
+import { POINTS_PER_CURRENCY } from './constants';
+import { applyCampaigns } from './campaigns';
+
+const roundCents = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * @param {{ product: Object, quantity: number }} line
+ * @returns {number} price × quantity
+ */
+export const getLineSubtotal = (line) => roundCents(line.product.price * line.quantity);
+
+/**
+ * @param {Array} lines - Cart lines
+ * @returns {number} Sum of the line subtotals
+ */
+export const getCartSubtotal = (lines) =>
+  roundCents(lines.reduce((sum, line) => sum + getLineSubtotal(line), 0));
+
+/**
+ * Points a purchase of `amount` earns: POINTS_PER_CURRENCY per whole unit,
+ * then the level multiplier, rounded the same way earnPoints rounds.
+ * @param {number} amount
+ * @param {number} [multiplier=1] - Current membership level multiplier
+ * @returns {number}
+ */
+export const calculatePurchasePoints = (amount, multiplier = 1) =>
+  Math.round(Math.floor(amount * POINTS_PER_CURRENCY) * multiplier);
+
+/**
+ * Base points (before the level multiplier) a cart line earns, boosted by
+ * any active campaign for its product.
+ * @param {{ product: Object, quantity: number }} line
+ * @param {Array} [campaigns=[]] - Active campaigns
+ * @returns {{ points: number, campaignIds: string[] }}
+ */
+export const getLineBasePoints = (line, campaigns = []) =>
+  applyCampaigns(
+    calculatePurchasePoints(getLineSubtotal(line)),
+    line.product,
+    campaigns,
+    line.quantity
+  );
+
+/**
+ * Base points (before the level multiplier) a purchase of these lines
+ * earns: the points for the whole subtotal, plus whatever campaigns add on
+ * top of each boosted line.
+ * @param {Array} lines - [{ product, quantity }]
+ * @param {Array} [campaigns=[]] - Active campaigns
+ * @returns {{ points: number, campaignIds: string[] }}
+ */
+export const getPurchaseBasePoints = (lines, campaigns = []) => {
+  let points = calculatePurchasePoints(getCartSubtotal(lines));
+  const campaignIds = new Set();
+  lines.forEach((line) => {
+    const boosted = getLineBasePoints(line, campaigns);
+    points += boosted.points - calculatePurchasePoints(getLineSubtotal(line));
+    boosted.campaignIds.forEach((id) => campaignIds.add(id));
+  });
+  return { points, campaignIds: [...campaignIds] };
+};
+
+/**
+ * Collision-resistant, readable order id, e.g. "ORD-LZ8K3Q1T-4F2A".
+ * @returns {string}
+ */
+export const createOrderId = () =>
+  `ORD-${Date.now().toString(36).toUpperCase()}-${Math.random()
+    .toString(36)
+    .slice(2, 6)
+    .toUpperCase()
+    .padEnd(4, '0')}`;
+
+/**
+ * Freeze cart lines into an order. Only the product fields the order
+ * history shows are copied, so later catalog changes don't rewrite it.
+ * @param {Array} lines - [{ product, quantity }]
+ * @param {Object} meta - { id, timestamp }
+ * @returns {{ id, lines, total, timestamp }}
+ */
+export const buildOrder = (lines, { id, timestamp }) => ({
+  id,
+  lines: lines.map((line) => ({
+    product: {
+      id: line.product.id,
+      title: line.product.title,
+      price: line.product.price,
+      category: line.product.category,
+      image: line.product.image,
+    },
+    quantity: line.quantity,
+    subtotal: getLineSubtotal(line),
+  })),
+  total: getCartSubtotal(lines),
+  timestamp,
+});
@@ -0,0 +1,32 @@
+/**
+ * Ask the user to confirm an action.
+ *
+ * Native shows an Alert with Cancel / confirm buttons; web uses
+ * window.confirm, because Alert.alert's buttons do nothing on
+ * react-native-web.
+ */
+
+import { Alert, Platform } from 'react-native';
+
+/**
+ * @param {Object} options
+ * @param {string} options.title
+ * @param {string} options.message
+ * @param {string} options.confirmText - Label of the confirm button (native)
+ * @param {string} [options.cancelText]
+ * @param {boolean} [options.destructive] - Style the confirm button as destructive (native)
+ * @param {Function} onConfirm - Called once the user confirms
+ */
+export const confirmAction = (
+  { title, message, confirmText, cancelText = 'Cancel', destructive = false },
+  onConfirm
+) => {
+  if (Platform.OS === 'web') {
+    if (window.confirm(`${title}\n\n${message}`)) onConfirm();
+    return;
+  }
+  Alert.alert(title, message, [
+    { text: cancelText, style: 'cancel' },
+    { text: confirmText, ...(destructive && { style: 'destructive' }), onPress: onConfirm },
+  ]);
+};
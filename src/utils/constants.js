@@ -8,25 +8,206 @@
 // ── AsyncStorage Keys ──
 export const STORAGE_KEYS = {
   AUTH_TOKEN: '@RewardLoop:authToken',
+  REFRESH_TOKEN: '@RewardLoop:refreshToken',
   USER_DATA: '@RewardLoop:userData',
   FAVORITES: '@RewardLoop:favorites',
   LOYALTY_DATA: '@RewardLoop:loyaltyData',
+  SYNC_STATE: '@RewardLoop:syncState',
+  REFERRALS: '@RewardLoop:referrals',
+  CART: '@RewardLoop:cart',
+  ORDERS: '@RewardLoop:orders',
+  COUPONS: '@RewardLoop:coupons',
+  TRANSFERS: '@RewardLoop:transfers',
+  TRANSFER_INBOX: '@RewardLoop:transferInbox',
+  ACCOUNTS: '@RewardLoop:accounts',
+  THEME: '@RewardLoop:theme',
 };
 
-// ── Loyalty Point Values ──
-// Defined as constants so they can be tuned from a single place
-// (or eventually fetched from a backend config endpoint).
-export const LOYALTY_POINTS = {
-  LOGIN_BONUS: 5,
-  FAVORITE_ADDED: 10,
+// Keys holding one member's data. Each is stored per user as
+// `${key}:${userId}` (see getUserStorageKey in utils/storage.js) so people
+// sharing a device never see each other's points; the rest are device-wide.
+export const USER_SCOPED_KEYS = [
+  STORAGE_KEYS.FAVORITES,
+  STORAGE_KEYS.LOYALTY_DATA,
+  STORAGE_KEYS.SYNC_STATE,
+  STORAGE_KEYS.CART,
+  STORAGE_KEYS.ORDERS,
+  STORAGE_KEYS.COUPONS,
+  STORAGE_KEYS.THEME,
+];
+
+// ── Loyalty Backend Sync ──
+// BASE_URL is the loyalty backend; while it is null nothing is sent, but
+// ledger changes still queue up in the outbox. Can be overridden at runtime
+// with configureLoyaltyAPI (e.g. to point at the mock server).
+export const LOYALTY_SYNC = {
+  BASE_URL: null,
+  BATCH_SIZE: 20,
+  DEBOUNCE_MS: 2000,
+};
+
+// ── Earning Events ──
+// Screens report these to the rules engine (see utils/earningRules.js);
+// how many points each event is worth lives in the rules, not the screens.
+export const EARNING_EVENTS = {
+  DAILY_CHECK_IN: 'DAILY_CHECK_IN',
+  FAVORITE_ADDED: 'FAVORITE_ADDED',
 };
 
+// ── Login Streaks ──
+// Bonus points for reaching a consecutive-day check-in streak, keyed by
+// streak length. Paid on top of the daily login bonus.
+export const STREAK_BONUSES = {
+  3: 15,
+  7: 50,
+  30: 200,
+};
+
+// ── Sign-up ──
+// Paid once to every member who creates their account in the app
+export const SIGNUP_BONUS = 50;
+
+// ── Referrals ──
+// Paid to the new member who enters a code and to the member who shared it
+export const REFERRAL_BONUS = {
+  REFEREE: 100,
+  REFERRER: 100,
+};
+
+// ── Point Transfers ──
+// Limits on gifting points to another member, per sender and local
+// calendar day.
+export const TRANSFER_LIMITS = {
+  MIN_POINTS: 10,
+  DAILY_POINTS: 500,
+  DAILY_TRANSFERS: 3,
+};
+
+// ── Purchases ──
+// Base points earned per whole unit of currency spent (product prices are
+// in dollars), paid as a PURCHASE transaction at checkout. The member's
+// level multiplier is applied on top.
+export const POINTS_PER_CURRENCY = 1;
+
+// Most units of one product a cart line can hold
+export const MAX_CART_QUANTITY = 99;
+
+// ── Points Expiry ──
+// Every earning becomes a dated "lot" that expires this many days later.
+export const POINTS_EXPIRY_DAYS = 365;
+
+// ── Membership Levels ──
+// Status is earned from points collected over a rolling window (not the
+// spendable balance), and each level multiplies future earnings.
+// Ordered lowest → highest.
+export const LEVEL_WINDOW_DAYS = 365;
+
+export const MEMBERSHIP_LEVELS = [
+  { id: 'MEMBER', label: 'Member', minPoints: 0, multiplier: 1, icon: '🙂', color: '#6B7280' },
+  { id: 'SILVER', label: 'Silver', minPoints: 500, multiplier: 1.25, icon: '🥈', color: '#94A3B8' },
+  { id: 'GOLD', label: 'Gold', minPoints: 1500, multiplier: 1.5, icon: '🥇', color: '#E6C200' },
+  { id: 'PLATINUM', label: 'Platinum', minPoints: 5000, multiplier: 2, icon: '💎', color: '#8B5CF6' },
+];
+
 // ── Loyalty Transaction Types ──
 export const TRANSACTION_TYPES = {
   LOGIN_BONUS: 'LOGIN_BONUS',
   FAVORITE_ADDED: 'FAVORITE_ADDED',
+  REDEMPTION: 'REDEMPTION',
+  EXPIRED: 'EXPIRED',
+  LEVEL_UP: 'LEVEL_UP',
+  LEVEL_DOWN: 'LEVEL_DOWN',
+  REVERSAL: 'REVERSAL',
+  CLAWBACK: 'CLAWBACK',
+  STREAK_BONUS: 'STREAK_BONUS',
+  MISSION_REWARD: 'MISSION_REWARD',
+  REFERRAL: 'REFERRAL',
+  SIGNUP_BONUS: 'SIGNUP_BONUS',
+  PURCHASE: 'PURCHASE',
+  TRANSFER_OUT: 'TRANSFER_OUT',
+  TRANSFER_IN: 'TRANSFER_IN',
+  ADJUSTMENT: 'ADJUSTMENT',
+};
+
+// Points moved between members, given back by a reversal or corrected by
+// hand rather than earned: spendable, but they don't count toward
+// membership status or lifetime-points badges.
+export const NON_EARNING_TYPES = [
+  TRANSACTION_TYPES.TRANSFER_IN,
+  TRANSACTION_TYPES.REVERSAL,
+  TRANSACTION_TYPES.ADJUSTMENT,
+];
+
+// Human-readable names for the history type filter
+export const TRANSACTION_TYPE_LABELS = {
+  PURCHASE: 'Purchases',
+  LOGIN_BONUS: 'Login bonus',
+  FAVORITE_ADDED: 'Favorites',
+  STREAK_BONUS: 'Streak bonus',
+  MISSION_REWARD: 'Missions',
+  REFERRAL: 'Referrals',
+  SIGNUP_BONUS: 'Sign-up bonus',
+  TRANSFER_IN: 'Gifts received',
+  TRANSFER_OUT: 'Gifts sent',
+  REDEMPTION: 'Redemptions',
+  EXPIRED: 'Expired',
+  REVERSAL: 'Reversals',
+  CLAWBACK: 'Clawbacks',
+  ADJUSTMENT: 'Adjustments',
+  LEVEL_UP: 'Level up',
+  LEVEL_DOWN: 'Level down',
 };
 
+// ── Points History ──
+// Transactions rendered per page; scrolling to the end loads the next page
+export const HISTORY_PAGE_SIZE = 25;
+
+// Date range presets for the history filter (`days` back from today, inclusive)
+export const HISTORY_DATE_RANGES = [
+  { id: 'all', label: 'All time', days: null },
+  { id: '30d', label: 'Last 30 days', days: 30 },
+  { id: '90d', label: 'Last 90 days', days: 90 },
+  { id: '365d', label: 'Last 12 months', days: 365 },
+];
+
+// ── Points Insights ──
+// Periods for the "points earned" chart: how many buckets each shows
+export const ANALYTICS_PERIODS = [
+  { id: 'week', label: 'Weekly', count: 8 },
+  { id: 'month', label: 'Monthly', count: 6 },
+];
+
+// ── Reward Tiers ──
+// Points thresholds that can be redeemed for a coupon. Shared by the
+// RewardsScreen (display) and loyaltySlice (redemption). `value` is the
+// coupon's face value in rupees.
+export const REWARD_TIERS = [
+  { points: 50, value: 50, label: '₹50 Coupon', icon: '🎟️', color: '#10B981' },
+  { points: 100, value: 100, label: '₹100 Coupon', icon: '🎫', color: '#3B82F6' },
+  { points: 250, value: 250, label: '₹250 Coupon', icon: '🏷️', color: '#8B5CF6' },
+  { points: 500, value: 500, label: '₹500 Coupon', icon: '🎁', color: '#F59E0B' },
+  { points: 1000, value: 1000, label: 'Premium Reward', icon: '👑', color: '#EF4444' },
+];
+
+// ── Coupon Wallet ──
+// Issued coupons can be used at the till until this many days after issue
+export const COUPON_VALIDITY_DAYS = 90;
+
+export const COUPON_STATUS = {
+  ACTIVE: 'active',
+  USED: 'used',
+  EXPIRED: 'expired',
+  REFUNDED: 'refunded',
+};
+
+/**
+ * Format a points amount with its sign, e.g. "+25" or "−40".
+ * @param {number} points
+ * @returns {string}
+ */
+export const formatSignedPoints = (points) =>
+  `${points < 0 ? '−' : '+'}${Math.abs(points)}`;
+
 /**
  * Format a date string into a readable format.
  * @param {string} isoString - ISO 8601 date string
@@ -44,6 +225,71 @@ export const formatDate = (isoString) => {
   });
 };
 
+/**
+ * Format a date string as a calendar day, without the time.
+ * @param {string} isoString - ISO 8601 date string
+ * @returns {string} e.g. "25 Feb 2026"
+ */
+export const formatDay = (isoString) => {
+  const date = new Date(isoString);
+  return date.toLocaleDateString('en-IN', {
+    day: '2-digit',
+    month: 'short',
+    year: 'numeric',
+  });
+};
+
+/**
+ * Format a local month key as a section title.
+ * @param {string} monthKey - "YYYY-MM"
+ * @returns {string} e.g. "February 2026"
+ */
+export const formatMonth = (monthKey) => {
+  const [year, month] = monthKey.split('-').map(Number);
+  return new Date(year, month - 1, 1).toLocaleDateString('en-IN', {
+    month: 'long',
+    year: 'numeric',
+  });
+};
+
+/**
+ * Calendar-day key in the device's local timezone.
+ * @param {string|Date} date
+ * @returns {string} e.g. "2026-02-25"
+ */
+export const getLocalDayKey = (date) => {
+  const d = new Date(date);
+  const month = String(d.getMonth() + 1).padStart(2, '0');
+  const day = String(d.getDate()).padStart(2, '0');
+  return `${d.getFullYear()}-${month}-${day}`;
+};
+
+/**
+ * Shift a local day key by a number of calendar days.
+ * Works on local dates, so DST changes never skip or repeat a day.
+ * @param {string} dayKey - "YYYY-MM-DD"
+ * @param {number} days - May be negative
+ * @returns {string} Shifted day key
+ */
+export const addDaysToDayKey = (dayKey, days) => {
+  const [year, month, day] = dayKey.split('-').map(Number);
+  return getLocalDayKey(new Date(year, month - 1, day + days));
+};
+
+/**
+ * Generate a human-friendly coupon code, e.g. "RL-7K2Q-M9XD".
+ * Ambiguous characters (0/O, 1/I) are left out so codes read well aloud.
+ * @returns {string}
+ */
+export const generateCouponCode = () => {
+  const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+  const block = () =>
+    Array.from({ length: 4 }, () =>
+      alphabet.charAt(Math.floor(Math.random() * alphabet.length))
+    ).join('');
+  return `RL-${block()}-${block()}`;
+};
+
 /**
  * Truncate text to a maximum length with ellipsis.
  * @param {string} text
@@ -0,0 +1,45 @@
+/**
+ * Coupon wallet helpers — expiry dates, status and migration of coupons
+ * issued before the wallet existed.
+ *
+ * A coupon's status only ever moves forward: active → used, active →
+ * expired, or active → refunded (its redemption was reversed). Used
+ * coupons never expire and expired coupons can't be used.
+ */
+
+import { COUPON_STATUS, COUPON_VALIDITY_DAYS } from './constants';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @param {string} issuedAt - ISO date
+ * @returns {string} ISO date COUPON_VALIDITY_DAYS later
+ */
+export const getCouponExpiry = (issuedAt) =>
+  new Date(Date.parse(issuedAt) + COUPON_VALIDITY_DAYS * DAY_MS).toISOString();
+
+/**
+ * Fill in the wallet fields on coupons saved before the wallet existed
+ * ({ id, code, label, points, date, transactionId }). Their face value is
+ * read from the label ("₹100 Coupon"), falling back to the points spent.
+ * @param {Object} coupon
+ * @returns {Object} Coupon with value, expiresAt, status and usedAt
+ */
+export const normalizeCoupon = (coupon) => {
+  const labelValue = Number((/₹\s*([\d,]+)/.exec(coupon.label || '') || [])[1]?.replace(/,/g, ''));
+  return {
+    ...coupon,
+    value: coupon.value ?? (labelValue || coupon.points),
+    expiresAt: coupon.expiresAt || getCouponExpiry(coupon.date),
+    status: coupon.status || COUPON_STATUS.ACTIVE,
+    usedAt: coupon.usedAt || null,
+  };
+};
+
+/**
+ * @param {Object} coupon
+ * @param {string} now - ISO date
+ * @returns {boolean} True when an active coupon is past its expiry
+ */
+export const isCouponExpired = (coupon, now) =>
+  coupon.status === COUPON_STATUS.ACTIVE && Date.parse(coupon.expiresAt) <= Date.parse(now);
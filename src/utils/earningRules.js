@@ -0,0 +1,208 @@
+/**
+ * Earning rules engine — decides how many points an event is worth.
+ *
+ * WHY a rules engine?
+ * - Screens only REPORT what happened (e.g. "user favorited a product");
+ *   they never hardcode point values
+ * - Program managers tune earning by editing EARNING_RULES below — no
+ *   screen or reducer changes needed (and the list could later be fetched
+ *   from a backend config endpoint)
+ *
+ * Rule shape:
+ *   {
+ *     id:           unique, stable id (usage counters are keyed by it)
+ *     event:        EARNING_EVENTS value the rule reacts to
+ *     type:         transaction type written to the ledger
+ *     points:       number, or (context) => number for formulas
+ *     description:  string, or (context) => string
+ *     dailyCap:     max points per local calendar day   (optional)
+ *     lifetimeCap:  max points ever                     (optional)
+ *     cooldownMinutes: min minutes between two awards   (optional)
+ *     conditions:   { categories?: string[], minPrice?: number } (optional)
+ *     idempotencyKey: (context) => string — an award with the same key is
+ *                   only ever granted once                (optional)
+ *     clawbackMinutes: undoing the event within this many minutes reverses
+ *                   the award (needs idempotencyKey)     (optional)
+ *   }
+ *
+ * Caps clip an award to what is left rather than dropping it outright.
+ * Usage is tracked per rule as { total, lastAwardedAt, day, dayTotal }.
+ * Granted idempotency keys are tracked as { [key]: transactionId }.
+ */
+
+import {
+  EARNING_EVENTS,
+  TRANSACTION_TYPES,
+  STREAK_BONUSES,
+  getLocalDayKey,
+} from './constants';
+
+export const EARNING_RULES = [
+  {
+    id: 'login-bonus',
+    event: EARNING_EVENTS.DAILY_CHECK_IN,
+    type: TRANSACTION_TYPES.LOGIN_BONUS,
+    points: 5,
+    description: 'Daily login bonus',
+    // Once per local calendar day, however often the app is opened
+    idempotencyKey: ({ day }) => `login-bonus:${day}`,
+  },
+  {
+    id: 'streak-bonus',
+    event: EARNING_EVENTS.DAILY_CHECK_IN,
+    type: TRANSACTION_TYPES.STREAK_BONUS,
+    points: ({ streak }) => STREAK_BONUSES[streak] || 0,
+    description: ({ streak }) => `${streak}-day login streak bonus`,
+    idempotencyKey: ({ day }) => `streak-bonus:${day}`,
+  },
+  {
+    id: 'favorite-added',
+    event: EARNING_EVENTS.FAVORITE_ADDED,
+    type: TRANSACTION_TYPES.FAVORITE_ADDED,
+    points: 10,
+    description: ({ product }) => `Favorited: ${product.title}`,
+    // Once per product — un-favoriting and re-favoriting can't farm points
+    idempotencyKey: ({ product }) => `favorite:${product.id}`,
+    clawbackMinutes: 60,
+    // Clawbacks don't refund the cap, so toggling favorites burns it
+    dailyCap: 50,
+  },
+];
+
+const resolve = (value, context) =>
+  typeof value === 'function' ? value(context) : value;
+
+/**
+ * Check a rule's eligibility conditions against the event context.
+ * @param {Object} conditions
+ * @param {Object} context - e.g. { product }
+ * @returns {boolean}
+ */
+const matchesConditions = (conditions = {}, context = {}) => {
+  const { product } = context;
+  if (conditions.categories && !conditions.categories.includes(product?.category)) {
+    return false;
+  }
+  if (conditions.minPrice != null && !(product?.price >= conditions.minPrice)) {
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Points still allowed by a rule's caps and cooldown.
+ * @returns {number} Infinity when the rule is uncapped
+ */
+const getAllowance = (rule, usage = {}, now) => {
+  if (rule.cooldownMinutes && usage.lastAwardedAt) {
+    const elapsed = Date.parse(now) - Date.parse(usage.lastAwardedAt);
+    if (elapsed < rule.cooldownMinutes * 60 * 1000) return 0;
+  }
+  let allowance = Infinity;
+  if (rule.lifetimeCap != null) {
+    allowance = Math.min(allowance, rule.lifetimeCap - (usage.total || 0));
+  }
+  if (rule.dailyCap != null) {
+    const usedToday = usage.day === getLocalDayKey(now) ? usage.dayTotal : 0;
+    allowance = Math.min(allowance, rule.dailyCap - usedToday);
+  }
+  return Math.max(allowance, 0);
+};
+
+/**
+ * Rules for an event whose conditions match and whose idempotency key
+ * (if any) hasn't been granted yet.
+ */
+const getEligibleRules = (event, context, { awardedKeys = {}, rules = EARNING_RULES } = {}) =>
+  rules.filter(
+    (rule) =>
+      rule.event === event &&
+      matchesConditions(rule.conditions, context) &&
+      !(rule.idempotencyKey && awardedKeys[rule.idempotencyKey(context)])
+  );
+
+/**
+ * Evaluate every rule for an event.
+ * @param {string} event - EARNING_EVENTS value
+ * @param {Object} context - Event details, e.g. { product }
+ * @param {Object} options
+ * @param {Object} options.usage - Per-rule usage counters from the loyalty state
+ * @param {Object} options.awardedKeys - Idempotency keys already granted
+ * @param {string} options.now - ISO date
+ * @param {Array} options.rules - Defaults to EARNING_RULES
+ * @returns {Array} Awards: [{ ruleId, type, points, description, idempotencyKey? }]
+ */
+export const evaluateEarningRules = (
+  event,
+  context,
+  { usage = {}, awardedKeys = {}, now = new Date().toISOString(), rules = EARNING_RULES } = {}
+) =>
+  getEligibleRules(event, context, { awardedKeys, rules })
+    .map((rule) => ({
+      ruleId: rule.id,
+      type: rule.type,
+      points: Math.min(resolve(rule.points, context), getAllowance(rule, usage[rule.id], now)),
+      description: resolve(rule.description, context),
+      ...(rule.idempotencyKey && { idempotencyKey: rule.idempotencyKey(context) }),
+    }))
+    .filter((award) => award.points > 0);
+
+/**
+ * Awards that should be clawed back because the event was undone.
+ * Only rules with an idempotency key and a clawback window qualify, and
+ * only while the original award is inside that window.
+ * @param {string} event - The event being undone
+ * @param {Object} context
+ * @param {Object} options
+ * @param {Object} options.awardedKeys - { [key]: transactionId }
+ * @param {Array} options.transactions - Ledger, to look up award dates
+ * @param {string} options.now - ISO date
+ * @returns {Array} [{ transactionId, idempotencyKey }]
+ */
+export const findClawbacks = (
+  event,
+  context,
+  { awardedKeys = {}, transactions = [], now = new Date().toISOString(), rules = EARNING_RULES } = {}
+) =>
+  rules
+    .filter((rule) => rule.event === event && rule.idempotencyKey && rule.clawbackMinutes)
+    .map((rule) => {
+      const idempotencyKey = rule.idempotencyKey(context);
+      const transaction = transactions.find((t) => t.id === awardedKeys[idempotencyKey]);
+      if (!transaction || transaction.reversedBy) return null;
+      const elapsed = Date.parse(now) - Date.parse(transaction.date);
+      if (elapsed > rule.clawbackMinutes * 60 * 1000) return null;
+      return { transactionId: transaction.id, idempotencyKey };
+    })
+    .filter(Boolean);
+
+/**
+ * Advance a rule's usage counters after an award.
+ * @param {Object} usage - Previous counters for the rule (may be undefined)
+ * @param {number} points - Base points awarded
+ * @param {string} now - ISO date
+ * @returns {Object} Next counters
+ */
+export const recordRuleUsage = (usage = {}, points, now) => {
+  const day = getLocalDayKey(now);
+  return {
+    total: (usage.total || 0) + points,
+    lastAwardedAt: now,
+    day,
+    dayTotal: (usage.day === day ? usage.dayTotal : 0) + points,
+  };
+};
+
+/**
+ * Base points an event would earn, ignoring caps — for UI hints.
+ * Rules whose idempotency key was already granted are left out.
+ * @param {string} event
+ * @param {Object} context
+ * @param {Object} options - { awardedKeys, rules }
+ * @returns {number}
+ */
+export const estimateEventPoints = (event, context, options) =>
+  getEligibleRules(event, context, options).reduce(
+    (sum, rule) => sum + resolve(rule.points, context),
+    0
+  );
@@ -0,0 +1,124 @@
+/**
+ * Ledger integrity helpers — transaction ids and the hash chain.
+ *
+ * Every transaction is sealed with `prevHash` (the hash of the entry before
+ * it) and `hash` (SHA-256 over its own immutable fields + prevHash). Editing,
+ * inserting or deleting an entry in storage breaks the chain, so hydration
+ * can detect it and fall back to what the ledger can still prove.
+ *
+ * WHY only "tamper-evident"?
+ * - There is no secret on the device, so someone determined can re-seal an
+ *   edited ledger. The chain catches corrupted storage and casual edits;
+ *   the backend (see syncSlice) stays the authority for real disputes.
+ *
+ * `reversedBy` is left out of the hash on purpose: it is set on the original
+ * when a later reversal is written, and the reversal itself is chained.
+ */
+
+import { sha256 } from './sha256';
+
+export const GENESIS_HASH = '0'.repeat(64);
+
+let idCounter = 0;
+
+/**
+ * Collision-free transaction id: timestamp + per-session counter + random
+ * suffix, so two entries written in the same millisecond never clash.
+ * @returns {string} e.g. "tx-lz3k9a2b-0007-4f9c1e"
+ */
+export const createTransactionId = () => {
+  idCounter = (idCounter + 1) % 0x10000;
+  const time = Date.now().toString(36);
+  const counter = idCounter.toString(36).padStart(4, '0');
+  const random = Math.random().toString(36).slice(2, 8).padEnd(6, '0');
+  return `tx-${time}-${counter}-${random}`;
+};
+
+/**
+ * Hash one transaction's immutable fields together with the previous hash.
+ * @param {Object} transaction
+ * @param {string} prevHash
+ * @returns {string}
+ */
+export const hashTransaction = (transaction, prevHash) =>
+  sha256(
+    JSON.stringify([
+      prevHash,
+      transaction.id,
+      transaction.type,
+      transaction.points,
+      transaction.date,
+      transaction.description,
+      transaction.reverses ?? null,
+    ])
+  );
+
+/**
+ * Seal a new transaction onto the head of a ledger.
+ * @param {Object} transaction - Unsealed entry
+ * @param {Array} transactions - Current ledger (newest first)
+ * @returns {Object} The entry with prevHash and hash set
+ */
+export const sealTransaction = (transaction, transactions) => {
+  const prevHash = transactions[0]?.hash || GENESIS_HASH;
+  return { ...transaction, prevHash, hash: hashTransaction(transaction, prevHash) };
+};
+
+/**
+ * Re-seal a whole ledger from the oldest entry up — used to adopt ledgers
+ * saved before the chain existed and to re-chain after a repair.
+ * @param {Array} transactions - Newest first
+ * @returns {Array} Sealed copy, newest first
+ */
+export const sealLedger = (transactions) => {
+  const sealed = [];
+  [...transactions].reverse().forEach((transaction) => {
+    sealed.unshift(sealTransaction(transaction, sealed));
+  });
+  return sealed;
+};
+
+/**
+ * Check the chain.
+ * - `tampered`: entries whose own hash no longer matches their content
+ * - `brokenLinks`: entries whose prevHash doesn't point at the entry below
+ *   them (something was inserted or deleted)
+ *
+ * @param {Array} transactions - Newest first
+ * @returns {{ valid: boolean, sealed: boolean, tampered: string[], brokenLinks: string[] }}
+ *   `sealed` is false for legacy ledgers that carry no hashes at all.
+ */
+export const verifyLedger = (transactions) => {
+  const tampered = [];
+  const brokenLinks = [];
+  const sealed = transactions.some((transaction) => transaction.hash);
+
+  if (sealed) {
+    for (let i = transactions.length - 1; i >= 0; i -= 1) {
+      const transaction = transactions[i];
+      const expectedPrev = transactions[i + 1]?.hash || GENESIS_HASH;
+      if (transaction.prevHash !== expectedPrev) brokenLinks.push(transaction.id);
+      if (
+        !transaction.hash ||
+        hashTransaction(transaction, transaction.prevHash) !== transaction.hash
+      ) {
+        tampered.push(transaction.id);
+      }
+    }
+  }
+
+  return {
+    valid: tampered.length === 0 && brokenLinks.length === 0,
+    sealed,
+    tampered,
+    brokenLinks,
+  };
+};
+
+/**
+ * Balance the ledger proves: the sum of every entry's points.
+ * @param {Array} transactions
+ * @returns {number}
+ */
+export const getLedgerBalance = (transactions) =>
+  transactions.reduce((sum, transaction) => sum + (Number(transaction.points) || 0), 0);
@@ -0,0 +1,303 @@
+/**
+ * Loyalty history export / import (CSV and JSON).
+ *
+ * WHY?
+ * - Support asks members for their points history; export gives them a
+ *   file to send (JSON for us, CSV for a spreadsheet)
+ * - Import moves the ledger and favorites to a new device
+ *
+ * Both formats carry the transactions with their hash-chain fields plus
+ * the owner's user id and a signature over both. Import only accepts a
+ * file for the member who exported it (so points can't be copied to a
+ * second account on the same device) whose chain and signature still check
+ * out. The hash chain alone proves nothing here — anyone can re-seal an
+ * edited ledger (see utils/ledger) — so the signature is keyed. Its key
+ * ships with the app, though: it keeps out hand-edited files, not someone
+ * who pulls the key from the bundle; the backend (syncSlice) stays the
+ * authority. JSON keeps every field; CSV keeps the columns below and a
+ * human-readable date (formatDate) for people reading it in a spreadsheet.
+ *
+ * Everything here is pure — loyaltySlice's import thunk does the merge.
+ */
+
+import { TRANSACTION_TYPES, formatDate, getLocalDayKey } from './constants';
+import { GENESIS_HASH, verifyLedger } from './ledger';
+import { hmacSha256 } from './sha256';
+
+export const EXPORT_FORMAT = 'rewardloop-loyalty-export';
+// 2: exports carry the owner and a signature; version 1 files can't be imported
+export const EXPORT_VERSION = 2;
+
+const EXPORT_SIGNING_KEY = 'rewardloop-ledger-export:v2';
+
+const MODIFIED_MESSAGE = 'The points history in this file has been modified and cannot be imported.';
+
+// One row per transaction or favorite, after one `export` row with the
+// owner and signature; `record` says which
+const CSV_COLUMNS = [
+  'record',
+  'id',
+  'date',
+  'date_readable',
+  'type',
+  'points',
+  'description',
+  'reverses',
+  'idempotency_key',
+  'prev_hash',
+  'hash',
+  'title',
+  'category',
+  'price',
+  'image',
+  'user_id',
+  'signature',
+];
+
+/**
+ * Sign an export for its owner. The newest entry's hash covers the whole
+ * (valid) chain, so the owner, head hash and length are enough.
+ */
+const signExport = (userId, transactions) =>
+  hmacSha256(
+    EXPORT_SIGNING_KEY,
+    JSON.stringify([EXPORT_FORMAT, String(userId), transactions[0]?.hash || GENESIS_HASH, transactions.length])
+  );
+
+/**
+ * Snapshot of what gets exported.
+ * @param {Object} params
+ * @param {Object} params.loyalty - state.loyalty
+ * @param {Array} params.favorites - state.favorites.items
+ * @param {number|string} params.userId - The signed-in member (the owner)
+ * @param {string} params.exportedAt - ISO date
+ * @returns {Object}
+ */
+export const buildExport = ({ loyalty, favorites, userId, exportedAt }) => ({
+  format: EXPORT_FORMAT,
+  version: EXPORT_VERSION,
+  exportedAt,
+  userId,
+  signature: signExport(userId, loyalty.transactions),
+  points: loyalty.points,
+  transactions: loyalty.transactions,
+  favorites,
+});
+
+/** File name for an export, e.g. "rewardloop-history-2026-02-25.csv" */
+export const getExportFileName = (exportData, extension) =>
+  `rewardloop-history-${getLocalDayKey(exportData.exportedAt)}.${extension}`;
+
+export const toJSONExport = (exportData) => JSON.stringify(exportData, null, 2);
+
+const escapeCSV = (value) => {
+  if (value == null) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCSVExport = (exportData) => {
+  const rows = [
+    {
+      record: 'export',
+      date: exportData.exportedAt,
+      user_id: exportData.userId,
+      signature: exportData.signature,
+    },
+    ...exportData.transactions.map((t) => ({
+      record: 'transaction',
+      id: t.id,
+      date: t.date,
+      date_readable: formatDate(t.date),
+      type: t.type,
+      points: t.points,
+      description: t.description,
+      reverses: t.reverses,
+      idempotency_key: t.idempotencyKey,
+      prev_hash: t.prevHash,
+      hash: t.hash,
+    })),
+    ...exportData.favorites.map((product) => ({
+      record: 'favorite',
+      id: product.id,
+      title: product.title,
+      category: product.category,
+      price: product.price,
+      image: product.image,
+    })),
+  ];
+  return [
+    CSV_COLUMNS.join(','),
+    ...rows.map((row) => CSV_COLUMNS.map((column) => escapeCSV(row[column])).join(',')),
+  ].join('\n');
+};
+
+/** Minimal RFC 4180 parser: quoted fields, "" escapes, CRLF or LF */
+const parseCSV = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((cells) => cells.some((cell) => cell !== ''));
+};
+
+const fromCSV = (text) => {
+  const [header, ...rows] = parseCSV(text);
+  const missing = CSV_COLUMNS.filter((column) => !header.includes(column));
+  if (missing.length > 0) {
+    throw new Error(`The CSV file is missing columns: ${missing.join(', ')}.`);
+  }
+
+  const read = (cells, column) => {
+    const value = cells[header.indexOf(column)];
+    return value === '' ? undefined : value;
+  };
+  const transactions = [];
+  const favorites = [];
+  let owner = {};
+
+  rows.forEach((cells) => {
+    const record = read(cells, 'record');
+    if (record === 'export') {
+      owner = { userId: read(cells, 'user_id'), signature: read(cells, 'signature') };
+    } else if (record === 'transaction') {
+      transactions.push({
+        id: read(cells, 'id'),
+        type: read(cells, 'type'),
+        points: Number(read(cells, 'points')),
+        description: read(cells, 'description') ?? '',
+        date: read(cells, 'date'),
+        ...(read(cells, 'reverses') && { reverses: read(cells, 'reverses') }),
+        ...(read(cells, 'idempotency_key') && { idempotencyKey: read(cells, 'idempotency_key') }),
+        ...(read(cells, 'hash') && { prevHash: read(cells, 'prev_hash'), hash: read(cells, 'hash') }),
+      });
+    } else if (record === 'favorite') {
+      const id = read(cells, 'id');
+      favorites.push({
+        id: /^\d+$/.test(id) ? Number(id) : id,
+        title: read(cells, 'title'),
+        category: read(cells, 'category'),
+        price: Number(read(cells, 'price')),
+        image: read(cells, 'image'),
+      });
+    } else {
+      throw new Error(`Unknown record type "${record}" in the CSV file.`);
+    }
+  });
+
+  return { ...owner, transactions, favorites };
+};
+
+const KNOWN_TYPES = new Set(Object.values(TRANSACTION_TYPES));
+
+const validateTransaction = (t, index) => {
+  const where = `Transaction ${index + 1}`;
+  if (!t || typeof t !== 'object') throw new Error(`${where} is not an object.`);
+  if (typeof t.id !== 'string' || !t.id) throw new Error(`${where} has no id.`);
+  if (!KNOWN_TYPES.has(t.type)) throw new Error(`${where} has an unknown type "${t.type}".`);
+  if (!Number.isInteger(t.points)) throw new Error(`${where} has invalid points.`);
+  if (typeof t.date !== 'string' || Number.isNaN(Date.parse(t.date))) {
+    throw new Error(`${where} has an invalid date.`);
+  }
+  if (typeof t.description !== 'string') throw new Error(`${where} has no description.`);
+};
+
+const validateFavorite = (product, index) => {
+  const where = `Favorite ${index + 1}`;
+  if (!product || typeof product !== 'object') throw new Error(`${where} is not an object.`);
+  if (product.id == null || product.id === '') throw new Error(`${where} has no id.`);
+  if (typeof product.title !== 'string' || !product.title) throw new Error(`${where} has no title.`);
+  if (!Number.isFinite(product.price)) throw new Error(`${where} has an invalid price.`);
+};
+
+/**
+ * Parse and validate an export (JSON or CSV, detected from the content).
+ * Throws an Error with a user-facing message when the file is invalid,
+ * has duplicate ids, fails the hash-chain or signature check, or was
+ * exported by another member.
+ *
+ * @param {string} text - File contents
+ * @param {number|string} userId - The signed-in member importing it
+ * @returns {{ transactions: Array, favorites: Array }}
+ */
+export const parseImport = (text, userId) => {
+  const trimmed = (text || '').trim();
+  if (!trimmed) throw new Error('The file is empty.');
+
+  let data;
+  if (trimmed.startsWith('{')) {
+    try {
+      data = JSON.parse(trimmed);
+    } catch (error) {
+      throw new Error('The file is not valid JSON.');
+    }
+    if (data.format !== EXPORT_FORMAT) throw new Error('This is not a RewardLoop export.');
+    if (!(data.version <= EXPORT_VERSION)) {
+      throw new Error('This export was made by a newer version of the app.');
+    }
+    if (!Array.isArray(data.transactions) || !Array.isArray(data.favorites || [])) {
+      throw new Error('The export has no transaction list.');
+    }
+    data = {
+      userId: data.userId,
+      signature: data.signature,
+      transactions: data.transactions,
+      favorites: data.favorites || [],
+    };
+  } else {
+    data = fromCSV(trimmed);
+  }
+
+  data.transactions.forEach(validateTransaction);
+  data.favorites.forEach(validateFavorite);
+
+  const ids = new Set(data.transactions.map((t) => t.id));
+  if (ids.size !== data.transactions.length) {
+    throw new Error('The export contains duplicate transaction ids.');
+  }
+  if (data.userId == null || !data.signature) {
+    throw new Error('This export is not signed. Export it again from the latest version of the app.');
+  }
+  if (
+    !verifyLedger(data.transactions).valid ||
+    data.signature !== signExport(data.userId, data.transactions)
+  ) {
+    throw new Error(MODIFIED_MESSAGE);
+  }
+  if (userId == null || String(data.userId) !== String(userId)) {
+    throw new Error('This export belongs to another account and cannot be imported here.');
+  }
+
+  return { transactions: data.transactions, favorites: data.favorites };
+};
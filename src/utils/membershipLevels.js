@@ -0,0 +1,79 @@
+/**
+ * Membership level helpers.
+ *
+ * A member's level (Silver, Gold, …) is decided by the points they EARNED
+ * in the last LEVEL_WINDOW_DAYS — spending or expiry never costs status,
+ * but inactivity does once old earnings roll out of the window.
+ *
+ * All helpers are pure so they can run inside reducers and selectors.
+ */
+
+import { MEMBERSHIP_LEVELS, LEVEL_WINDOW_DAYS, NON_EARNING_TYPES } from './constants';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * True for ledger entries that count as EARNED points: positive, not
+ * reversed, and not points received from another member.
+ * @param {Object} transaction
+ * @returns {boolean}
+ */
+export const isEarning = (transaction) =>
+  transaction.points > 0 &&
+  !transaction.reversedBy &&
+  !NON_EARNING_TYPES.includes(transaction.type);
+
+/**
+ * Look up a level definition by id (falls back to the base level).
+ * @param {string} levelId
+ * @returns {Object} level
+ */
+export const getLevelById = (levelId) =>
+  MEMBERSHIP_LEVELS.find((level) => level.id === levelId) || MEMBERSHIP_LEVELS[0];
+
+/**
+ * Points earned within the rolling window ending at `now`.
+ * Only earnings (see isEarning) count towards status.
+ * @param {Array} transactions
+ * @param {string} now - ISO date
+ * @returns {number}
+ */
+export const getQualifyingPoints = (transactions, now) => {
+  const end = Date.parse(now);
+  const start = end - LEVEL_WINDOW_DAYS * DAY_MS;
+  return transactions.reduce((sum, transaction) => {
+    const time = Date.parse(transaction.date);
+    if (isEarning(transaction) && time > start && time <= end) {
+      return sum + transaction.points;
+    }
+    return sum;
+  }, 0);
+};
+
+/**
+ * Highest level whose threshold the given points reach.
+ * @param {number} qualifyingPoints
+ * @returns {Object} level
+ */
+export const getLevelForPoints = (qualifyingPoints) =>
+  [...MEMBERSHIP_LEVELS]
+    .reverse()
+    .find((level) => qualifyingPoints >= level.minPoints) || MEMBERSHIP_LEVELS[0];
+
+/**
+ * Next level above the given one, or null at the top.
+ * @param {string} levelId
+ * @returns {Object|null}
+ */
+export const getNextLevel = (levelId) => {
+  const index = MEMBERSHIP_LEVELS.findIndex((level) => level.id === levelId);
+  return MEMBERSHIP_LEVELS[index + 1] || null;
+};
+
+/**
+ * Compare two level ids by rank.
+ * @returns {number} > 0 if `a` ranks above `b`
+ */
+export const compareLevels = (a, b) =>
+  MEMBERSHIP_LEVELS.findIndex((level) => level.id === a) -
+  MEMBERSHIP_LEVELS.findIndex((level) => level.id === b);
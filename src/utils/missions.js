@@ -0,0 +1,142 @@
+/**
+ * Missions — time-boxed goals that pay out once completed.
+ *
+ * WHY separate from the earning rules?
+ * - Rules pay per event; a mission pays once for a *series* of events
+ *   inside a deadline ("favorite 3 electronics items this week")
+ * - Missions reuse EARNING_EVENTS, so the events screens already report
+ *   (favorites, daily check-ins) drive them without extra wiring
+ *
+ * Mission shape:
+ *   {
+ *     id:          unique, stable id (progress is keyed by it)
+ *     title, description, icon
+ *     event:       EARNING_EVENTS value that moves it forward
+ *     goal:        number of qualifying events needed
+ *     period:      'week' (Monday–Sunday) | 'month' — local calendar
+ *     payout:      base points paid on completion (level multiplier applies)
+ *     conditions:  { categories?: string[] }              (optional)
+ *     consecutive: count only an unbroken run of days     (optional)
+ *   }
+ *
+ * A mission restarts every period. Its progress is stored as
+ *   { periodKey, count, counted: [product ids or day keys], lastDay, completedAt }
+ * so the same product or day never counts twice.
+ */
+
+import { EARNING_EVENTS, getLocalDayKey, addDaysToDayKey } from './constants';
+
+export const MISSIONS = [
+  {
+    id: 'gadget-hunter',
+    title: 'Gadget Hunter',
+    description: 'Favorite 3 electronics items this week',
+    icon: '🔌',
+    event: EARNING_EVENTS.FAVORITE_ADDED,
+    goal: 3,
+    period: 'week',
+    payout: 50,
+    conditions: { categories: ['electronics'] },
+  },
+  {
+    id: 'style-scout',
+    title: 'Style Scout',
+    description: 'Favorite 5 clothing items this month',
+    icon: '👕',
+    event: EARNING_EVENTS.FAVORITE_ADDED,
+    goal: 5,
+    period: 'month',
+    payout: 75,
+    conditions: { categories: ["men's clothing", "women's clothing"] },
+  },
+  {
+    id: 'regular',
+    title: 'Regular',
+    description: 'Log in 5 days in a row this week',
+    icon: '🔥',
+    event: EARNING_EVENTS.DAILY_CHECK_IN,
+    goal: 5,
+    period: 'week',
+    payout: 40,
+    consecutive: true,
+  },
+];
+
+/**
+ * Current period of a mission in local time.
+ * @param {'week'|'month'} period
+ * @param {string} now - ISO date
+ * @returns {{ key: string, deadline: string }} key = first day ("YYYY-MM-DD"),
+ *   deadline = ISO start of the next period
+ */
+export const getMissionPeriod = (period, now) => {
+  const today = getLocalDayKey(now);
+  let start;
+  let next;
+  if (period === 'month') {
+    start = `${today.slice(0, 7)}-01`;
+    const [year, month] = start.split('-').map(Number);
+    next = new Date(year, month, 1);
+  } else {
+    const weekday = (new Date(now).getDay() + 6) % 7; // Monday = 0
+    start = addDaysToDayKey(today, -weekday);
+    const [year, month, day] = start.split('-').map(Number);
+    next = new Date(year, month - 1, day + 7);
+  }
+  return { key: start, deadline: next.toISOString() };
+};
+
+/** Progress for the current period — stale progress counts as a fresh start */
+export const getCurrentProgress = (mission, progress, now) => {
+  const { key } = getMissionPeriod(mission.period, now);
+  return progress && progress.periodKey === key
+    ? progress
+    : { periodKey: key, count: 0, counted: [], lastDay: null, completedAt: null };
+};
+
+const matchesConditions = (conditions = {}, context = {}) =>
+  !conditions.categories || conditions.categories.includes(context.product?.category);
+
+/**
+ * Apply one event to a mission.
+ * @param {Object} mission
+ * @param {Object} progress - Stored progress (may be stale or undefined)
+ * @param {string} event - EARNING_EVENTS value
+ * @param {Object} context - { product } for favorites
+ * @param {string} now - ISO date
+ * @returns {Object|null} New progress, or null if the event doesn't count
+ */
+export const advanceMission = (mission, progress, event, context, now) => {
+  if (mission.event !== event || !matchesConditions(mission.conditions, context)) return null;
+
+  const current = getCurrentProgress(mission, progress, now);
+  if (current.completedAt) return null;
+
+  const day = getLocalDayKey(now);
+  const unit = event === EARNING_EVENTS.FAVORITE_ADDED ? context.product.id : day;
+  if (current.counted.includes(unit)) return null;
+
+  const continues = !mission.consecutive || current.lastDay === addDaysToDayKey(day, -1);
+  const count = continues ? current.count + 1 : 1;
+  return {
+    periodKey: current.periodKey,
+    count,
+    counted: continues ? [...current.counted, unit] : [unit],
+    lastDay: day,
+    completedAt: count >= mission.goal ? now : null,
+  };
+};
+
+/**
+ * Everything the UI needs about a mission right now.
+ * @returns {Object} mission + { count, deadline, completedAt }
+ */
+export const getMissionView = (mission, progress, now) => {
+  const current = getCurrentProgress(mission, progress, now);
+  return {
+    ...mission,
+    count: Math.min(current.count, mission.goal),
+    completedAt: current.completedAt,
+    deadline: getMissionPeriod(mission.period, now).deadline,
+  };
+};
@@ -0,0 +1,181 @@
+/**
+ * Point lot helpers — FIFO bookkeeping for expiring points.
+ *
+ * WHY lots?
+ * - Real loyalty programs expire points a fixed time after they were earned,
+ *   so a single running total can't tell which points are due to expire
+ * - Each earning becomes a lot { id, transactionId, points, remaining,
+ *   earnedAt, expiresAt }; spending drains the oldest lots first
+ * - Lots are kept oldest-first, so the head of the array expires next
+ *
+ * All helpers are pure and return new arrays — safe to call from reducers.
+ */
+
+import { POINTS_EXPIRY_DAYS, getLocalDayKey } from './constants';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Build a lot for a fresh earning.
+ * @param {Object} transaction - { id, points, date }
+ * @param {number} expiryDays - Days until the lot expires
+ * @returns {Object} lot
+ */
+export const createLot = (transaction, expiryDays = POINTS_EXPIRY_DAYS) => ({
+  id: transaction.id,
+  transactionId: transaction.id,
+  points: transaction.points,
+  remaining: transaction.points,
+  earnedAt: transaction.date,
+  expiresAt: new Date(Date.parse(transaction.date) + expiryDays * DAY_MS).toISOString(),
+});
+
+/**
+ * Drain `amount` points from the oldest lots first and report what was
+ * taken, so a later reversal can put the same points back (see restoreLots).
+ * Emptied lots are dropped. If the lots hold less than `amount`, they are
+ * all consumed — callers are expected to check the balance beforehand.
+ * @param {Array} lots - Oldest-first lots
+ * @param {number} amount - Points to consume
+ * @param {string} preferTransactionId - Drain this transaction's lot before
+ *   the others (used when reversing a specific award)
+ * @returns {{ lots: Array, taken: Array }} Remaining lots and the slices
+ *   taken: [{ lotId, transactionId, points, earnedAt, expiresAt }]
+ */
+export const takeLots = (lots, amount, preferTransactionId) => {
+  let outstanding = amount;
+  const taken = [];
+  const take = (lot) => {
+    const points = Math.min(lot.remaining, outstanding);
+    if (points === 0) return lot;
+    outstanding -= points;
+    taken.push({
+      lotId: lot.id,
+      transactionId: lot.transactionId,
+      points,
+      earnedAt: lot.earnedAt,
+      expiresAt: lot.expiresAt,
+    });
+    return { ...lot, remaining: lot.remaining - points };
+  };
+
+  const preferred = lots.map((lot) =>
+    preferTransactionId && lot.transactionId === preferTransactionId ? take(lot) : lot
+  );
+  return {
+    lots: preferred
+      .map((lot) => (outstanding > 0 ? take(lot) : lot))
+      .filter((lot) => lot.remaining > 0),
+    taken,
+  };
+};
+
+/**
+ * Drain `amount` points from the oldest lots first (see takeLots).
+ * @returns {Array} Remaining lots
+ */
+export const consumeLots = (lots, amount, preferTransactionId) =>
+  takeLots(lots, amount, preferTransactionId).lots;
+
+/**
+ * Put slices taken by takeLots back, with their original earn and expiry
+ * dates, so refunding a spend can't extend the points' validity.
+ * @param {Array} lots - Oldest-first lots
+ * @param {Array} slices - `taken` from takeLots
+ * @param {string} [now] - ISO date; slices already expired at `now` are
+ *   not restored but counted in `expired`
+ * @returns {{ lots: Array, expired: number }}
+ */
+export const restoreLots = (lots, slices, now) => {
+  const cutoff = now ? Date.parse(now) : -Infinity;
+  const restored = lots.map((lot) => ({ ...lot }));
+  let expired = 0;
+  slices.forEach((slice) => {
+    if (Date.parse(slice.expiresAt) <= cutoff) {
+      expired += slice.points;
+      return;
+    }
+    const lot = restored.find((l) => l.id === slice.lotId);
+    if (lot) {
+      lot.remaining += slice.points;
+    } else {
+      restored.push({
+        id: slice.lotId,
+        transactionId: slice.transactionId,
+        points: slice.points,
+        remaining: slice.points,
+        earnedAt: slice.earnedAt,
+        expiresAt: slice.expiresAt,
+      });
+    }
+  });
+  restored.sort((a, b) => Date.parse(a.earnedAt) - Date.parse(b.earnedAt));
+  return { lots: restored, expired };
+};
+
+/**
+ * Split lots into those still valid and those expired at `now`.
+ * @param {Array} lots
+ * @param {string} now - ISO date
+ * @returns {{ active: Array, expired: Array }}
+ */
+export const partitionExpiredLots = (lots, now) => {
+  const cutoff = Date.parse(now);
+  return {
+    active: lots.filter((lot) => Date.parse(lot.expiresAt) > cutoff),
+    expired: lots.filter((lot) => Date.parse(lot.expiresAt) <= cutoff),
+  };
+};
+
+/**
+ * Rebuild lots from a newest-first transaction list.
+ * Used to migrate data saved before lots existed: positive transactions
+ * open lots, negative ones drain them FIFO, and a refunded spend puts back
+ * the slices it took (`lotsUsed`). The result is then trimmed or
+ * topped up so the lots always add up to `points`.
+ * @param {Array} transactions - Newest-first ledger
+ * @param {number} points - Balance the lots must match
+ * @param {string} now - ISO date used for a carry-over lot, if one is needed
+ * @returns {Array} Oldest-first lots
+ */
+export const buildLotsFromTransactions = (transactions, points, now) => {
+  let lots = [];
+  const byId = new Map(transactions.map((transaction) => [transaction.id, transaction]));
+  [...transactions].reverse().forEach((transaction) => {
+    const reversed = transaction.reverses && byId.get(transaction.reverses);
+    if (transaction.points > 0 && reversed?.lotsUsed) {
+      lots = restoreLots(lots, reversed.lotsUsed).lots;
+    } else if (transaction.points > 0) {
+      lots.push(createLot(transaction));
+    } else if (transaction.points < 0) {
+      lots = consumeLots(lots, -transaction.points);
+    }
+  });
+
+  const total = sumLots(lots);
+  if (total > points) return consumeLots(lots, total - points);
+  if (total < points) {
+    lots.push(createLot({ id: `carryover-${Date.parse(now)}`, points: points - total, date: now }));
+  }
+  return lots;
+};
+
+/**
+ * Total points still held in the given lots.
+ * @param {Array} lots
+ * @returns {number}
+ */
+export const sumLots = (lots) => lots.reduce((sum, lot) => sum + lot.remaining, 0);
+
+/**
+ * Points due on the earliest upcoming expiry day (the member's local day).
+ * @param {Array} lots - Oldest-first lots
+ * @returns {{ points: number, date: string } | null}
+ */
+export const getNextExpiry = (lots) => {
+  if (lots.length === 0) return null;
+  const sorted = [...lots].sort((a, b) => Date.parse(a.expiresAt) - Date.parse(b.expiresAt));
+  const day = getLocalDayKey(sorted[0].expiresAt);
+  const due = sorted.filter((lot) => getLocalDayKey(lot.expiresAt) === day);
+  return { points: sumLots(due), date: sorted[0].expiresAt };
+};
@@ -0,0 +1,120 @@
+/**
+ * Points analytics — aggregations of the loyalty ledger for the insights
+ * charts on the RewardsScreen.
+ *
+ * All functions are pure; loyaltySlice wires them into memoized selectors
+ * over state.loyalty.transactions. Weeks start on Monday and, like the
+ * history months, use the device's local timezone.
+ */
+
+import {
+  ANALYTICS_PERIODS,
+  TRANSACTION_TYPE_LABELS,
+  getLocalDayKey,
+  addDaysToDayKey,
+} from './constants';
+
+/**
+ * Local day key of the Monday that starts the week containing `date`.
+ * @param {string|Date} date
+ * @returns {string} "YYYY-MM-DD"
+ */
+export const getWeekKey = (date) => {
+  const d = new Date(date);
+  return addDaysToDayKey(getLocalDayKey(d), -((d.getDay() + 6) % 7));
+};
+
+const getPeriodKey = (date, periodId) =>
+  periodId === 'month' ? getLocalDayKey(date).slice(0, 7) : getWeekKey(date);
+
+const shiftMonthKey = (monthKey, months) => {
+  const [year, month] = monthKey.split('-').map(Number);
+  return getLocalDayKey(new Date(year, month - 1 + months, 1)).slice(0, 7);
+};
+
+const formatBucketLabel = (key, periodId) => {
+  const [year, month, day = 1] = key.split('-').map(Number);
+  return new Date(year, month - 1, day).toLocaleDateString(
+    'en-IN',
+    periodId === 'month' ? { month: 'short' } : { day: 'numeric', month: 'short' }
+  );
+};
+
+/**
+ * Points earned and spent in each of the last N weeks or months, including
+ * empty ones so the chart's x-axis is continuous.
+ * @param {Array} transactions - Any order
+ * @param {string} periodId - 'week' | 'month' (see ANALYTICS_PERIODS)
+ * @param {string} now - ISO date; the last bucket is the one containing it
+ * @returns {Array} [{ key, label, earned, spent }], oldest first
+ */
+export const getPointsByPeriod = (transactions, periodId, now) => {
+  const period = ANALYTICS_PERIODS.find((p) => p.id === periodId) || ANALYTICS_PERIODS[0];
+  const current = getPeriodKey(now, period.id);
+
+  const buckets = Array.from({ length: period.count }, (_, index) => {
+    const offset = index - (period.count - 1);
+    const key =
+      period.id === 'month' ? shiftMonthKey(current, offset) : addDaysToDayKey(current, offset * 7);
+    return { key, label: formatBucketLabel(key, period.id), earned: 0, spent: 0 };
+  });
+  const byKey = new Map(buckets.map((bucket) => [bucket.key, bucket]));
+
+  transactions.forEach((transaction) => {
+    const bucket = byKey.get(getPeriodKey(transaction.date, period.id));
+    if (!bucket) return;
+    if (transaction.points > 0) bucket.earned += transaction.points;
+    else bucket.spent -= transaction.points;
+  });
+  return buckets;
+};
+
+/**
+ * Net points per transaction type. Types that never move points (level
+ * changes) are left out.
+ * @param {Array} transactions
+ * @returns {Array} [{ type, label, points, count, share }], largest |points|
+ *   first; `share` is the type's fraction of all points moved (0..1)
+ */
+export const getPointsByType = (transactions) => {
+  const byType = new Map();
+  transactions.forEach(({ type, points }) => {
+    if (!points) return;
+    const entry = byType.get(type) || {
+      type,
+      label: TRANSACTION_TYPE_LABELS[type] || type,
+      points: 0,
+      count: 0,
+    };
+    entry.points += points;
+    entry.count += 1;
+    byType.set(type, entry);
+  });
+
+  const entries = [...byType.values()].filter((entry) => entry.points !== 0);
+  const moved = entries.reduce((sum, entry) => sum + Math.abs(entry.points), 0);
+  return entries
+    .map((entry) => ({ ...entry, share: Math.abs(entry.points) / moved }))
+    .sort((a, b) => Math.abs(b.points) - Math.abs(a.points));
+};
+
+/**
+ * Balance at the end of each day that had a transaction.
+ * @param {Array} transactions - Newest first (ledger order)
+ * @param {number} [maxPoints=30] - Keep only the most recent days
+ * @returns {Array} [{ day: "YYYY-MM-DD", date, balance }], oldest first;
+ *   `date` is the day's last transaction date
+ */
+export const getBalanceTimeline = (transactions, maxPoints = 30) => {
+  const days = [];
+  let balance = 0;
+  for (let i = transactions.length - 1; i >= 0; i -= 1) {
+    const transaction = transactions[i];
+    balance += transaction.points;
+    const day = getLocalDayKey(transaction.date);
+    const last = days[days.length - 1];
+    if (last && last.day === day) Object.assign(last, { date: transaction.date, balance });
+    else days.push({ day, date: transaction.date, balance });
+  }
+  return days.slice(-maxPoints);
+};
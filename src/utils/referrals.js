@@ -0,0 +1,70 @@
+/**
+ * Referral codes — deterministic per user, with a checksum.
+ *
+ * A code is "RL-<user id in base 36>-<4-char checksum>", e.g. "RL-1-3F9A".
+ * The same user always gets the same code, the referrer can be read back
+ * from it without a lookup table, and the checksum rejects typos and
+ * made-up codes.
+ */
+
+import { sha256 } from './sha256';
+import { getLocalDayKey } from './constants';
+
+const checksum = (userId) => sha256(`rewardloop-referral:${userId}`).slice(0, 4).toUpperCase();
+
+/**
+ * @param {number|string} userId - auth.user.id
+ * @returns {string} e.g. "RL-1-3F9A"
+ */
+export const getReferralCode = (userId) =>
+  `RL-${Number(userId).toString(36).toUpperCase()}-${checksum(Number(userId))}`;
+
+/**
+ * Read the referrer's user id back from a code.
+ * @param {string} code - Case and surrounding spaces don't matter
+ * @returns {number|null} null when the code is malformed or the checksum fails
+ */
+export const parseReferralCode = (code) => {
+  const match = /^RL-([0-9A-Z]+)-([0-9A-F]{4})$/.exec((code || '').trim().toUpperCase());
+  if (!match) return null;
+  const userId = parseInt(match[1], 36);
+  return checksum(userId) === match[2] ? userId : null;
+};
+
+/**
+ * Whether a member is new enough to join with a referral code: nothing in
+ * their ledger from before today. The check-in (and any sign-up bonus) of
+ * the first sign-in, which lands before the code is applied, doesn't count.
+ * @param {Array} transactions - state.loyalty.transactions
+ * @param {string} now - ISO date
+ * @returns {boolean}
+ */
+export const isNewMember = (transactions, now) => {
+  const today = getLocalDayKey(now);
+  return transactions.every((t) => getLocalDayKey(t.date) >= today);
+};
+
+/**
+ * Check whether a user may redeem a code.
+ * @param {Object} params
+ * @param {string} params.code
+ * @param {number} params.userId - The user entering the code (referee)
+ * @param {Object} params.redemptions - { [refereeId]: { referrerId, ... } }
+ * @param {Array} params.transactions - The referee's ledger
+ * @param {string} params.now - ISO date
+ * @returns {{ referrerId?: number, error?: string }}
+ */
+export const validateReferral = ({ code, userId, redemptions, transactions, now }) => {
+  const referrerId = parseReferralCode(code);
+  if (referrerId == null) return { error: 'That referral code is not valid.' };
+  if (referrerId === Number(userId)) return { error: "You can't use your own referral code." };
+  if (redemptions[userId]) return { error: 'You have already used a referral code.' };
+  if (!isNewMember(transactions, now)) {
+    return { error: 'Referral codes are for new members — this account already has points history.' };
+  }
+  // Two members can't refer each other and both collect twice
+  if (redemptions[referrerId]?.referrerId === Number(userId)) {
+    return { error: "This member joined with your code, so you can't use theirs." };
+  }
+  return { referrerId };
+};
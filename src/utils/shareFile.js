@@ -0,0 +1,27 @@
+/**
+ * Hand a generated text file to the user.
+ *
+ * Web downloads it; native opens the system share sheet with the content
+ * (mail it to support, save it to Notes/Drive, AirDrop it to a new phone).
+ */
+
+import { Platform, Share } from 'react-native';
+
+/**
+ * @param {Object} file
+ * @param {string} file.fileName
+ * @param {string} file.mimeType
+ * @param {string} file.content
+ */
+export const shareTextFile = async ({ fileName, mimeType, content }) => {
+  if (Platform.OS === 'web') {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(url);
+    return;
+  }
+  await Share.share({ title: fileName, message: content });
+};
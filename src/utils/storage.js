@@ -6,19 +6,67 @@
  * - Central place to handle serialization errors
  * - Easy to swap with a backend sync layer in the future
  * - Each helper is fire-and-forget (async but we don't await in most callers)
+ *
+ * Member data (USER_SCOPED_KEYS) is stored per user: those helpers take the
+ * user id first, and saving without one is a no-op — nothing is written
+ * while signed out, or before the member's own data has been loaded.
  */
 
 import AsyncStorage from '@react-native-async-storage/async-storage';
-import { STORAGE_KEYS } from './constants';
+import { STORAGE_KEYS, USER_SCOPED_KEYS } from './constants';
 
 /**
- * Save favorites array to AsyncStorage.
+ * Storage key of one user's copy of a per-user key.
+ * @param {string} key - One of USER_SCOPED_KEYS
+ * @param {number|string} userId
+ * @returns {string} e.g. "@RewardLoop:cart:5"
+ */
+export const getUserStorageKey = (key, userId) => `${key}:${userId}`;
+
+/**
+ * Move data saved before keys were per user (one shared copy per device)
+ * to `userId`. Runs when a member's data is loaded; the shared copy is
+ * removed afterwards, so it is handed to the first account that signs in
+ * after the update — the device's existing session in practice. A user who
+ * already has their own copy keeps it. The device theme stays shared: it is
+ * the default for the Login screen.
+ * @param {number|string} userId
+ * @returns {Promise<string[]>} The keys that were migrated
+ */
+export const migrateLegacyUserData = async (userId) => {
+  const keys = USER_SCOPED_KEYS.filter((key) => key !== STORAGE_KEYS.THEME);
+  try {
+    const legacy = await AsyncStorage.multiGet(keys);
+    const present = legacy.filter(([, value]) => value != null);
+    if (present.length === 0) return [];
+
+    const scoped = await AsyncStorage.multiGet(
+      present.map(([key]) => getUserStorageKey(key, userId))
+    );
+    const moves = present.filter((_, index) => scoped[index][1] == null);
+    if (moves.length > 0) {
+      await AsyncStorage.multiSet(
+        moves.map(([key, value]) => [getUserStorageKey(key, userId), value])
+      );
+    }
+    await AsyncStorage.multiRemove(present.map(([key]) => key));
+    return moves.map(([key]) => key);
+  } catch (error) {
+    console.warn('Failed to migrate saved data:', error);
+    return [];
+  }
+};
+
+/**
+ * Save a member's favorites array to AsyncStorage.
+ * @param {number} userId
  * @param {Array} favorites - Array of product objects
  */
-export const saveFavorites = async (favorites) => {
+export const saveFavorites = async (userId, favorites) => {
+  if (userId == null) return;
   try {
     await AsyncStorage.setItem(
-      STORAGE_KEYS.FAVORITES,
+      getUserStorageKey(STORAGE_KEYS.FAVORITES, userId),
       JSON.stringify(favorites)
     );
   } catch (error) {
@@ -27,12 +75,13 @@ export const saveFavorites = async (favorites) => {
 };
 
 /**
- * Load favorites from AsyncStorage.
+ * Load a member's favorites from AsyncStorage.
+ * @param {number} userId
  * @returns {Array} Array of product objects, or empty array on failure
  */
-export const loadFavorites = async () => {
+export const loadFavorites = async (userId) => {
   try {
-    const json = await AsyncStorage.getItem(STORAGE_KEYS.FAVORITES);
+    const json = await AsyncStorage.getItem(getUserStorageKey(STORAGE_KEYS.FAVORITES, userId));
     return json ? JSON.parse(json) : [];
   } catch (error) {
     console.warn('Failed to load favorites:', error);
@@ -41,13 +90,141 @@ export const loadFavorites = async () => {
 };
 
 /**
- * Save loyalty data (points + transactions) to AsyncStorage.
- * @param {Object} data - { points: number, transactions: Array }
+ * Save a member's cart lines to AsyncStorage.
+ * @param {number} userId
+ * @param {Array} items - [{ product, quantity }]
+ */
+export const saveCart = async (userId, items) => {
+  if (userId == null) return;
+  try {
+    await AsyncStorage.setItem(getUserStorageKey(STORAGE_KEYS.CART, userId), JSON.stringify(items));
+  } catch (error) {
+    console.warn('Failed to save cart:', error);
+  }
+};
+
+/**
+ * Load a member's cart lines from AsyncStorage.
+ * @param {number} userId
+ * @returns {Array} Saved cart lines, or empty array on failure
+ */
+export const loadCart = async (userId) => {
+  try {
+    const json = await AsyncStorage.getItem(getUserStorageKey(STORAGE_KEYS.CART, userId));
+    return json ? JSON.parse(json) : [];
+  } catch (error) {
+    console.warn('Failed to load cart:', error);
+    return [];
+  }
+};
+
+/**
+ * Save a member's order history to AsyncStorage.
+ * @param {number} userId
+ * @param {Array} orders - Newest first
+ */
+export const saveOrders = async (userId, orders) => {
+  if (userId == null) return;
+  try {
+    await AsyncStorage.setItem(getUserStorageKey(STORAGE_KEYS.ORDERS, userId), JSON.stringify(orders));
+  } catch (error) {
+    console.warn('Failed to save orders:', error);
+  }
+};
+
+/**
+ * Load a member's order history from AsyncStorage.
+ * @param {number} userId
+ * @returns {Array} Saved orders, or empty array on failure
+ */
+export const loadOrders = async (userId) => {
+  try {
+    const json = await AsyncStorage.getItem(getUserStorageKey(STORAGE_KEYS.ORDERS, userId));
+    return json ? JSON.parse(json) : [];
+  } catch (error) {
+    console.warn('Failed to load orders:', error);
+    return [];
+  }
+};
+
+/**
+ * Save a member's coupon wallet to AsyncStorage.
+ * @param {number} userId
+ * @param {Array} coupons - Newest first
  */
-export const saveLoyaltyData = async (data) => {
+export const saveCoupons = async (userId, coupons) => {
+  if (userId == null) return;
+  try {
+    await AsyncStorage.setItem(getUserStorageKey(STORAGE_KEYS.COUPONS, userId), JSON.stringify(coupons));
+  } catch (error) {
+    console.warn('Failed to save coupons:', error);
+  }
+};
+
+/**
+ * Load a member's coupon wallet from AsyncStorage.
+ * @param {number} userId
+ * @returns {Array|null} Saved coupons, or null if the wallet was never saved
+ *   (coupons from older versions still live in the loyalty data) / on failure
+ */
+export const loadCoupons = async (userId) => {
+  try {
+    const json = await AsyncStorage.getItem(getUserStorageKey(STORAGE_KEYS.COUPONS, userId));
+    return json ? JSON.parse(json) : null;
+  } catch (error) {
+    console.warn('Failed to load coupons:', error);
+    return null;
+  }
+};
+
+/**
+ * Save the device-wide record of sent point transfers.
+ * @param {Object} data - { sent: Array }
+ */
+export const saveTransfers = async (data) => {
+  try {
+    await AsyncStorage.setItem(STORAGE_KEYS.TRANSFERS, JSON.stringify(data));
+  } catch (error) {
+    console.warn('Failed to save transfers:', error);
+  }
+};
+
+/**
+ * Load the sent point transfers from AsyncStorage.
+ * @returns {Object|null} Saved record, or null if none / on failure
+ */
+export const loadTransfers = async () => {
+  try {
+    const json = await AsyncStorage.getItem(STORAGE_KEYS.TRANSFERS);
+    return json ? JSON.parse(json) : null;
+  } catch (error) {
+    console.warn('Failed to load transfers:', error);
+    return null;
+  }
+};
+
+const DEFAULT_LOYALTY_DATA = {
+  points: 0,
+  transactions: [],
+  lots: [],
+  level: 'MEMBER',
+  ruleUsage: {},
+  awardedKeys: {},
+  streak: { current: 0, longest: 0, lastCheckIn: null, days: [] },
+  missions: {},
+  achievements: {},
+};
+
+/**
+ * Save a member's loyalty data (balance, ledger, lots, level, rule bookkeeping, streak, missions, badges) to AsyncStorage.
+ * @param {number} userId
+ * @param {Object} data - { points, transactions, lots, level, ruleUsage, awardedKeys, streak, missions, achievements }
+ */
+export const saveLoyaltyData = async (userId, data) => {
+  if (userId == null) return;
   try {
     await AsyncStorage.setItem(
-      STORAGE_KEYS.LOYALTY_DATA,
+      getUserStorageKey(STORAGE_KEYS.LOYALTY_DATA, userId),
       JSON.stringify(data)
     );
   } catch (error) {
@@ -56,15 +233,107 @@ export const saveLoyaltyData = async (data) => {
 };
 
 /**
- * Load loyalty data from AsyncStorage.
- * @returns {Object} { points, transactions } or defaults on failure
+ * Load a member's loyalty data from AsyncStorage.
+ * @param {number} userId
+ * @returns {Object} Saved loyalty data, or defaults on failure
  */
-export const loadLoyaltyData = async () => {
+export const loadLoyaltyData = async (userId) => {
   try {
-    const json = await AsyncStorage.getItem(STORAGE_KEYS.LOYALTY_DATA);
-    return json ? JSON.parse(json) : { points: 0, transactions: [] };
+    const json = await AsyncStorage.getItem(getUserStorageKey(STORAGE_KEYS.LOYALTY_DATA, userId));
+    return json ? JSON.parse(json) : { ...DEFAULT_LOYALTY_DATA };
   } catch (error) {
     console.warn('Failed to load loyalty data:', error);
-    return { points: 0, transactions: [] };
+    return { ...DEFAULT_LOYALTY_DATA };
+  }
+};
+
+/**
+ * Save a member's sync outbox + bookkeeping so unsent changes survive a restart.
+ * @param {number} userId
+ * @param {Object} data - { outbox: Array, initialized: boolean, lastSyncedAt: string|null }
+ */
+export const saveSyncState = async (userId, data) => {
+  if (userId == null) return;
+  try {
+    await AsyncStorage.setItem(getUserStorageKey(STORAGE_KEYS.SYNC_STATE, userId), JSON.stringify(data));
+  } catch (error) {
+    console.warn('Failed to save sync state:', error);
+  }
+};
+
+/**
+ * Load a member's sync outbox from AsyncStorage.
+ * @param {number} userId
+ * @returns {Object|null} Saved sync state, or null if none / on failure
+ */
+export const loadSyncState = async (userId) => {
+  try {
+    const json = await AsyncStorage.getItem(getUserStorageKey(STORAGE_KEYS.SYNC_STATE, userId));
+    return json ? JSON.parse(json) : null;
+  } catch (error) {
+    console.warn('Failed to load sync state:', error);
+    return null;
+  }
+};
+
+/**
+ * Save the device-wide referral registry.
+ * @param {Object} data - { redemptions: Object }
+ */
+export const saveReferrals = async (data) => {
+  try {
+    await AsyncStorage.setItem(STORAGE_KEYS.REFERRALS, JSON.stringify(data));
+  } catch (error) {
+    console.warn('Failed to save referrals:', error);
+  }
+};
+
+/**
+ * Load the referral registry from AsyncStorage.
+ * @returns {Object|null} Saved registry, or null if none / on failure
+ */
+export const loadReferrals = async () => {
+  try {
+    const json = await AsyncStorage.getItem(STORAGE_KEYS.REFERRALS);
+    return json ? JSON.parse(json) : null;
+  } catch (error) {
+    console.warn('Failed to load referrals:', error);
+    return null;
+  }
+};
+
+/**
+ * Save the device's remembered accounts (see accountsSlice).
+ *
+ * Each entry keeps its access and refresh token in plain AsyncStorage, the
+ * same way the active session's tokens are kept (AUTH_TOKEN, REFRESH_TOKEN):
+ * anyone who can read the app's storage can sign in as every remembered
+ * account until its refresh token expires. Dropping the access token would
+ * not help — the refresh token is the longer-lived credential. Move both
+ * to expo-secure-store if that threat matters. Logging out keeps the
+ * tokens so the account stays one tap away; only forgetting the account
+ * (AccountSwitcher) or an expired session deletes them.
+ *
+ * @param {Array} accounts - [{ id, username, firstName, lastName, image, token, refreshToken, lastUsedAt }]
+ */
+export const saveAccounts = async (accounts) => {
+  try {
+    await AsyncStorage.setItem(STORAGE_KEYS.ACCOUNTS, JSON.stringify(accounts));
+  } catch (error) {
+    console.warn('Failed to save accounts:', error);
+  }
+};
+
+/**
+ * Load the remembered accounts from AsyncStorage.
+ * @returns {Array} Saved accounts, or empty array on failure
+ */
+export const loadAccounts = async () => {
+  try {
+    const json = await AsyncStorage.getItem(STORAGE_KEYS.ACCOUNTS);
+    return json ? JSON.parse(json) : [];
+  } catch (error) {
+    console.warn('Failed to load accounts:', error);
+    return [];
   }
 };
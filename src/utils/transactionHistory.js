@@ -0,0 +1,79 @@
+/**
+ * Points history helpers — filtering, month grouping and paging of the
+ * loyalty ledger for the RewardsScreen history list.
+ *
+ * All functions are pure; historySlice wires them into memoized selectors
+ * so a long ledger is only re-grouped when the ledger or filters change.
+ * Months and date ranges use the device's local timezone, like streaks.
+ */
+
+import { getLocalDayKey, formatMonth } from './constants';
+
+/**
+ * Apply the history filters.
+ * @param {Array} transactions - Newest first
+ * @param {Object} filters
+ * @param {string[]} filters.types - Transaction types to keep (empty = all)
+ * @param {{ from: string|null, to: string|null }} filters.dateRange - Inclusive local day keys
+ * @param {string} filters.searchQuery - Case-insensitive description match
+ * @returns {Array} Matching transactions, still newest first
+ */
+export const filterTransactions = (transactions, { types, dateRange, searchQuery }) => {
+  const query = searchQuery.trim().toLowerCase();
+  const typeSet = new Set(types);
+
+  return transactions.filter((transaction) => {
+    if (typeSet.size > 0 && !typeSet.has(transaction.type)) return false;
+
+    if (dateRange.from || dateRange.to) {
+      const day = getLocalDayKey(transaction.date);
+      if (dateRange.from && day < dateRange.from) return false;
+      if (dateRange.to && day > dateRange.to) return false;
+    }
+
+    return !query || (transaction.description || '').toLowerCase().includes(query);
+  });
+};
+
+/**
+ * Group transactions into month sections (SectionList-ready).
+ * @param {Array} transactions - Newest first
+ * @returns {Array} [{ key: "YYYY-MM", title, net, data }], newest month first;
+ *   `net` is the signed sum of every transaction in the month.
+ */
+export const groupTransactionsByMonth = (transactions) => {
+  const sections = [];
+  transactions.forEach((transaction) => {
+    const key = getLocalDayKey(transaction.date).slice(0, 7);
+    let section = sections[sections.length - 1];
+    if (!section || section.key !== key) {
+      section = { key, title: formatMonth(key), net: 0, data: [] };
+      sections.push(section);
+    }
+    section.net += transaction.points;
+    section.data.push(transaction);
+  });
+  return sections;
+};
+
+/**
+ * Keep only the first `limit` transactions across sections. Month totals
+ * keep covering the whole month, so they don't change while paging.
+ * @param {Array} sections - From groupTransactionsByMonth
+ * @param {number} limit
+ * @returns {Array} Truncated sections
+ */
+export const paginateSections = (sections, limit) => {
+  const page = [];
+  let remaining = limit;
+  for (const section of sections) {
+    if (remaining <= 0) break;
+    page.push(
+      section.data.length <= remaining
+        ? section
+        : { ...section, data: section.data.slice(0, remaining) }
+    );
+    remaining -= section.data.length;
+  }
+  return page;
+};
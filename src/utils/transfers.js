@@ -0,0 +1,65 @@
+/**
+ * Point-transfer rules — daily limits and validation for gifting points.
+ *
+ * Limits (TRANSFER_LIMITS) apply per sender and local calendar day, and
+ * count every transfer sent that day whether or not it was delivered yet.
+ */
+
+import { TRANSFER_LIMITS, getLocalDayKey } from './constants';
+
+/**
+ * Readable, collision-resistant transfer id, e.g. "trf-lz8k3q1t-4f2a".
+ * @returns {string}
+ */
+export const createTransferId = () =>
+  `trf-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6).padEnd(4, '0')}`;
+
+/**
+ * What the sender can still send today.
+ * @param {Array} sent - Transfer records ({ fromUserId, points, sentAt })
+ * @param {number} userId - Sender
+ * @param {string} now - ISO date
+ * @returns {{ points: number, transfers: number }}
+ */
+export const getDailyAllowance = (sent, userId, now) => {
+  const today = getLocalDayKey(now);
+  const todays = sent.filter(
+    (transfer) => transfer.fromUserId === userId && getLocalDayKey(transfer.sentAt) === today
+  );
+  return {
+    points: Math.max(
+      0,
+      TRANSFER_LIMITS.DAILY_POINTS - todays.reduce((sum, transfer) => sum + transfer.points, 0)
+    ),
+    transfers: Math.max(0, TRANSFER_LIMITS.DAILY_TRANSFERS - todays.length),
+  };
+};
+
+/**
+ * Check a transfer before anything is written.
+ * @param {Object} params
+ * @param {number} params.points - Amount to send
+ * @param {number} params.balance - Sender's spendable points
+ * @param {number} params.senderId
+ * @param {Object} params.recipient - { id, username }
+ * @param {Array} params.sent - Transfer records, for the daily limits
+ * @param {string} params.now - ISO date
+ * @returns {string|null} A user-facing error, or null when allowed
+ */
+export const validateTransfer = ({ points, balance, senderId, recipient, sent, now }) => {
+  if (!recipient) return 'Choose who to send points to.';
+  if (recipient.id === senderId) return "You can't send points to yourself.";
+  if (!Number.isInteger(points) || points < TRANSFER_LIMITS.MIN_POINTS) {
+    return `Send at least ${TRANSFER_LIMITS.MIN_POINTS} points.`;
+  }
+  if (points > balance) return "You don't have enough points.";
+
+  const allowance = getDailyAllowance(sent, senderId, now);
+  if (allowance.transfers === 0) {
+    return `You can send up to ${TRANSFER_LIMITS.DAILY_TRANSFERS} gifts a day. Try again tomorrow.`;
+  }
+  if (points > allowance.points) {
+    return `You can send ${allowance.points} more points today.`;
+  }
+  return null;
+};
@@ -0,0 +1,28 @@
+/**
+ * Form validation rules shared by the Register and Profile screens.
+ *
+ * Screens still build their own `newErrors` object (see LoginScreen's
+ * validate); these only hold the rules, so the same email or password is
+ * judged the same way everywhere.
+ */
+
+export const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// 3–20 letters, digits, dots or underscores
+export const USERNAME_PATTERN = /^[a-zA-Z0-9._]{3,20}$/;
+
+// What a new password must contain, in the order the checklist shows them
+export const PASSWORD_RULES = [
+  { id: 'length', label: 'At least 8 characters', test: (password) => password.length >= 8 },
+  { id: 'upper', label: 'An uppercase letter', test: (password) => /[A-Z]/.test(password) },
+  { id: 'lower', label: 'A lowercase letter', test: (password) => /[a-z]/.test(password) },
+  { id: 'digit', label: 'A number', test: (password) => /\d/.test(password) },
+];
+
+/**
+ * The password rules a password does not meet yet.
+ * @param {string} password
+ * @returns {Array} Subset of PASSWORD_RULES (empty when the password is strong enough)
+ */
+export const getPasswordIssues = (password) =>
+  PASSWORD_RULES.filter((rule) => !rule.test(password));